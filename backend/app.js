@@ -12,8 +12,11 @@ import sheetRoutes from "./DSA_sheets/routes/sheetRoutes.js";
 import questionRoutes from "./DSA_sheets/routes/questionRoutes.js";
 import potdRoutes from "./potd/routes/potdRoutes.js";
 import hackathonRoutes from "./hackathons/routes/hackathonRoutes.js";
+import discordRoutes from "./discord/routes/discordRoutes.js";
+import telegramRoutes from "./telegram/routes/telegramRoutes.js";
 
 import { routeLogging } from "./users/middlewares/authMiddleware.js";
+import { keepRawBody } from "./discord/middlewares/verifyInteraction.js";
 
 const app = express();
 
@@ -26,7 +29,8 @@ app.use(
   })
 );
 
-app.use(bodyParser.json());
+// The raw body is kept for checking Discord's request signatures
+app.use(bodyParser.json({ verify: keepRawBody }));
 
 // Apply route logging only in production (optional)
 if (process.env.NODE_ENV === "production") {
@@ -42,6 +46,8 @@ app.use("/potd", potdRoutes);
 app.use("/contests", contestRoutes);
 app.use("/community", communityRoutes);
 app.use("/hackathons", hackathonRoutes);
+app.use("/discord", discordRoutes);
+app.use("/telegram", telegramRoutes);
 
 // 404 handler
 app.all("*", (req, res) => {
@@ -3,7 +3,24 @@
 import { error, success } from "../../core/api/response.api.js";
 import { ROLE } from "../../core/const.js";
 import CommunityMember from "../models/CommunityMember.js";
+import Community from "../models/Community.js";
 import { userAddCommunity, userRemoveCommunity } from "../services/user.js";
+import { addToInbox } from "../../notifications/services/inbox.js";
+
+//* Tell a new member which community they were added to
+// The membership stands even if the inbox can't be reached.
+async function notifyNewMember (communityId, uid) {
+  try {
+    const community = await Community.findById(communityId).select("name").lean();
+    await addToInbox(uid, {
+      type: "community.invite",
+      title: `You were added to ${community?.name || "a community"}`,
+      data: { communityId },
+    });
+  } catch (error) {
+    console.log("Error notifying new community member", error);
+  }
+}
 
 async function getCommunityMemberList (request, response) {
   try {
@@ -79,6 +96,7 @@ async function addCommunityMember (request, response) {
     await newCommunityMember.save();
     // update user community list
     await userAddCommunity(communityId, uid);
+    await notifyNewMember(communityId, uid);
     return success(
       newCommunityMember,
       response,
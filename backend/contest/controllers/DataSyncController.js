@@ -1,109 +1,104 @@
 // ? APIs to MongoDB
 
 import dotenv from "dotenv";
-import atcoderContests from "./platforms/atcoderController.js";
-import codechefContests from "./platforms/codechefController.js";
-import codeforcesContests from "./platforms/codeforcesController.js";
-import gfgContests from "./platforms/gfgController.js";
-import leetcodeContests from "./platforms/leetcodeController.js";
-import codingninjas_studioContests from "./platforms/codingninjas_studioController.js";
-import { UpcomingContest, AllContest } from "../models/Contest.js";
+import { getEnabledContestSources } from "../services/sourceRegistry.js";
+import { emitContestChanges, upsertContests } from "../services/contestUpsert.js";
+import { Contest } from "../models/Contest.js";
+import contestController from "./contestController.js";
+import { screenRecords } from "../../quarantine/services/quarantine.js";
+import { recordSyncRun } from "../../sync/services/syncRuns.js";
 
 dotenv.config({ path: "../../.env" });
 
-//* Clear the UpcomingContest collection in MongoDB
-async function clearUpcoming () {
-  try {
-    const currentTime = Math.floor(Date.now() / 1000);
-    await UpcomingContest.deleteMany({ startTimeUnix: { $lt: currentTime } });
-    console.log("Deleted upcoming contests with start time before now.");
-  } catch (err) {
-    console.log("Error while deleting upcoming contests:", err);
-  }
-}
-
-//* Add contest using API
+//* Add or update contests fetched from a platform
+// Resolves with how many contests were new, updated or unchanged.
 async function addToDB (mappedContests, platform) {
   try {
     // Sorting contests
     mappedContests.sort((a, b) => a.startTimeUnix - b.startTimeUnix);
 
-    try {
-      // Add to UpcomingContest collection
-      await UpcomingContest.insertMany(mappedContests, { ordered: false });
-      console.log(
-        `│ Updated upcoming contests for ${platform}`.padEnd(53) + "│",
-      );
-    } catch (upcomingErr) {
-      if (upcomingErr.code === 11000) {
-        console.log(
-          `│ Some duplicate(s) in UpcomingContest for ${platform}`.padEnd(53) +
-            "│",
-        );
-      } else {
-        throw upcomingErr;
-      }
-    }
+    // Upsert into the contest store, the record events are raised from
+    const all = await upsertContests(Contest, mappedContests);
+    console.log(
+      `│ ${platform}: ${all.added.length} new, ${all.changed.length} changed`.padEnd(53) + "│",
+    );
+    emitContestChanges(all);
 
-    try {
-      // Update AllContest collection
-      await AllContest.insertMany(mappedContests, { ordered: false });
-      console.log(`│ Updated AllContests for ${platform}`.padEnd(53) + "│");
-    } catch (allErr) {
-      if (allErr.code === 11000) {
-        console.log(
-          `│ Some duplicate(s) in AllContest for ${platform}`.padEnd(53) + "│",
-        );
-      } else {
-        throw allErr;
-      }
+    // Serve the new data right away instead of after the cache expires
+    if (all.added.length > 0 || all.changed.length > 0) {
+      await contestController.invalidateContests();
     }
+
+    return {
+      new: all.added.length,
+      updated: all.changed.length,
+      unchanged: all.unchanged,
+    };
   } catch (err) {
     console.log(`Error adding contests to MongoDB for ${platform}`, err);
+    throw err;
   }
 }
 
-async function syncContests () {
+//* Run a source's fetch function, giving up once its timeout is reached
+function fetchWithTimeout (source) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`timed out after ${source.timeoutMs}ms`)),
+      source.timeoutMs,
+    );
+  });
+
+  return Promise.race([source.fetch(), timeout]).finally(() =>
+    clearTimeout(timer),
+  );
+}
+
+//* Fetch, screen and store one source, recording the run in the sync history
+function syncSource (source, trigger) {
+  return recordSyncRun({ kind: "contest", source: source.id, trigger }, async () => {
+    const fetched = await fetchWithTimeout(source);
+    // Invalid records are set aside for review instead of being stored
+    const contests = await screenRecords("contest", source.id, fetched);
+    const stored = await addToDB(contests, source.name);
+
+    const fetchedCount = Array.isArray(fetched) ? fetched.length : 0;
+    return {
+      fetched: fetchedCount,
+      invalid: fetchedCount - contests.length,
+      ...stored,
+    };
+  });
+}
+
+//* Sync every enabled source, or only the ones listed in sourceIds
+// trigger is "schedule" or "manual" and ends up in the sync history.
+// Resolves with the ids of the sources that failed.
+async function syncContests (sourceIds, trigger = "schedule") {
+  const failed = [];
   try {
     console.log("===============================================");
     console.log("Syncing Data | API to MongoDB");
     console.log("===============================================");
 
-    //* Clearing the UpcomingContest collection
-    await clearUpcoming();
-
-    console.log("┌────────────────────CodingNinjas────────────────────┐");
-    const codingninjasData =
-      await codingninjas_studioContests.codingninjas_studio_c();
-    await addToDB(codingninjasData, "CodeStudio");
-
-    //* LeetCode Section
-    console.log("├──────────────────────Leetcode──────────────────────┤");
-    const leetcodeData = await leetcodeContests.leetcode_c();
-    await addToDB(leetcodeData, "LeetCode");
-
-    console.log("├───────────────────────AtCoder──────────────────────┤");
-    // console.log("<======= AtCode =======>");
-    const atcodeData = await atcoderContests.atcoder_c();
-    await addToDB(atcodeData, "AtCoder");
-
-    //* GeeksforGeeks Section
-    console.log("├────────────────────GeeksForGeeks───────────────────┤");
-    // console.log("<======= GeeksForGeeks =======>");
-    const geeksforgeeksData = await gfgContests.geeksforgeeks_c();
-    await addToDB(geeksforgeeksData, "GFG");
-
-    //* Codeforces Section
-    console.log("├──────────────────────CodeForces────────────────────┤");
-    // console.log("<======= CodeForces =======>");
-    const codeforcesData = await codeforcesContests.codeforces_c();
-    await addToDB(codeforcesData, "Codeforces");
-
-    //* CodeChef Section
-    console.log("├───────────────────────CodeChef─────────────────────┤");
-    // console.log("<======= CodeChef =======>");
-    const codechefData = await codechefContests.codechef_c();
-    await addToDB(codechefData, "CodeChef");
+    const sources = getEnabledContestSources().filter(
+      (source) => !sourceIds || sourceIds.includes(source.id),
+    );
+
+    //* Sources run side by side, so one slow platform doesn't hold back the rest
+    console.log("┌────────────────────────────────────────────────────┐");
+    const results = await Promise.allSettled(
+      sources.map((source) => syncSource(source, trigger)),
+    );
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        failed.push(sources[index].id);
+        console.log(
+          `│ Failed to sync ${sources[index].name}: ${result.reason?.message}`.padEnd(53) + "│",
+        );
+      }
+    });
     console.log("└────────────────────────────────────────────────────┘");
 
     //* All Functions Synced.
@@ -112,9 +107,12 @@ async function syncContests () {
     console.log("===============================================");
   } catch (error) {
     console.log("Error fetching or syncing contests:", error);
+    failed.push(...(sourceIds || ["all"]));
   }
+  return { failed };
 }
 
 export default {
+  addToDB,
   syncContests,
 };
@@ -0,0 +1,209 @@
+// ? Past contests from the contest store: listing, statistics and export
+
+import { Contest } from "../models/Contest.js";
+import {
+  CONTEST_FIELDS,
+  parseContestQuery,
+  buildContestFilter,
+  buildContestPage,
+  encodeCursor,
+} from "../services/contestQuery.js";
+
+const DEFAULT_LIMIT = 50;
+
+// Newest first unless the caller asks otherwise
+const parseArchiveQuery = (query) => parseContestQuery(query, "-startTimeUnix");
+
+//* The query's filter, limited to contests that have ended
+const buildArchiveFilter = (options) => ({
+  ...buildContestFilter(options),
+  endTimeUnix: { $lt: Math.floor(Date.now() / 1000) },
+});
+
+const sendInvalidQuery = (res, errors) =>
+  res.status(400).json({
+    error: "Invalid query",
+    message: errors.join("; "),
+  });
+
+//* GET /contests/archive
+async function getArchive (req, res) {
+  try {
+    const { options, errors } = parseArchiveQuery(req.query);
+    if (errors) return sendInvalidQuery(res, errors);
+
+    const limit = options.limit ?? DEFAULT_LIMIT;
+    const filter = buildArchiveFilter(options);
+    const { sort, after } = buildContestPage(options);
+    const projection = (options.fields || CONTEST_FIELDS).join(" ");
+
+    const [total, page] = await Promise.all([
+      Contest.countDocuments(filter),
+      Contest.find(after ? { $and: [filter, after] } : filter)
+        .sort(sort)
+        // Sort and cursor fields are always read, then trimmed to `fields`
+        .select(`${projection} host vanity ${options.sortField} -_id`)
+        .limit(limit + 1)
+        .lean(),
+    ]);
+
+    const hasMore = page.length > limit;
+    const contests = page.slice(0, limit);
+    const results = options.fields
+      ? contests.map((contest) =>
+        Object.fromEntries(options.fields.map((field) => [field, contest[field]])),
+      )
+      : contests;
+
+    res.status(200).json({
+      total,
+      results,
+      meta: {
+        count: results.length,
+        limit,
+        sort: `${options.sortOrder === -1 ? "-" : ""}${options.sortField}`,
+        nextCursor: hasMore
+          ? encodeCursor(contests[contests.length - 1], options.sortField)
+          : null,
+        hasMore,
+      },
+    });
+  } catch (err) {
+    console.log("Error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Internal server error",
+    });
+  }
+}
+
+//* GET /contests/archive/stats - per-platform totals and contests per month
+async function getArchiveStats (req, res) {
+  try {
+    const { options, errors } = parseArchiveQuery(req.query);
+    if (errors) return sendInvalidQuery(res, errors);
+
+    const stats = await Contest.aggregate([
+      { $match: buildArchiveFilter(options) },
+      {
+        $addFields: {
+          month: {
+            $dateToString: {
+              format: "%Y-%m",
+              date: { $toDate: { $multiply: ["$startTimeUnix", 1000] } },
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: { host: "$host", month: "$month" },
+          count: { $sum: 1 },
+          totalDuration: { $sum: "$duration" },
+          firstStartTimeUnix: { $min: "$startTimeUnix" },
+          lastStartTimeUnix: { $max: "$startTimeUnix" },
+        },
+      },
+      { $sort: { "_id.month": 1 } },
+      {
+        $group: {
+          _id: "$_id.host",
+          total: { $sum: "$count" },
+          totalDuration: { $sum: "$totalDuration" },
+          firstStartTimeUnix: { $min: "$firstStartTimeUnix" },
+          lastStartTimeUnix: { $max: "$lastStartTimeUnix" },
+          perMonth: { $push: { month: "$_id.month", count: "$count" } },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          host: "$_id",
+          total: 1,
+          averageDuration: {
+            $round: [{ $divide: ["$totalDuration", "$total"] }, 1],
+          },
+          firstStartTimeUnix: 1,
+          lastStartTimeUnix: 1,
+          perMonth: 1,
+        },
+      },
+      { $sort: { host: 1 } },
+    ]);
+
+    res.status(200).json({
+      total: stats.length,
+      results: stats,
+    });
+  } catch (err) {
+    console.log("Error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Internal server error",
+    });
+  }
+}
+
+//* Quote a CSV value when it contains a separator, quote or newline
+function toCsvValue (value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+//* GET /contests/archive/export?format=csv|json - streams every match
+async function exportArchive (req, res) {
+  const format = req.query.format === "json" ? "json" : "csv";
+  let cursor;
+
+  try {
+    const { options, errors } = parseArchiveQuery(req.query);
+    if (errors) return sendInvalidQuery(res, errors);
+
+    const fields = options.fields || CONTEST_FIELDS;
+    const { sort } = buildContestPage(options);
+    cursor = Contest.find(buildArchiveFilter(options))
+      .sort(sort)
+      .select(`${fields.join(" ")} -_id`)
+      .lean()
+      .cursor();
+
+    res.status(200).set({
+      "Content-Type": format === "json"
+        ? "application/json; charset=utf-8"
+        : "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="contests.${format}"`,
+    });
+
+    // Stop reading from MongoDB if the client goes away
+    req.on("close", () => cursor.close());
+
+    res.write(format === "json" ? "[" : `${fields.join(",")}\n`);
+    let first = true;
+    for await (const contest of cursor) {
+      if (format === "json") {
+        res.write(`${first ? "" : ","}\n${JSON.stringify(contest)}`);
+      } else {
+        res.write(`${fields.map((field) => toCsvValue(contest[field])).join(",")}\n`);
+      }
+      first = false;
+    }
+    res.end(format === "json" ? "\n]\n" : "");
+  } catch (err) {
+    console.log("Error:", err);
+    if (cursor) cursor.close();
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Internal server error",
+      });
+    }
+  }
+}
+
+export default {
+  getArchive,
+  getArchiveStats,
+  exportArchive,
+};
@@ -1,56 +1,75 @@
 // ? MongoDB to our API
 
-import { UpcomingContest, AllContest } from "../models/Contest.js";
+import { Contest, contestStatus } from "../models/Contest.js";
+import { cache } from "../../core/cache/index.js";
 
-let upcomingContestList = []; // Variable to store contests in memory
+const UPCOMING_KEY = "contests:upcoming";
 
-//* Function to fetch contests from MongoDB and update the upcomingContestList variable
+//* Load contests that haven't ended from MongoDB (without id, createdAt and updatedAt)
+async function loadUpcomingContests () {
+  const now = Math.floor(Date.now() / 1000);
+  return Contest.find({ endTimeUnix: { $gt: now } })
+    .select("-_id -createdAt -updatedAt -__v")
+    .sort({ startTimeUnix: 1 })
+    .lean();
+}
+
+//* Attach the current lifecycle status; the cached list outlives it
+const withStatus = (contest, now) => ({
+  ...contest,
+  status: contestStatus(contest, now),
+});
+
+//* Reload the cached upcoming contests from MongoDB
 async function updateContests () {
   try {
     console.log("┌──────────────────────────────────┐");
     console.log("│ Retrieving Data | MongoDB to App".padEnd(35) + "│");
     console.log("└──────────────────────────────────┘");
 
-    // Fetch contests from MongoDB (without id, createdAt and updatedAt)
-    const fetchedContests = await UpcomingContest.find().select(
-      "-_id -createdAt -updatedAt -__v",
-    );
-
-    // Sorting contests
-    fetchedContests.sort((a, b) => a.startTimeUnix - b.startTimeUnix);
-
-    // Update the upcomingContestList variable
-    upcomingContestList = fetchedContests;
+    await cache.set(UPCOMING_KEY, await loadUpcomingContests());
 
     console.log("===============================================");
-    console.log("Contests variable updated successfully. | MongoDb to App");
+    console.log("Contests cache updated successfully. | MongoDb to App");
     console.log("===============================================");
   } catch (error) {
     console.error("Error fetching contests:", error);
+    throw error;
   }
 }
 
-//* Function to return upcomingContestList
+//* Drop the cached list so the next request reads what a sync just stored
+async function invalidateContests () {
+  await cache.del(UPCOMING_KEY);
+}
+
+//* Upcoming and live contests
 async function getContestList () {
-  return await upcomingContestList;
+  const { value } = await cache.wrap(UPCOMING_KEY, loadUpcomingContests);
+  const now = Math.floor(Date.now() / 1000);
+
+  return value
+    .map((contest) => withStatus(contest, now))
+    // A contest may have ended since the list was cached
+    .filter((contest) => contest.status !== "finished");
 }
 
 const getContestByVanity = async (vanity) => {
   try {
-  // First, check the upcomingContestList in memory
-    const contestInMemory = upcomingContestList.find(
+  // First, check the cached upcoming contests
+    const contestInCache = (await getContestList()).find(
       (contest) => contest.vanity === vanity,
     );
-    if (contestInMemory) {
-      return contestInMemory;
+    if (contestInCache) {
+      return contestInCache;
     }
 
-    // If not found in memory, query MongoDB
-    const contestFromDB = await AllContest.findOne({ vanity });
+    // If not cached, query MongoDB
+    const contestFromDB = await Contest.findOne({ vanity })
+      .select("-_id -createdAt -updatedAt -__v")
+      .lean();
     if (contestFromDB) {
-    // Add the contest to memory for future access
-    // upcomingContestList.push(contestFromDB);
-      return contestFromDB;
+      return withStatus(contestFromDB, Math.floor(Date.now() / 1000));
     }
 
     throw new Error("Contest not found");
@@ -63,5 +82,6 @@ const getContestByVanity = async (vanity) => {
 export default {
   getContestList,
   updateContests,
+  invalidateContests,
   getContestByVanity,
 };
@@ -1,60 +1,44 @@
 // ? API to mongodb function
 
-import https from "https";
+import { http } from "../../../core/http/client.js";
+import { parseIsoDateTime } from "../../../core/date.js";
+
+const CODECHEF_TIMEZONE = "Asia/Kolkata";
 
 async function codechef_c () {
   const url = "https://www.codechef.com/api/list/contests/all";
 
-  const promise = new Promise((resolve, reject) => {
-    https.get(url, function (response) {
-      if (response.statusCode === 200) {
-        resolve(response);
-      } else {
-        reject(new Error("Error getting contests"));
+  try {
+    const { data: contestList } = await http.get(url, { conditional: true });
+    const futureContests = contestList.future_contests;
+    // console.log("Future Contests:", futureContests);
+    const formattedContests = [];
+    futureContests.forEach((contest) => {
+      // The ISO string carries its offset; IST is only the fallback
+      let startTimeUnix;
+      try {
+        startTimeUnix = parseIsoDateTime(contest.contest_start_date_iso, CODECHEF_TIMEZONE);
+      } catch (error) {
+        console.log(`Skipping CodeChef contest ${contest.contest_code}:`, error.message);
+        return;
       }
-    });
-  });
 
-  const filteredContestsPromise = promise.then(function (response) {
-    let list = "";
-
-    response.on("data", function (data) {
-      list += data;
-    });
-
-    return new Promise((resolve) => {
-      response.on("end", function () {
-        try {
-          const contestList = JSON.parse(list.toString());
-          const futureContests = contestList.future_contests;
-          // console.log("Future Contests:", futureContests);
-          const formattedContests = futureContests.map((contest) => ({
-            host: "codechef",
-            name: contest.contest_name,
-            vanity: contest.contest_code,
-            url: "https://www.codechef.com/" + contest.contest_code,
-            // startTimeIST: formatStartTimeIST(contest.contest_start_date_iso),
-            startTimeUnix: Math.floor(
-              new Date(contest.contest_start_date_iso).getTime() / 1000,
-            ),
-            duration: contest.contest_duration,
-          }));
-
-          resolve(formattedContests);
-        } catch (error) {
-          console.log("Error parsing JSON:", error);
-          resolve([]);
-        }
+      formattedContests.push({
+        host: "codechef",
+        name: contest.contest_name,
+        vanity: contest.contest_code,
+        url: "https://www.codechef.com/" + contest.contest_code,
+        startTimeUnix,
+        // CodeChef sends the duration in minutes as a string
+        duration: Number(contest.contest_duration),
       });
     });
-  }).catch((error) => {
-    console.error("Failed to fetch codechef contests:", error);
-    return new Promise((resolve) => {
-      resolve([]);
-    });
-  });
 
-  return filteredContestsPromise;
+    return formattedContests;
+  } catch (error) {
+    console.error("Failed to fetch codechef contests:", error.message);
+    throw error;
+  }
 }
 
 // function formatStartTimeIST (start_time) {
@@ -1,69 +1,44 @@
 // ? API to mongodb function
 
-import https from "https";
+import { http } from "../../../core/http/client.js";
+import { parseIsoDateTime } from "../../../core/date.js";
+
+const GFG_TIMEZONE = "Asia/Kolkata";
 
 async function geeksforgeeks_c () {
   const url =
     "https://practiceapi.geeksforgeeks.org/api/v1/events/?type=contest&page_number=1&sub_type=all";
 
-  const promise = new Promise((resolve, reject) => {
-    https.get(url, function (response) {
-      if (response.statusCode === 200) {
-        resolve(response);
-      } else {
-        reject(new Error("Error getting contests"));
+  try {
+    const { data: contestList } = await http.get(url, { conditional: true });
+    // console.log(contestList.results.upcoming);
+    const filteredContests = [];
+    contestList.results.upcoming.forEach((contest) => {
+      // GFG sends IST wall-clock times without an offset
+      let startTimeUnix, endTimeUnix;
+      try {
+        startTimeUnix = parseIsoDateTime(contest.start_time, GFG_TIMEZONE);
+        endTimeUnix = parseIsoDateTime(contest.end_time, GFG_TIMEZONE);
+      } catch (error) {
+        console.log(`Skipping GFG contest ${contest.slug}:`, error.message);
+        return;
       }
-    });
-  });
 
-  const filteredContestsPromise = promise.then(function (response) {
-    let list = "";
-
-    response.on("data", function (data) {
-      list += data;
-    });
-
-    return new Promise((resolve) => {
-      response.on("end", function () {
-        try {
-          const contestList = JSON.parse(list.toString());
-          // console.log(contestList.results.upcoming);
-          const filteredContests = contestList.results.upcoming.map(
-            (contest) => ({
-              host: "geeksforgeeks",
-              name: contest.name,
-              vanity: contest.slug,
-              url: "https://practice.geeksforgeeks.org/contest/" + contest.slug,
-              // startTimeIST: formatStartTimeIST(contest.start_time),
-              startTimeUnix: Math.floor(
-                new Date(
-                  new Date(contest.start_time).getTime() - 5.5 * 60 * 60 * 1000,
-                ).getTime() / 1000,
-              ), //! issue for GFG
-              //   endtime: Math.floor(new Date(contest.end_time).getTime() / 1000),
-              duration:
-                Math.floor(new Date(contest.end_time).getTime() / (60 * 1000)) -
-                Math.floor(
-                  new Date(contest.start_time).getTime() / (60 * 1000),
-                ),
-            }),
-          );
-
-          resolve(filteredContests);
-        } catch (error) {
-          console.log("Error parsing JSON:", error);
-          resolve([]);
-        }
+      filteredContests.push({
+        host: "geeksforgeeks",
+        name: contest.name,
+        vanity: contest.slug,
+        url: "https://practice.geeksforgeeks.org/contest/" + contest.slug,
+        startTimeUnix,
+        duration: Math.floor((endTimeUnix - startTimeUnix) / 60),
       });
     });
-  }).catch((error) => {
-    console.error("Failed to fetch geeks for geeks contests:", error);
-    return new Promise((resolve) => {
-      resolve([]);
-    });
-  });
 
-  return filteredContestsPromise;
+    return filteredContests;
+  } catch (error) {
+    console.error("Failed to fetch geeks for geeks contests:", error.message);
+    throw error;
+  }
 }
 
 // function formatStartTimeIST (start_time) {
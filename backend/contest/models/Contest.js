@@ -30,15 +30,57 @@ const contestSchema = new mongoose.Schema(
       type: Number,
       required: [true, "Duration is required in min."],
     },
+    // startTimeUnix + duration, kept so "not finished yet" can use an index
+    endTimeUnix: {
+      type: Number,
+    },
+    // Changes picked up by sync after the contest was first stored
+    changeHistory: {
+      type: [
+        {
+          _id: false,
+          changedAt: Date,
+          changes: [
+            {
+              _id: false,
+              field: String,
+              from: mongoose.Schema.Types.Mixed,
+              to: mongoose.Schema.Types.Mixed,
+            },
+          ],
+        },
+      ],
+      select: false,
+    },
   },
   { timestamps: true },
 );
 
-const UpcomingContest = mongoose.model(
-  "UpcomingContest",
-  contestSchema,
-  "upcomingcontests",
-);
-const AllContest = mongoose.model("AllContest", contestSchema, "allcontests");
+contestSchema.pre("validate", function (next) {
+  this.endTimeUnix = contestEndTime(this);
+  next();
+});
+
+//* A contest is identified by its platform and the platform's own id
+contestSchema.index({ host: 1, vanity: 1 }, { unique: true });
+// Archive listing and calendar feeds sort and window on start time
+contestSchema.index({ startTimeUnix: -1 });
+contestSchema.index({ host: 1, startTimeUnix: -1 });
+// The upcoming list is every contest that hasn't ended
+contestSchema.index({ endTimeUnix: 1 });
+
+function contestEndTime ({ startTimeUnix, duration }) {
+  return startTimeUnix + duration * 60;
+}
+
+//* Where a contest is in its lifecycle at nowUnix (seconds): upcoming, live or finished
+function contestStatus (contest, nowUnix = Math.floor(Date.now() / 1000)) {
+  if (nowUnix < contest.startTimeUnix) return "upcoming";
+  if (nowUnix < contestEndTime(contest)) return "live";
+  return "finished";
+}
+
+// One collection for every contest; status is derived from the times
+const Contest = mongoose.model("Contest", contestSchema, "contests");
 
-export { UpcomingContest, AllContest };
+export { Contest, contestEndTime, contestStatus };
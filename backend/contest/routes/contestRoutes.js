@@ -1,56 +1,87 @@
 import { Router } from "express";
 import contestController from "../controllers/contestController.js";
+import archiveController from "../controllers/archiveController.js";
+import {
+  describeContestSource,
+  getEnabledContestSources,
+} from "../services/sourceRegistry.js";
+import {
+  parseContestQuery,
+  queryContests,
+} from "../services/contestQuery.js";
+import { sendConditionalJson } from "../../core/api/conditional.js";
+import { sendCalendar } from "../../services/calendar/ics.js";
+import { getContestEvents } from "../../services/calendar/feeds.js";
 
 const router = Router();
 
-// GET route for contests
-router.get("/", async (req, res) => {
+// GET route for the platforms contests are currently listed from
+router.get("/platforms", (req, res) => {
+  const platforms = getEnabledContestSources().map(describeContestSource);
+  res.status(200).json({
+    total: platforms.length,
+    results: platforms,
+  });
+});
+
+// GET routes for past contests (same filters as GET /contests, newest first)
+router.get("/archive", archiveController.getArchive);
+router.get("/archive/stats", archiveController.getArchiveStats);
+router.get("/archive/export", archiveController.exportArchive);
+
+// GET route for the subscribable contest calendar (?host=codeforces,leetcode)
+router.get("/calendar.ics", async (req, res) => {
   try {
-    let host = req.query.host;
-    let vanity = req.query.vanity;
+    const enabledHosts = getEnabledContestSources().map((source) => source.id);
+    const requestedHosts = req.query.host
+      ? req.query.host.toLowerCase().split(",")
+      : enabledHosts;
+    const hosts = requestedHosts.filter((host) => enabledHosts.includes(host));
 
-    if (host) {
-      host = host.toLowerCase();
-    }
+    const events = await getContestEvents({ hosts });
+    sendCalendar(res, { name: "digitomize contests", events }, "contests.ics");
+  } catch (err) {
+    console.log("Error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Internal server error",
+    });
+  }
+});
 
-    if (vanity) {
-      vanity = vanity.toLowerCase();
+// GET route for contests
+// Supports host, vanity, startAfter, startBefore, minDuration, maxDuration, q,
+// sort, limit, cursor and fields; see contest/services/contestQuery.js
+router.get("/", async (req, res) => {
+  try {
+    const { options, errors } = parseContestQuery(req.query);
+    if (errors) {
+      return res.status(400).json({
+        error: "Invalid query",
+        message: errors.join("; "),
+      });
     }
 
-    const platformArray = host ? host.split(",") : [];
-    // const vanityArray = vanity ? vanity.split(",") : [];
-
-    const contests = await contestController.getContestList();
-
-    if (vanity) {
-      const contestByVanity =
-        await contestController.getContestByVanity(vanity);
-      if (contestByVanity) {
-        res.status(200).json({
-          total: 1,
-          results: [contestByVanity],
-        });
-      } else {
-        res.status(200).json({
-          total: 0,
-          results: [],
-        });
-      }
-    } else if (host) {
-      const filteredContests = contests.filter((contest) => {
-        return platformArray.includes(contest.host);
-      });
+    // Only list contests from platforms that are enabled in the registry
+    const enabledHosts = getEnabledContestSources().map((source) => source.id);
+    const upcoming = await contestController.getContestList();
+    let contests = upcoming.filter((contest) =>
+      enabledHosts.includes(contest.host),
+    );
 
-      res.status(200).json({
-        total: filteredContests.length,
-        results: filteredContests,
-      });
-    } else {
-      res.status(200).json({
-        total: contests.length,
-        results: contests,
-      });
+    if (req.query.vanity) {
+      const contestByVanity = await contestController.getContestByVanity(
+        String(req.query.vanity).toLowerCase(),
+      );
+      contests =
+        contestByVanity && !(contestByVanity instanceof Error)
+          ? [contestByVanity]
+          : [];
     }
+
+    // Polled constantly by the extension and widgets, so answer 304s.
+    // ETag only: the status changes with the clock, not with the cached list.
+    sendConditionalJson(req, res, queryContests(contests, options));
   } catch (err) {
     console.log("Error:", err);
     res.status(500).json({
@@ -0,0 +1,12 @@
+// ? Events emitted while syncing contests
+// Reminders subscribe here to tell users when a contest moves or is renamed
+// (reminders/services/contestChangeAlerts.js).
+
+import { EventEmitter } from "events";
+
+const CONTEST_ADDED = "contest:added";
+const CONTEST_CHANGED = "contest:changed";
+
+const contestEvents = new EventEmitter();
+
+export { contestEvents, CONTEST_ADDED, CONTEST_CHANGED };
@@ -0,0 +1,224 @@
+// ? Filtering, sorting and pagination for GET /contests
+
+const CONTEST_FIELDS = [
+  "host",
+  "name",
+  "vanity",
+  "url",
+  "startTimeUnix",
+  "duration",
+];
+const SORT_FIELDS = ["startTimeUnix", "duration", "name"];
+const MAX_LIMIT = 100;
+
+//* Parse an optional non-negative integer query parameter
+function parseInteger (query, key, errors) {
+  if (query[key] === undefined || query[key] === "") return undefined;
+
+  const value = Number(query[key]);
+  if (!Number.isInteger(value) || value < 0) {
+    errors.push(`${key} must be a non-negative integer`);
+    return undefined;
+  }
+  return value;
+}
+
+function splitList (value) {
+  return value
+    ? String(value)
+      .toLowerCase()
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+    : undefined;
+}
+
+function encodeCursor (contest, sortField) {
+  return Buffer.from(
+    JSON.stringify([contest[sortField], contest.host, contest.vanity]),
+  ).toString("base64url");
+}
+
+function decodeCursor (cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Array.isArray(value) && value.length === 3 ? value : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+//* Validate the query string of GET /contests
+// Returns { options } or { errors } when a parameter is invalid.
+function parseContestQuery (query, defaultSort = "startTimeUnix") {
+  const errors = [];
+
+  const options = {
+    hosts: splitList(query.host),
+    startAfter: parseInteger(query, "startAfter", errors),
+    startBefore: parseInteger(query, "startBefore", errors),
+    minDuration: parseInteger(query, "minDuration", errors),
+    maxDuration: parseInteger(query, "maxDuration", errors),
+    q: query.q ? String(query.q).trim().toLowerCase() : undefined,
+    limit: parseInteger(query, "limit", errors),
+  };
+
+  const sort = query.sort ? String(query.sort) : defaultSort;
+  options.sortField = sort.replace(/^-/, "");
+  options.sortOrder = sort.startsWith("-") ? -1 : 1;
+  if (!SORT_FIELDS.includes(options.sortField)) {
+    errors.push(`sort must be one of ${SORT_FIELDS.join(", ")} (prefix with - for descending)`);
+  }
+
+  if (options.limit !== undefined) {
+    options.limit = Math.min(Math.max(options.limit, 1), MAX_LIMIT);
+  }
+
+  if (query.cursor) {
+    options.cursor = decodeCursor(String(query.cursor));
+    if (!options.cursor) errors.push("cursor is invalid");
+  }
+
+  options.fields = splitList(query.fields)?.map(
+    (field) => CONTEST_FIELDS.find((name) => name.toLowerCase() === field) || field,
+  );
+  const unknownFields = options.fields?.filter(
+    (field) => !CONTEST_FIELDS.includes(field),
+  );
+  if (unknownFields?.length) {
+    errors.push(`unknown fields: ${unknownFields.join(", ")}`);
+  }
+
+  return errors.length ? { errors } : { options };
+}
+
+function compareContests (a, b, sortField, sortOrder) {
+  const [x, y] = [a[sortField], b[sortField]];
+  const primary = typeof x === "string" ? x.localeCompare(y) : x - y;
+  if (primary !== 0) return primary * sortOrder;
+
+  // Tie-break on the contest key so pages are stable
+  return (
+    String(a.host).localeCompare(b.host) ||
+    String(a.vanity).localeCompare(b.vanity)
+  );
+}
+
+//* Apply parsed options to a list of contests
+// durationRange covers every match before the duration filter, so clients can
+// size their duration slider without downloading the whole list.
+function queryContests (contests, options) {
+  const { sortField, sortOrder } = options;
+
+  const windowed = contests
+    .map((contest) => (contest.toObject ? contest.toObject() : contest))
+    .filter(
+      (contest) =>
+        (!options.hosts || options.hosts.includes(contest.host)) &&
+        (options.startAfter === undefined || contest.startTimeUnix >= options.startAfter) &&
+        (options.startBefore === undefined || contest.startTimeUnix <= options.startBefore) &&
+        (!options.q || contest.name.toLowerCase().includes(options.q)),
+    );
+
+  const durations = windowed.map((contest) => contest.duration);
+  const durationRange = durations.length
+    ? { min: Math.min(...durations), max: Math.max(...durations) }
+    : null;
+
+  const matches = windowed
+    .filter(
+      (contest) =>
+        (options.minDuration === undefined || contest.duration >= options.minDuration) &&
+        (options.maxDuration === undefined || contest.duration <= options.maxDuration),
+    )
+    .sort((a, b) => compareContests(a, b, sortField, sortOrder));
+
+  let start = 0;
+  if (options.cursor) {
+    const [value, host, vanity] = options.cursor;
+    const after = { [sortField]: value, host, vanity };
+    start = matches.findIndex(
+      (contest) => compareContests(contest, after, sortField, sortOrder) > 0,
+    );
+    if (start === -1) start = matches.length;
+  }
+
+  const end = options.limit ? start + options.limit : matches.length;
+  const page = matches.slice(start, end);
+  const hasMore = end < matches.length;
+
+  const results = options.fields
+    ? page.map((contest) =>
+      Object.fromEntries(options.fields.map((field) => [field, contest[field]])),
+    )
+    : page;
+
+  return {
+    total: matches.length,
+    results,
+    meta: {
+      count: results.length,
+      limit: options.limit ?? null,
+      sort: `${sortOrder === -1 ? "-" : ""}${sortField}`,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortField) : null,
+      hasMore,
+      durationRange,
+    },
+  };
+}
+
+function escapeRegex (text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+//* MongoDB filter for the host, start window, duration and name options
+function buildContestFilter (options) {
+  const filter = {};
+  if (options.hosts) filter.host = { $in: options.hosts };
+
+  if (options.startAfter !== undefined || options.startBefore !== undefined) {
+    filter.startTimeUnix = {};
+    if (options.startAfter !== undefined) filter.startTimeUnix.$gte = options.startAfter;
+    if (options.startBefore !== undefined) filter.startTimeUnix.$lte = options.startBefore;
+  }
+
+  if (options.minDuration !== undefined || options.maxDuration !== undefined) {
+    filter.duration = {};
+    if (options.minDuration !== undefined) filter.duration.$gte = options.minDuration;
+    if (options.maxDuration !== undefined) filter.duration.$lte = options.maxDuration;
+  }
+
+  if (options.q) filter.name = { $regex: escapeRegex(options.q), $options: "i" };
+
+  return filter;
+}
+
+//* MongoDB sort and cursor condition matching queryContests' ordering
+function buildContestPage (options) {
+  const { sortField, sortOrder } = options;
+  const sort = { [sortField]: sortOrder, host: 1, vanity: 1 };
+
+  if (!options.cursor) return { sort, after: null };
+
+  const [value, host, vanity] = options.cursor;
+  const beyond = sortOrder === 1 ? "$gt" : "$lt";
+  return {
+    sort,
+    after: {
+      $or: [
+        { [sortField]: { [beyond]: value } },
+        { [sortField]: value, host: { $gt: host } },
+        { [sortField]: value, host, vanity: { $gt: vanity } },
+      ],
+    },
+  };
+}
+
+export {
+  CONTEST_FIELDS,
+  parseContestQuery,
+  queryContests,
+  buildContestFilter,
+  buildContestPage,
+  encodeCursor,
+};
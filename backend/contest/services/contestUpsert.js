@@ -0,0 +1,90 @@
+// ? Upsert fetched contests by their stable key (host + vanity)
+
+import { contestEvents, CONTEST_ADDED, CONTEST_CHANGED } from "./contestEvents.js";
+import { contestEndTime } from "../models/Contest.js";
+
+// Fields a platform may change after a contest is announced
+const TRACKED_FIELDS = ["startTimeUnix", "duration", "name", "url"];
+// Stored as numbers, though some platforms send them as strings
+const NUMERIC_FIELDS = ["startTimeUnix", "duration"];
+
+// The fetched value as the schema would store it
+function normalize (field, value) {
+  if (!NUMERIC_FIELDS.includes(field) || value === null || value === "") return value;
+  const number = Number(value);
+  return Number.isNaN(number) ? value : number;
+}
+
+//* List the tracked fields that differ between the stored and the fetched contest
+function diffContest (stored, incoming) {
+  return TRACKED_FIELDS.filter(
+    (field) =>
+      incoming[field] !== undefined &&
+      stored[field] !== normalize(field, incoming[field]),
+  ).map((field) => ({
+    field,
+    from: stored[field],
+    to: normalize(field, incoming[field]),
+  }));
+}
+
+//* Insert new contests and apply changes to known ones
+// Every applied change is appended to the contest's changeHistory.
+async function upsertContests (Model, contests) {
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const contest of contests) {
+    const key = {
+      host: String(contest.host).toLowerCase(),
+      vanity: String(contest.vanity).toLowerCase(),
+    };
+
+    try {
+      const stored = await Model.findOne(key).lean();
+
+      if (!stored) {
+        await Model.create(contest);
+        added.push(contest);
+        continue;
+      }
+
+      const changes = diffContest(stored, contest);
+      if (changes.length === 0) {
+        unchanged++;
+        continue;
+      }
+
+      const update = Object.fromEntries(
+        changes.map(({ field, to }) => [field, to]),
+      );
+      if ("startTimeUnix" in update || "duration" in update) {
+        update.endTimeUnix = contestEndTime({ ...stored, ...update });
+      }
+      await Model.updateOne(
+        { _id: stored._id },
+        {
+          $set: update,
+          $push: { changeHistory: { changedAt: new Date(), changes } },
+        },
+      );
+      changed.push({ contest: { ...stored, ...update }, changes });
+    } catch (err) {
+      console.log(
+        `Error upserting contest ${key.host}/${key.vanity}:`,
+        err.message,
+      );
+    }
+  }
+
+  return { added, changed, unchanged };
+}
+
+//* Let subscribers know what a sync added or changed
+function emitContestChanges ({ added, changed }) {
+  added.forEach((contest) => contestEvents.emit(CONTEST_ADDED, { contest }));
+  changed.forEach((change) => contestEvents.emit(CONTEST_CHANGED, change));
+}
+
+export { diffContest, upsertContests, emitContestChanges };
@@ -0,0 +1,17 @@
+// ? The next few contests, for bots and other short listings
+
+import contestController from "../controllers/contestController.js";
+import { getEnabledContestSources } from "./sourceRegistry.js";
+
+//* Upcoming and live contests on enabled sources, soonest first
+// platform narrows the list to one source.
+async function getNextContests ({ platform, limit }) {
+  const enabledHosts = getEnabledContestSources().map((source) => source.id);
+  return (await contestController.getContestList())
+    .filter((contest) => enabledHosts.includes(contest.host))
+    .filter((contest) => !platform || contest.host === platform)
+    .sort((a, b) => a.startTimeUnix - b.startTimeUnix)
+    .slice(0, limit);
+}
+
+export { getNextContests };
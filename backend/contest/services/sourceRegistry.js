@@ -0,0 +1,122 @@
+// ? Registry of contest sources (one adapter per platform)
+
+import atcoderContests from "../controllers/platforms/atcoderController.js";
+import codechefContests from "../controllers/platforms/codechefController.js";
+import codeforcesContests from "../controllers/platforms/codeforcesController.js";
+import gfgContests from "../controllers/platforms/gfgController.js";
+import leetcodeContests from "../controllers/platforms/leetcodeController.js";
+import codingninjas_studioContests from "../controllers/platforms/codingninjas_studioController.js";
+
+const DEFAULT_TIMEOUT_MS = 2 * 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 90;
+
+const contestSources = new Map();
+
+//* Register a contest source adapter
+// An adapter declares its id (same as the contest `host`), display name, icon,
+// fetch function and schedule. Registering an existing id replaces it.
+function registerContestSource (adapter) {
+  if (!adapter?.id || typeof adapter.fetch !== "function") {
+    throw new Error("A contest source needs an id and a fetch function.");
+  }
+
+  const id = adapter.id.toLowerCase();
+  contestSources.set(id, {
+    name: adapter.id,
+    icon: null,
+    enabled: true,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    ...adapter,
+    id,
+    schedule: {
+      intervalMinutes: DEFAULT_INTERVAL_MINUTES,
+      ...adapter.schedule,
+    },
+  });
+}
+
+//* Sources switched off through DISABLED_CONTEST_SOURCES=atcoder,geeksforgeeks
+function getDisabledSourceIds () {
+  return (process.env.DISABLED_CONTEST_SOURCES || "")
+    .split(",")
+    .map((id) => id.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isContestSourceEnabled (source) {
+  return Boolean(source?.enabled) && !getDisabledSourceIds().includes(source.id);
+}
+
+//* Every registered source, enabled or not
+function getContestSources () {
+  return [...contestSources.values()];
+}
+
+function getEnabledContestSources () {
+  return getContestSources().filter(isContestSourceEnabled);
+}
+
+function getContestSource (id) {
+  return contestSources.get(String(id).toLowerCase()) || null;
+}
+
+//* Public view of a source, safe to send to clients
+function describeContestSource ({ id, name, icon, schedule }) {
+  return {
+    id,
+    name,
+    icon,
+    intervalMinutes: schedule.intervalMinutes,
+  };
+}
+
+registerContestSource({
+  id: "leetcode",
+  name: "LeetCode",
+  icon: "leetcode.svg",
+  fetch: leetcodeContests.leetcode_c,
+});
+
+registerContestSource({
+  id: "codingninjas",
+  name: "CodeStudio",
+  icon: "codingninjas.png",
+  fetch: codingninjas_studioContests.codingninjas_studio_c,
+});
+
+registerContestSource({
+  id: "geeksforgeeks",
+  name: "GeeksForGeeks",
+  icon: "geeksforgeeks.svg",
+  fetch: gfgContests.geeksforgeeks_c,
+});
+
+registerContestSource({
+  id: "codechef",
+  name: "CodeChef",
+  icon: "codechef.svg",
+  fetch: codechefContests.codechef_c,
+});
+
+registerContestSource({
+  id: "codeforces",
+  name: "Codeforces",
+  icon: "codeforces.svg",
+  fetch: codeforcesContests.codeforces_c,
+});
+
+registerContestSource({
+  id: "atcoder",
+  name: "AtCoder",
+  icon: "atcoder.svg",
+  fetch: atcoderContests.atcoder_c,
+});
+
+export {
+  registerContestSource,
+  getContestSources,
+  getEnabledContestSources,
+  getContestSource,
+  isContestSourceEnabled,
+  describeContestSource,
+};
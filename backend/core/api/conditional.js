@@ -0,0 +1,47 @@
+// ? Conditional GET support for JSON routes that clients poll
+
+import { createHash } from "crypto";
+
+//* Weak ETag of a JSON body
+function jsonEtag (body) {
+  const hash = createHash("sha1").update(JSON.stringify(body)).digest("base64url");
+  return `W/"${hash}"`;
+}
+
+//* Whether the client's cached copy still matches (RFC 9110 section 13.2.2)
+// If-None-Match wins; If-Modified-Since is only used without it.
+function isNotModified (req, etag, lastModified) {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) {
+    const opaque = (tag) => tag.trim().replace(/^W\//, "");
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch.split(",").some((tag) => opaque(tag) === opaque(etag))
+    );
+  }
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  if (!lastModified || Number.isNaN(ifModifiedSince)) return false;
+  return Date.parse(lastModified) <= ifModifiedSince;
+}
+
+//* Send a JSON body with ETag/Last-Modified, or a 304 when the client is current
+// lastModified is an HTTP date; leave it out when the body is computed per
+// request (e.g. a status derived from the clock), as the ETag still catches that.
+function sendConditionalJson (req, res, body, { lastModified } = {}) {
+  const etag = jsonEtag(body);
+  const headers = {
+    ETag: etag,
+    // Clients may keep a copy but must check it before every use
+    "Cache-Control": "no-cache",
+  };
+  if (lastModified) headers["Last-Modified"] = lastModified;
+  res.set(headers);
+
+  if (isNotModified(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+  return res.status(200).json(body);
+}
+
+export { jsonEtag, isNotModified, sendConditionalJson };
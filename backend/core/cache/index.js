@@ -0,0 +1,95 @@
+// ? Shared cache for lists every instance serves
+// Uses Redis when CACHE_REDIS_URL is set, so all instances see the same data
+// and an invalidation reaches every one of them; otherwise each process keeps
+// its own in-memory copy.
+
+import { createMemoryStore } from "./memoryStore.js";
+import { createRedisStore } from "./redisStore.js";
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const CONNECT_TIMEOUT_MS = 5 * 1000;
+
+async function connectRedis (url) {
+  const { createClient } = await import("redis");
+  const client = createClient({
+    url,
+    // Fail commands while disconnected instead of queueing them forever
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: CONNECT_TIMEOUT_MS,
+      reconnectStrategy: (retries) => Math.min(retries * 500, 5000),
+    },
+  });
+  client.on("error", (err) => console.log("Cache Redis error:", err.message));
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error("Redis connection timed out")), CONNECT_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([client.connect(), timeout]);
+  } catch (err) {
+    client.disconnect().catch(() => {});
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+  return createRedisStore(client);
+}
+
+//* Redis when configured and reachable, memory otherwise
+async function createDefaultStore () {
+  const url = process.env.CACHE_REDIS_URL;
+  if (!url) return createMemoryStore();
+
+  try {
+    return await connectRedis(url);
+  } catch (err) {
+    console.log("Cache falling back to memory:", err.message);
+    return createMemoryStore();
+  }
+}
+
+//* Build a cache over a store, created on first use
+// Every entry is { value, lastModified }; lastModified (an HTTP date) is when
+// the value was loaded.
+function createCache (storeFactory) {
+  let storePromise = null;
+  const getStore = () => {
+    storePromise ??= Promise.resolve().then(storeFactory);
+    return storePromise;
+  };
+
+  // Cache trouble degrades to a miss; callers fall back to MongoDB
+  const withStore = async (operation) => {
+    try {
+      return await operation(await getStore());
+    } catch (err) {
+      console.log("Cache error:", err.message);
+      return null;
+    }
+  };
+
+  const set = async (key, value, { ttlMs = DEFAULT_TTL_MS } = {}) => {
+    const entry = { value, lastModified: new Date().toUTCString() };
+    await withStore((store) => store.set(key, entry, ttlMs));
+    return entry;
+  };
+
+  return {
+    get: (key) => withStore((store) => store.get(key)),
+    set,
+    del: (key) => withStore((store) => store.del(key)),
+
+    //* Cached entry for key, loading and storing it on a miss
+    async wrap (key, loader, options) {
+      const cached = await withStore((store) => store.get(key));
+      if (cached) return cached;
+      return set(key, await loader(), options);
+    },
+  };
+}
+
+const cache = createCache(createDefaultStore);
+
+export { cache, createCache, DEFAULT_TTL_MS };
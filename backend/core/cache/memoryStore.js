@@ -0,0 +1,31 @@
+// ? Cache store kept in this process's memory
+
+//* Create a store; entries expire after their ttlMs
+function createMemoryStore ({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get (key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt !== null && entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+    async set (key, value, ttlMs) {
+      entries.set(key, {
+        // Stored as a copy so callers can't change what others read
+        value: structuredClone(value),
+        expiresAt: ttlMs ? now() + ttlMs : null,
+      });
+    },
+    async del (key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export { createMemoryStore };
@@ -0,0 +1,22 @@
+// ? Cache store backed by Redis (or anything speaking its protocol: Valkey, KeyDB, Dragonfly)
+
+//* Wrap a connected node-redis client
+// Values are stored as JSON under `prefix` so several apps can share a server.
+function createRedisStore (client, { prefix = "digitomize:" } = {}) {
+  return {
+    name: "redis",
+    async get (key) {
+      const raw = await client.get(prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set (key, value, ttlMs) {
+      const options = ttlMs ? { PX: ttlMs } : undefined;
+      await client.set(prefix + key, JSON.stringify(value), options);
+    },
+    async del (key) {
+      await client.del(prefix + key);
+    },
+  };
+}
+
+export { createRedisStore };
@@ -0,0 +1,126 @@
+// ? Date parsing for scraped sources
+// Every source publishes times in its own timezone and format. These helpers
+// take the source timezone explicitly and return UTC epoch seconds, so results
+// never depend on the TZ the server runs in.
+
+class InvalidDateError extends Error {
+  constructor (value, reason) {
+    super(`Invalid date "${value}": ${reason}`);
+    this.name = "InvalidDateError";
+    this.value = value;
+  }
+}
+
+const offsetFormatters = new Map();
+
+//* Offset of timeZone from UTC at the given instant, in minutes (e.g. 540 for Asia/Tokyo)
+function timeZoneOffsetMinutes (timeZone, utcMillis) {
+  if (!offsetFormatters.has(timeZone)) {
+    offsetFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "longOffset" }),
+    );
+  }
+
+  const name = offsetFormatters
+    .get(timeZone)
+    .formatToParts(new Date(utcMillis))
+    .find((part) => part.type === "timeZoneName").value;
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0; // plain "GMT"
+
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === "-" ? -minutes : minutes;
+}
+
+//* Wall-clock time in timeZone to UTC epoch seconds
+// parts: { year, month (1-12), day, hour, minute, second }
+function zonedTimeToUnix (parts, timeZone, original = JSON.stringify(parts)) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Reject values Date.UTC would silently roll over, like February 30th
+  const check = new Date(wallClock);
+  if (
+    [year, month, day, hour, minute, second].some((n) => !Number.isInteger(n)) ||
+    check.getUTCFullYear() !== year ||
+    check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day ||
+    check.getUTCHours() !== hour ||
+    check.getUTCMinutes() !== minute ||
+    check.getUTCSeconds() !== second
+  ) {
+    throw new InvalidDateError(original, "not a valid calendar date");
+  }
+
+  let offset;
+  try {
+    offset = timeZoneOffsetMinutes(timeZone, wallClock);
+  } catch (err) {
+    throw new InvalidDateError(original, `unknown timezone ${timeZone}`);
+  }
+
+  // A second pass settles the offset around DST changes
+  let utc = wallClock - offset * 60000;
+  utc = wallClock - timeZoneOffsetMinutes(timeZone, utc) * 60000;
+  return Math.floor(utc / 1000);
+}
+
+const ISO_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+//* ISO 8601 date-time to UTC epoch seconds
+// An explicit offset or Z wins; otherwise the value is wall-clock time in timeZone.
+function parseIsoDateTime (value, timeZone = "UTC") {
+  const match = typeof value === "string" && value.trim().match(ISO_PATTERN);
+  if (!match) throw new InvalidDateError(value, "expected YYYY-MM-DDTHH:mm[:ss][offset]");
+
+  const [, year, month, day, hour, minute, second = "0", offset] = match;
+  const parts = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+
+  if (!offset) return zonedTimeToUnix(parts, timeZone, value);
+
+  const asUtc = zonedTimeToUnix(parts, "UTC", value);
+  if (offset === "Z") return asUtc;
+
+  const [, sign, hours, minutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+  const offsetSeconds = (Number(hours) * 60 + Number(minutes)) * 60;
+  return sign === "+" ? asUtc - offsetSeconds : asUtc + offsetSeconds;
+}
+
+//* Compact YYYYMMDDTHHmm[ss] (as in timeanddate.com links) to UTC epoch seconds
+function parseCompactDateTime (value, timeZone) {
+  const match =
+    typeof value === "string" &&
+    value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})?$/);
+  if (!match) throw new InvalidDateError(value, "expected YYYYMMDDTHHmm[ss]");
+
+  const [, year, month, day, hour, minute, second = "0"] = match;
+  return zonedTimeToUnix(
+    {
+      year: Number(year),
+      month: Number(month),
+      day: Number(day),
+      hour: Number(hour),
+      minute: Number(minute),
+      second: Number(second),
+    },
+    timeZone,
+    value,
+  );
+}
+
+export {
+  InvalidDateError,
+  timeZoneOffsetMinutes,
+  zonedTimeToUnix,
+  parseIsoDateTime,
+  parseCompactDateTime,
+};
@@ -0,0 +1,215 @@
+// ? Shared HTTP client for every platform scraper
+// Timeouts, retries with backoff, per-host rate limiting, a circuit breaker,
+// conditional requests and a base-URL override for pointing scrapers at a mock.
+
+import axios from "axios";
+
+const DEFAULTS = {
+  timeoutMs: 15 * 1000,
+  retries: 2,
+  backoffBaseMs: 500,
+  backoffMaxMs: 10 * 1000,
+  minIntervalMs: 250,
+  failureThreshold: 5,
+  resetTimeoutMs: 60 * 1000,
+  maxContentLength: 5 * 1024 * 1024,
+  maxRedirects: 5,
+  userAgent: "digitomize-bot/1.0 (+https://digitomize.com)",
+};
+
+class HttpError extends Error {
+  constructor (message, { url, status, code } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.url = url;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+//* Retry network errors, timeouts, rate limiting and server errors
+function isRetryable (error) {
+  if (!error.response) {
+    // An oversized body will be just as big next time
+    return !/maxContentLength|maxBodyLength/.test(error.message);
+  }
+  const { status } = error.response;
+  return status === 429 || status >= 500;
+}
+
+//* Exponential backoff with full jitter, or the server's Retry-After
+function backoffDelay (attempt, options, error) {
+  const retryAfter = Number(error?.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, options.backoffMaxMs);
+
+  const ceiling = Math.min(
+    options.backoffBaseMs * 2 ** attempt,
+    options.backoffMaxMs,
+  );
+  return Math.floor(Math.random() * ceiling);
+}
+
+//* Create a client; scrapers normally share the default `http` instance
+function createHttpClient (config = {}) {
+  const options = { ...DEFAULTS, ...config };
+  const hostLimits = options.hostLimits || {};
+  const hosts = new Map();
+  const validators = new Map();
+
+  const hostState = (host) => {
+    if (!hosts.has(host)) {
+      hosts.set(host, {
+        nextSlot: 0,
+        failures: 0,
+        openedAt: null,
+      });
+    }
+    return hosts.get(host);
+  };
+
+  //* Point https://codeforces.com/api/x at <baseUrl>/codeforces.com/api/x
+  const resolveUrl = (url) => {
+    const baseUrl = options.baseUrl ?? process.env.SCRAPER_BASE_URL;
+    if (!baseUrl) return url;
+
+    const { host, pathname, search } = new URL(url);
+    return `${baseUrl.replace(/\/$/, "")}/${host}${pathname}${search}`;
+  };
+
+  //* Wait for this host's next free slot
+  const waitForSlot = async (host) => {
+    const state = hostState(host);
+    const interval = hostLimits[host]?.minIntervalMs ?? options.minIntervalMs;
+    const now = Date.now();
+    const slot = Math.max(now, state.nextSlot);
+    state.nextSlot = slot + interval;
+    if (slot > now) await sleep(slot - now);
+  };
+
+  //* Fail fast while a host's breaker is open; let one request through after the reset timeout
+  const checkCircuit = (host, url) => {
+    const state = hostState(host);
+    if (state.openedAt === null) return;
+
+    if (Date.now() - state.openedAt < options.resetTimeoutMs) {
+      throw new HttpError(`Circuit open for ${host}`, { url, code: "CIRCUIT_OPEN" });
+    }
+    // Half-open: the next failure re-opens the breaker straight away
+    state.openedAt = null;
+    state.failures = options.failureThreshold - 1;
+  };
+
+  const recordResult = (host, ok) => {
+    const state = hostState(host);
+    if (ok) {
+      state.failures = 0;
+      return;
+    }
+    state.failures += 1;
+    if (state.failures >= options.failureThreshold) {
+      state.openedAt = Date.now();
+      console.log(`HTTP circuit opened for ${host}`);
+    }
+  };
+
+  //* Send a request
+  // Resolves with { status, headers, data, notModified }. With
+  // `conditional: true` a 304 answer reuses the data from the previous response.
+  async function request ({
+    url,
+    method = "GET",
+    headers = {},
+    data,
+    responseType = "json",
+    conditional = false,
+    timeoutMs = options.timeoutMs,
+    retries = options.retries,
+  }) {
+    const targetUrl = resolveUrl(url);
+    const { host } = new URL(url);
+    const cached = conditional ? validators.get(targetUrl) : null;
+
+    const requestHeaders = { "User-Agent": options.userAgent, ...headers };
+    if (cached?.etag) requestHeaders["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) {
+      requestHeaders["If-Modified-Since"] = cached.lastModified;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      checkCircuit(host, url);
+      await waitForSlot(host);
+
+      try {
+        const response = await axios.request({
+          url: targetUrl,
+          method,
+          headers: requestHeaders,
+          data,
+          timeout: timeoutMs,
+          responseType: responseType === "json" ? "json" : "text",
+          maxContentLength: options.maxContentLength,
+          maxBodyLength: options.maxContentLength,
+          maxRedirects: options.maxRedirects,
+          validateStatus: (status) =>
+            (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+        });
+        recordResult(host, true);
+
+        if (response.status === 304) {
+          return {
+            status: 304,
+            headers: response.headers,
+            data: cached.data,
+            notModified: true,
+          };
+        }
+
+        if (conditional && (response.headers.etag || response.headers["last-modified"])) {
+          validators.set(targetUrl, {
+            etag: response.headers.etag,
+            lastModified: response.headers["last-modified"],
+            data: response.data,
+          });
+        }
+
+        return {
+          status: response.status,
+          headers: response.headers,
+          data: response.data,
+          notModified: false,
+        };
+      } catch (error) {
+        const retryable = isRetryable(error);
+        // Client errors mean the request itself is wrong, not that the host is down
+        recordResult(host, !retryable);
+
+        if (!retryable || attempt >= retries) {
+          throw new HttpError(
+            `${method} ${url} failed: ${error.response ? `status ${error.response.status}` : error.message}`,
+            { url, status: error.response?.status, code: error.code },
+          );
+        }
+        await sleep(backoffDelay(attempt, options, error));
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (url, requestOptions = {}) =>
+      request({ ...requestOptions, url, method: "GET" }),
+    post: (url, data, requestOptions = {}) =>
+      request({ ...requestOptions, url, data, method: "POST" }),
+    //* Forget rate-limit, breaker and validator state (used by tests)
+    reset: () => {
+      hosts.clear();
+      validators.clear();
+    },
+  };
+}
+
+const http = createHttpClient();
+
+export { http, createHttpClient, HttpError };
@@ -0,0 +1,144 @@
+// ? Times as a user wants to read them
+// Timezone, 12/24-hour clock and quiet hours come from User.preferences.
+// Users who never set them get IST and a 12-hour clock, as before.
+
+import { timeZoneOffsetMinutes, zonedTimeToUnix } from "./date.js";
+
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+const TIME_FORMATS = ["12h", "24h"];
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MINUTES = 24 * 60;
+
+function isValidTimeZone (timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+//* "22:30" -> 1350, or null
+function parseClock (value) {
+  const match = CLOCK_PATTERN.exec(value);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+//* { timeZone, hour12 } of a user, falling back to the defaults
+function timePreferences (user) {
+  const prefs = user?.preferences || {};
+  return {
+    timeZone: isValidTimeZone(prefs.timezone) ? prefs.timezone : DEFAULT_TIMEZONE,
+    hour12: prefs.time_format !== "24h",
+  };
+}
+
+//* Unix seconds as "Mon, Jan 1, 9:30 PM GMT+5:30" in the user's zone and clock
+function formatUserTime (unixSeconds, user, options = {}) {
+  const { timeZone, hour12 } = timePreferences(user);
+  return new Date(unixSeconds * 1000).toLocaleString("en-US", {
+    timeZone,
+    // hour12: false would show midnight as 24:00
+    hourCycle: hour12 ? "h12" : "h23",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    timeZoneName: "short",
+    ...options,
+  });
+}
+
+//* Wall-clock date and time in a zone; weekday is 0 for Sunday
+function localTimeParts (timeZone, date = new Date()) {
+  const offset = timeZoneOffsetMinutes(timeZone, date.getTime());
+  const local = new Date(date.getTime() + offset * 60 * 1000);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    weekday: local.getUTCDay(),
+  };
+}
+
+//* Unix seconds of local midnight in a zone, daysBack days before date's day
+function startOfLocalDay (timeZone, date = new Date(), daysBack = 0) {
+  const { year, month, day } = localTimeParts(timeZone, date);
+  // Date.UTC rolls day 0 or -3 over into the previous month
+  const target = new Date(Date.UTC(year, month - 1, day - daysBack));
+  return zonedTimeToUnix(
+    {
+      year: target.getUTCFullYear(),
+      month: target.getUTCMonth() + 1,
+      day: target.getUTCDate(),
+    },
+    timeZone,
+  );
+}
+
+//* When the user's quiet hours end, or null if date isn't inside them
+// Quiet hours may wrap past midnight (22:00 to 07:00).
+function quietHoursEnd (user, date = new Date()) {
+  const quiet = user?.preferences?.quiet_hours;
+  if (!quiet?.enabled) return null;
+
+  const start = parseClock(quiet.start);
+  const end = parseClock(quiet.end);
+  if (start === null || end === null || start === end) return null;
+
+  const { timeZone } = timePreferences(user);
+  const { hour, minute } = localTimeParts(timeZone, date);
+  const now = hour * 60 + minute;
+  const inside = start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+  if (!inside) return null;
+
+  const minuteStart = Math.floor(date.getTime() / 60000) * 60000;
+  return new Date(minuteStart + ((end - now + DAY_MINUTES) % DAY_MINUTES) * 60000);
+}
+
+//* Validate { timezone, time_format, quiet_hours } from a request body
+// Returns { preferences } with only the given fields, or { error }.
+function parseTimePreferences ({ timezone, time_format: timeFormat, quiet_hours: quietHours } = {}) {
+  const preferences = {};
+
+  if (timezone !== undefined) {
+    if (!isValidTimeZone(timezone)) return { error: "timezone must be an IANA timezone like Asia/Kolkata" };
+    preferences.timezone = timezone;
+  }
+  if (timeFormat !== undefined) {
+    if (!TIME_FORMATS.includes(timeFormat)) return { error: `time_format must be one of ${TIME_FORMATS.join(", ")}` };
+    preferences.time_format = timeFormat;
+  }
+  if (quietHours !== undefined) {
+    const { enabled, start, end } = quietHours || {};
+    if (typeof enabled !== "boolean") return { error: "quiet_hours.enabled must be true or false" };
+    if (parseClock(start) === null || parseClock(end) === null) {
+      return { error: "quiet_hours.start and quiet_hours.end must be times like 22:00" };
+    }
+    if (start === end) return { error: "quiet_hours.start and quiet_hours.end must differ" };
+    preferences.quiet_hours = { enabled, start, end };
+  }
+
+  if (Object.keys(preferences).length === 0) {
+    return { error: "Pass timezone, time_format or quiet_hours" };
+  }
+  return { preferences };
+}
+
+export {
+  DEFAULT_TIMEZONE,
+  TIME_FORMATS,
+  isValidTimeZone,
+  timePreferences,
+  formatUserTime,
+  localTimeParts,
+  startOfLocalDay,
+  quietHoursEnd,
+  parseTimePreferences,
+};
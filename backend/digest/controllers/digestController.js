@@ -0,0 +1,37 @@
+// ? Digest preview for admins
+
+import User from "../../users/models/User.js";
+import { buildDigest, isDigestEmpty, renderDigest } from "../services/digest.js";
+
+//* GET /admin/digest/preview?frequency=weekly&uid=
+// Renders the digest a user would get right now; defaults to the admin's own.
+async function previewDigest (req, res) {
+  try {
+    const frequency = req.query.frequency || "weekly";
+    if (!["daily", "weekly"].includes(frequency)) {
+      return res.status(400).json({ message: "frequency must be daily or weekly" });
+    }
+
+    const uid = req.query.uid || req.decodedToken.uid;
+    const user = await User.findOne({ uid }).select("uid name email preferences").lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const digest = await buildDigest(user, frequency);
+    const { subject, html, text } = renderDigest(user, digest);
+    res.status(200).json({
+      to: user.email,
+      subject,
+      html,
+      text,
+      // An empty digest is skipped when the job runs
+      empty: isDigestEmpty(digest),
+    });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+export { previewDigest };
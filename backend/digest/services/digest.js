@@ -0,0 +1,266 @@
+// ? Daily and weekly email digest
+// Upcoming contests on the user's platforms, hackathons whose registration
+// closes soon and the user's own rating changes, rendered from the templates
+// in services/email/templates/digest and sent over SMTP. Each user gets it at
+// DIGEST_HOUR in their own timezone, or once their quiet hours are over.
+
+import User from "../../users/models/User.js";
+import { Contest } from "../../contest/models/Contest.js";
+import { Hackathon } from "../../hackathons/models/Hackathon.js";
+import InboxItem from "../../notifications/models/InboxItem.js";
+import { renderTemplate } from "../../services/email/templates.js";
+import { isSmtpConfigured, sendMail } from "../../services/email/smtp.js";
+import { getPlatform } from "../../users/services/platformRegistry.js";
+import {
+  formatUserTime,
+  localTimeParts,
+  quietHoursEnd,
+  startOfLocalDay,
+  timePreferences,
+} from "../../core/userTime.js";
+
+const DAY_SECONDS = 24 * 60 * 60;
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+const DIGEST_FREQUENCIES = ["off", ...Object.keys(PERIOD_DAYS)];
+// Local hour from which the day's digest goes out
+const DIGEST_HOUR = 8;
+const MAX_ITEMS = 15;
+
+//* 150 -> "2h 30m"
+const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+//* Collapse a period's rating changes to one first-to-last change per platform
+function summarizeRatingChanges (items) {
+  const byPlatform = new Map();
+  items.forEach(({ data }) => {
+    if (!data?.platform) return;
+    const change = byPlatform.get(data.platform);
+    if (change) change.to = data.to;
+    else byPlatform.set(data.platform, { platform: data.platform, from: data.from, to: data.to });
+  });
+  return [...byPlatform.values()].filter(({ from, to }) => from !== to);
+}
+
+//* Everything that goes into one user's digest
+async function buildDigest (user, frequency, nowUnix = Math.floor(Date.now() / 1000)) {
+  const periodSeconds = PERIOD_DAYS[frequency] * DAY_SECONDS;
+  const until = nowUnix + periodSeconds;
+
+  // Users who picked no platform see all of them
+  const hosts = Object.entries(user.preferences?.contest_notifs || {})
+    .filter(([, enabled]) => enabled === true)
+    .map(([host]) => host);
+  const contestFilter = { startTimeUnix: { $gt: nowUnix, $lte: until } };
+  if (hosts.length > 0) contestFilter.host = { $in: hosts };
+
+  const [contests, hackathons, ratingItems] = await Promise.all([
+    Contest.find(contestFilter)
+      .sort({ startTimeUnix: 1 })
+      .limit(MAX_ITEMS)
+      .select("host vanity name url startTimeUnix duration")
+      .lean(),
+    Hackathon.find({ registerationEndTimeUnix: { $gt: nowUnix, $lte: until } })
+      .sort({ registerationEndTimeUnix: 1 })
+      .limit(MAX_ITEMS)
+      .select("host vanity name url registerationEndTimeUnix")
+      .lean(),
+    InboxItem.find({
+      uid: user.uid,
+      type: "rating.change",
+      createdAt: { $gte: new Date((nowUnix - periodSeconds) * 1000) },
+    })
+      .sort({ createdAt: 1 })
+      .select("data")
+      .lean(),
+  ]);
+
+  return {
+    frequency,
+    contests,
+    hackathons,
+    ratingChanges: summarizeRatingChanges(ratingItems),
+  };
+}
+
+function isDigestEmpty ({ contests, hackathons, ratingChanges }) {
+  return contests.length === 0 && hackathons.length === 0 && ratingChanges.length === 0;
+}
+
+//* Subject, HTML and plain text of a digest
+function renderDigest (user, digest) {
+  const { frequency, contests, hackathons, ratingChanges } = digest;
+  const period = frequency === "daily" ? "daily" : "weekly";
+  const counts = [
+    contests.length > 0 && `${contests.length} contest${contests.length === 1 ? "" : "s"}`,
+    hackathons.length > 0 && `${hackathons.length} hackathon${hackathons.length === 1 ? "" : "s"}`,
+    ratingChanges.length > 0 && "rating updates",
+  ].filter(Boolean);
+  const subject = `Your ${period} digitomize digest: ${counts.join(", ") || "nothing new"}`;
+
+  const contestRows = contests.map((contest) => ({
+    name: contest.name,
+    url: contest.url,
+    host: contest.host,
+    startsAt: formatUserTime(contest.startTimeUnix, user),
+    duration: formatDuration(contest.duration),
+  }));
+  const hackathonRows = hackathons.map((hackathon) => ({
+    name: hackathon.name,
+    url: hackathon.url,
+    host: hackathon.host,
+    closesAt: formatUserTime(hackathon.registerationEndTimeUnix, user),
+  }));
+  const ratingRows = ratingChanges.map(({ platform, from, to }) => ({
+    platform: getPlatform(platform)?.name || platform,
+    from,
+    to,
+    delta: to > from ? `+${to - from}` : `${to - from}`,
+    color: to > from ? "#22c55e" : "#ef4444",
+  }));
+
+  const section = (title, template, rows) =>
+    rows.length === 0
+      ? ""
+      : renderTemplate("digest/section", {
+        title,
+        rows: rows.map((row) => renderTemplate(template, row)).join(""),
+      });
+  const preferencesUrl = `${process.env.FRONTEND_URL}/u/dashboard/preferences`;
+
+  const html = renderTemplate("digest/layout", {
+    subject,
+    name: user.name || "there",
+    period,
+    preferencesUrl,
+    sections: [
+      section("Upcoming contests", "digest/contest", contestRows),
+      section("Hackathon registrations closing soon", "digest/hackathon", hackathonRows),
+      section("Your rating changes", "digest/rating", ratingRows),
+    ].join(""),
+  });
+
+  const text = [
+    `Hi ${user.name || "there"}, here is your ${period} digest.`,
+    contestRows.length > 0 && [
+      "Upcoming contests:",
+      ...contestRows.map((row) => `- ${row.name} (${row.host}), ${row.startsAt}, ${row.duration}: ${row.url}`),
+    ].join("\n"),
+    hackathonRows.length > 0 && [
+      "Hackathon registrations closing soon:",
+      ...hackathonRows.map((row) => `- ${row.name} (${row.host}), closes ${row.closesAt}: ${row.url}`),
+    ].join("\n"),
+    ratingRows.length > 0 && [
+      "Your rating changes:",
+      ...ratingRows.map((row) => `- ${row.platform}: ${row.from} -> ${row.to} (${row.delta})`),
+    ].join("\n"),
+    `Change or turn off the digest: ${preferencesUrl}`,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+  return { subject, html, text, preferencesUrl };
+}
+
+//* Start of the user's current digest period, in unix seconds
+// Local midnight for daily digests, Monday's for weekly ones.
+function periodStart (user, frequency, date) {
+  const { timeZone } = timePreferences(user);
+  const daysBack = frequency === "weekly" ? (localTimeParts(timeZone, date).weekday + 6) % 7 : 0;
+  return startOfLocalDay(timeZone, date, daysBack);
+}
+
+//* Whether a user should get their digest now
+// Not before DIGEST_HOUR local time, not during quiet hours and once per period.
+function isDigestDue (user, nowUnix) {
+  const frequency = user.preferences?.digest?.frequency;
+  if (!PERIOD_DAYS[frequency]) return false;
+
+  const now = new Date(nowUnix * 1000);
+  const { timeZone } = timePreferences(user);
+  if (localTimeParts(timeZone, now).hour < DIGEST_HOUR) return false;
+  if (quietHoursEnd(user, now)) return false;
+
+  const lastSentAt = user.preferences.digest.lastSentAt;
+  return !lastSentAt || new Date(lastSentAt).getTime() / 1000 < periodStart(user, frequency, now);
+}
+
+//* Send the digest to every user whose local morning has come
+// Users are claimed by moving lastSentAt first, so a second instance or a
+// retried run doesn't send twice. Resolves with how many were sent, skipped
+// (nothing to report) or failed.
+async function sendDigests (nowUnix = Math.floor(Date.now() / 1000)) {
+  if (!isSmtpConfigured()) throw new Error("SMTP_HOST is not set, digests can't be sent");
+
+  const totals = { sent: 0, skipped: 0, failed: 0 };
+  // A due user's period started at least DIGEST_HOUR hours ago
+  const cutoff = new Date((nowUnix - DIGEST_HOUR * 60 * 60) * 1000);
+  const users = await User.find({
+    "preferences.digest.frequency": { $in: Object.keys(PERIOD_DAYS) },
+    $or: [
+      { "preferences.digest.lastSentAt": null },
+      { "preferences.digest.lastSentAt": { $lte: cutoff } },
+    ],
+    email: { $nin: [null, ""] },
+  })
+    .select("uid name email preferences")
+    .lean();
+
+  for (const user of users) {
+    if (!isDigestDue(user, nowUnix)) continue;
+
+    const { frequency, lastSentAt = null } = user.preferences.digest;
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, "preferences.digest.lastSentAt": lastSentAt },
+      { $set: { "preferences.digest.lastSentAt": new Date(nowUnix * 1000) } },
+    );
+    if (modifiedCount === 0) continue;
+
+    try {
+      const digest = await buildDigest(user, frequency, nowUnix);
+      if (isDigestEmpty(digest)) {
+        totals.skipped++;
+        continue;
+      }
+
+      const { subject, html, text, preferencesUrl } = renderDigest(user, digest);
+      await sendMail({
+        to: user.email,
+        subject,
+        html,
+        text,
+        headers: { "List-Unsubscribe": `<${preferencesUrl}>` },
+      });
+      totals.sent++;
+    } catch (err) {
+      console.error(`Error sending the ${frequency} digest to ${user.uid}:`, err);
+      totals.failed++;
+      // Let the next run try again
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { "preferences.digest.lastSentAt": lastSentAt } },
+      );
+    }
+  }
+
+  console.log(
+    `Digests: ${totals.sent} sent, ${totals.skipped} skipped, ${totals.failed} failed`,
+  );
+  if (totals.failed > 0 && totals.sent === 0) {
+    throw new Error("Every digest failed to send");
+  }
+  return totals;
+}
+
+export {
+  DIGEST_FREQUENCIES,
+  buildDigest,
+  isDigestEmpty,
+  isDigestDue,
+  renderDigest,
+  sendDigests,
+};
@@ -0,0 +1,47 @@
+// ? /contests [platform]: the next contests, on every platform or one
+
+import { SlashCommandBuilder } from "discord.js";
+import { getNextContests } from "../../contest/services/nextContests.js";
+import {
+  MAX_ITEMS,
+  contestField,
+  embed,
+  getOption,
+  platformChoices,
+  platformName,
+  reply,
+} from "../services/replies.js";
+
+export default {
+  data: () =>
+    new SlashCommandBuilder()
+      .setName("contests")
+      .setDescription("Upcoming coding contests")
+      .addStringOption((option) =>
+        option
+          .setName("platform")
+          .setDescription("Only show contests on this platform")
+          .addChoices(...platformChoices()),
+      ),
+
+  async execute (interaction) {
+    const platform = getOption(interaction, "platform");
+    const contests = await getNextContests({ platform, limit: MAX_ITEMS });
+
+    if (contests.length === 0) {
+      return reply({
+        content: platform ? `No upcoming ${platformName(platform)} contests.` : "No upcoming contests.",
+        ephemeral: true,
+      });
+    }
+
+    return reply({
+      embeds: [
+        embed()
+          .setTitle(platform ? `Upcoming ${platformName(platform)} contests` : "Upcoming contests")
+          .setURL(`${process.env.FRONTEND_URL}/contests`)
+          .addFields(contests.map((contest) => contestField(contest))),
+      ],
+    });
+  },
+};
@@ -0,0 +1,39 @@
+// ? /hackathons: hackathons whose registration closes soonest
+
+import { SlashCommandBuilder, TimestampStyles, time } from "discord.js";
+import hackathonController from "../../hackathons/controllers/hackathonDbSyncController.js";
+import { MAX_ITEMS, embed, reply } from "../services/replies.js";
+
+export default {
+  data: () =>
+    new SlashCommandBuilder()
+      .setName("hackathons")
+      .setDescription("Hackathons you can still register for"),
+
+  async execute () {
+    const hackathons = (await hackathonController.getUpcomingHackathonsList())
+      .slice()
+      .sort((a, b) => a.registerationEndTimeUnix - b.registerationEndTimeUnix)
+      .slice(0, MAX_ITEMS);
+
+    if (hackathons.length === 0) {
+      return reply({ content: "No hackathons are open for registration.", ephemeral: true });
+    }
+
+    return reply({
+      embeds: [
+        embed()
+          .setTitle("Hackathons open for registration")
+          .setURL(`${process.env.FRONTEND_URL}/hackathons`)
+          .addFields(
+            hackathons.map((hackathon) => ({
+              name: `${hackathon.name} (${hackathon.host})`,
+              value:
+                `Registration closes ${time(hackathon.registerationEndTimeUnix, TimestampStyles.RelativeTime)}\n` +
+                `Starts ${time(hackathon.hackathonStartTimeUnix, TimestampStyles.ShortDateTime)} · [Open hackathon](${hackathon.url})`,
+            })),
+          ),
+      ],
+    });
+  },
+};
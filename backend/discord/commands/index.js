@@ -0,0 +1,13 @@
+// ? Every slash command, by name
+
+import contests from "./contests.js";
+import hackathons from "./hackathons.js";
+import potd from "./potd.js";
+import rating from "./rating.js";
+import subscribe from "./subscribe.js";
+
+const commands = new Map(
+  [contests, hackathons, potd, rating, subscribe].map((command) => [command.data().name, command]),
+);
+
+export { commands };
@@ -0,0 +1,32 @@
+// ? /potd: today's problem of the day on every platform that has one
+
+import { SlashCommandBuilder } from "discord.js";
+import { POTD_PLATFORMS, getTodaysPotd } from "../../potd/controllers/potdController.js";
+import { embed, platformName, reply } from "../services/replies.js";
+
+export default {
+  data: () =>
+    new SlashCommandBuilder()
+      .setName("potd")
+      .setDescription("Today's problem of the day"),
+
+  async execute () {
+    const results = await Promise.allSettled(POTD_PLATFORMS.map(getTodaysPotd));
+    const fields = results.flatMap((result, index) => {
+      if (result.status === "rejected") {
+        console.error(`Error getting the ${POTD_PLATFORMS[index]} POTD:`, result.reason);
+        return [];
+      }
+      const { problemName, problemUrl } = result.value;
+      return [{ name: platformName(POTD_PLATFORMS[index]), value: `[${problemName}](${problemUrl})` }];
+    });
+
+    if (fields.length === 0) {
+      return reply({ content: "Couldn't get today's problems, try again later.", ephemeral: true });
+    }
+
+    return reply({
+      embeds: [embed().setTitle("Problem of the day").addFields(fields)],
+    });
+  },
+};
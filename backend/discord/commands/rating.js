@@ -0,0 +1,50 @@
+// ? /rating <username>: a digitomize user's ratings, as their profile shows them
+
+import { SlashCommandBuilder } from "discord.js";
+import { getUser } from "../../users/services/getUser.js";
+import { getPublicRatings } from "../../users/controllers/userProfileController.js";
+import { getLinkedAccounts } from "../../users/services/linkedAccounts.js";
+import { embed, getOption, platformName, reply } from "../services/replies.js";
+
+export default {
+  data: () =>
+    new SlashCommandBuilder()
+      .setName("rating")
+      .setDescription("A digitomize user's ratings")
+      .addStringOption((option) =>
+        option
+          .setName("username")
+          .setDescription("Their digitomize username")
+          .setRequired(true),
+      ),
+
+  async execute (interaction) {
+    const username = String(getOption(interaction, "username") || "").trim();
+    const user = username ? await getUser(username) : null;
+    if (!user) {
+      return reply({ content: `There is no digitomize user named ${username}.`, ephemeral: true });
+    }
+
+    const { digitomize_rating: digitomizeRating, ...platforms } = getPublicRatings(
+      user,
+      await getLinkedAccounts(user.uid),
+    );
+    const fields = Object.entries(platforms)
+      .filter(([, { rating }]) => rating !== null)
+      .map(([platform, { rating, badge, username: handle }]) => ({
+        name: platformName(platform),
+        value: [`${rating}`, badge, handle && `@${handle}`].filter(Boolean).join(" · "),
+        inline: true,
+      }));
+
+    return reply({
+      embeds: [
+        embed()
+          .setTitle(`${user.name || user.username} on digitomize`)
+          .setURL(`${process.env.FRONTEND_URL}/u/${user.username}`)
+          .setDescription(`digitomize rating: **${digitomizeRating ?? "unrated"}**`)
+          .addFields(fields),
+      ],
+    });
+  },
+};
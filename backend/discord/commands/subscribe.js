@@ -0,0 +1,68 @@
+// ? /subscribe <platform> [off]: contest reminders in this channel
+// Only members who can manage the channel may use it; the bot posts the
+// reminders, see services/channelReminders.js.
+
+import { PermissionFlagsBits, SlashCommandBuilder } from "discord.js";
+import DiscordSubscription from "../models/DiscordSubscription.js";
+import { isDiscordBotConfigured } from "../services/api.js";
+import { REMIND_BEFORE_MINUTES } from "../services/channelReminders.js";
+import { getEnabledContestSources } from "../../contest/services/sourceRegistry.js";
+import { getOption, platformChoices, platformName, reply } from "../services/replies.js";
+
+export default {
+  data: () =>
+    new SlashCommandBuilder()
+      .setName("subscribe")
+      .setDescription("Post contest reminders for a platform in this channel")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageChannels)
+      .setDMPermission(false)
+      .addStringOption((option) =>
+        option
+          .setName("platform")
+          .setDescription("Platform to get reminders for")
+          .setRequired(true)
+          .addChoices(...platformChoices()),
+      )
+      .addBooleanOption((option) =>
+        option
+          .setName("off")
+          .setDescription("Stop the reminders instead"),
+      ),
+
+  async execute (interaction) {
+    const platform = getOption(interaction, "platform");
+    const { guild_id: guildId, channel_id: channelId } = interaction;
+    if (!guildId || !channelId) {
+      return reply({ content: "Use /subscribe in a server channel.", ephemeral: true });
+    }
+    if (!getEnabledContestSources().some((source) => source.id === platform)) {
+      return reply({ content: "Pick one of the listed platforms.", ephemeral: true });
+    }
+
+    const name = platformName(platform);
+    if (getOption(interaction, "off") === true) {
+      const { deletedCount } = await DiscordSubscription.deleteOne({ channelId, platform });
+      return reply({
+        content: deletedCount > 0
+          ? `This channel won't get ${name} reminders anymore.`
+          : `This channel wasn't getting ${name} reminders.`,
+      });
+    }
+
+    if (!isDiscordBotConfigured()) {
+      return reply({ content: "Channel reminders aren't available right now.", ephemeral: true });
+    }
+
+    await DiscordSubscription.updateOne(
+      { channelId, platform },
+      {
+        $set: { guildId },
+        $setOnInsert: { createdBy: interaction.member?.user?.id || null },
+      },
+      { upsert: true },
+    );
+    return reply({
+      content: `This channel will get a reminder ${REMIND_BEFORE_MINUTES} minutes before every ${name} contest.`,
+    });
+  },
+};
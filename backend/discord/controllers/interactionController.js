@@ -0,0 +1,32 @@
+// ? Discord interactions: pings and slash commands
+
+import { InteractionResponseType, InteractionType } from "discord.js";
+import { commands } from "../commands/index.js";
+import { reply } from "../services/replies.js";
+
+//* POST /discord/interactions
+// Discord waits three seconds for the answer, so commands reply directly.
+async function handleInteraction (req, res) {
+  const interaction = req.body;
+
+  if (interaction.type === InteractionType.Ping) {
+    return res.status(200).json({ type: InteractionResponseType.Pong });
+  }
+  if (interaction.type !== InteractionType.ApplicationCommand) {
+    return res.status(400).json({ message: "Unsupported interaction type" });
+  }
+
+  const command = commands.get(interaction.data?.name);
+  if (!command) {
+    return res.status(200).json(reply({ content: "I don't know that command.", ephemeral: true }));
+  }
+
+  try {
+    res.status(200).json(await command.execute(interaction));
+  } catch (error) {
+    console.error(`Error running /${interaction.data.name}:`, error);
+    res.status(200).json(reply({ content: "Something went wrong, try again later.", ephemeral: true }));
+  }
+}
+
+export { handleInteraction };
@@ -0,0 +1,30 @@
+import { isValidSignature } from "../services/signature.js";
+
+// Older requests are treated as replays
+const MAX_AGE_SECONDS = 5 * 60;
+
+//* bodyParser verify hook: keep the raw bytes, signatures cover them exactly
+const keepRawBody = (request, response, buffer) => {
+  request.rawBody = buffer;
+};
+
+//* Reject interaction requests that weren't signed with DISCORD_PUBLIC_KEY
+const verifyInteraction = (request, response, next) => {
+  const publicKey = process.env.DISCORD_PUBLIC_KEY;
+  if (!publicKey) {
+    return response.status(503).json({ message: "Discord interactions are not configured" });
+  }
+
+  const signature = request.get("X-Signature-Ed25519");
+  const timestamp = request.get("X-Signature-Timestamp");
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (
+    !(age <= MAX_AGE_SECONDS) ||
+    !isValidSignature({ body: request.rawBody, signature, timestamp, publicKey })
+  ) {
+    return response.status(401).json({ message: "Invalid request signature" });
+  }
+  next();
+};
+
+export { keepRawBody, verifyInteraction };
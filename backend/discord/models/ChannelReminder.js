@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Reminders older than this are dropped by MongoDB
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+//* A contest reminder posted to one subscribed Discord channel
+// Creating the document claims the post, like user contest reminders. The
+// start time is part of the key, so a rescheduled contest is posted again.
+const channelReminderSchema = new mongoose.Schema(
+  {
+    channelId: {
+      type: String,
+      required: [true, "Channel id is required."],
+    },
+    host: {
+      type: String,
+      lowercase: true,
+      required: [true, "Host is required."],
+    },
+    vanity: {
+      type: String,
+      lowercase: true,
+      required: [true, "Vanity is required."],
+    },
+    startTimeUnix: {
+      type: Number,
+      required: [true, "Start time is required."],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+    },
+    error: String,
+  },
+  { timestamps: true },
+);
+
+channelReminderSchema.index(
+  { channelId: 1, host: 1, vanity: 1, startTimeUnix: 1 },
+  { unique: true },
+);
+channelReminderSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: HISTORY_TTL_SECONDS },
+);
+
+const ChannelReminder = mongoose.model(
+  "ChannelReminder",
+  channelReminderSchema,
+  "discordchannelreminders",
+);
+
+export default ChannelReminder;
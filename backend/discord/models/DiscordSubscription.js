@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+//* A Discord channel that gets reminders for one platform's contests
+// Created with /subscribe; one document per channel and platform.
+const discordSubscriptionSchema = new mongoose.Schema(
+  {
+    guildId: {
+      type: String,
+      required: [true, "Guild id is required."],
+    },
+    channelId: {
+      type: String,
+      required: [true, "Channel id is required."],
+    },
+    platform: {
+      type: String,
+      lowercase: true,
+      required: [true, "Platform is required."],
+    },
+    // Discord user id of whoever subscribed the channel
+    createdBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+discordSubscriptionSchema.index({ channelId: 1, platform: 1 }, { unique: true });
+discordSubscriptionSchema.index({ platform: 1 });
+
+const DiscordSubscription = mongoose.model(
+  "DiscordSubscription",
+  discordSubscriptionSchema,
+  "discordsubscriptions",
+);
+
+export default DiscordSubscription;
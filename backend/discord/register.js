@@ -0,0 +1,27 @@
+// ? `npm run discord:register`: publish the slash commands to DISCORD_APPLICATION_ID
+
+import dotenv from "dotenv";
+import { commands } from "./commands/index.js";
+import { callDiscordApi } from "./services/api.js";
+
+dotenv.config();
+
+const applicationId = process.env.DISCORD_APPLICATION_ID;
+
+if (!applicationId || !process.env.DISCORD_BOT_TOKEN) {
+  console.error("Set DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN first.");
+  process.exitCode = 1;
+} else {
+  try {
+    // PUT replaces the whole set, so removed commands disappear too
+    const { data } = await callDiscordApi(
+      "put",
+      `/applications/${applicationId}/commands`,
+      [...commands.values()].map((command) => command.data().toJSON()),
+    );
+    console.log(`Registered ${data.map(({ name }) => `/${name}`).join(", ")}`);
+  } catch (err) {
+    console.error("Registering commands failed:", err.response?.data || err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { verifyInteraction } from "../middlewares/verifyInteraction.js";
+import { handleInteraction } from "../controllers/interactionController.js";
+
+const router = Router();
+
+// Interactions endpoint URL of the Discord application
+router.post("/interactions", verifyInteraction, handleInteraction);
+
+export default router;
@@ -0,0 +1,28 @@
+// ? Discord REST calls made as the digitomize bot
+
+import axios from "axios";
+
+const DEFAULT_API_URL = "https://discord.com/api/v10";
+
+function isDiscordBotConfigured () {
+  return Boolean(process.env.DISCORD_BOT_TOKEN);
+}
+
+//* Call the REST API; DISCORD_API_URL points it at a local fake
+function callDiscordApi (method, path, data) {
+  const apiUrl = (process.env.DISCORD_API_URL || DEFAULT_API_URL).replace(/\/$/, "");
+  return axios({
+    method,
+    url: `${apiUrl}${path}`,
+    data,
+    headers: { Authorization: `Bot ${process.env.DISCORD_BOT_TOKEN}` },
+    timeout: 10 * 1000,
+  });
+}
+
+//* Post a message to a channel the bot can write to
+function postChannelMessage (channelId, message) {
+  return callDiscordApi("post", `/channels/${channelId}/messages`, message);
+}
+
+export { isDiscordBotConfigured, callDiscordApi, postChannelMessage };
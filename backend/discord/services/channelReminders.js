@@ -0,0 +1,77 @@
+// ? Contest reminders posted to subscribed Discord channels
+// Every channel that ran /subscribe for a platform hears about each of its
+// contests once, REMIND_BEFORE_MINUTES before the start.
+
+import { Contest } from "../../contest/models/Contest.js";
+import DiscordSubscription from "../models/DiscordSubscription.js";
+import ChannelReminder from "../models/ChannelReminder.js";
+import { isDiscordBotConfigured, postChannelMessage } from "./api.js";
+import { contestField, embed } from "./replies.js";
+
+const REMIND_BEFORE_MINUTES = 60;
+// Discord answers these when the channel is gone or the bot lost access
+const GONE_STATUSES = [403, 404];
+
+//* Post a reminder for every contest starting soon to the channels following it
+// Resolves with how many were sent or failed.
+async function sendChannelReminders (nowUnix = Math.floor(Date.now() / 1000)) {
+  const totals = { sent: 0, failed: 0 };
+  if (!isDiscordBotConfigured()) return totals;
+
+  const contests = await Contest.find({
+    startTimeUnix: { $gt: nowUnix, $lte: nowUnix + REMIND_BEFORE_MINUTES * 60 },
+  })
+    .select("host vanity name url startTimeUnix duration")
+    .lean();
+
+  for (const contest of contests) {
+    const subscriptions = await DiscordSubscription.find({ platform: contest.host }).lean();
+
+    for (const { _id: subscriptionId, channelId } of subscriptions) {
+      let reminder;
+      try {
+        reminder = await ChannelReminder.create({
+          channelId,
+          host: contest.host,
+          vanity: contest.vanity,
+          startTimeUnix: contest.startTimeUnix,
+        });
+      } catch (err) {
+        // Already posted, possibly by another instance
+        if (err.code === 11000) continue;
+        throw err;
+      }
+
+      try {
+        await postChannelMessage(channelId, {
+          embeds: [
+            embed()
+              .setTitle(`${contest.name} starts soon`)
+              .setURL(contest.url)
+              .addFields(contestField(contest, nowUnix))
+              .toJSON(),
+          ],
+        });
+        await ChannelReminder.updateOne({ _id: reminder._id }, { $set: { status: "sent" } });
+        totals.sent++;
+      } catch (err) {
+        const status = err.response?.status;
+        await ChannelReminder.updateOne(
+          { _id: reminder._id },
+          { $set: { status: "failed", error: status ? `HTTP ${status}` : err.message } },
+        );
+        totals.failed++;
+        if (GONE_STATUSES.includes(status)) {
+          await DiscordSubscription.deleteOne({ _id: subscriptionId });
+        }
+      }
+    }
+  }
+
+  if (totals.sent + totals.failed > 0) {
+    console.log(`Discord channel reminders: ${totals.sent} sent, ${totals.failed} failed`);
+  }
+  return totals;
+}
+
+export { REMIND_BEFORE_MINUTES, sendChannelReminders };
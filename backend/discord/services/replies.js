@@ -0,0 +1,77 @@
+// ? Shared pieces of slash command replies
+
+import {
+  EmbedBuilder,
+  InteractionResponseType,
+  MessageFlags,
+  TimestampStyles,
+  time,
+} from "discord.js";
+import {
+  getContestSource,
+  getEnabledContestSources,
+} from "../../contest/services/sourceRegistry.js";
+
+const EMBED_COLOR = 0x00ffff;
+// Lists stay short enough to read in a channel
+const MAX_ITEMS = 5;
+
+//* Interaction response with a message, visible only to the caller when ephemeral
+function reply ({ content, embeds, ephemeral = false }) {
+  return {
+    type: InteractionResponseType.ChannelMessageWithSource,
+    data: {
+      content,
+      embeds: embeds?.map((embed) => embed.toJSON()),
+      flags: ephemeral ? MessageFlags.Ephemeral : undefined,
+    },
+  };
+}
+
+//* Value of a slash command option, or undefined
+function getOption (interaction, name) {
+  return interaction.data?.options?.find((option) => option.name === name)?.value;
+}
+
+//* Choices for a platform option, one per enabled contest source
+function platformChoices () {
+  return getEnabledContestSources().map(({ id, name }) => ({ name, value: id }));
+}
+
+function platformName (id) {
+  return getContestSource(id)?.name || id;
+}
+
+//* 150 -> "2h 30m"
+function formatDuration (minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+//* One embed field per contest; Discord shows the times in each reader's timezone
+function contestField (contest, nowUnix = Math.floor(Date.now() / 1000)) {
+  const when = contest.startTimeUnix <= nowUnix
+    ? "Live now"
+    : `Starts ${time(contest.startTimeUnix, TimestampStyles.RelativeTime)}`;
+  return {
+    name: `${contest.name} (${platformName(contest.host)})`,
+    value: `${when}, ${time(contest.startTimeUnix, TimestampStyles.ShortDateTime)}\n` +
+      `${formatDuration(contest.duration)} · [Open contest](${contest.url})`,
+  };
+}
+
+function embed () {
+  return new EmbedBuilder().setColor(EMBED_COLOR);
+}
+
+export {
+  MAX_ITEMS,
+  reply,
+  getOption,
+  platformChoices,
+  platformName,
+  contestField,
+  embed,
+};
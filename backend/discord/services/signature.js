@@ -0,0 +1,53 @@
+// ? Ed25519 signatures on Discord interaction requests
+// Discord signs timestamp + raw body with the application's key and sends the
+// signature in X-Signature-Ed25519; node:crypto verifies it without a library.
+
+import crypto from "crypto";
+
+// DER header of an Ed25519 SubjectPublicKeyInfo; Discord hands out the raw 32 bytes
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+const HEX_PATTERN = /^(?:[0-9a-f]{2})+$/i;
+
+const publicKeys = new Map();
+
+//* Public key object for a hex encoded raw Ed25519 key
+function toPublicKey (hex) {
+  if (!publicKeys.has(hex)) {
+    publicKeys.set(
+      hex,
+      crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(hex, "hex")]),
+        format: "der",
+        type: "spki",
+      }),
+    );
+  }
+  return publicKeys.get(hex);
+}
+
+//* Whether signature (hex) signs timestamp + body for publicKey (hex)
+function isValidSignature ({ body, signature, timestamp, publicKey }) {
+  if (
+    !Buffer.isBuffer(body) ||
+    typeof timestamp !== "string" ||
+    !HEX_PATTERN.test(signature || "") ||
+    signature.length !== 128 ||
+    !HEX_PATTERN.test(publicKey || "") ||
+    publicKey.length !== 64
+  ) {
+    return false;
+  }
+
+  try {
+    return crypto.verify(
+      null,
+      Buffer.concat([Buffer.from(timestamp), body]),
+      toPublicKey(publicKey),
+      Buffer.from(signature, "hex"),
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+export { isValidSignature };
@@ -1,85 +1,93 @@
 // ? APIs to MongoDB
 
 import dotenv from "dotenv";
-import { UpcomingHackathon, AllHackathon } from "../models/Hackathon.js";
+import { Hackathon } from "../models/Hackathon.js";
+import hackathonController from "./hackathonDbSyncController.js";
 import devfolioHackathons from "./platforms/devfolioController.js";
 import devpostHackathons from "./platforms/devpostController.js";
 import unstopHackathons from "./platforms/unstopController.js";
+import { screenRecords } from "../../quarantine/services/quarantine.js";
+import { recordSyncRun } from "../../sync/services/syncRuns.js";
 
 dotenv.config({ path: "../../.env" });
 
-//* Clear the UpcomingHackathon collection in MongoDB
-async function clearUpcoming () {
-  try {
-    const currentTime = Math.floor(Date.now() / 1000);
-    await UpcomingHackathon.deleteMany({ registerationEndTimeUnix: { $lt: currentTime } });
-    console.log("Deleted the hackathons whose registerations have closed.");
-  } catch (err) {
-    console.log("Error while deleting the hackathons whose registerations have closed:", err);
-  }
-}
+//* Hackathon platforms, synced one after another
+const HACKATHON_SOURCES = [
+  { id: "devfolio", name: "Devfolio", fetch: devfolioHackathons.devfolio_c },
+  { id: "devpost", name: "Devpost", fetch: devpostHackathons.devpost_c },
+  { id: "unstop", name: "Unstop", fetch: unstopHackathons.unstop_c },
+].map((source) => ({ ...source, schedule: { intervalMinutes: 90 } }));
 
 //* Add Hackathons to the DB,
+// Resolves with how many hackathons were new or already stored.
 async function addToDB (hackathons, platform) {
   try {
     // Sorting contests
     hackathons.sort((a, b) => a.registerationStartTimeUnix - b.registerationStartTimeUnix);
 
+    let inserted;
     try {
-      // Add to UpcomingHackathon collection
-      await UpcomingHackathon.insertMany(hackathons, { ordered: false });
-      console.log(
-        `│ Updated hackathons for ${platform}`.padEnd(53) + "│",
-      );
-    } catch (upcomingErr) {
-      if (upcomingErr.code === 11000) {
-        console.log(
-          `│ Some duplicate(s) in UpcomingHackathon for ${platform}`.padEnd(53) +
-            "│",
-        );
-      } else {
-        throw upcomingErr;
-      }
+      inserted = (await Hackathon.insertMany(hackathons, { ordered: false })).length;
+    } catch (insertErr) {
+      if (insertErr.code !== 11000) throw insertErr;
+      inserted = insertErr.insertedDocs?.length ?? 0;
     }
+    console.log(
+      `│ ${platform}: ${inserted} new, ${hackathons.length - inserted} known`.padEnd(53) + "│",
+    );
 
-    try {
-      // Update AllHackathon collection
-      await AllHackathon.insertMany(hackathons, { ordered: false });
-      console.log(`│ Updated AllHackathons for ${platform}`.padEnd(53) + "│");
-    } catch (allErr) {
-      if (allErr.code === 11000) {
-        console.log(
-          `│ Some duplicate(s) in AllHackathon for ${platform}`.padEnd(53) + "│",
-        );
-      } else {
-        throw allErr;
-      }
-    }
+    // Serve the new data right away instead of after the cache expires
+    if (inserted > 0) await hackathonController.invalidateHackathons();
+
+    // Known hackathons are skipped as duplicates, never updated
+    return { new: inserted, updated: 0, unchanged: hackathons.length - inserted };
   } catch (err) {
     console.log(`Error adding hackathons to MongoDB for ${platform}`, err);
+    throw err;
   }
 }
 
-async function syncHackathons () {
+//* Fetch, screen and store one source, recording the run in the sync history
+function syncSource (source, trigger) {
+  return recordSyncRun({ kind: "hackathon", source: source.id, trigger }, async () => {
+    console.log(`┌────────────────────${source.name}────────────────────┐`);
+    const fetched = await source.fetch();
+    // Invalid records are set aside for review instead of being stored
+    const hackathons = await screenRecords("hackathon", source.id, fetched);
+    const stored = await addToDB(hackathons, source.name);
+
+    const fetchedCount = Array.isArray(fetched) ? fetched.length : 0;
+    return {
+      fetched: fetchedCount,
+      invalid: fetchedCount - hackathons.length,
+      ...stored,
+    };
+  });
+}
+
+//* Sync every source, or only the ones listed in sourceIds
+// trigger is "schedule" or "manual" and ends up in the sync history.
+// Resolves with the ids of the sources that failed.
+async function syncHackathons (sourceIds, trigger = "schedule") {
+  const failed = [];
   try {
     console.log("===============================================");
     console.log("Syncing Data | API to MongoDB");
     console.log("===============================================");
 
-    //* Clearing the UpcomingHackathon collection
-    await clearUpcoming();
-
-    console.log("┌────────────────────Devfolio────────────────────┐");
-    const devfolioData = await devfolioHackathons.devfolio_c();
-    await addToDB(devfolioData, "Devfolio");
+    const sources = HACKATHON_SOURCES.filter(
+      (source) => !sourceIds || sourceIds.includes(source.id),
+    );
 
-    console.log("┌────────────────────Devpost────────────────────┐");
-    const devpostData = await devpostHackathons.devpost_c();
-    await addToDB(devpostData, "Devpost");
-
-    console.log("┌────────────────────Unstop────────────────────┐");
-    const unstopData = await unstopHackathons.unstop_c();
-    await addToDB(unstopData, "Unstop");
+    // One failing platform shouldn't stop the ones after it
+    for (const source of sources) {
+      try {
+        await syncSource(source, trigger);
+      } catch (err) {
+        failed.push(source.id);
+        console.log(`Failed to sync ${source.name}: ${err.message}`);
+      }
+    }
 
     //* All Functions Synced.
     console.log("===============================================");
@@ -87,9 +95,14 @@ async function syncHackathons () {
     console.log("===============================================");
   } catch (error) {
     console.log("Error fetching or syncing hackathons:", error);
+    failed.push(...(sourceIds || ["all"]));
   }
+  return { failed };
 }
 
 export default {
+  addToDB,
   syncHackathons,
 };
+
+export { HACKATHON_SOURCES };
@@ -1,54 +1,75 @@
 // ? MongoDB to our API
 
-import { UpcomingHackathon, AllHackathon } from "../models/Hackathon.js";
+import { Hackathon, hackathonStatus } from "../models/Hackathon.js";
+import { cache } from "../../core/cache/index.js";
 
-let upcomingHackathonsList = []; // Variable to store hackathons in memory
+const UPCOMING_KEY = "hackathons:upcoming";
 
-//* Function to fetch hackathons from MongoDB and update the upcomingHackathonsList variable
+//* Load hackathons still open for registration from MongoDB (without id, createdAt and updatedAt)
+async function loadUpcomingHackathons () {
+  const now = Math.floor(Date.now() / 1000);
+  return Hackathon.find({ registerationEndTimeUnix: { $gte: now } })
+    .select("-_id -createdAt -updatedAt -__v")
+    .sort({ registerationEndTimeUnix: 1 })
+    .lean();
+}
+
+//* Attach the current lifecycle status; the cached list outlives it
+const withStatus = (hackathon, now) => ({
+  ...hackathon,
+  status: hackathonStatus(hackathon, now),
+});
+
+//* Reload the cached upcoming hackathons from MongoDB
 async function updateHackathons () {
   try {
     console.log("┌──────────────────────────────────┐");
     console.log("│ Retrieving Data | MongoDB to App".padEnd(35) + "│");
     console.log("└──────────────────────────────────┘");
 
-    // Fetch hackathons from MongoDB (without id, createdAt and updatedAt)
-    const fetchedHackathons = await UpcomingHackathon.find().select(
-      "-_id -createdAt -updatedAt -__v",
-    );
-
-    // Sorting hackathons
-    fetchedHackathons.sort((a, b) => a.registerationEndTimeUnix - b.registerationEndTimeUnix);
-
-    // Update the upcomingHackathonsList variable
-    upcomingHackathonsList = fetchedHackathons;
+    await cache.set(UPCOMING_KEY, await loadUpcomingHackathons());
 
     console.log("===============================================");
-    console.log("Hackathons variable updated successfully. | MongoDb to App");
+    console.log("Hackathons cache updated successfully. | MongoDb to App");
     console.log("===============================================");
   } catch (error) {
     console.error("Error fetching hackathons:", error);
+    throw error;
   }
 }
 
+//* Drop the cached list so the next request reads what a sync just stored
+async function invalidateHackathons () {
+  await cache.del(UPCOMING_KEY);
+}
+
 //* Function to return upcomingHackathon
 async function getUpcomingHackathonsList () {
-  return upcomingHackathonsList;
+  const { value } = await cache.wrap(UPCOMING_KEY, loadUpcomingHackathons);
+  const now = Math.floor(Date.now() / 1000);
+
+  return value
+    // Registration may have closed since the list was cached
+    .filter((hackathon) => hackathon.registerationEndTimeUnix >= now)
+    .map((hackathon) => withStatus(hackathon, now));
 }
 
 const getHackathonByVanity = async (vanity) => {
   try {
-    // First, check the upcomingContestList in memory
-    const hackathonInMemory = upcomingHackathonsList.find(
+    // First, check the cached upcoming hackathons
+    const hackathonInCache = (await getUpcomingHackathonsList()).find(
       (contest) => contest.vanity === vanity,
     );
-    if (hackathonInMemory) {
-      return hackathonInMemory;
+    if (hackathonInCache) {
+      return hackathonInCache;
     }
 
-    // If not found in memory, query MongoDB
-    const hackathonFromDB = await AllHackathon.findOne({ vanity });
+    // If not cached, query MongoDB
+    const hackathonFromDB = await Hackathon.findOne({ vanity })
+      .select("-_id -createdAt -updatedAt -__v")
+      .lean();
     if (hackathonFromDB) {
-      return hackathonFromDB;
+      return withStatus(hackathonFromDB, Math.floor(Date.now() / 1000));
     }
 
     throw new Error("Hackathon not found");
@@ -58,9 +79,9 @@ const getHackathonByVanity = async (vanity) => {
   }
 };
 
-
 export default {
   getUpcomingHackathonsList,
   updateHackathons,
+  invalidateHackathons,
   getHackathonByVanity,
 };
@@ -1,83 +1,53 @@
-import https from "https";
+import { http } from "../../../core/http/client.js";
 
 async function fetchPageWise (from, size, type) {
-  return new Promise((resolve, reject) => {
-    const postFields = JSON.stringify({
-      from: from,
-      size: size,
-      type: type,
-    });
-  
-    const options = {
-      hostname: 'api.devfolio.co',
-      path: '/api/search/hackathons',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': postFields.length
-      }
-    };
+  let json;
+  try {
+    ({ data: json } = await http.post(
+      "https://api.devfolio.co/api/search/hackathons",
+      { from, size, type },
+      { headers: { "Content-Type": "application/json" } },
+    ));
+  } catch (error) {
+    // When fetching first page from is 0.
+    if (from === 0) throw error;
+    return [];
+  }
 
-    const req = https.request(options, (res) => {
-      let data = "";
-  
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-  
-      res.on("end", () => {
-        try {
-          const json = JSON.parse(data);
+  try {
+    const formattedHackathons = json.hits.hits.map((hackathon) => ({
+      host: "devfolio",
+      name: hackathon._source.name,
+      vanity: hackathon._source.slug,
+      url: `https://${hackathon._source.slug}.devfolio.co`,
+      registerationStartTimeUnix: Math.floor(
+        new Date(hackathon._source.hackathon_setting.reg_starts_at).getTime() / 1000,
+      ),
+      registerationEndTimeUnix: Math.floor(
+        new Date(hackathon._source.hackathon_setting.reg_ends_at).getTime() / 1000,
+      ),
+      hackathonStartTimeUnix: Math.floor(
+        new Date(hackathon._source.starts_at).getTime() / 1000,
+      ),
+      duration: Math.floor(
+        (
+          Math.floor(new Date(hackathon._source.ends_at).getTime() / 1000) -
+          Math.floor(new Date(hackathon._source.starts_at).getTime() / 1000)
+        ) / 60,
+      ),
+    }));
 
-          const formattedHackathons = json.hits.hits.map((hackathon) => ({
-            host: "devfolio",
-            name: hackathon._source.name,
-            vanity: hackathon._source.slug,
-            url:`https://${hackathon._source.slug}.devfolio.co`,
-            registerationStartTimeUnix: Math.floor(
-              new Date(hackathon._source.hackathon_setting.reg_starts_at).getTime() / 1000
-            ),
-            registerationEndTimeUnix: Math.floor(
-              new Date(hackathon._source.hackathon_setting.reg_ends_at).getTime() / 1000
-            ),
-            hackathonStartTimeUnix: Math.floor(
-              new Date(hackathon._source.starts_at).getTime() / 1000
-            ),
-            duration: Math.floor(
-              (
-                Math.floor(new Date(hackathon._source.ends_at).getTime() / 1000) - 
-                Math.floor(new Date(hackathon._source.starts_at).getTime() / 1000)
-              ) / 60
-            ),
-          }));
-          
-          if(from === 0) {
-            resolve([formattedHackathons,json.hits.total.value]);
-          } else {
-            resolve(formattedHackathons);
-          }
-        } catch (error) {
-          if(from === 0) {
-            // When fetching first page from is 0.
-            reject(new Error("Error parsing JSON:", error));
-          } else {
-            resolve([]);
-          }
-        }
-      });
-    });
-  
-    req.on("error", (error) => {
-      reject(error);
-    });
-  
-    req.write(postFields);
-    req.end();
-  });
+    return from === 0
+      ? [formattedHackathons, json.hits.total.value]
+      : formattedHackathons;
+  } catch (error) {
+    if (from === 0) throw new Error(`Error parsing JSON: ${error.message}`);
+    return [];
+  }
 }
 
 async function fetchHackathons (type) {
-  return new Promise(async (resolve) => {
+  return new Promise(async (resolve, reject) => {
     let listOfHackathons = [];
     try{
       // Fetch first page.
@@ -94,7 +64,7 @@ async function fetchHackathons (type) {
       resolve(listOfHackathons);
     }catch(error){
       console.log(error);
-      resolve([]);
+      reject(error);
     }
   });
 }
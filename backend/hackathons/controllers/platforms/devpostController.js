@@ -1,96 +1,63 @@
-import https from "https";
+import { http } from "../../../core/http/client.js";
 import cheerio from "cheerio";
-import axios from "axios";
 
 async function fetchPageWise (url, page) {
-  const promise = new Promise((resolve, reject) => {
-    https.get(url, function (response) {
-      if (response.statusCode === 200) {
-        resolve(response);
-      } else {
-        reject(new Error("Error getting hackathons."));
-      }
-    });
-  });
+  let hackathonsList;
+  try {
+    ({ data: hackathonsList } = await http.get(url));
+  } catch (error) {
+    if (page === 1) throw error;
+    return [];
+  }
 
-  const hackathonsPromise = promise.then(function (response) {
-    let list = "";
+  try {
+    const formattedHackathons = hackathonsList.hackathons.map(async (hackathon) => {
+      const hackathonInfo = {};
 
-    response.on("data", function (data) {
-      list += data;
-    });
+      hackathonInfo.host = "devpost";
+      hackathonInfo.name = hackathon.title;
+      hackathonInfo.url = hackathon.url;
+      hackathonInfo.vanity = hackathon.id;
 
-    return new Promise((resolve, reject) => {
-      response.on("end", async function () {
-        try{
-          const hackathonsList = JSON.parse(list.toString());
-          const formattedHackathons = hackathonsList.hackathons.map(async (hackathon) => {
-              const hackathonInfo = {};
-  
-              hackathonInfo.host = "devpost";
-              hackathonInfo.name = hackathon.title;
-              hackathonInfo.url = hackathon.url;
-              hackathonInfo.vanity = hackathon.id;
-    
-              const url = `${hackathon.url}details/dates`;
-    
-              try{
-                const response = await axios.get(url);    
-                const $ = cheerio.load(response.data);
-    
-                const htmlElement = `#container .row .small-12 .row .large-12 table tbody > tr:first-child`;
-                const starts_at_iso = $(`${htmlElement} td:nth-child(2)`).attr("data-iso-date");
-                const ends_at_iso = $(`${htmlElement} td:nth-child(3)`).attr("data-iso-date");
-    
-                const startTimeUnix = Math.floor(new Date(starts_at_iso).getTime() / 1000);
-                const endTimeUnix = Math.floor(new Date(ends_at_iso).getTime() / 1000);
-    
-                hackathonInfo.hackathonStartTimeUnix = startTimeUnix;
-                hackathonInfo.duration = Math.floor((endTimeUnix - startTimeUnix) / 60);
-    
-                hackathonInfo.registerationStartTimeUnix = startTimeUnix;
-                hackathonInfo.registerationEndTimeUnix = endTimeUnix;
-              }catch(error){
-                console.log("Page not found " + error.response.status);
-              }
-    
-              return hackathonInfo;
-          });
-    
-          Promise.all(formattedHackathons).then((data) => {
-            if(page === 1) {
-              resolve([data,hackathonsList.meta.total_count,hackathonsList.meta.per_page]);
-            } else {
-              resolve(data);
-            }
-          });
-    
-        }catch(error){
-          if(page === 1) {
-            reject(new Error("Error parsing JSON: ", error));
-          } else {
-            resolve([]);
-          }
-        }    
-      });
-    });
-  }).catch((error) => {
-    return new Promise((resolve, reject) => {
-      if(page === 1) {
-        reject(new Error(error));
-      } else {
-        resolve([]);
+      const url = `${hackathon.url}details/dates`;
+
+      try {
+        const response = await http.get(url, { responseType: "text" });
+        const $ = cheerio.load(response.data);
+
+        const htmlElement = "#container .row .small-12 .row .large-12 table tbody > tr:first-child";
+        const starts_at_iso = $(`${htmlElement} td:nth-child(2)`).attr("data-iso-date");
+        const ends_at_iso = $(`${htmlElement} td:nth-child(3)`).attr("data-iso-date");
+
+        const startTimeUnix = Math.floor(new Date(starts_at_iso).getTime() / 1000);
+        const endTimeUnix = Math.floor(new Date(ends_at_iso).getTime() / 1000);
+
+        hackathonInfo.hackathonStartTimeUnix = startTimeUnix;
+        hackathonInfo.duration = Math.floor((endTimeUnix - startTimeUnix) / 60);
+
+        hackathonInfo.registerationStartTimeUnix = startTimeUnix;
+        hackathonInfo.registerationEndTimeUnix = endTimeUnix;
+      } catch (error) {
+        console.log("Page not found " + (error.status ?? error.message));
       }
+
+      return hackathonInfo;
     });
-  });
 
-  return hackathonsPromise;
+    const data = await Promise.all(formattedHackathons);
+    return page === 1
+      ? [data, hackathonsList.meta.total_count, hackathonsList.meta.per_page]
+      : data;
+  } catch (error) {
+    if (page === 1) throw new Error(`Error parsing JSON: ${error.message}`);
+    return [];
+  }
 }
 
 async function fetchHackathons () {
   const url = `https://devpost.com/api/hackathons?challenge_type[]=online&status[]=upcoming&status[]=open`;
 
-  return new Promise(async (resolve) => {
+  return new Promise(async (resolve, reject) => {
     let listOfHackathons = [];
     try{
       // Fetch first page.
@@ -109,7 +76,7 @@ async function fetchHackathons () {
       resolve(listOfHackathons);
     }catch(error){
       console.log(error);
-      resolve([]);
+      reject(error);
     }
   });
 }
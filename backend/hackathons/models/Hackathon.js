@@ -1,10 +1,10 @@
 import mongoose from "mongoose";
 
-//* Contest Schema
+//* Hackathon Schema
 const hackathonSchema = new mongoose.Schema(
   {
-    host:{
-      type:String,
+    host: {
+      type: String,
       required: [true, "host is required"],
     },
     name: {
@@ -37,11 +37,42 @@ const hackathonSchema = new mongoose.Schema(
       type: Number,
       required: [true, "Duration is required in min."],
     },
+    // hackathonStartTimeUnix + duration, kept so "not finished yet" can use an index
+    endTimeUnix: {
+      type: Number,
+    },
   },
   { timestamps: true },
 );
 
-const UpcomingHackathon = mongoose.model("UpcomingHackathon", hackathonSchema, "upcominghackathons");
-const AllHackathon = mongoose.model("AllHackathon", hackathonSchema, "allhackathons");
+hackathonSchema.pre("validate", function (next) {
+  this.endTimeUnix = hackathonEndTime(this);
+  next();
+});
+
+//* A hackathon is identified by its platform and the platform's own id
+hackathonSchema.index({ host: 1, vanity: 1 }, { unique: true });
+hackathonSchema.index({ hackathonStartTimeUnix: -1 });
+// The upcoming list is every hackathon still open for registration
+hackathonSchema.index({ registerationEndTimeUnix: 1 });
+
+function hackathonEndTime ({ hackathonStartTimeUnix, duration }) {
+  return hackathonStartTimeUnix + duration * 60;
+}
+
+//* Where a hackathon is in its lifecycle at nowUnix (seconds): upcoming,
+// registration_open, registration_closed, live or finished
+// Registration usually closes before the hackathon starts, but some platforms
+// keep it open while it runs; the hackathon itself wins then.
+function hackathonStatus (hackathon, nowUnix = Math.floor(Date.now() / 1000)) {
+  if (nowUnix >= hackathonEndTime(hackathon)) return "finished";
+  if (nowUnix >= hackathon.hackathonStartTimeUnix) return "live";
+  if (nowUnix < hackathon.registerationStartTimeUnix) return "upcoming";
+  if (nowUnix < hackathon.registerationEndTimeUnix) return "registration_open";
+  return "registration_closed";
+}
+
+// One collection for every hackathon; status is derived from the times
+const Hackathon = mongoose.model("Hackathon", hackathonSchema, "hackathons");
 
-export { UpcomingHackathon, AllHackathon };
\ No newline at end of file
+export { Hackathon, hackathonEndTime, hackathonStatus };
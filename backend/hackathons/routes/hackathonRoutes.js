@@ -1,8 +1,25 @@
 import { Router } from "express";
 import hackathonController from "../controllers/hackathonDbSyncController.js";
+import { sendConditionalJson } from "../../core/api/conditional.js";
+import { sendCalendar } from "../../services/calendar/ics.js";
+import { getHackathonEvents } from "../../services/calendar/feeds.js";
 
 const router = Router();
 
+// GET route for the subscribable hackathon calendar
+router.get("/calendar.ics", async (req, res) => {
+  try {
+    const events = await getHackathonEvents();
+    sendCalendar(res, { name: "digitomize hackathons", events }, "hackathons.ics");
+  } catch (err) {
+    console.log("Error:", err);
+    res.status(500).json({
+      error: "Internal server error",
+      message: "Internal server error",
+    });
+  }
+});
+
 // GET route for hackathons
 router.get("/", async (req, res) => {
   try {
@@ -14,21 +31,17 @@ router.get("/", async (req, res) => {
 
     const hackathons = await hackathonController.getUpcomingHackathonsList();
 
+    // Polled constantly by the extension and widgets, so answer 304s.
+    // ETag only: the status changes with the clock, not with the cached list.
     if (vanity) {
       const hackathonByVanity = await hackathonController.getHackathonByVanity(vanity);
-      if (hackathonByVanity) {
-        res.status(200).json({
-          total: 1,
-          results: [hackathonByVanity],
-        });
-      } else {
-        res.status(200).json({
-          total: 0,
-          results: [],
-        });
-      }
+      const found = hackathonByVanity && !(hackathonByVanity instanceof Error);
+      sendConditionalJson(req, res, {
+        total: found ? 1 : 0,
+        results: found ? [hackathonByVanity] : [],
+      });
     } else {
-      res.status(200).json({
+      sendConditionalJson(req, res, {
         total: hackathons.length,
         results: hackathons,
       });
@@ -6,10 +6,9 @@ import mongoose from "mongoose";
 import admin from "firebase-admin";
 import app from "./app.js";
 import fetchContestsData from "./fetchContests.js";
-import dataSyncer from "./contest/controllers/DataSyncController.js";
-import contestSyncer from "./contest/controllers/contestController.js";
-import hackathonAPISyncer from "./hackathons/controllers/hackathonApiSyncController.js";
-import hackathonDBSyncer from "./hackathons/controllers/hackathonDbSyncController.js";
+import { defineAppJobs } from "./jobs/definitions.js";
+import { startScheduler } from "./jobs/services/scheduler.js";
+import { listenForContestChanges } from "./reminders/services/contestChangeAlerts.js";
 
 let appServer;
 
@@ -37,6 +36,7 @@ async function setupFirebaseIfNeeded() {
 /**
  * Initialize syncers and scheduled tasks.
  * These should be skipped in tests because they make network calls / long-running timers.
+ * Syncs, cache refreshes and POTD prefetching are jobs of the persistent scheduler (jobs/definitions.js).
  */
 async function initializeSyncersIfNeeded() {
   try {
@@ -46,6 +46,9 @@ async function initializeSyncersIfNeeded() {
       return;
     }
 
+    // Before the first sync, so its changes reach reminded users
+    listenForContestChanges();
+
     // Try to fetch initial contests data (your original main() ping)
     try {
       await fetchContestsData();
@@ -53,35 +56,8 @@ async function initializeSyncersIfNeeded() {
       console.error("fetchContestsData error:", err);
     }
 
-    // contests sync
-    if (dataSyncer && typeof dataSyncer.syncContests === "function") {
-      await dataSyncer.syncContests();
-      setInterval(dataSyncer.syncContests, 90 * 60 * 1000);
-    } else {
-      console.warn("dataSyncer.syncContests not available");
-    }
-
-    if (contestSyncer && typeof contestSyncer.updateContests === "function") {
-      await contestSyncer.updateContests();
-      setInterval(contestSyncer.updateContests, 60 * 60 * 1000);
-    } else {
-      console.warn("contestSyncer.updateContests not available");
-    }
-
-    // hackathon syncers
-    if (hackathonAPISyncer && typeof hackathonAPISyncer.syncHackathons === "function") {
-      await hackathonAPISyncer.syncHackathons();
-      setInterval(hackathonAPISyncer.syncHackathons, 90 * 60 * 1000);
-    } else {
-      console.warn("hackathonAPISyncer.syncHackathons not available");
-    }
-
-    if (hackathonDBSyncer && typeof hackathonDBSyncer.updateHackathons === "function") {
-      await hackathonDBSyncer.updateHackathons();
-      setInterval(hackathonDBSyncer.updateHackathons, 60 * 60 * 1000);
-    } else {
-      console.warn("hackathonDBSyncer.updateHackathons not available");
-    }
+    defineAppJobs();
+    await startScheduler();
   } catch (err) {
     console.error("Error initializing syncers:", err);
   }
@@ -0,0 +1,66 @@
+// ? Admin view of scheduled jobs
+
+import { getJobDefinitions, getJobRuns, listJobs, triggerJob } from "../services/scheduler.js";
+
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+
+const internalError = (res) =>
+  res.status(500).json({
+    error: "Internal server error",
+    message: "Internal server error",
+  });
+
+const isDefined = (name) => getJobDefinitions().some((job) => job.name === name);
+
+//* GET /admin/jobs
+const getJobs = async (req, res) => {
+  try {
+    const results = await listJobs();
+    res.status(200).json({ results });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+//* GET /admin/jobs/:name/runs?limit=20
+const getJobHistory = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!isDefined(name)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const limit =
+      req.query.limit === undefined ? DEFAULT_RUNS_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS_LIMIT) {
+      return res.status(400).json({
+        error: "Invalid query",
+        message: `limit must be an integer between 1 and ${MAX_RUNS_LIMIT}`,
+      });
+    }
+
+    const results = await getJobRuns(name, limit);
+    res.status(200).json({ results });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+//* POST /admin/jobs/:name/run
+const runJobNow = async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!(await triggerJob(name))) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+    res.status(202).json({ message: `Job ${name} will run shortly` });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+export { getJobs, getJobHistory, runJobNow };
@@ -0,0 +1,132 @@
+// ? Every scheduled job of the app
+
+import { defineJob } from "./services/scheduler.js";
+import dataSyncer from "../contest/controllers/DataSyncController.js";
+import contestSyncer from "../contest/controllers/contestController.js";
+import { getEnabledContestSources } from "../contest/services/sourceRegistry.js";
+import hackathonAPISyncer, {
+  HACKATHON_SOURCES,
+} from "../hackathons/controllers/hackathonApiSyncController.js";
+import hackathonDBSyncer from "../hackathons/controllers/hackathonDbSyncController.js";
+import { prefetchPotds } from "../potd/controllers/potdController.js";
+import { sendDueReminders } from "../reminders/services/reminderScheduler.js";
+import { sendHackathonDeadlineAlerts } from "../reminders/services/hackathonAlerts.js";
+import { pruneSubscriptions } from "../notifications/services/webPush.js";
+import { deliverDeferred } from "../notifications/services/deferred.js";
+import { sendDigests } from "../digest/services/digest.js";
+import { sendChannelReminders } from "../discord/services/channelReminders.js";
+
+//* Sources keep their own schedule; a cron expression wins over the interval
+const sourceSchedule = ({ schedule }) =>
+  schedule.cron || `@every ${schedule.intervalMinutes}m`;
+
+//* Turn { failed: [ids] } from a syncer into a failed job run
+const failOnSyncErrors = ({ failed }) => {
+  if (failed.length > 0) throw new Error(`Sync failed for ${failed.join(", ")}`);
+};
+
+function defineAppJobs () {
+  getEnabledContestSources().forEach((source) => {
+    defineJob({
+      name: `contests:sync:${source.id}`,
+      description: `Fetch ${source.name} contests into MongoDB`,
+      schedule: sourceSchedule(source),
+      runOnStart: true,
+      handler: async () =>
+        failOnSyncErrors(await dataSyncer.syncContests([source.id])),
+    });
+  });
+
+  HACKATHON_SOURCES.forEach((source) => {
+    defineJob({
+      name: `hackathons:sync:${source.id}`,
+      description: `Fetch ${source.name} hackathons into MongoDB`,
+      schedule: sourceSchedule(source),
+      runOnStart: true,
+      handler: async () =>
+        failOnSyncErrors(await hackathonAPISyncer.syncHackathons([source.id])),
+    });
+  });
+
+  // Without Redis every instance has its own cache, so each one refreshes it
+  defineJob({
+    name: "contests:refresh-cache",
+    description: "Reload upcoming contests from MongoDB into the cache",
+    schedule: "@every 60m",
+    local: true,
+    runOnStart: true,
+    backoffMs: 30 * 1000,
+    handler: contestSyncer.updateContests,
+  });
+
+  defineJob({
+    name: "hackathons:refresh-cache",
+    description: "Reload upcoming hackathons from MongoDB into the cache",
+    schedule: "@every 60m",
+    local: true,
+    runOnStart: true,
+    backoffMs: 30 * 1000,
+    handler: hackathonDBSyncer.updateHackathons,
+  });
+
+  // LeetCode's daily question changes at midnight UTC
+  defineJob({
+    name: "potd:prefetch",
+    description: "Fetch today's problems of the day",
+    schedule: "5 0 * * *",
+    runOnStart: true,
+    backoffMs: 5 * 60 * 1000,
+    handler: prefetchPotds,
+  });
+
+  // Reminders are claimed in MongoDB, a missed minute is picked up by the next run
+  defineJob({
+    name: "reminders:send",
+    description: "Send contest reminders that have come due",
+    schedule: "@every 1m",
+    retries: 0,
+    handler: () => sendDueReminders(),
+  });
+
+  defineJob({
+    name: "hackathons:deadline-alerts",
+    description: "Alert users a day before registration closes for hackathons in their calendar",
+    schedule: "@every 15m",
+    retries: 0,
+    handler: () => sendHackathonDeadlineAlerts(),
+  });
+
+  defineJob({
+    name: "notifications:prune-push",
+    description: "Delete expired and failing Web Push subscriptions",
+    schedule: "30 3 * * *",
+    handler: () => pruneSubscriptions(),
+  });
+
+  defineJob({
+    name: "notifications:deliver-deferred",
+    description: "Send notifications held back by users' quiet hours once they end",
+    schedule: "@every 5m",
+    retries: 0,
+    handler: () => deliverDeferred(),
+  });
+
+  // Hourly, so every user gets theirs in their own morning; users are
+  // claimed, so retries don't resend
+  defineJob({
+    name: "digest:send",
+    description: "Email the daily and weekly digests to users whose local morning has come",
+    schedule: "0 * * * *",
+    handler: () => sendDigests(),
+  });
+
+  defineJob({
+    name: "discord:channel-reminders",
+    description: "Post reminders for contests starting soon in subscribed Discord channels",
+    schedule: "@every 5m",
+    retries: 0,
+    handler: () => sendChannelReminders(),
+  });
+}
+
+export { defineAppJobs };
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+//* Schedule and lease state of one shared job
+// The definition (handler, retries) lives in code; this document is what
+// every instance agrees on: when the job is due and who is running it.
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required."],
+      unique: true,
+    },
+    schedule: {
+      type: String,
+      required: [true, "Schedule is required."],
+    },
+    nextRunAt: {
+      type: Date,
+      required: [true, "Next run time is required."],
+    },
+    // Failed attempts of the current occurrence
+    attempt: {
+      type: Number,
+      default: 0,
+    },
+    lease: {
+      owner: String,
+      expiresAt: Date,
+    },
+    lastRun: {
+      startedAt: Date,
+      finishedAt: Date,
+      status: { type: String, enum: ["success", "failed"] },
+      error: String,
+    },
+  },
+  { timestamps: true },
+);
+
+jobSchema.index({ nextRunAt: 1 });
+
+const Job = mongoose.model("Job", jobSchema, "jobs");
+
+export default Job;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Runs older than this are dropped by MongoDB
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+//* One attempt at running a job
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required."],
+  },
+  // Instance that ran it, as hostname:pid:random
+  owner: String,
+  attempt: {
+    type: Number,
+    default: 1,
+  },
+  status: {
+    type: String,
+    enum: ["running", "success", "failed"],
+    default: "running",
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  error: String,
+  // Set when a failed attempt will be tried again
+  retryAt: Date,
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: HISTORY_TTL_SECONDS },
+);
+
+const JobRun = mongoose.model("JobRun", jobRunSchema, "jobruns");
+
+export default JobRun;
@@ -0,0 +1,120 @@
+// ? Cron-style schedules, evaluated in UTC
+// Standard five fields (minute hour day-of-month month day-of-week) with
+// lists, ranges and steps, the usual @hourly/@daily/... macros and
+// "@every 90m" / "@every 2h" for intervals cron can't express.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+const MINUTE_MS = 60 * 1000;
+// Enough to find the next match of any valid expression, including Feb 29th
+const MAX_ITERATIONS = 50000;
+
+class InvalidScheduleError extends Error {
+  constructor (expression, reason) {
+    super(`Invalid schedule "${expression}": ${reason}`);
+    this.name = "InvalidScheduleError";
+  }
+}
+
+//* Expand one field ("*/15", "1-5", "0,30") into the set of values it allows
+function parseField (text, { name, min, max }, expression) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new InvalidScheduleError(expression, `bad ${name} "${part}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = range === "*" ? [min, max] : range.split("-").map(Number);
+    // "5/10" means every 10 starting at 5
+    if (to === undefined) to = stepText === undefined ? from : max;
+
+    if (step < 1 || from < min || to > max || from > to) {
+      throw new InvalidScheduleError(expression, `${name} out of range in "${part}"`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+
+  return values;
+}
+
+//* Parse an expression into an object whose next(after) gives the next run
+function parseSchedule (expression) {
+  const trimmed = String(expression ?? "").trim();
+
+  const every = trimmed.match(/^@every\s+(\d+)([mh])$/);
+  if (every) {
+    const intervalMs = Number(every[1]) * (every[2] === "h" ? 60 : 1) * MINUTE_MS;
+    if (intervalMs <= 0) throw new InvalidScheduleError(expression, "interval must be positive");
+    return {
+      expression: trimmed,
+      intervalMs,
+      next: (after) => new Date(after.getTime() + intervalMs),
+    };
+  }
+
+  const fields = (MACROS[trimmed] || trimmed).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new InvalidScheduleError(expression, "expected 5 fields");
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) =>
+    parseField(text, FIELDS[index], expression),
+  );
+  if (weekdays.has(7)) weekdays.add(0); // Sunday is 0 or 7
+
+  // Like vixie cron: when both day fields are restricted, either may match
+  const dayRestricted = fields[2] !== "*";
+  const weekdayRestricted = fields[4] !== "*";
+  const dayMatches = (date) => {
+    const day = days.has(date.getUTCDate());
+    const weekday = weekdays.has(date.getUTCDay());
+    if (dayRestricted && weekdayRestricted) return day || weekday;
+    return day && weekday;
+  };
+
+  //* First matching minute strictly after `after`
+  const next = (after) => {
+    let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      const date = new Date(time);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth();
+      const day = date.getUTCDate();
+      const hour = date.getUTCHours();
+
+      if (!months.has(month + 1)) {
+        time = Date.UTC(year, month + 1, 1);
+      } else if (!dayMatches(date)) {
+        time = Date.UTC(year, month, day + 1);
+      } else if (!hours.has(hour)) {
+        time = Date.UTC(year, month, day, hour + 1);
+      } else if (!minutes.has(date.getUTCMinutes())) {
+        time += MINUTE_MS;
+      } else {
+        return date;
+      }
+    }
+    throw new InvalidScheduleError(expression, "never matches");
+  };
+
+  return { expression: trimmed, intervalMs: null, next };
+}
+
+export { InvalidScheduleError, parseSchedule };
@@ -0,0 +1,292 @@
+// ? Persistent job scheduler
+// Shared jobs keep their schedule in MongoDB and take a lease before running,
+// so only one instance runs a job at a time and missed runs happen after a
+// restart. Local jobs (like refreshing an in-memory cache) run on every
+// instance. Failed runs are retried with exponential backoff and every
+// attempt is kept in the job history.
+
+import { hostname } from "os";
+import { randomBytes } from "crypto";
+import Job from "../models/Job.js";
+import JobRun from "../models/JobRun.js";
+import { parseSchedule } from "./cron.js";
+
+const DEFAULTS = {
+  description: "",
+  retries: 3,
+  backoffMs: 60 * 1000,
+  maxBackoffMs: 30 * 60 * 1000,
+  leaseMs: 10 * 60 * 1000,
+  runOnStart: false,
+  local: false,
+};
+const DEFAULT_POLL_MS = 30 * 1000;
+
+// Identifies this instance in leases and history
+const owner = `${hostname()}:${process.pid}:${randomBytes(3).toString("hex")}`;
+
+const jobs = new Map();
+const localState = new Map();
+const runningHere = new Set();
+let pollTimer = null;
+
+//* Define a job
+// { name, schedule, handler, description, retries, backoffMs, maxBackoffMs,
+//   leaseMs, runOnStart, local }. The handler must throw to report failure.
+function defineJob (definition) {
+  if (!definition?.name || typeof definition.handler !== "function") {
+    throw new Error("A job needs a name and a handler.");
+  }
+
+  jobs.set(definition.name, {
+    ...DEFAULTS,
+    ...definition,
+    parsedSchedule: parseSchedule(definition.schedule),
+  });
+}
+
+function getJobDefinitions () {
+  return [...jobs.values()];
+}
+
+//* Delay before retrying after the given failed attempt
+function retryDelay (job, attempt) {
+  return Math.min(job.backoffMs * 2 ** (attempt - 1), job.maxBackoffMs);
+}
+
+//* Make sure a job has its schedule state, picking up schedule changes
+async function registerJob (job, now) {
+  const firstRunAt = job.runOnStart ? now : job.parsedSchedule.next(now);
+
+  if (job.local) {
+    localState.set(job.name, { nextRunAt: firstRunAt, attempt: 0, lastRun: null });
+    return;
+  }
+
+  const stored = await Job.findOne({ name: job.name }).lean();
+  if (!stored) {
+    await Job.updateOne(
+      { name: job.name },
+      { $setOnInsert: { schedule: job.schedule, nextRunAt: firstRunAt, attempt: 0 } },
+      { upsert: true },
+    );
+  } else if (stored.schedule !== job.schedule) {
+    await Job.updateOne(
+      { name: job.name },
+      { $set: { schedule: job.schedule, nextRunAt: job.parsedSchedule.next(now), attempt: 0 } },
+    );
+  }
+}
+
+//* Run one attempt and work out when the job should run next
+async function executeJob (job, attempt) {
+  const startedAt = new Date();
+  let run = null;
+  try {
+    run = await JobRun.create({ name: job.name, owner, attempt, startedAt });
+  } catch (err) {
+    console.log(`Error recording run of job ${job.name}:`, err.message);
+  }
+
+  let error = null;
+  try {
+    await job.handler();
+  } catch (err) {
+    error = err;
+    console.log(`Job ${job.name} failed (attempt ${attempt}):`, err.message);
+  }
+
+  const finishedAt = new Date();
+  const retry = Boolean(error) && attempt <= job.retries;
+  const nextRunAt = retry
+    ? new Date(finishedAt.getTime() + retryDelay(job, attempt))
+    : job.parsedSchedule.next(finishedAt);
+
+  if (run) {
+    await JobRun.updateOne(
+      { _id: run._id },
+      {
+        $set: {
+          status: error ? "failed" : "success",
+          finishedAt,
+          durationMs: finishedAt - startedAt,
+          error: error?.message,
+          retryAt: retry ? nextRunAt : undefined,
+        },
+      },
+    ).catch((err) =>
+      console.log(`Error recording run of job ${job.name}:`, err.message),
+    );
+  }
+
+  return {
+    nextRunAt,
+    // Failed attempts so far; back to 0 once the occurrence succeeds or gives up
+    attempt: retry ? attempt : 0,
+    lastRun: {
+      startedAt,
+      finishedAt,
+      status: error ? "failed" : "success",
+      error: error?.message,
+    },
+  };
+}
+
+//* Take the lease of a due shared job and run it
+async function runSharedJob (job, now) {
+  const leased = await Job.findOneAndUpdate(
+    {
+      name: job.name,
+      nextRunAt: { $lte: now },
+      $or: [
+        { "lease.expiresAt": null },
+        { "lease.expiresAt": { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        lease: { owner, expiresAt: new Date(now.getTime() + job.leaseMs) },
+      },
+    },
+    { new: true },
+  ).lean();
+  if (!leased) return;
+
+  runningHere.add(job.name);
+  // Keep the lease while a long run is still going
+  const heartbeat = setInterval(() => {
+    Job.updateOne(
+      { name: job.name, "lease.owner": owner },
+      { $set: { "lease.expiresAt": new Date(Date.now() + job.leaseMs) } },
+    ).catch((err) => console.log(`Error renewing lease of ${job.name}:`, err.message));
+  }, job.leaseMs / 2);
+  heartbeat.unref?.();
+
+  try {
+    const { nextRunAt, attempt, lastRun } = await executeJob(job, leased.attempt + 1);
+    await Job.updateOne(
+      { name: job.name, "lease.owner": owner },
+      { $set: { nextRunAt, attempt, lastRun }, $unset: { lease: "" } },
+    );
+  } finally {
+    clearInterval(heartbeat);
+    runningHere.delete(job.name);
+  }
+}
+
+//* Run a due local job on this instance
+async function runLocalJob (job, now) {
+  const state = localState.get(job.name);
+  if (!state || state.nextRunAt > now) return;
+
+  runningHere.add(job.name);
+  try {
+    Object.assign(state, await executeJob(job, state.attempt + 1));
+  } finally {
+    runningHere.delete(job.name);
+  }
+}
+
+//* Start every due job that isn't already running here
+function runDueJobs (now = new Date()) {
+  return Promise.all(
+    getJobDefinitions()
+      .filter((job) => !runningHere.has(job.name))
+      .map((job) =>
+        (job.local ? runLocalJob(job, now) : runSharedJob(job, now)).catch((err) =>
+          console.log(`Error running job ${job.name}:`, err.message),
+        ),
+      ),
+  );
+}
+
+//* Register every defined job and start polling for due ones
+async function startScheduler ({ pollMs = DEFAULT_POLL_MS } = {}) {
+  if (pollTimer) return;
+
+  const now = new Date();
+  for (const job of getJobDefinitions()) {
+    await registerJob(job, now);
+  }
+
+  // Jobs run in the background; a tick never waits for them
+  pollTimer = setInterval(() => runDueJobs(), pollMs);
+  pollTimer.unref?.();
+  runDueJobs();
+  console.log(`Job scheduler started with ${jobs.size} jobs as ${owner}`);
+}
+
+function stopScheduler () {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+//* Make a job due right away; whichever instance polls next runs it
+async function triggerJob (name) {
+  const job = jobs.get(name);
+  if (!job) return false;
+
+  if (job.local) {
+    const state = localState.get(name);
+    if (!state) return false;
+    state.nextRunAt = new Date();
+    state.attempt = 0;
+    return true;
+  }
+
+  const { matchedCount } = await Job.updateOne(
+    { name },
+    { $set: { nextRunAt: new Date(), attempt: 0 } },
+  );
+  return matchedCount > 0;
+}
+
+//* Every defined job with its current schedule state
+async function listJobs () {
+  const definitions = getJobDefinitions();
+  const stored = await Job.find({
+    name: { $in: definitions.filter((job) => !job.local).map((job) => job.name) },
+  }).lean();
+  const storedByName = new Map(stored.map((job) => [job.name, job]));
+  const now = new Date();
+
+  return definitions.map((job) => {
+    const state = job.local ? localState.get(job.name) : storedByName.get(job.name);
+    const leaseActive = Boolean(state?.lease?.expiresAt && state.lease.expiresAt > now);
+
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      local: job.local,
+      retries: job.retries,
+      nextRunAt: state?.nextRunAt ?? null,
+      attempt: state?.attempt ?? 0,
+      running: job.local ? runningHere.has(job.name) : leaseActive,
+      lease: leaseActive ? state.lease : null,
+      lastRun: state?.lastRun ?? null,
+    };
+  });
+}
+
+//* Recent runs of a job, newest first
+function getJobRuns (name, limit) {
+  return JobRun.find({ name })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .select("-__v")
+    .lean();
+}
+
+export {
+  defineJob,
+  getJobDefinitions,
+  retryDelay,
+  registerJob,
+  runDueJobs,
+  startScheduler,
+  stopScheduler,
+  triggerJob,
+  listJobs,
+  getJobRuns,
+};
@@ -0,0 +1,108 @@
+// ? Merge the Upcoming* and All* collections into one collection per entity
+// The old collections are left in place; drop them once the merge is verified.
+
+import { Contest, contestEndTime } from "../contest/models/Contest.js";
+import { Hackathon, hackathonEndTime } from "../hackathons/models/Hackathon.js";
+
+const BATCH_SIZE = 500;
+
+const MERGES = [
+  {
+    model: Contest,
+    sources: ["allcontests", "upcomingcontests"],
+    endTime: contestEndTime,
+  },
+  {
+    model: Hackathon,
+    sources: ["allhackathons", "upcominghackathons"],
+    endTime: hackathonEndTime,
+  },
+];
+
+//* Upsert keyed by host + vanity, where the most recently updated copy wins
+// When a newer copy is already stored the filter misses, the upsert tries an
+// insert and fails with a duplicate key, which is exactly "keep the stored one".
+function toUpsert ({ _id, ...doc }, endTime) {
+  const filter = { host: doc.host, vanity: doc.vanity };
+  if (doc.updatedAt) {
+    filter.$or = [
+      { updatedAt: { $lt: doc.updatedAt } },
+      { updatedAt: { $exists: false } },
+    ];
+  }
+
+  return {
+    replaceOne: {
+      filter,
+      replacement: { ...doc, endTimeUnix: endTime(doc) },
+      upsert: true,
+    },
+  };
+}
+
+//* Whether a duplicate key hit the host + vanity index
+// Those are copies older than the one already stored; a duplicate on another
+// unique key (url) is a different contest claiming the same field.
+function isOlderCopy (writeError) {
+  if (writeError.code !== 11000) return false;
+  // Write errors from a bulk write keep the server's reply in err
+  const { keyPattern, errmsg } = writeError.err ?? writeError;
+  if (keyPattern) return Object.keys(keyPattern).join(",") === "host,vanity";
+  return String(errmsg).includes("host_1_vanity_1");
+}
+
+//* Write a batch, resolving with how many documents conflicted on another key
+async function writeBatch (target, operations) {
+  try {
+    await target.bulkWrite(operations, { ordered: false });
+    return 0;
+  } catch (err) {
+    const writeErrors = err.writeErrors ?? [err];
+    if (writeErrors.some((writeError) => writeError.code !== 11000)) throw err;
+
+    const conflicts = writeErrors.filter((writeError) => !isOlderCopy(writeError));
+    // errmsg names the index and the duplicated value
+    conflicts.forEach((writeError) =>
+      console.log("Skipped a conflicting document:", writeError.errmsg ?? writeError.message),
+    );
+    return conflicts.length;
+  }
+}
+
+async function up (db) {
+  // Documents left out because another one already holds their url
+  const result = { conflicts: 0 };
+
+  for (const { model, sources, endTime } of MERGES) {
+    // The unique host + vanity index is what makes the upserts safe
+    await model.createIndexes();
+    const target = db.collection(model.collection.collectionName);
+
+    for (const source of sources) {
+      let operations = [];
+      let read = 0;
+
+      for await (const doc of db.collection(source).find()) {
+        operations.push(toUpsert(doc, endTime));
+        read++;
+        if (operations.length >= BATCH_SIZE) {
+          result.conflicts += await writeBatch(target, operations);
+          operations = [];
+        }
+      }
+      if (operations.length > 0) {
+        result.conflicts += await writeBatch(target, operations);
+      }
+
+      result[source] = read;
+      console.log(`Merged ${read} documents from ${source}`);
+    }
+  }
+
+  return result;
+}
+
+export default {
+  name: "001-unify-contest-collections",
+  up,
+};
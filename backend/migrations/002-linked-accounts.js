@@ -0,0 +1,70 @@
+// ? Move the codechef, leetcode and codeforces fields of users into linked accounts
+// Every old subdocument with a username becomes a LinkedAccount; the fields are
+// removed from the users once all of them are copied.
+
+import LinkedAccount from "../users/models/LinkedAccount.js";
+
+const BATCH_SIZE = 500;
+
+// The platforms that used to be fields of the user, frozen at this migration
+const PLATFORM_FIELDS = ["codechef", "leetcode", "codeforces"];
+
+//* Upsert keyed by uid + platform; an account linked since is kept as it is
+function toUpsert (uid, platform, { _id, ...account }, now) {
+  return {
+    updateOne: {
+      filter: { uid, platform },
+      update: {
+        $setOnInsert: {
+          ...account,
+          uid,
+          platform,
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      upsert: true,
+    },
+  };
+}
+
+async function up (db) {
+  // The unique uid + platform index is what makes the upserts safe
+  await LinkedAccount.createIndexes();
+  const target = db.collection(LinkedAccount.collection.collectionName);
+  const users = db.collection("users");
+  const withOldFields = {
+    $or: PLATFORM_FIELDS.map((field) => ({ [field]: { $exists: true } })),
+  };
+  const now = new Date();
+
+  let operations = [];
+  let read = 0;
+  let linked = 0;
+  for await (const user of users.find(withOldFields)) {
+    read++;
+    for (const platform of PLATFORM_FIELDS) {
+      if (!user[platform]?.username) continue;
+
+      operations.push(toUpsert(user.uid, platform, user[platform], now));
+      linked++;
+      if (operations.length >= BATCH_SIZE) {
+        await target.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    }
+  }
+  if (operations.length > 0) await target.bulkWrite(operations, { ordered: false });
+
+  await users.updateMany(withOldFields, {
+    $unset: Object.fromEntries(PLATFORM_FIELDS.map((field) => [field, ""])),
+  });
+
+  console.log(`Linked ${linked} accounts of ${read} users`);
+  return { users: read, accounts: linked };
+}
+
+export default {
+  name: "002-linked-accounts",
+  up,
+};
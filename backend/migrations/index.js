@@ -0,0 +1,33 @@
+// ? Database migrations
+// Each migration runs once; applied names are recorded in the `migrations` collection.
+
+import unifyContestCollections from "./001-unify-contest-collections.js";
+import linkedAccounts from "./002-linked-accounts.js";
+
+// In the order they must run
+const MIGRATIONS = [unifyContestCollections, linkedAccounts];
+
+//* Run every migration that hasn't been applied to db yet
+async function runMigrations (db, migrations = MIGRATIONS) {
+  const applied = db.collection("migrations");
+  const ran = [];
+
+  for (const migration of migrations) {
+    if (await applied.findOne({ name: migration.name })) continue;
+
+    console.log(`Running migration ${migration.name}`);
+    const startedAt = new Date();
+    const result = await migration.up(db);
+    await applied.insertOne({
+      name: migration.name,
+      startedAt,
+      finishedAt: new Date(),
+      result,
+    });
+    ran.push(migration.name);
+  }
+
+  return ran;
+}
+
+export { MIGRATIONS, runMigrations };
@@ -0,0 +1,20 @@
+// ? `npm run migrate`: apply pending migrations to MONGODB_URL
+
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { runMigrations } from "./index.js";
+
+dotenv.config();
+
+const mongoUri = process.env.MONGODB_URL || process.env.MONGO_URI || "mongodb://127.0.0.1:27017/digitomize";
+
+try {
+  await mongoose.connect(mongoUri);
+  const ran = await runMigrations(mongoose.connection.db);
+  console.log(ran.length > 0 ? `Applied ${ran.join(", ")}` : "No pending migrations.");
+} catch (err) {
+  console.error("Migration failed:", err);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
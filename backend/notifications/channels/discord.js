@@ -0,0 +1,36 @@
+// ? Discord, posted to a webhook the user created for their own server
+
+import axios from "axios";
+
+const WEBHOOK_PATTERN =
+  /^https:\/\/(?:ptb\.|canary\.)?discord(?:app)?\.com\/api\/webhooks\/\d+\/[\w-]+$/;
+const EMBED_COLOR = 0x00ffff;
+
+function isDiscordWebhookUrl (url) {
+  return typeof url === "string" && WEBHOOK_PATTERN.test(url);
+}
+
+export default {
+  id: "discord",
+  name: "Discord",
+  isConfigured: () => true,
+  getAddress: (user) => user.notifications?.channels?.discord?.webhookUrl || null,
+  send: (webhookUrl, event) =>
+    axios.post(
+      webhookUrl,
+      {
+        username: "digitomize",
+        embeds: [
+          {
+            title: event.title,
+            description: event.body,
+            url: event.url,
+            color: EMBED_COLOR,
+          },
+        ],
+      },
+      { timeout: 10 * 1000 },
+    ),
+};
+
+export { isDiscordWebhookUrl };
@@ -0,0 +1,26 @@
+// ? Email, sent through a Novu workflow
+
+import { Novu } from "@novu/node";
+
+// Generic workflow with title, body and url in its payload
+const DEFAULT_WORKFLOW = "digitomize-notification";
+
+const novu = new Novu(process.env.NOVU_API_KEY);
+
+export default {
+  id: "email",
+  name: "Email",
+  enabledByDefault: true,
+  isConfigured: () => Boolean(process.env.NOVU_API_KEY),
+  getAddress: (user) => user.email || null,
+  // Events may name their own workflow, like reminders use "contest-alert"
+  send: (email, event, user) =>
+    novu.trigger(event.workflow || DEFAULT_WORKFLOW, {
+      to: { subscriberId: user.uid, email },
+      payload: event.payload || {
+        title: event.title,
+        body: event.body,
+        url: event.url,
+      },
+    }),
+};
@@ -0,0 +1,30 @@
+// ? Telegram, sent by the digitomize bot to the chat the user linked
+
+import axios from "axios";
+
+const DEFAULT_API_URL = "https://api.telegram.org";
+
+//* Call a Bot API method; TELEGRAM_API_URL points it at a local fake
+function callBotApi (method, params) {
+  const apiUrl = (process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/$/, "");
+  return axios.post(
+    `${apiUrl}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`,
+    params,
+    { timeout: 10 * 1000 },
+  );
+}
+
+export default {
+  id: "telegram",
+  name: "Telegram",
+  isConfigured: () => Boolean(process.env.TELEGRAM_BOT_TOKEN),
+  getAddress: (user) => user.notifications?.channels?.telegram?.chatId || null,
+  send: (chatId, event) =>
+    callBotApi("sendMessage", {
+      chat_id: chatId,
+      text: [event.title, event.body, event.url].filter(Boolean).join("\n\n"),
+      disable_web_page_preview: true,
+    }),
+};
+
+export { callBotApi };
@@ -0,0 +1,18 @@
+// ? Browser push notifications through the service worker (Web Push, VAPID)
+
+import { isWebPushConfigured, sendWebPush } from "../services/webPush.js";
+
+export default {
+  id: "webpush",
+  name: "Browser push",
+  isConfigured: isWebPushConfigured,
+  // Subscriptions live in their own collection; subscribing turns this on
+  getAddress: (user) =>
+    user.notifications?.channels?.webpush?.enabled ? user.uid : null,
+  send: (uid, event) =>
+    sendWebPush(uid, {
+      title: event.title,
+      body: event.body,
+      url: event.url,
+    }),
+};
@@ -0,0 +1,125 @@
+// ? Notification channel settings of the signed-in user
+
+import User from "../../users/models/User.js";
+import {
+  notify,
+  getChannels,
+  getChannel,
+  isChannelAvailable,
+  isChannelEnabled,
+} from "../services/notify.js";
+import { isDiscordWebhookUrl } from "../channels/discord.js";
+import PushSubscription from "../models/PushSubscription.js";
+
+//* A channel as the user sees it
+const describeChannel = (channel, user) => {
+  const settings = user.notifications?.channels?.[channel.id] || {};
+  const view = {
+    id: channel.id,
+    name: channel.name,
+    available: isChannelAvailable(channel),
+    enabled: isChannelEnabled(user, channel),
+  };
+  if (channel.id === "discord") view.webhookUrl = settings.webhookUrl || null;
+  if (channel.id === "telegram") view.linked = Boolean(settings.chatId);
+  return view;
+};
+
+//* GET /user/notifications/channels
+async function getChannelSettings (req, res) {
+  try {
+    const user = await User.findOne({ uid: req.decodedToken.uid })
+      .select("notifications")
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({
+      channels: getChannels().map((channel) => describeChannel(channel, user)),
+    });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* PUT /user/notifications/channels/:channel - { enabled, webhookUrl }
+async function updateChannelSettings (req, res) {
+  try {
+    const channel = getChannel(req.params.channel);
+    if (!channel) {
+      return res.status(404).json({ message: "Unknown notification channel" });
+    }
+
+    const { enabled, webhookUrl } = req.body;
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ message: "enabled must be true or false" });
+    }
+
+    const user = await User.findOne({ uid: req.decodedToken.uid }).select("uid notifications");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const path = `notifications.channels.${channel.id}`;
+    if (channel.id === "discord" && webhookUrl !== undefined) {
+      if (webhookUrl !== null && !isDiscordWebhookUrl(webhookUrl)) {
+        return res.status(400).json({ message: "Invalid Discord webhook URL" });
+      }
+      user.set(`${path}.webhookUrl`, webhookUrl);
+    }
+    user.set(`${path}.enabled`, enabled);
+
+    // Opting in only makes sense once the channel knows where to reach the user
+    if (enabled && !channel.getAddress(user)) {
+      return res.status(409).json({
+        message:
+          channel.id === "telegram"
+            ? "Link your Telegram account first"
+            : `${channel.name} needs to be set up first`,
+      });
+    }
+    if (
+      enabled &&
+      channel.id === "webpush" &&
+      (await PushSubscription.countDocuments({ uid: user.uid })) === 0
+    ) {
+      return res.status(409).json({
+        message: "Allow notifications in a browser first",
+      });
+    }
+
+    await user.save();
+    res.status(200).json(describeChannel(channel, user));
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* POST /user/notifications/test - send a test notification to every enabled channel
+// Sent right away even in quiet hours, the user is waiting for it.
+async function sendTestNotification (req, res) {
+  try {
+    const user = await User.findOne({ uid: req.decodedToken.uid })
+      .select("uid name email notifications")
+      .lean();
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const result = await notify(user, {
+      type: "test",
+      title: "Notifications are working",
+      body: "This is a test notification from digitomize.",
+      url: process.env.FRONTEND_URL,
+    }, { quietHours: false });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+export { getChannelSettings, updateChannelSettings, sendTestNotification };
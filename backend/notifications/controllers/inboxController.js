@@ -0,0 +1,132 @@
+// ? In-app notification inbox of the signed-in user, and admin announcements
+
+import mongoose from "mongoose";
+import User from "../../users/models/User.js";
+import {
+  addToInbox,
+  countUnread,
+  listInbox,
+  markRead,
+  subscribeInbox,
+} from "../services/inbox.js";
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 2000;
+
+//* GET /user/notifications/inbox?page=&limit=&unread=true
+async function getInbox (req, res) {
+  try {
+    const page = Number.parseInt(req.query.page ?? "1", 10);
+    const limit = Number.parseInt(req.query.limit ?? "20", 10);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ message: "page and limit must be positive integers" });
+    }
+
+    const inbox = await listInbox(req.decodedToken.uid, {
+      page,
+      limit,
+      unreadOnly: req.query.unread === "true",
+    });
+    res.status(200).json(inbox);
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* POST /user/notifications/inbox/read - { ids } or { all: true }
+async function markInboxRead (req, res) {
+  try {
+    const { ids, all } = req.body;
+    if (all !== true) {
+      if (
+        !Array.isArray(ids) ||
+        ids.length === 0 ||
+        !ids.every((id) => mongoose.isValidObjectId(id))
+      ) {
+        return res.status(400).json({ message: "Pass the ids to mark as read, or all: true" });
+      }
+    }
+
+    const unread = await markRead(req.decodedToken.uid, all === true ? null : ids);
+    res.status(200).json({ unread });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* GET /user/notifications/inbox/stream - Server-Sent Events
+// Starts with the unread count, then sends "notification" events for new
+// items and "unread" events when items are read elsewhere.
+async function streamInbox (req, res) {
+  const { uid } = req.decodedToken;
+  let unread;
+  try {
+    unread = await countUnread(uid);
+  } catch (error) {
+    console.error("Error:", error);
+    return res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.status(200).flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send("unread", { unread });
+
+  const unsubscribe = subscribeInbox(uid, (event) => {
+    if (event.type === "notification") send("notification", event.item);
+    else send("unread", { unread: event.unread });
+  });
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+//* POST /admin/notifications/announcements - { title, body, url, uids }
+// Goes to every user unless uids lists the recipients.
+async function createAnnouncement (req, res) {
+  try {
+    const { title, body, url, uids } = req.body;
+    if (typeof title !== "string" || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ message: `title is required and at most ${MAX_TITLE_LENGTH} characters` });
+    }
+    if (body !== undefined && (typeof body !== "string" || body.length > MAX_BODY_LENGTH)) {
+      return res.status(400).json({ message: `body must be at most ${MAX_BODY_LENGTH} characters` });
+    }
+    if (url !== undefined && !/^https?:\/\//.test(url)) {
+      return res.status(400).json({ message: "url must be an http(s) URL" });
+    }
+    if (uids !== undefined && (!Array.isArray(uids) || uids.length === 0)) {
+      return res.status(400).json({ message: "uids must be a non-empty list" });
+    }
+
+    const recipients = uids
+      ? (await User.find({ uid: { $in: uids } }).select("uid").lean()).map((user) => user.uid)
+      : await User.distinct("uid");
+
+    const sent = await addToInbox(recipients, {
+      type: "admin.announcement",
+      title: title.trim(),
+      body,
+      url,
+    });
+    res.status(201).json({ recipients: sent });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+export { getInbox, markInboxRead, streamInbox, createAnnouncement };
@@ -0,0 +1,90 @@
+// ? Web Push subscriptions of the signed-in user
+
+import mongoose from "mongoose";
+import PushSubscription from "../models/PushSubscription.js";
+import {
+  getVapidDetails,
+  isWebPushConfigured,
+  parseSubscription,
+  saveSubscription,
+  removeSubscription,
+} from "../services/webPush.js";
+
+const MAX_LABEL_LENGTH = 100;
+
+//* A subscription as the dashboard lists it (the keys stay on the server)
+const describeSubscription = ({ _id, label, createdAt, lastSuccessAt }) => ({
+  id: _id,
+  label,
+  createdAt,
+  lastSuccessAt: lastSuccessAt || null,
+});
+
+//* GET /user/notifications/push/key - public VAPID key for pushManager.subscribe
+function getPushKey (req, res) {
+  if (!isWebPushConfigured()) {
+    return res.status(404).json({ message: "Web push is not configured" });
+  }
+  res.status(200).json({ publicKey: getVapidDetails().publicKey });
+}
+
+//* GET /user/notifications/push/subscriptions
+async function getPushSubscriptions (req, res) {
+  try {
+    const subscriptions = await PushSubscription.find({ uid: req.decodedToken.uid })
+      .sort({ createdAt: -1 })
+      .lean();
+    res.status(200).json({ subscriptions: subscriptions.map(describeSubscription) });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* POST /user/notifications/push/subscriptions - { subscription, label }
+async function addPushSubscription (req, res) {
+  try {
+    if (!isWebPushConfigured()) {
+      return res.status(409).json({ message: "Web push is not configured" });
+    }
+
+    const { subscription, error } = parseSubscription(req.body.subscription);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const label =
+      typeof req.body.label === "string"
+        ? req.body.label.trim().slice(0, MAX_LABEL_LENGTH) || null
+        : null;
+
+    const saved = await saveSubscription(req.decodedToken.uid, subscription, label);
+    res.status(201).json(describeSubscription(saved));
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* DELETE /user/notifications/push/subscriptions/:id
+async function deletePushSubscription (req, res) {
+  try {
+    const { id } = req.params;
+    if (
+      !mongoose.isValidObjectId(id) ||
+      !(await removeSubscription(req.decodedToken.uid, id))
+    ) {
+      return res.status(404).json({ message: "Subscription not found" });
+    }
+    res.status(200).json({ message: "Subscription removed" });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+export {
+  getPushKey,
+  getPushSubscriptions,
+  addPushSubscription,
+  deletePushSubscription,
+};
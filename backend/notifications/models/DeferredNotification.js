@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+//* An outbound notification held back until the user's quiet hours end
+// The event is stored as notify() received it; the inbox copy was already
+// written when it was deferred.
+const deferredNotificationSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    event: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, "event is required."],
+    },
+    deliverAfter: {
+      type: Date,
+      required: [true, "deliverAfter is required."],
+    },
+    // Past this the event is no longer worth sending (the contest started)
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // A newer event with the same key replaces this one while it waits
+    collapseKey: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+deferredNotificationSchema.index({ deliverAfter: 1 });
+deferredNotificationSchema.index({ uid: 1, collapseKey: 1 });
+
+const DeferredNotification = mongoose.model(
+  "DeferredNotification",
+  deferredNotificationSchema,
+  "deferrednotifications",
+);
+
+export default DeferredNotification;
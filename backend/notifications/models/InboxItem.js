@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Inbox items older than this are dropped by MongoDB
+const INBOX_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const INBOX_TYPES = [
+  "contest.reminder",
+  "contest.change",
+  "hackathon.deadline",
+  "rating.change",
+  "community.invite",
+  "admin.announcement",
+  "test",
+];
+
+//* One notification in a user's in-app inbox
+const inboxItemSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    type: {
+      type: String,
+      enum: INBOX_TYPES,
+      required: [true, "Type is required."],
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required."],
+    },
+    body: String,
+    url: String,
+    // Anything the client needs to render the item, e.g. old and new rating
+    data: mongoose.Schema.Types.Mixed,
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+inboxItemSchema.index({ uid: 1, createdAt: -1 });
+inboxItemSchema.index({ uid: 1, readAt: 1 });
+inboxItemSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: INBOX_TTL_SECONDS },
+);
+
+const InboxItem = mongoose.model("InboxItem", inboxItemSchema, "inboxitems");
+
+export default InboxItem;
+export { INBOX_TYPES };
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+//* One browser's Web Push subscription; a user has one per browser they allowed
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    // The push service URL; it identifies the subscription
+    endpoint: {
+      type: String,
+      required: [true, "Endpoint is required."],
+    },
+    keys: {
+      p256dh: { type: String, required: [true, "p256dh key is required."] },
+      auth: { type: String, required: [true, "auth key is required."] },
+    },
+    expirationTime: {
+      type: Date,
+      default: null,
+    },
+    // Shown in the dashboard, e.g. "Chrome on Windows"
+    label: {
+      type: String,
+      default: null,
+    },
+    lastSuccessAt: Date,
+    // Consecutive failed sends; the subscription is pruned after too many
+    failures: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true },
+);
+
+pushSubscriptionSchema.index({ endpoint: 1 }, { unique: true });
+pushSubscriptionSchema.index({ uid: 1 });
+
+const PushSubscription = mongoose.model(
+  "PushSubscription",
+  pushSubscriptionSchema,
+  "pushsubscriptions",
+);
+
+export default PushSubscription;
@@ -0,0 +1,53 @@
+// ? Delivery of notifications deferred by quiet hours
+// Each one is claimed by deleting it, so two instances never send it twice.
+// A user who moved their quiet hours meanwhile gets it deferred again.
+// Ones that expired while they waited are dropped.
+
+import User from "../../users/models/User.js";
+import DeferredNotification from "../models/DeferredNotification.js";
+import { notify } from "./notify.js";
+
+// Keeps one run short; the next run picks up the rest
+const BATCH_SIZE = 500;
+
+//* Send the deferred notifications whose quiet hours are over
+// Resolves with how many were delivered, deferred again, expired or failed.
+async function deliverDeferred (now = new Date()) {
+  const totals = { delivered: 0, deferred: 0, expired: 0, failed: 0 };
+
+  for (let i = 0; i < BATCH_SIZE; i++) {
+    const item = await DeferredNotification.findOneAndDelete(
+      { deliverAfter: { $lte: now } },
+      { sort: { deliverAfter: 1 } },
+    ).lean();
+    if (!item) break;
+    if (item.expiresAt && item.expiresAt <= now) {
+      totals.expired++;
+      continue;
+    }
+
+    const user = await User.findOne({ uid: item.uid })
+      .select("uid name email preferences notifications")
+      .lean();
+    if (!user) continue;
+
+    try {
+      const result = await notify(user, item.event, {
+        inbox: false,
+        now,
+        expiresAt: item.expiresAt,
+        collapseKey: item.collapseKey,
+      });
+      if (result.deferredUntil) totals.deferred++;
+      else if (result.failed.length > 0 && result.delivered.length === 0) totals.failed++;
+      else totals.delivered++;
+    } catch (err) {
+      console.error(`Error delivering a deferred notification to ${item.uid}:`, err);
+      totals.failed++;
+    }
+  }
+
+  return totals;
+}
+
+export { deliverDeferred };
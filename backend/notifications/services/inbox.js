@@ -0,0 +1,106 @@
+// ? In-app notification inbox
+// Items are stored per user; listeners (the SSE stream) hear about new items
+// and read changes. Events stay within this process, so a stream only sees
+// items created by the instance it is connected to.
+
+import { EventEmitter } from "events";
+import InboxItem, { INBOX_TYPES } from "../models/InboxItem.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const INSERT_BATCH_SIZE = 1000;
+
+const inboxEvents = new EventEmitter();
+// One listener per open stream, so there is no sensible limit
+inboxEvents.setMaxListeners(0);
+
+//* The item as the client sees it
+const describeItem = (item) => ({
+  id: item._id,
+  type: item.type,
+  title: item.title,
+  body: item.body || null,
+  url: item.url || null,
+  data: item.data || null,
+  read: Boolean(item.readAt),
+  createdAt: item.createdAt,
+});
+
+const countUnread = (uid) => InboxItem.countDocuments({ uid, readAt: null });
+
+//* Add an item to the inbox of one or many users
+// item: { type, title, body, url, data }. Resolves with how many were stored.
+async function addToInbox (uids, item) {
+  const recipients = [...new Set([].concat(uids))];
+  if (!INBOX_TYPES.includes(item.type)) {
+    throw new Error(`Unknown inbox item type "${item.type}"`);
+  }
+
+  const { type, title, body, url, data } = item;
+  for (let start = 0; start < recipients.length; start += INSERT_BATCH_SIZE) {
+    const stored = await InboxItem.insertMany(
+      recipients
+        .slice(start, start + INSERT_BATCH_SIZE)
+        .map((uid) => ({ uid, type, title, body, url, data })),
+    );
+    stored.forEach((doc) => {
+      if (inboxEvents.listenerCount(doc.uid) > 0) {
+        inboxEvents.emit(doc.uid, { type: "notification", item: describeItem(doc) });
+      }
+    });
+  }
+  return recipients.length;
+}
+
+//* One page of a user's inbox, newest first
+async function listInbox (uid, { page = 1, limit = DEFAULT_PAGE_SIZE, unreadOnly = false } = {}) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const filter = unreadOnly ? { uid, readAt: null } : { uid };
+
+  const [items, total, unread] = await Promise.all([
+    InboxItem.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    InboxItem.countDocuments(filter),
+    countUnread(uid),
+  ]);
+
+  return {
+    items: items.map(describeItem),
+    page,
+    limit: pageSize,
+    total,
+    pages: Math.ceil(total / pageSize),
+    unread,
+  };
+}
+
+//* Mark the given items, or every item when ids is null, as read
+// Resolves with the new unread count.
+async function markRead (uid, ids = null) {
+  const filter = { uid, readAt: null };
+  if (ids) filter._id = { $in: ids };
+  await InboxItem.updateMany(filter, { $set: { readAt: new Date() } });
+
+  const unread = await countUnread(uid);
+  inboxEvents.emit(uid, { type: "unread", unread });
+  return unread;
+}
+
+//* Listen for a user's inbox events; returns a function that stops listening
+// Events are { type: "notification", item } and { type: "unread", unread }.
+function subscribeInbox (uid, listener) {
+  inboxEvents.on(uid, listener);
+  return () => inboxEvents.off(uid, listener);
+}
+
+export {
+  INBOX_TYPES,
+  addToInbox,
+  listInbox,
+  countUnread,
+  markRead,
+  subscribeInbox,
+};
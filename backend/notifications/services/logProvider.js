@@ -0,0 +1,35 @@
+// ? Log provider: records notifications instead of sending them
+// Every delivery is kept in memory and appended as a JSON line to
+// NOTIFICATIONS_LOG_FILE, so the notification flow can be checked locally.
+
+import { appendFile } from "fs/promises";
+
+const DEFAULT_LOG_FILE = "notifications.log";
+
+const logged = [];
+
+async function logNotification (channel, user, event) {
+  // Addresses like webhook URLs are credentials, so only the uid is logged
+  const entry = {
+    channel,
+    uid: user.uid,
+    event,
+    deliveredAt: new Date().toISOString(),
+  };
+  logged.push(entry);
+  await appendFile(
+    process.env.NOTIFICATIONS_LOG_FILE || DEFAULT_LOG_FILE,
+    JSON.stringify(entry) + "\n",
+  );
+}
+
+//* Notifications logged since the last clear
+function getLoggedNotifications () {
+  return [...logged];
+}
+
+function clearLoggedNotifications () {
+  logged.length = 0;
+}
+
+export { logNotification, getLoggedNotifications, clearLoggedNotifications };
@@ -0,0 +1,139 @@
+// ? One entry point for user notifications
+// notify(user, event) fans an event out to every channel the user opted into.
+// With NOTIFICATIONS_PROVIDER=log every channel is delivered by the log
+// provider instead, so the whole flow runs without Novu, Discord or Telegram.
+// Every event with an inbox type is also kept in the user's in-app inbox.
+// During the user's quiet hours the outbound channels are deferred instead;
+// services/deferred.js delivers them once the quiet hours end.
+
+import emailChannel from "../channels/email.js";
+import discordChannel from "../channels/discord.js";
+import webpushChannel from "../channels/webpush.js";
+import telegramChannel from "../channels/telegram.js";
+import { logNotification } from "./logProvider.js";
+import { INBOX_TYPES, addToInbox } from "./inbox.js";
+import DeferredNotification from "../models/DeferredNotification.js";
+import { quietHoursEnd } from "../../core/userTime.js";
+
+const channels = new Map();
+
+//* Register a channel
+// A channel declares its id, display name, isConfigured() for the server side
+// credentials, getAddress(user) for where to reach a user (or null) and
+// send(address, event, user). enabledByDefault applies to users who never
+// changed the channel's setting.
+function registerChannel (channel) {
+  if (!channel?.id || typeof channel.send !== "function") {
+    throw new Error("A notification channel needs an id and a send function.");
+  }
+  channels.set(channel.id, channel);
+}
+
+function getChannels () {
+  return [...channels.values()];
+}
+
+function getChannel (id) {
+  return channels.get(id) || null;
+}
+
+function usesLogProvider () {
+  return process.env.NOTIFICATIONS_PROVIDER === "log";
+}
+
+//* Whether the server can deliver a channel at all
+function isChannelAvailable (channel) {
+  return usesLogProvider() || channel.isConfigured();
+}
+
+//* Whether the user opted into a channel
+function isChannelEnabled (user, channel) {
+  return (
+    user.notifications?.channels?.[channel.id]?.enabled ??
+    Boolean(channel.enabledByDefault)
+  );
+}
+
+//* Channels the user opted into that can actually reach them
+function getUserChannels (user) {
+  return getChannels().filter(
+    (channel) =>
+      isChannelEnabled(user, channel) &&
+      channel.getAddress(user) &&
+      isChannelAvailable(channel),
+  );
+}
+
+//* Send an event to a user on every channel they opted into
+// event: { type, title, body, url } plus optional { workflow, payload } for
+// channels backed by templates. One failing channel doesn't stop the others.
+// Resolves with { delivered: [channel ids], failed: [{ channel, error }] },
+// plus deferredUntil when quiet hours held the channels back. Pass
+// quietHours: false for messages the user asked for right now. A deferred
+// event is dropped after expiresAt, and replaced by a later one with the same
+// collapseKey (a closer reminder for the same contest).
+async function notify (
+  user,
+  event,
+  { quietHours = true, inbox = true, now = new Date(), expiresAt = null, collapseKey = null } = {},
+) {
+  if (inbox && INBOX_TYPES.includes(event.type)) {
+    try {
+      await addToInbox(user.uid, { ...event, data: event.data ?? event.payload });
+    } catch (err) {
+      // The channels below are still worth trying
+      console.error("Error adding to inbox:", err);
+    }
+  }
+
+  const targets = getUserChannels(user);
+  const deliverAfter = quietHours && targets.length > 0 ? quietHoursEnd(user, now) : null;
+  if (deliverAfter) {
+    const deferred = { uid: user.uid, event, deliverAfter, expiresAt, collapseKey };
+    if (collapseKey) {
+      await DeferredNotification.updateOne(
+        { uid: user.uid, collapseKey },
+        { $set: deferred },
+        { upsert: true },
+      );
+    } else {
+      await DeferredNotification.create(deferred);
+    }
+    return { delivered: [], failed: [], deferredUntil: deliverAfter };
+  }
+
+  const results = await Promise.allSettled(
+    targets.map((channel) =>
+      usesLogProvider()
+        ? logNotification(channel.id, user, event)
+        : channel.send(channel.getAddress(user), event, user),
+    ),
+  );
+
+  const delivered = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const channel = targets[index].id;
+    if (result.status === "fulfilled") {
+      delivered.push(channel);
+    } else {
+      failed.push({ channel, error: result.reason?.message || String(result.reason) });
+    }
+  });
+  return { delivered, failed };
+}
+
+registerChannel(emailChannel);
+registerChannel(discordChannel);
+registerChannel(webpushChannel);
+registerChannel(telegramChannel);
+
+export {
+  notify,
+  registerChannel,
+  getChannels,
+  getChannel,
+  getUserChannels,
+  isChannelAvailable,
+  isChannelEnabled,
+};
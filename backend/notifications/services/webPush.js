@@ -0,0 +1,179 @@
+// ? Web Push (VAPID) to every browser a user subscribed
+// Subscriptions the push service reports as gone are deleted right away;
+// ones that keep failing or have expired are pruned.
+
+import webpush from "web-push";
+import PushSubscription from "../models/PushSubscription.js";
+import User from "../../users/models/User.js";
+
+const MAX_FAILURES = 5;
+// Push services drop a message they couldn't deliver within a day
+const TTL_SECONDS = 24 * 60 * 60;
+const DEFAULT_SUBJECT = "mailto:contact@digitomize.com";
+
+function getVapidDetails () {
+  return {
+    subject: process.env.VAPID_SUBJECT || DEFAULT_SUBJECT,
+    publicKey: process.env.VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+  };
+}
+
+function isWebPushConfigured () {
+  const { publicKey, privateKey } = getVapidDetails();
+  return Boolean(publicKey && privateKey);
+}
+
+//* Validate a PushSubscription as the browser serializes it
+// Resolves to { subscription } or { error }.
+function parseSubscription (value) {
+  const { endpoint, keys, expirationTime = null } = value || {};
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (err) {
+    return { error: "A subscription needs a valid endpoint" };
+  }
+  if (url.protocol !== "https:") {
+    return { error: "Push endpoints must use https" };
+  }
+  if (typeof keys?.p256dh !== "string" || typeof keys?.auth !== "string") {
+    return { error: "A subscription needs p256dh and auth keys" };
+  }
+  return {
+    subscription: {
+      endpoint,
+      keys: { p256dh: keys.p256dh, auth: keys.auth },
+      expirationTime: expirationTime ? new Date(expirationTime) : null,
+    },
+  };
+}
+
+//* Turn the channel off for users left without any subscription
+async function disableWithoutSubscriptions (uids) {
+  for (const uid of new Set(uids)) {
+    if ((await PushSubscription.countDocuments({ uid })) === 0) {
+      await User.updateOne(
+        { uid },
+        { $set: { "notifications.channels.webpush.enabled": false } },
+      );
+    }
+  }
+}
+
+//* Store a subscription and opt the user into push
+// A browser re-subscribing, even for another account, replaces its entry.
+async function saveSubscription (uid, subscription, label = null) {
+  const previous = await PushSubscription.findOne({ endpoint: subscription.endpoint })
+    .select("uid")
+    .lean();
+  const saved = await PushSubscription.findOneAndUpdate(
+    { endpoint: subscription.endpoint },
+    {
+      $set: {
+        uid,
+        keys: subscription.keys,
+        expirationTime: subscription.expirationTime,
+        label,
+        failures: 0,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+  await User.updateOne(
+    { uid },
+    { $set: { "notifications.channels.webpush.enabled": true } },
+  );
+  // The browser moved to this account, which may leave the old one without any
+  if (previous && previous.uid !== uid) {
+    await disableWithoutSubscriptions([previous.uid]);
+  }
+  return saved;
+}
+
+//* Remove one of the user's subscriptions; resolves false if it wasn't theirs
+async function removeSubscription (uid, id) {
+  const { deletedCount } = await PushSubscription.deleteOne({ _id: id, uid });
+  if (deletedCount > 0) await disableWithoutSubscriptions([uid]);
+  return deletedCount > 0;
+}
+
+//* Send a payload to every browser of a user
+// Resolves with { sent, pruned }; rejects when no browser got it.
+async function sendWebPush (uid, payload) {
+  const subscriptions = await PushSubscription.find({ uid }).lean();
+  if (subscriptions.length === 0) throw new Error("No push subscriptions");
+
+  const { subject, publicKey, privateKey } = getVapidDetails();
+  const options = {
+    vapidDetails: { subject, publicKey, privateKey },
+    TTL: TTL_SECONDS,
+  };
+  const body = JSON.stringify(payload);
+  const results = await Promise.allSettled(
+    subscriptions.map(({ endpoint, keys }) =>
+      webpush.sendNotification({ endpoint, keys }, body, options),
+    ),
+  );
+
+  const delivered = [];
+  const gone = [];
+  const failing = [];
+  results.forEach((result, index) => {
+    const id = subscriptions[index]._id;
+    if (result.status === "fulfilled") delivered.push(id);
+    // 404 and 410 mean the user revoked permission or the browser dropped it
+    else if ([404, 410].includes(result.reason?.statusCode)) gone.push(id);
+    else failing.push(id);
+  });
+
+  if (delivered.length > 0) {
+    await PushSubscription.updateMany(
+      { _id: { $in: delivered } },
+      { $set: { lastSuccessAt: new Date(), failures: 0 } },
+    );
+  }
+  if (failing.length > 0) {
+    await PushSubscription.updateMany(
+      { _id: { $in: failing } },
+      { $inc: { failures: 1 } },
+    );
+  }
+  if (gone.length > 0) {
+    await PushSubscription.deleteMany({ _id: { $in: gone } });
+    await disableWithoutSubscriptions([uid]);
+  }
+
+  if (delivered.length === 0) {
+    const reason = results.find((result) => result.status === "rejected").reason;
+    throw new Error(`Web push failed: ${reason?.body || reason?.message}`);
+  }
+  return { sent: delivered.length, pruned: gone.length };
+}
+
+//* Delete expired subscriptions and ones that failed too often in a row
+// Resolves with how many were deleted.
+async function pruneSubscriptions (now = new Date()) {
+  const filter = {
+    $or: [
+      { expirationTime: { $ne: null, $lte: now } },
+      { failures: { $gte: MAX_FAILURES } },
+    ],
+  };
+  const stale = await PushSubscription.find(filter).select("uid").lean();
+  if (stale.length === 0) return 0;
+
+  await PushSubscription.deleteMany({ _id: { $in: stale.map(({ _id }) => _id) } });
+  await disableWithoutSubscriptions(stale.map(({ uid }) => uid));
+  return stale.length;
+}
+
+export {
+  getVapidDetails,
+  isWebPushConfigured,
+  parseSubscription,
+  saveSubscription,
+  removeSubscription,
+  sendWebPush,
+  pruneSubscriptions,
+};
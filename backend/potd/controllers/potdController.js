@@ -1,20 +1,9 @@
-import axios from 'axios';
+import { http } from "../../core/http/client.js";
 import { Potd } from "../models/Potd.js";
 
 const leetcodeController = async (req, res) => {
     try {
-        const formattedDate = new Date();
-        const formattedOptions = { day: '2-digit', month: 'short', year: 'numeric' };
-        const today = formattedDate.toLocaleDateString('en-GB', formattedOptions);
-        let potd = await Potd.findOne({ platform: "leetcode", date: today });
-
-        if (!potd) {
-            potd = await fetchLeetcodePotdFromExternalAPI();
-            potd.platform = "leetcode";
-            console.log("Fetched POTD from external API:", potd);
-            await Potd.create(potd);
-        }
-
+        const potd = await getTodaysPotd("leetcode");
         res.json({ problemName: potd.problemName, problemUrl: potd.problemUrl, date: potd.date, platform: potd.platform });
     } catch (error) {
         console.error(error);
@@ -38,7 +27,7 @@ const fetchLeetcodePotdFromExternalAPI = async () => {
 
     try {
         console.log("Fetching POTD from external API");
-        const { data } = await axios.post('https://leetcode.com/graphql', query);
+        const { data } = await http.post('https://leetcode.com/graphql', query);
 
         const link = data?.data?.activeDailyCodingChallengeQuestion?.link;
         const parts = link.split('/');
@@ -68,18 +57,7 @@ const fetchLeetcodePotdFromExternalAPI = async () => {
 
 const gfgController = async (req, res) => {
     try {
-        const formattedDate = new Date();
-        const formattedOptions = { day: '2-digit', month: 'short', year: 'numeric' };
-        const today = formattedDate.toLocaleDateString('en-GB', formattedOptions);
-        let potd = await Potd.findOne({ platform: "geeksforgeeks", date: today });
-
-        if (!potd) {
-            potd = await fetchGFGPotdFromExternalAPI();
-            potd.platform = "geeksforgeeks";
-            console.log("Fetched POTD from external API:", potd);
-            await Potd.create(potd);
-        }
-
+        const potd = await getTodaysPotd("geeksforgeeks");
         res.json({ problemName: potd.problemName, problemUrl: potd.problemUrl, date: potd.date, platform: potd.platform });
     } catch (error) {
         console.error(error);
@@ -90,7 +68,7 @@ const gfgController = async (req, res) => {
 const fetchGFGPotdFromExternalAPI = async () => {
     try {
         console.log("Fetching POTD from external API");
-        const {data} = await axios.get('https://practiceapi.geeksforgeeks.org/api/vr/problems-of-day/problem/today');
+        const {data} = await http.get('https://practiceapi.geeksforgeeks.org/api/vr/problems-of-day/problem/today');
         console.log(data);
         const potd = {
             problemName: data.problem_name,
@@ -105,4 +83,43 @@ const fetchGFGPotdFromExternalAPI = async () => {
     }
 }
 
-export { leetcodeController, gfgController };
+const potdFetchers = {
+    leetcode: fetchLeetcodePotdFromExternalAPI,
+    geeksforgeeks: fetchGFGPotdFromExternalAPI,
+};
+
+const POTD_PLATFORMS = Object.keys(potdFetchers);
+
+//* Today's POTD for a platform, fetched and stored the first time it is asked for
+const getTodaysPotd = async (platform) => {
+    const formattedOptions = { day: '2-digit', month: 'short', year: 'numeric' };
+    const today = new Date().toLocaleDateString('en-GB', formattedOptions);
+    let potd = await Potd.findOne({ platform, date: today });
+
+    if (!potd) {
+        potd = await potdFetchers[platform]();
+        potd.platform = platform;
+        console.log("Fetched POTD from external API:", potd);
+        await Potd.create(potd);
+    }
+
+    return potd;
+};
+
+//* Fetch every platform's POTD ahead of the day's first request (scheduled job)
+const prefetchPotds = async () => {
+    const failed = [];
+    for (const platform of POTD_PLATFORMS) {
+        try {
+            await getTodaysPotd(platform);
+        } catch (error) {
+            failed.push(platform);
+        }
+    }
+
+    if (failed.length > 0) {
+        throw new Error(`Failed to prefetch POTD for ${failed.join(", ")}`);
+    }
+};
+
+export { POTD_PLATFORMS, leetcodeController, gfgController, getTodaysPotd, prefetchPotds };
@@ -0,0 +1,147 @@
+// ? Admin review of quarantined scraped records
+
+import mongoose from "mongoose";
+import QuarantinedRecord from "../models/QuarantinedRecord.js";
+import { RECORD_KINDS, validateRecord } from "../services/recordValidation.js";
+import contestSyncer from "../../contest/controllers/DataSyncController.js";
+import hackathonSyncer from "../../hackathons/controllers/hackathonApiSyncController.js";
+
+const STATUSES = ["pending", "fixed", "discarded"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+//* Where a fixed record of each kind is stored
+const publishers = {
+  contest: (record, source) => contestSyncer.addToDB([record], source),
+  hackathon: (record, source) => hackathonSyncer.addToDB([record], source),
+};
+
+const internalError = (res) =>
+  res.status(500).json({
+    error: "Internal server error",
+    message: "Internal server error",
+  });
+
+//* Find a pending entry by id, or answer with the reason it can't be resolved
+async function findPending (req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ message: "Quarantined record not found" });
+    return null;
+  }
+
+  const entry = await QuarantinedRecord.findById(id);
+  if (!entry) {
+    res.status(404).json({ message: "Quarantined record not found" });
+    return null;
+  }
+  if (entry.status !== "pending") {
+    res.status(409).json({ message: `Record was already ${entry.status}` });
+    return null;
+  }
+  return entry;
+}
+
+//* GET /admin/quarantine?kind=&source=&status=pending&page=1&limit=50
+const getQuarantine = async (req, res) => {
+  try {
+    const { kind, source, status = "pending" } = req.query;
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit =
+      req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+
+    const errors = [];
+    if (kind && !RECORD_KINDS.includes(kind)) {
+      errors.push(`kind must be one of ${RECORD_KINDS.join(", ")}`);
+    }
+    if (!STATUSES.includes(status)) {
+      errors.push(`status must be one of ${STATUSES.join(", ")}`);
+    }
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push("page must be a positive integer");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid query", message: errors.join("; ") });
+    }
+
+    const filter = { status };
+    if (kind) filter.kind = kind;
+    if (source) filter.source = String(source).toLowerCase();
+
+    const [total, results] = await Promise.all([
+      QuarantinedRecord.countDocuments(filter),
+      QuarantinedRecord.find(filter)
+        .sort({ lastSeenAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+    ]);
+
+    res.status(200).json({ total, page, limit, results });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+//* PUT /admin/quarantine/:id  { record: { ...corrected fields } }
+// The corrections are applied over the original payload; the result must pass
+// validation before it is stored.
+const fixQuarantined = async (req, res) => {
+  try {
+    const corrections = req.body?.record ?? {};
+    if (typeof corrections !== "object" || Array.isArray(corrections)) {
+      return res.status(400).json({ message: "record must be an object" });
+    }
+
+    const entry = await findPending(req, res);
+    if (!entry) return;
+
+    const record = { ...entry.payload, ...corrections };
+    const errors = validateRecord(entry.kind, record);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: "Invalid record",
+        message: "The corrected record is still invalid",
+        errors,
+      });
+    }
+
+    await publishers[entry.kind](record, entry.source);
+
+    entry.status = "fixed";
+    entry.fixedRecord = record;
+    entry.resolvedAt = new Date();
+    entry.resolvedBy = req.decodedToken?.uid;
+    await entry.save();
+
+    res.status(200).json({ message: "Record fixed and stored", result: entry });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+//* DELETE /admin/quarantine/:id
+// The entry is kept as discarded so the same record isn't raised again.
+const discardQuarantined = async (req, res) => {
+  try {
+    const entry = await findPending(req, res);
+    if (!entry) return;
+
+    entry.status = "discarded";
+    entry.resolvedAt = new Date();
+    entry.resolvedBy = req.decodedToken?.uid;
+    await entry.save();
+
+    res.status(200).json({ message: "Record discarded", result: entry });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+export { getQuarantine, fixQuarantined, discardQuarantined };
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+//* A scraped record that failed validation, kept for an admin to fix or discard
+const quarantinedRecordSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["contest", "hackathon"],
+      required: [true, "Kind is required."],
+    },
+    source: {
+      type: String,
+      lowercase: true,
+      required: [true, "Source is required."],
+    },
+    // vanity when the source sent one, otherwise a hash of the payload
+    key: {
+      type: String,
+      required: [true, "Key is required."],
+    },
+    // The record exactly as the scraper produced it
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // `errors` is reserved by mongoose
+    validationErrors: [
+      {
+        _id: false,
+        field: String,
+        message: String,
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "fixed", "discarded"],
+      default: "pending",
+    },
+    occurrences: {
+      type: Number,
+      default: 1,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    fixedRecord: mongoose.Schema.Types.Mixed,
+    resolvedAt: Date,
+    resolvedBy: String,
+  },
+  { timestamps: true, minimize: false },
+);
+
+//* The same bad record is scraped on every sync; keep one entry per record
+quarantinedRecordSchema.index({ kind: 1, source: 1, key: 1 }, { unique: true });
+quarantinedRecordSchema.index({ status: 1, lastSeenAt: -1 });
+
+const QuarantinedRecord = mongoose.model(
+  "QuarantinedRecord",
+  quarantinedRecordSchema,
+  "quarantinedrecords",
+);
+
+export default QuarantinedRecord;
@@ -0,0 +1,64 @@
+// ? Keep invalid scraped records out of the contest and hackathon collections
+
+import { createHash } from "crypto";
+import QuarantinedRecord from "../models/QuarantinedRecord.js";
+import { validateRecord } from "./recordValidation.js";
+
+//* Stable key for a record, so repeated syncs update one quarantine entry
+function recordKey (record) {
+  const vanity = record?.vanity;
+  if (vanity !== undefined && vanity !== null && String(vanity).trim()) {
+    return String(vanity).toLowerCase();
+  }
+  return createHash("sha1")
+    .update(JSON.stringify(record ?? null))
+    .digest("hex");
+}
+
+//* Store (or refresh) a quarantine entry for an invalid record
+async function quarantineRecord (kind, source, record, validationErrors) {
+  await QuarantinedRecord.updateOne(
+    { kind, source: String(source).toLowerCase(), key: recordKey(record) },
+    {
+      // Entries that were already discarded or fixed keep their status
+      $set: { payload: record ?? {}, validationErrors, lastSeenAt: new Date() },
+      $setOnInsert: { status: "pending" },
+      $inc: { occurrences: 1 },
+    },
+    { upsert: true },
+  );
+}
+
+//* Split fetched records into valid ones and quarantined ones
+// Resolves with the valid records; invalid records never reach the caller.
+async function screenRecords (kind, source, records) {
+  if (!Array.isArray(records)) {
+    console.log(`Expected a list of ${kind}s from ${source}, got ${typeof records}`);
+    return [];
+  }
+
+  const valid = [];
+  let quarantined = 0;
+
+  for (const record of records) {
+    const errors = validateRecord(kind, record);
+    if (errors.length === 0) {
+      valid.push(record);
+      continue;
+    }
+
+    quarantined++;
+    try {
+      await quarantineRecord(kind, source, record, errors);
+    } catch (err) {
+      console.log(`Error quarantining ${kind} from ${source}:`, err.message);
+    }
+  }
+
+  if (quarantined > 0) {
+    console.log(`Quarantined ${quarantined} invalid ${kind}(s) from ${source}`);
+  }
+  return valid;
+}
+
+export { recordKey, quarantineRecord, screenRecords };
@@ -0,0 +1,104 @@
+// ? Schemas every scraped record must pass before it is stored
+
+// Anything before this is a parsing bug, not a real event
+const EARLIEST_UNIX = Date.UTC(2000, 0, 1) / 1000;
+const MAX_DURATION_MINUTES = 366 * 24 * 60;
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+//* Field checks; each returns an error message or null
+const rules = {
+  text: (value) => (isNonEmptyString(value) ? null : "must be a non-empty string"),
+  id: (value) =>
+    isNonEmptyString(value) || (Number.isInteger(value) && value >= 0)
+      ? null
+      : "must be a non-empty string or id number",
+  url: (value) => {
+    try {
+      const { protocol } = new URL(value);
+      return protocol === "http:" || protocol === "https:"
+        ? null
+        : "must be an http(s) URL";
+    } catch (err) {
+      return "must be an http(s) URL";
+    }
+  },
+  unixTime: (value) => {
+    if (!Number.isInteger(value)) return "must be a whole number of seconds";
+    return value >= EARLIEST_UNIX ? null : "is not a plausible timestamp";
+  },
+  minutes: (value) => {
+    if (!Number.isInteger(value)) return "must be a whole number of minutes";
+    return value > 0 && value <= MAX_DURATION_MINUTES
+      ? null
+      : `must be between 1 and ${MAX_DURATION_MINUTES} minutes`;
+  },
+};
+
+const RECORD_SCHEMAS = {
+  contest: {
+    fields: {
+      host: rules.text,
+      name: rules.text,
+      vanity: rules.id,
+      url: rules.url,
+      startTimeUnix: rules.unixTime,
+      duration: rules.minutes,
+    },
+  },
+  hackathon: {
+    fields: {
+      host: rules.text,
+      name: rules.text,
+      vanity: rules.id,
+      url: rules.url,
+      registerationStartTimeUnix: rules.unixTime,
+      registerationEndTimeUnix: rules.unixTime,
+      hackathonStartTimeUnix: rules.unixTime,
+      duration: rules.minutes,
+    },
+    checks: [
+      (record) =>
+        record.registerationEndTimeUnix < record.registerationStartTimeUnix
+          ? {
+              field: "registerationEndTimeUnix",
+              message: "must not be before registerationStartTimeUnix",
+            }
+          : null,
+    ],
+  },
+};
+
+const RECORD_KINDS = Object.keys(RECORD_SCHEMAS);
+
+//* Validate a record of the given kind
+// Returns a list of { field, message }; an empty list means the record is valid.
+function validateRecord (kind, record) {
+  const schema = RECORD_SCHEMAS[kind];
+  if (!schema) throw new Error(`Unknown record kind "${kind}"`);
+
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return [{ field: null, message: "must be an object" }];
+  }
+
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    const value = record[field];
+    const message =
+      value === undefined || value === null ? "is required" : rule(value);
+    if (message) errors.push({ field, message });
+  }
+
+  // Cross-field checks only make sense once every field is well formed
+  if (errors.length === 0) {
+    (schema.checks || []).forEach((check) => {
+      const error = check(record);
+      if (error) errors.push(error);
+    });
+  }
+
+  return errors;
+}
+
+export { RECORD_KINDS, validateRecord };
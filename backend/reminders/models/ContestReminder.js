@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Reminders older than this are dropped by MongoDB
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+//* One reminder for one user, contest start time and offset
+// Creating the document claims the send, so a reminder goes out at most once
+// even with several instances running the scheduler.
+const contestReminderSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    host: {
+      type: String,
+      lowercase: true,
+      required: [true, "Host is required."],
+    },
+    vanity: {
+      type: String,
+      lowercase: true,
+      required: [true, "Vanity is required."],
+    },
+    // Part of the key: a rescheduled contest gets a fresh set of reminders
+    startTimeUnix: {
+      type: Number,
+      required: [true, "Start time is required."],
+    },
+    offsetMinutes: {
+      type: Number,
+      required: [true, "Offset is required."],
+    },
+    // skipped: a closer reminder was already due, or the user has no channel
+    // deferred: held back by quiet hours, see notifications/services/deferred.js
+    status: {
+      type: String,
+      enum: ["pending", "sent", "deferred", "skipped", "failed"],
+      default: "pending",
+    },
+    // Notification channels that delivered it
+    channels: [String],
+    sentAt: Date,
+    error: String,
+  },
+  { timestamps: true },
+);
+
+contestReminderSchema.index(
+  { uid: 1, host: 1, vanity: 1, startTimeUnix: 1, offsetMinutes: 1 },
+  { unique: true },
+);
+contestReminderSchema.index({ host: 1, vanity: 1, startTimeUnix: 1 });
+contestReminderSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: HISTORY_TTL_SECONDS },
+);
+
+const ContestReminder = mongoose.model(
+  "ContestReminder",
+  contestReminderSchema,
+  "contestreminders",
+);
+
+export default ContestReminder;
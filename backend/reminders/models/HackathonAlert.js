@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Alerts older than this are dropped by MongoDB
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+//* A "registration closes soon" alert for one user and hackathon
+// Like contest reminders, creating the document claims the send. The deadline
+// is part of the key, so an extended registration gets a new alert.
+const hackathonAlertSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    host: {
+      type: String,
+      lowercase: true,
+      required: [true, "Host is required."],
+    },
+    vanity: {
+      type: String,
+      lowercase: true,
+      required: [true, "Vanity is required."],
+    },
+    registerationEndTimeUnix: {
+      type: Number,
+      required: [true, "Registration end time is required."],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "sent", "deferred", "skipped", "failed"],
+      default: "pending",
+    },
+    channels: [String],
+    sentAt: Date,
+    error: String,
+  },
+  { timestamps: true },
+);
+
+hackathonAlertSchema.index(
+  { uid: 1, host: 1, vanity: 1, registerationEndTimeUnix: 1 },
+  { unique: true },
+);
+hackathonAlertSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: HISTORY_TTL_SECONDS },
+);
+
+const HackathonAlert = mongoose.model(
+  "HackathonAlert",
+  hackathonAlertSchema,
+  "hackathonalerts",
+);
+
+export default HackathonAlert;
@@ -0,0 +1,64 @@
+// ? Contest change alerts
+// Users already reminded about a contest hear right away when the sync
+// moves or renames it, instead of only with the next reminder.
+
+import ContestReminder from "../models/ContestReminder.js";
+import User from "../../users/models/User.js";
+import { contestEvents, CONTEST_CHANGED } from "../../contest/services/contestEvents.js";
+import { notify } from "../../notifications/services/notify.js";
+import { contestChangeEvent } from "./reminderEvent.js";
+
+// A new url or duration is left to the next reminder
+const ALERT_FIELDS = ["startTimeUnix", "name"];
+
+//* Tell the users reminded about a contest of its new time or name
+// Resolves with how many users were told.
+async function alertContestChange ({ contest, changes }, nowUnix = Math.floor(Date.now() / 1000)) {
+  const relevant = changes.filter(({ field }) => ALERT_FIELDS.includes(field));
+  if (relevant.length === 0 || contest.startTimeUnix <= nowUnix) return 0;
+
+  const uids = await ContestReminder.distinct("uid", {
+    host: contest.host,
+    vanity: contest.vanity,
+    status: { $in: ["sent", "deferred"] },
+  });
+  if (uids.length === 0) return 0;
+
+  const users = await User.find({ uid: { $in: uids } })
+    .select("uid name email preferences notifications")
+    .lean();
+
+  let told = 0;
+  for (const user of users) {
+    try {
+      const { delivered, deferredUntil } = await notify(
+        user,
+        contestChangeEvent(contest, relevant, user),
+        {
+          expiresAt: new Date(contest.startTimeUnix * 1000),
+          // A contest moved twice during quiet hours needs one message
+          collapseKey: `contest.change:${contest.host}/${contest.vanity}`,
+        },
+      );
+      if (delivered.length > 0 || deferredUntil) told++;
+    } catch (err) {
+      console.error(`Error alerting ${user.uid} of a change to ${contest.host}/${contest.vanity}:`, err.message);
+    }
+  }
+
+  if (told > 0) {
+    console.log(`Contest change alerts: ${told} sent for ${contest.host}/${contest.vanity}`);
+  }
+  return told;
+}
+
+//* Subscribe to contest changes; called once at startup
+function listenForContestChanges () {
+  contestEvents.on(CONTEST_CHANGED, (change) => {
+    alertContestChange(change).catch((err) => {
+      console.error("Error sending contest change alerts:", err.message);
+    });
+  });
+}
+
+export { alertContestChange, listenForContestChanges };
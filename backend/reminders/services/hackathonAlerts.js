@@ -0,0 +1,76 @@
+// ? Hackathon deadline alerts
+// Users who added a hackathon to their calendar hear about it once more,
+// a day before its registration closes.
+
+import HackathonAlert from "../models/HackathonAlert.js";
+import User from "../../users/models/User.js";
+import { Hackathon } from "../../hackathons/models/Hackathon.js";
+import { notify } from "../../notifications/services/notify.js";
+import { hackathonDeadlineEvent } from "./reminderEvent.js";
+
+const ALERT_BEFORE_MINUTES = 24 * 60;
+
+//* Alert everyone following a hackathon whose registration closes within a day
+// Resolves with how many alerts were sent, skipped or failed.
+async function sendHackathonDeadlineAlerts (nowUnix = Math.floor(Date.now() / 1000)) {
+  const totals = { sent: 0, deferred: 0, skipped: 0, failed: 0 };
+  const hackathons = await Hackathon.find({
+    registerationEndTimeUnix: {
+      $gt: nowUnix,
+      $lte: nowUnix + ALERT_BEFORE_MINUTES * 60,
+    },
+  })
+    .select("host vanity name url registerationEndTimeUnix")
+    .lean();
+
+  for (const hackathon of hackathons) {
+    const key = {
+      host: hackathon.host,
+      vanity: hackathon.vanity,
+      registerationEndTimeUnix: hackathon.registerationEndTimeUnix,
+    };
+    const users = await User.find({
+      "calendar.hackathons": { $elemMatch: { host: hackathon.host, vanity: hackathon.vanity } },
+    })
+      .select("uid name email preferences notifications")
+      .lean();
+
+    for (const user of users) {
+      let alert;
+      try {
+        alert = await HackathonAlert.create({ ...key, uid: user.uid });
+      } catch (err) {
+        // Already alerted, possibly by another instance
+        if (err.code === 11000) continue;
+        throw err;
+      }
+
+      const { delivered, failed, deferredUntil } = await notify(
+        user,
+        hackathonDeadlineEvent(hackathon, {
+          closesInMinutes: Math.ceil((hackathon.registerationEndTimeUnix - nowUnix) / 60),
+          user,
+        }),
+        // Held back by quiet hours, it's of no use once registration closed
+        { expiresAt: new Date(hackathon.registerationEndTimeUnix * 1000) },
+      );
+
+      let status = "sent";
+      if (deferredUntil) status = "deferred";
+      else if (delivered.length === 0) status = failed.length > 0 ? "failed" : "skipped";
+      const update = { status, channels: delivered, sentAt: new Date() };
+      if (failed.length > 0) {
+        update.error = failed.map(({ channel, error }) => `${channel}: ${error}`).join("; ");
+      }
+      await HackathonAlert.updateOne({ _id: alert._id }, { $set: update });
+      totals[status]++;
+    }
+  }
+
+  if (totals.sent + totals.failed > 0) {
+    console.log(`Hackathon alerts: ${totals.sent} sent, ${totals.failed} failed`);
+  }
+  return totals;
+}
+
+export { sendHackathonDeadlineAlerts };
@@ -0,0 +1,77 @@
+// ? Contest reminders and hackathon alerts as notification events
+// Times are written in the recipient's timezone and clock (core/userTime.js).
+
+import { formatUserTime } from "../../core/userTime.js";
+
+//* 125 -> "2 hours 5 minutes"
+function formatDuration (durationInMinutes) {
+  const hours = Math.floor(durationInMinutes / 60);
+  const minutes = durationInMinutes % 60;
+  return `${hours} hours ${minutes} minutes`;
+}
+
+//* Contest details as Novu's contest-alert workflow expects them
+// Without a user (topic-wide alerts) time uses the defaults; startTimeUnix
+// lets templates render it for each subscriber.
+function contestAlertPayload (contest, user) {
+  return {
+    name: contest.name,
+    host: contest.host,
+    vanity: contest.vanity,
+    time: formatUserTime(contest.startTimeUnix, user),
+    startTimeUnix: contest.startTimeUnix,
+    duration: formatDuration(contest.duration),
+    url: contest.url,
+  };
+}
+
+//* "in 2 hours", "in 10 minutes"
+function formatIn (minutes) {
+  if (minutes >= 120) return `in ${Math.round(minutes / 60)} hours`;
+  if (minutes >= 60) return "in 1 hour";
+  return `in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+//* Event for notify(); the contest-alert workflow renders the email
+function contestReminderEvent (contest, { startsInMinutes, rescheduled, user }) {
+  const alert = contestAlertPayload(contest, user);
+  return {
+    type: "contest.reminder",
+    title: `${contest.name} starts ${formatIn(startsInMinutes)}`,
+    body: rescheduled
+      ? `Rescheduled: ${contest.name} on ${contest.host} now starts ${alert.time} and runs ${alert.duration}.`
+      : `${contest.name} on ${contest.host} starts ${alert.time} and runs ${alert.duration}.`,
+    url: contest.url,
+    workflow: "contest-alert",
+    payload: { contest: alert, startsInMinutes, rescheduled },
+  };
+}
+
+//* Event for a contest moved or renamed after users were reminded of it
+function contestChangeEvent (contest, changes, user) {
+  const moved = changes.some(({ field }) => field === "startTimeUnix");
+  const renamed = changes.find(({ field }) => field === "name");
+  const oldName = renamed ? renamed.from : contest.name;
+  const news = [];
+  if (renamed) news.push(`is now called ${contest.name}`);
+  if (moved) news.push(`now starts ${formatUserTime(contest.startTimeUnix, user)}`);
+  return {
+    type: "contest.change",
+    title: `${oldName} was ${moved ? "rescheduled" : "renamed"}`,
+    body: `${oldName} on ${contest.host} ${news.join(" and ")}.`,
+    url: contest.url,
+  };
+}
+
+//* Event for a hackathon whose registration closes soon
+function hackathonDeadlineEvent (hackathon, { closesInMinutes, user }) {
+  const closesAt = formatUserTime(hackathon.registerationEndTimeUnix, user);
+  return {
+    type: "hackathon.deadline",
+    title: `Registration for ${hackathon.name} closes ${formatIn(closesInMinutes)}`,
+    body: `Registration for ${hackathon.name} on ${hackathon.host} closes ${closesAt}.`,
+    url: hackathon.url,
+  };
+}
+
+export { contestAlertPayload, contestReminderEvent, contestChangeEvent, hackathonDeadlineEvent };
@@ -0,0 +1,166 @@
+// ? Contest reminders
+// Each run looks at contests starting within the largest allowed offset and
+// sends every user following the contest's platform the reminder that has
+// come due. Reminders are keyed by the contest's start time, so a rescheduled
+// contest gets a new set and the user is told it moved.
+
+import ContestReminder from "../models/ContestReminder.js";
+import User from "../../users/models/User.js";
+import { Contest } from "../../contest/models/Contest.js";
+import { notify } from "../../notifications/services/notify.js";
+import { contestReminderEvent } from "./reminderEvent.js";
+
+// 1 day, 1 hour and 10 minutes before the start
+const DEFAULT_OFFSETS = [1440, 60, 10];
+const MAX_OFFSETS = 5;
+const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+
+//* Validate offsets sent by a user; resolves to { offsets } or { error }
+function parseReminderOffsets (value) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_OFFSETS) {
+    return { error: `Choose between 1 and ${MAX_OFFSETS} reminder times` };
+  }
+  if (
+    value.some(
+      (offset) =>
+        !Number.isInteger(offset) || offset < 1 || offset > MAX_OFFSET_MINUTES,
+    )
+  ) {
+    return {
+      error: `Reminder times must be whole minutes between 1 and ${MAX_OFFSET_MINUTES}`,
+    };
+  }
+  return { offsets: [...new Set(value)].sort((a, b) => b - a) };
+}
+
+//* A user's reminder offsets in minutes, largest first
+function userOffsets (user) {
+  const offsets = user.preferences?.reminder_offsets;
+  return offsets?.length ? [...offsets].sort((a, b) => b - a) : DEFAULT_OFFSETS;
+}
+
+//* Offsets whose reminder time has passed, largest first
+function dueOffsets (offsets, startTimeUnix, nowUnix) {
+  return offsets.filter((offset) => startTimeUnix - offset * 60 <= nowUnix);
+}
+
+const isDuplicateKey = (err) =>
+  err.code === 11000 || err.writeErrors?.every((e) => e.code === 11000);
+
+//* Send the due reminders for one contest
+async function remindContest (contest, nowUnix) {
+  const counts = { sent: 0, deferred: 0, skipped: 0, failed: 0 };
+  const users = await User.find({
+    [`preferences.contest_notifs.${contest.host}`]: true,
+  })
+    .select("uid name email preferences notifications")
+    .lean();
+  if (users.length === 0) return counts;
+
+  const key = { host: contest.host, vanity: contest.vanity };
+  const previous = await ContestReminder.find(key)
+    .select("uid startTimeUnix offsetMinutes status")
+    .lean();
+  const claimed = new Set(
+    previous
+      .filter((reminder) => reminder.startTimeUnix === contest.startTimeUnix)
+      .map((reminder) => `${reminder.uid}:${reminder.offsetMinutes}`),
+  );
+  // Users reminded about an earlier start time need to hear it moved
+  const remindedOfOldTime = new Set(
+    previous
+      .filter(
+        (reminder) =>
+          reminder.startTimeUnix !== contest.startTimeUnix &&
+          ["sent", "deferred"].includes(reminder.status),
+      )
+      .map((reminder) => reminder.uid),
+  );
+
+  for (const user of users) {
+    const due = dueOffsets(userOffsets(user), contest.startTimeUnix, nowUnix);
+    const closest = due[due.length - 1];
+    // Only the reminder closest to the start goes out; earlier ones were missed
+    if (closest === undefined || claimed.has(`${user.uid}:${closest}`)) continue;
+
+    const reminderKey = { ...key, uid: user.uid, startTimeUnix: contest.startTimeUnix };
+    let reminder;
+    try {
+      reminder = await ContestReminder.create({ ...reminderKey, offsetMinutes: closest });
+    } catch (err) {
+      // Another instance claimed it first
+      if (isDuplicateKey(err)) continue;
+      throw err;
+    }
+
+    const missed = due
+      .slice(0, -1)
+      .filter((offset) => !claimed.has(`${user.uid}:${offset}`));
+    if (missed.length > 0) {
+      try {
+        await ContestReminder.insertMany(
+          missed.map((offset) => ({ ...reminderKey, offsetMinutes: offset, status: "skipped" })),
+          { ordered: false },
+        );
+      } catch (err) {
+        if (!isDuplicateKey(err)) throw err;
+      }
+      counts.skipped += missed.length;
+    }
+
+    const event = contestReminderEvent(contest, {
+      startsInMinutes: Math.ceil((contest.startTimeUnix - nowUnix) / 60),
+      rescheduled: remindedOfOldTime.has(user.uid),
+      user,
+    });
+    const { delivered, failed, deferredUntil } = await notify(user, event, {
+      // Held back by quiet hours, only the closest reminder before the start is sent
+      expiresAt: new Date(contest.startTimeUnix * 1000),
+      collapseKey: `contest.reminder:${contest.host}/${contest.vanity}`,
+    });
+    failed.forEach(({ channel, error }) =>
+      console.log(`Reminder for ${contest.host}/${contest.vanity} to ${user.uid} failed on ${channel}: ${error}`),
+    );
+
+    let status = "sent";
+    if (deferredUntil) status = "deferred";
+    else if (delivered.length === 0) status = failed.length > 0 ? "failed" : "skipped";
+    const update = { status, channels: delivered, sentAt: new Date() };
+    if (failed.length > 0) {
+      update.error = failed.map(({ channel, error }) => `${channel}: ${error}`).join("; ");
+    }
+    await ContestReminder.updateOne({ _id: reminder._id }, { $set: update });
+    counts[status]++;
+  }
+
+  return counts;
+}
+
+//* Send every reminder that is due at nowUnix (seconds)
+// Resolves with how many reminders were sent, skipped or failed.
+async function sendDueReminders (nowUnix = Math.floor(Date.now() / 1000)) {
+  const contests = await Contest.find({
+    startTimeUnix: { $gt: nowUnix, $lte: nowUnix + MAX_OFFSET_MINUTES * 60 },
+  })
+    .select("host vanity name url startTimeUnix duration")
+    .lean();
+
+  const totals = { sent: 0, deferred: 0, skipped: 0, failed: 0 };
+  for (const contest of contests) {
+    const counts = await remindContest(contest, nowUnix);
+    Object.keys(totals).forEach((key) => { totals[key] += counts[key]; });
+  }
+
+  if (totals.sent + totals.failed > 0) {
+    console.log(`Contest reminders: ${totals.sent} sent, ${totals.failed} failed`);
+  }
+  return totals;
+}
+
+export {
+  DEFAULT_OFFSETS,
+  parseReminderOffsets,
+  userOffsets,
+  dueOffsets,
+  sendDueReminders,
+};
@@ -0,0 +1,103 @@
+// ? Contest and hackathon calendar feeds
+
+import { Contest } from "../../contest/models/Contest.js";
+import { Hackathon } from "../../hackathons/models/Hackathon.js";
+import { formatUserTime } from "../../core/userTime.js";
+
+// Past entries stay in the feed for a while so they don't vanish from calendars
+const RECENT_DAYS = 30;
+const UID_DOMAIN = "digitomize.com";
+
+function recentCutoff () {
+  return Math.floor(Date.now() / 1000) - RECENT_DAYS * 24 * 60 * 60;
+}
+
+function toUnix (date) {
+  return date ? Math.floor(new Date(date).getTime() / 1000) : undefined;
+}
+
+//* "Starts: Mon, Jan 1, 9:30 PM GMT+5:30\n" in a personal feed's timezone
+// Public feeds leave the time to the calendar app.
+function localTimeLine (label, unixSeconds, user) {
+  return user ? `${label}: ${formatUserTime(unixSeconds, user)}\n` : "";
+}
+
+//* One event per contest, keyed by host + vanity
+function contestToEvent (contest, user) {
+  return {
+    uid: `contest-${contest.host}-${contest.vanity}@${UID_DOMAIN}`,
+    start: contest.startTimeUnix,
+    end: contest.startTimeUnix + contest.duration * 60,
+    lastModified: toUnix(contest.updatedAt),
+    sequence: contest.changeHistory?.length || 0,
+    summary: contest.name,
+    description: `${localTimeLine("Starts", contest.startTimeUnix, user)}Host: ${contest.host}\nDuration: ${contest.duration} minutes\nContest URL: ${contest.url}`,
+    url: contest.url,
+    categories: ["Contest", contest.host],
+  };
+}
+
+//* A registration deadline and an event start per hackathon
+function hackathonToEvents (hackathon, user) {
+  const base = `hackathon-${hackathon.host}-${hackathon.vanity}`;
+  const shared = {
+    lastModified: toUnix(hackathon.updatedAt),
+    url: hackathon.url,
+    categories: ["Hackathon", hackathon.host],
+  };
+
+  return [
+    {
+      ...shared,
+      uid: `${base}-registration@${UID_DOMAIN}`,
+      start: hackathon.registerationEndTimeUnix,
+      summary: `Registration closes: ${hackathon.name}`,
+      description: `${localTimeLine("Closes", hackathon.registerationEndTimeUnix, user)}Last day to register for ${hackathon.name} on ${hackathon.host}\nHackathon URL: ${hackathon.url}`,
+    },
+    {
+      ...shared,
+      uid: `${base}-start@${UID_DOMAIN}`,
+      start: hackathon.hackathonStartTimeUnix,
+      end: hackathon.hackathonStartTimeUnix + hackathon.duration * 60,
+      summary: hackathon.name,
+      description: `${localTimeLine("Starts", hackathon.hackathonStartTimeUnix, user)}Host: ${hackathon.host}\nDuration: ${hackathon.duration} minutes\nHackathon URL: ${hackathon.url}`,
+    },
+  ];
+}
+
+//* Upcoming and recent contests
+// Narrowed to some hosts, or to specific { host, vanity } keys. With a user,
+// descriptions include the times in their timezone.
+async function getContestEvents ({ hosts, keys, user } = {}) {
+  if (keys?.length === 0) return [];
+
+  const query = { startTimeUnix: { $gte: recentCutoff() } };
+  if (hosts) query.host = { $in: hosts };
+  if (keys) query.$or = keys.map(({ host, vanity }) => ({ host, vanity }));
+
+  const contests = await Contest.find(query)
+    .select("+changeHistory")
+    .sort({ startTimeUnix: 1 })
+    .lean();
+  return contests.map((contest) => contestToEvent(contest, user));
+}
+
+//* Upcoming and recent hackathons, optionally only specific { host, vanity } keys
+async function getHackathonEvents ({ keys, user } = {}) {
+  if (keys?.length === 0) return [];
+
+  const query = { hackathonStartTimeUnix: { $gte: recentCutoff() } };
+  if (keys) query.$or = keys.map(({ host, vanity }) => ({ host, vanity }));
+
+  const hackathons = await Hackathon.find(query)
+    .sort({ hackathonStartTimeUnix: 1 })
+    .lean();
+  return hackathons.flatMap((hackathon) => hackathonToEvents(hackathon, user));
+}
+
+export {
+  contestToEvent,
+  hackathonToEvents,
+  getContestEvents,
+  getHackathonEvents,
+};
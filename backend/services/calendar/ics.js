@@ -0,0 +1,103 @@
+// ? Minimal RFC 5545 (iCalendar) writer
+
+const PRODUCT_ID = "-//digitomize//Contest Calendar//EN";
+const MAX_LINE_OCTETS = 75;
+
+//* Unix seconds to the UTC form used by DTSTART/DTEND, e.g. 20240101T093000Z
+function formatDateTime (unixSeconds) {
+  return new Date(unixSeconds * 1000)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+//* Escape TEXT values (RFC 5545 section 3.3.11)
+function escapeText (value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+//* Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine (line) {
+  const chunks = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join("\r\n ");
+}
+
+//* Build the lines of one VEVENT
+// uid must stay the same across syncs so calendar apps update the event in
+// place; sequence should grow whenever the event changes.
+function buildEvent (event, stamp) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+  ];
+
+  if (event.end) lines.push(`DTEND:${formatDateTime(event.end)}`);
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.categories?.length) {
+    lines.push(`CATEGORIES:${event.categories.map(escapeText).join(",")}`);
+  }
+  lines.push("END:VEVENT");
+
+  return lines;
+}
+
+//* Build a complete VCALENDAR document
+function buildCalendar ({ name, events }, now = Date.now()) {
+  const stamp = formatDateTime(Math.floor(now / 1000));
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "X-PUBLISHED-TTL:PT1H",
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    ...events.flatMap((event) => buildEvent(event, stamp)),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+//* Send a calendar as a subscribable .ics response
+function sendCalendar (res, calendar, filename) {
+  res.set({
+    "Content-Type": "text/calendar; charset=utf-8",
+    "Content-Disposition": `inline; filename="${filename}"`,
+  });
+  res.status(200).send(buildCalendar(calendar));
+}
+
+export { buildCalendar, escapeText, foldLine, formatDateTime, sendCalendar };
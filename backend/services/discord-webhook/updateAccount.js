@@ -2,6 +2,7 @@
 import { EmbedBuilder, WebhookClient } from "discord.js";
 import dotenv from "dotenv";
 import { sendErrorLog } from "./error.js";
+import { getPlatforms } from "../../users/services/platformRegistry.js";
 
 dotenv.config();
 
@@ -85,27 +86,12 @@ function createEmbeds (titlePrefix, username, image, data) {
       inline: true,
     },
     { name: "github", value: safeString(data?.github?.data), inline: true },
-    {
-      name: "codechef",
-      value: safeString(
-        data?.codechef ? formatCodechef(data.codechef) : "Not Available",
-      ),
-      inline: true,
-    },
-    {
-      name: "leetcode",
-      value: safeString(
-        data?.leetcode ? formatLeetCode(data.leetcode) : "Not Available",
-      ),
-      inline: true,
-    },
-    {
-      name: "codeforces",
-      value: safeString(
-        data?.codeforces ? formatCodeforces(data.codeforces) : "Not Available",
-      ),
+    // Linked accounts, keyed by platform id on the data
+    ...getPlatforms().map(({ id }) => ({
+      name: id,
+      value: safeString(data?.[id] ? formatAccount(data[id]) : "Not Available"),
       inline: true,
-    },
+    })),
     {
       name: "digitomize_rating",
       value: safeString(data?.digitomize_rating),
@@ -126,22 +112,10 @@ function createEmbeds (titlePrefix, username, image, data) {
   return embeds;
 }
 
-function formatCodechef (codechefData) {
-  return `${codechefData?.username} - Rating: ${
-    codechefData?.rating ?? "Not Available"
-  } - Badge: ${codechefData?.badge ?? "Not Available"}`;
-}
-
-function formatLeetCode (leetcodeData) {
-  return `${leetcodeData?.username} - Rating: ${
-    leetcodeData?.rating ?? "Not Available"
-  } - Badge: ${leetcodeData?.badge ?? "Not Available"}`;
-}
-
-function formatCodeforces (codeforcesData) {
-  return `${codeforcesData?.username} - Rating: ${
-    codeforcesData?.rating ?? "Not Available"
-  } - Badge: ${codeforcesData?.badge ?? "Not Available"}`;
+function formatAccount (accountData) {
+  return `${accountData?.username} - Rating: ${
+    accountData?.rating ?? "Not Available"
+  } - Badge: ${accountData?.badge ?? "Not Available"}`;
 }
 
 export { sendWebhook_updateAccount };
@@ -0,0 +1,44 @@
+// ? SMTP transport for the emails we render ourselves (e.g. the digest)
+// Any SMTP server works, including a local sink such as MailHog or Mailpit.
+
+import nodemailer from "nodemailer";
+
+const DEFAULT_FROM = "digitomize <digest@digitomize.com>";
+
+let transport = null;
+
+function isSmtpConfigured () {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+//* The transport is created on first use, so env changes before that count
+function getTransport () {
+  if (!transport) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transport;
+}
+
+//* Send one email; message: { to, subject, html, text, headers }
+async function sendMail (message) {
+  if (!isSmtpConfigured()) throw new Error("SMTP_HOST is not set");
+  return getTransport().sendMail({
+    from: process.env.SMTP_FROM || DEFAULT_FROM,
+    ...message,
+  });
+}
+
+//* Forget the transport (used by tests)
+function resetTransport () {
+  transport = null;
+}
+
+export { isSmtpConfigured, sendMail, resetTransport };
@@ -0,0 +1,36 @@
+// ? Local HTML email templates
+// {{name}} inserts an escaped value, {{{name}}} inserts trusted HTML such as a
+// rendered partial. Templates live in services/email/templates/<name>.html.
+
+import { readFileSync } from "fs";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const TEMPLATE_DIR = join(dirname(fileURLToPath(import.meta.url)), "templates");
+
+const templates = new Map();
+
+function escapeHtml (value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function loadTemplate (name) {
+  if (!templates.has(name)) {
+    templates.set(name, readFileSync(join(TEMPLATE_DIR, `${name}.html`), "utf8"));
+  }
+  return templates.get(name);
+}
+
+//* Render a template; unknown placeholders become empty strings
+function renderTemplate (name, values = {}) {
+  return loadTemplate(name)
+    .replace(/\{\{\{\s*(\w+)\s*\}\}\}/g, (match, key) => String(values[key] ?? ""))
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => escapeHtml(values[key]));
+}
+
+export { renderTemplate, escapeHtml };
@@ -0,0 +1,129 @@
+// ? Sync health for admins: latest run per source, history and manual re-runs
+
+import contestSyncer from "../../contest/controllers/DataSyncController.js";
+import {
+  getContestSources,
+  isContestSourceEnabled,
+} from "../../contest/services/sourceRegistry.js";
+import hackathonSyncer, {
+  HACKATHON_SOURCES,
+} from "../../hackathons/controllers/hackathonApiSyncController.js";
+import {
+  getLatestRuns,
+  getRecentRuns,
+  isSyncRunning,
+} from "../services/syncRuns.js";
+
+// A source is stale once it has missed this many scheduled runs
+const STALE_AFTER_INTERVALS = 2;
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+
+//* Every source an admin can see or re-run
+function listSources () {
+  return [
+    ...getContestSources().map((source) => ({
+      kind: "contest",
+      id: source.id,
+      name: source.name,
+      enabled: isContestSourceEnabled(source),
+      intervalMinutes: source.schedule.intervalMinutes,
+      sync: () => contestSyncer.syncContests([source.id], "manual"),
+    })),
+    ...HACKATHON_SOURCES.map((source) => ({
+      kind: "hackathon",
+      id: source.id,
+      name: source.name,
+      enabled: true,
+      intervalMinutes: source.schedule.intervalMinutes,
+      sync: () => hackathonSyncer.syncHackathons([source.id], "manual"),
+    })),
+  ];
+}
+
+const internalError = (res) =>
+  res.status(500).json({
+    error: "Internal server error",
+    message: "Internal server error",
+  });
+
+//* GET /admin/sync/status
+const getSyncStatus = async (req, res) => {
+  try {
+    const latestRuns = await getLatestRuns();
+    const now = Date.now();
+
+    const results = listSources().map(({ sync, ...source }) => {
+      const { lastRun = null, lastSuccessAt = null } =
+        latestRuns.get(`${source.kind}:${source.id}`) || {};
+      const staleAfterMs =
+        source.intervalMinutes * STALE_AFTER_INTERVALS * 60 * 1000;
+
+      return {
+        ...source,
+        running: isSyncRunning(source.kind, source.id),
+        stale:
+          source.enabled &&
+          (!lastSuccessAt || now - new Date(lastSuccessAt) > staleAfterMs),
+        lastSuccessAt,
+        lastRun,
+      };
+    });
+
+    res.status(200).json({ results });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+//* GET /admin/sync/runs?source=&limit=20
+const getSyncRuns = async (req, res) => {
+  try {
+    const limit =
+      req.query.limit === undefined ? DEFAULT_RUNS_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RUNS_LIMIT) {
+      return res.status(400).json({
+        error: "Invalid query",
+        message: `limit must be an integer between 1 and ${MAX_RUNS_LIMIT}`,
+      });
+    }
+
+    const source = req.query.source?.toLowerCase();
+    const results = await getRecentRuns({ source, limit });
+    res.status(200).json({ results });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+//* POST /admin/sync/run?source=codeforces
+// Starts the sync and answers straight away; progress shows up in the status.
+const runSync = async (req, res) => {
+  try {
+    const id = req.query.source?.toLowerCase();
+    const source = listSources().find((candidate) => candidate.id === id);
+
+    if (!source) {
+      return res.status(400).json({
+        error: "Invalid query",
+        message: `source must be one of ${listSources().map((s) => s.id).join(", ")}`,
+      });
+    }
+    if (!source.enabled) {
+      return res.status(409).json({ message: `${source.name} is disabled` });
+    }
+    if (isSyncRunning(source.kind, source.id)) {
+      return res.status(409).json({ message: `${source.name} is already syncing` });
+    }
+
+    source.sync();
+    res.status(202).json({ message: `Sync started for ${source.name}`, source: source.id });
+  } catch (err) {
+    console.log("Error:", err);
+    internalError(res);
+  }
+};
+
+export { getSyncStatus, getSyncRuns, runSync };
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// Runs older than this are dropped by MongoDB
+const HISTORY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+//* One sync of one source
+const syncRunSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ["contest", "hackathon"],
+    required: [true, "Kind is required."],
+  },
+  source: {
+    type: String,
+    lowercase: true,
+    required: [true, "Source is required."],
+  },
+  trigger: {
+    type: String,
+    enum: ["schedule", "manual"],
+    default: "schedule",
+  },
+  status: {
+    type: String,
+    enum: ["running", "success", "failed"],
+    default: "running",
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  counts: {
+    fetched: { type: Number, default: 0 },
+    new: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+  },
+  error: String,
+});
+
+syncRunSchema.index({ kind: 1, source: 1, startedAt: -1 });
+syncRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: HISTORY_TTL_SECONDS },
+);
+
+const SyncRun = mongoose.model("SyncRun", syncRunSchema, "syncruns");
+
+export default SyncRun;
@@ -0,0 +1,98 @@
+// ? Record every sync of every source, so a broken scraper shows up as data
+
+import SyncRun from "../models/SyncRun.js";
+
+// Sources with a run in progress in this process
+const runningSyncs = new Set();
+const runKey = (kind, source) => `${kind}:${source}`;
+
+function isSyncRunning (kind, source) {
+  return runningSyncs.has(runKey(kind, source));
+}
+
+//* Run one source's sync and store how it went
+// `run` resolves with the item counts ({ fetched, new, updated, unchanged,
+// invalid }). Its result or error is passed on to the caller unchanged;
+// failing to write the history never fails the sync itself.
+async function recordSyncRun ({ kind, source, trigger = "schedule" }, run) {
+  const key = runKey(kind, source);
+  const startedAt = new Date();
+  runningSyncs.add(key);
+
+  let entry = null;
+  try {
+    entry = await SyncRun.create({ kind, source, trigger, startedAt });
+  } catch (err) {
+    console.log(`Error recording sync run for ${source}:`, err.message);
+  }
+
+  let counts;
+  let error;
+  try {
+    counts = await run();
+    return counts;
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    runningSyncs.delete(key);
+
+    if (entry) {
+      const finishedAt = new Date();
+      await SyncRun.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            status: error ? "failed" : "success",
+            finishedAt,
+            durationMs: finishedAt - startedAt,
+            counts: counts || {},
+            error: error?.message,
+          },
+        },
+      ).catch((err) =>
+        console.log(`Error recording sync run for ${source}:`, err.message),
+      );
+    }
+  }
+}
+
+//* Latest run and last successful finish per source, keyed by "kind:source"
+async function getLatestRuns () {
+  const rows = await SyncRun.aggregate([
+    { $sort: { startedAt: -1 } },
+    {
+      $group: {
+        _id: { kind: "$kind", source: "$source" },
+        lastRun: { $first: "$$ROOT" },
+        lastSuccessAt: {
+          $max: {
+            $cond: [{ $eq: ["$status", "success"] }, "$finishedAt", null],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map(({ _id, lastRun, lastSuccessAt }) => [
+      runKey(_id.kind, _id.source),
+      { lastRun, lastSuccessAt },
+    ]),
+  );
+}
+
+//* Recent runs, newest first
+function getRecentRuns ({ kind, source, limit }) {
+  const filter = {};
+  if (kind) filter.kind = kind;
+  if (source) filter.source = source;
+
+  return SyncRun.find(filter)
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .select("-__v")
+    .lean();
+}
+
+export { isSyncRunning, recordSyncRun, getLatestRuns, getRecentRuns };
@@ -0,0 +1,25 @@
+// ? /contests [platform]: the next contests, on every platform or one
+
+import { getNextContests } from "../../contest/services/nextContests.js";
+import { MAX_ITEMS, escapeHtml, findPlatform, formatContest } from "../services/replies.js";
+
+export default {
+  name: "contests",
+  description: "The next contests, optionally on one platform",
+
+  async execute ({ args, user }) {
+    const platform = args ? findPlatform(args) : null;
+    if (args && !platform) {
+      return `I don't know the platform ${escapeHtml(args)}.`;
+    }
+
+    const contests = await getNextContests({ platform: platform?.id, limit: MAX_ITEMS });
+    if (contests.length === 0) {
+      return platform ? `No upcoming ${escapeHtml(platform.name)} contests.` : "No upcoming contests.";
+    }
+    return [
+      `<b>${platform ? `Upcoming ${escapeHtml(platform.name)} contests` : "Upcoming contests"}</b>`,
+      ...contests.map((contest) => formatContest(contest, user)),
+    ].join("\n\n");
+  },
+};
@@ -0,0 +1,13 @@
+// ? Every bot command, by name
+
+import start from "./start.js";
+import contests from "./contests.js";
+import potd from "./potd.js";
+import rating from "./rating.js";
+import unlink from "./unlink.js";
+
+const commands = new Map(
+  [start, contests, potd, rating, unlink].map((command) => [command.name, command]),
+);
+
+export { commands };
@@ -0,0 +1,26 @@
+// ? /potd: today's problem of the day on every platform that has one
+
+import { POTD_PLATFORMS, getTodaysPotd } from "../../potd/controllers/potdController.js";
+import { escapeHtml, link, platformName } from "../services/replies.js";
+
+export default {
+  name: "potd",
+  description: "Today's problems of the day",
+
+  async execute () {
+    const results = await Promise.allSettled(POTD_PLATFORMS.map(getTodaysPotd));
+    const lines = results.flatMap((result, index) => {
+      if (result.status === "rejected") {
+        console.error(`Error getting the ${POTD_PLATFORMS[index]} POTD:`, result.reason);
+        return [];
+      }
+      const { problemName, problemUrl } = result.value;
+      return [`${escapeHtml(platformName(POTD_PLATFORMS[index]))}: ${link(problemName, problemUrl)}`];
+    });
+
+    if (lines.length === 0) {
+      return "Couldn't get today's problems, try again later.";
+    }
+    return ["<b>Problem of the day</b>", ...lines].join("\n");
+  },
+};
@@ -0,0 +1,37 @@
+// ? /rating <username>: a digitomize user's ratings, as their profile shows them
+
+import { getUser } from "../../users/services/getUser.js";
+import { getPublicRatings } from "../../users/controllers/userProfileController.js";
+import { getLinkedAccounts } from "../../users/services/linkedAccounts.js";
+import { escapeHtml, link, platformName } from "../services/replies.js";
+
+export default {
+  name: "rating",
+  description: "A digitomize user's ratings",
+
+  async execute ({ args }) {
+    if (!args) {
+      return "Send /rating followed by a digitomize username.";
+    }
+    const user = await getUser(args);
+    if (!user) {
+      return `There is no digitomize user named ${escapeHtml(args)}.`;
+    }
+
+    const { digitomize_rating: digitomizeRating, ...platforms } = getPublicRatings(
+      user,
+      await getLinkedAccounts(user.uid),
+    );
+    const lines = Object.entries(platforms)
+      .filter(([, { rating }]) => rating !== null)
+      .map(([platform, { rating, badge }]) =>
+        `${escapeHtml(platformName(platform))}: ${rating}${badge ? ` (${escapeHtml(badge)})` : ""}`,
+      );
+
+    return [
+      `<b>${link(user.name || user.username, `${process.env.FRONTEND_URL}/u/${user.username}`)}</b>`,
+      `digitomize rating: <b>${digitomizeRating ?? "unrated"}</b>`,
+      ...lines,
+    ].join("\n");
+  },
+};
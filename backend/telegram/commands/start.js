@@ -0,0 +1,36 @@
+// ? /start [code]: greet, or link the chat with a code from the dashboard
+// The dashboard's t.me link opens the bot with the code filled in.
+
+import { linkChat } from "../services/link.js";
+import { escapeHtml } from "../services/replies.js";
+
+const HELP = [
+  "/contests [platform] - the next contests",
+  "/potd - today's problems of the day",
+  "/rating &lt;username&gt; - a digitomize user's ratings",
+  "/unlink - stop reminders in this chat",
+].join("\n");
+
+export default {
+  name: "start",
+  description: "Link your digitomize account",
+
+  async execute ({ chat, args, user }) {
+    if (!args) {
+      const linked = user
+        ? `This chat is linked to <b>${escapeHtml(user.username)}</b>.`
+        : "Link your digitomize account from the dashboard to get contest reminders here.";
+      return `${linked}\n\n${HELP}`;
+    }
+
+    if (chat.type !== "private") {
+      return "Link your account in a private chat with me.";
+    }
+    const linkedUser = await linkChat(args, chat.id);
+    if (!linkedUser) {
+      return "That code is wrong or has expired. Get a new one from your dashboard.";
+    }
+    return `Linked to <b>${escapeHtml(linkedUser.username)}</b>. Reminders for the platforms ` +
+      "you picked on digitomize will arrive here.\n\n" + HELP;
+  },
+};
@@ -0,0 +1,14 @@
+// ? /unlink: stop sending this account's notifications here
+
+import { unlinkChat } from "../services/link.js";
+
+export default {
+  name: "unlink",
+  description: "Stop reminders in this chat",
+
+  async execute ({ chat }) {
+    return (await unlinkChat(chat.id))
+      ? "Unlinked. You won't get reminders here anymore."
+      : "This chat isn't linked to a digitomize account.";
+  },
+};
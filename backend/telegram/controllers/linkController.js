@@ -0,0 +1,48 @@
+// ? Linking the signed-in user's Telegram account
+
+import { callBotApi } from "../../notifications/channels/telegram.js";
+import { createLinkCode, unlinkUser } from "../services/link.js";
+
+//* POST /user/notifications/telegram/link - a one-time code to send the bot
+async function createTelegramLink (req, res) {
+  try {
+    if (!process.env.TELEGRAM_BOT_TOKEN) {
+      return res.status(503).json({ message: "The Telegram bot is not available yet" });
+    }
+
+    const { code, expiresAt } = await createLinkCode(req.decodedToken.uid);
+    const botUsername = process.env.TELEGRAM_BOT_USERNAME;
+    res.status(200).json({
+      code,
+      expiresAt,
+      botUsername: botUsername || null,
+      // Opens the bot with "/start <code>" ready to send
+      url: botUsername ? `https://t.me/${botUsername}?start=${code}` : null,
+    });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+//* DELETE /user/notifications/telegram/link
+async function deleteTelegramLink (req, res) {
+  try {
+    const chatId = await unlinkUser(req.decodedToken.uid);
+    if (!chatId) {
+      return res.status(404).json({ message: "Telegram isn't linked" });
+    }
+
+    // Best effort, the link is already gone
+    callBotApi("sendMessage", {
+      chat_id: chatId,
+      text: "This chat was unlinked from digitomize.",
+    }).catch((error) => console.error("Error telling the chat it was unlinked:", error.message));
+    res.status(200).json({ message: "Telegram unlinked" });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+}
+
+export { createTelegramLink, deleteTelegramLink };
@@ -0,0 +1,50 @@
+// ? Telegram bot updates: commands sent to the bot
+
+import { commands } from "../commands/index.js";
+import { findLinkedUser } from "../services/link.js";
+import { sendMessage } from "../services/replies.js";
+
+//* "/rating@digitomize_bot alice" -> { name: "rating", mention: "digitomize_bot", args: "alice" }
+function parseCommand (text) {
+  const match = /^\/([a-z0-9_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/i.exec(text.trim());
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), mention: match[2], args: (match[3] || "").trim() };
+}
+
+//* POST /telegram/webhook
+// Always answers 200, Telegram would otherwise resend the update; replies go
+// out through sendMessage.
+async function handleUpdate (req, res) {
+  const message = req.body?.message;
+  const parsed = typeof message?.text === "string" ? parseCommand(message.text) : null;
+  const botUsername = process.env.TELEGRAM_BOT_USERNAME;
+
+  // In groups, commands addressed to other bots aren't ours
+  if (
+    !parsed ||
+    (parsed.mention && botUsername && parsed.mention.toLowerCase() !== botUsername.toLowerCase())
+  ) {
+    return res.status(200).json({});
+  }
+
+  const { chat } = message;
+  const command = commands.get(parsed.name);
+  let text;
+  try {
+    text = command
+      ? await command.execute({ chat, args: parsed.args, user: await findLinkedUser(chat.id) })
+      : "I don't know that command. Send /start to see what I can do.";
+  } catch (error) {
+    console.error(`Error running /${parsed.name}:`, error);
+    text = "Something went wrong, try again later.";
+  }
+
+  try {
+    await sendMessage(chat.id, text);
+  } catch (error) {
+    console.error("Error replying on Telegram:", error.response?.data || error.message);
+  }
+  res.status(200).json({});
+}
+
+export { handleUpdate };
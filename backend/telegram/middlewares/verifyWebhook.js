@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+//* Reject webhook calls without the secret token given to setWebhook
+// Telegram sends it back in X-Telegram-Bot-Api-Secret-Token on every update.
+const verifyWebhook = (request, response, next) => {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret || !process.env.TELEGRAM_BOT_TOKEN) {
+    return response.status(503).json({ message: "The Telegram bot is not configured" });
+  }
+
+  const given = Buffer.from(request.get("X-Telegram-Bot-Api-Secret-Token") || "");
+  const expected = Buffer.from(secret);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return response.status(401).json({ message: "Invalid secret token" });
+  }
+  next();
+};
+
+export { verifyWebhook };
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+//* One-time code a user sends the bot to link their Telegram chat
+// MongoDB drops the code once it expires; using it deletes it.
+const telegramLinkCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      uppercase: true,
+      required: [true, "Code is required."],
+      unique: true,
+    },
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required."],
+    },
+  },
+  { timestamps: true },
+);
+
+telegramLinkCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TelegramLinkCode = mongoose.model(
+  "TelegramLinkCode",
+  telegramLinkCodeSchema,
+  "telegramlinkcodes",
+);
+
+export default TelegramLinkCode;
@@ -0,0 +1,33 @@
+// ? `npm run telegram:register`: point the bot's webhook at BACKEND_URL and list its commands
+
+import dotenv from "dotenv";
+import { commands } from "./commands/index.js";
+import { callBotApi } from "../notifications/channels/telegram.js";
+
+dotenv.config();
+
+const { BACKEND_URL, TELEGRAM_BOT_TOKEN, TELEGRAM_WEBHOOK_SECRET } = process.env;
+
+if (!BACKEND_URL || !TELEGRAM_BOT_TOKEN || !TELEGRAM_WEBHOOK_SECRET) {
+  console.error("Set BACKEND_URL, TELEGRAM_BOT_TOKEN and TELEGRAM_WEBHOOK_SECRET first.");
+  process.exitCode = 1;
+} else {
+  try {
+    const url = `${BACKEND_URL.replace(/\/$/, "")}/telegram/webhook`;
+    await callBotApi("setWebhook", {
+      url,
+      secret_token: TELEGRAM_WEBHOOK_SECRET,
+      allowed_updates: ["message"],
+    });
+    await callBotApi("setMyCommands", {
+      commands: [...commands.values()].map(({ name, description }) => ({
+        command: name,
+        description,
+      })),
+    });
+    console.log(`Webhook set to ${url}`);
+  } catch (err) {
+    console.error("Registering the bot failed:", err.response?.data || err.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { verifyWebhook } from "../middlewares/verifyWebhook.js";
+import { handleUpdate } from "../controllers/webhookController.js";
+
+const router = Router();
+
+// Webhook URL given to setWebhook, see register.js
+router.post("/webhook", verifyWebhook, handleUpdate);
+
+export default router;
@@ -0,0 +1,89 @@
+// ? Linking a Telegram chat to a digitomize account
+// The dashboard hands out a short-lived code; sending it to the bot sets
+// notifications.channels.telegram.chatId, which the Telegram channel sends to.
+
+import crypto from "crypto";
+import User from "../../users/models/User.js";
+import TelegramLinkCode from "../models/TelegramLinkCode.js";
+
+const LINK_CODE_TTL_MINUTES = 10;
+// No 0/O or 1/I, the code is read off a screen
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+const CHAT_ID_PATH = "notifications.channels.telegram.chatId";
+const ENABLED_PATH = "notifications.channels.telegram.enabled";
+const UNLINKED = { $set: { [CHAT_ID_PATH]: null, [ENABLED_PATH]: false } };
+
+function generateCode () {
+  return Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)],
+  ).join("");
+}
+
+//* Issue a new code for a user, replacing any they had
+async function createLinkCode (uid, now = new Date()) {
+  await TelegramLinkCode.deleteMany({ uid });
+  return TelegramLinkCode.create({
+    code: generateCode(),
+    uid,
+    expiresAt: new Date(now.getTime() + LINK_CODE_TTL_MINUTES * 60 * 1000),
+  });
+}
+
+//* Use a code to link a chat; resolves with the linked user, or null for a bad code
+// Turns the Telegram channel on, linking is how users ask for it. A chat
+// reaches one account, so it is unlinked from whoever had it before.
+async function linkChat (code, chatId, now = new Date()) {
+  const link = await TelegramLinkCode.findOneAndDelete({
+    code: String(code).toUpperCase(),
+    expiresAt: { $gt: now },
+  });
+  if (!link) return null;
+
+  await User.updateMany(
+    { [CHAT_ID_PATH]: String(chatId), uid: { $ne: link.uid } },
+    UNLINKED,
+  );
+  return User.findOneAndUpdate(
+    { uid: link.uid },
+    { $set: { [CHAT_ID_PATH]: String(chatId), [ENABLED_PATH]: true } },
+    { new: true },
+  )
+    .select("uid username")
+    .lean();
+}
+
+//* Unlink a chat; resolves with whether it was linked
+async function unlinkChat (chatId) {
+  const { modifiedCount } = await User.updateOne({ [CHAT_ID_PATH]: String(chatId) }, UNLINKED);
+  return modifiedCount > 0;
+}
+
+//* Unlink a user's chat; resolves with the chat id it had, or null
+async function unlinkUser (uid) {
+  const user = await User.findOneAndUpdate(
+    { uid, [CHAT_ID_PATH]: { $type: "string" } },
+    UNLINKED,
+  )
+    .select(CHAT_ID_PATH)
+    .lean();
+  return user?.notifications?.channels?.telegram?.chatId ?? null;
+}
+
+//* The user a chat is linked to, or null
+function findLinkedUser (chatId) {
+  return User.findOne({ [CHAT_ID_PATH]: String(chatId) })
+    .select("uid username preferences")
+    .lean();
+}
+
+export {
+  LINK_CODE_TTL_MINUTES,
+  createLinkCode,
+  linkChat,
+  unlinkChat,
+  unlinkUser,
+  findLinkedUser,
+};
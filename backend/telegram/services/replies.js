@@ -0,0 +1,60 @@
+// ? Building and sending the bot's messages (Bot API HTML formatting)
+
+import { callBotApi } from "../../notifications/channels/telegram.js";
+import { getContestSource, getEnabledContestSources } from "../../contest/services/sourceRegistry.js";
+import { formatUserTime } from "../../core/userTime.js";
+
+// Lists stay short enough to read on a phone
+const MAX_ITEMS = 5;
+
+function escapeHtml (text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function link (text, url) {
+  return `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>`;
+}
+
+function platformName (id) {
+  return getContestSource(id)?.name || id;
+}
+
+//* Enabled source matching what the user typed ("cf" won't do, "Codeforces" will)
+function findPlatform (text) {
+  const wanted = String(text).trim().toLowerCase();
+  return getEnabledContestSources().find(
+    ({ id, name }) => id === wanted || name.toLowerCase() === wanted,
+  ) || null;
+}
+
+//* One contest, with the start in the linked user's timezone (IST otherwise)
+function formatContest (contest, user, nowUnix = Math.floor(Date.now() / 1000)) {
+  const when = contest.startTimeUnix <= nowUnix
+    ? "Live now"
+    : formatUserTime(contest.startTimeUnix, user);
+  return `${link(contest.name, contest.url)} (${escapeHtml(platformName(contest.host))})\n${escapeHtml(when)}`;
+}
+
+//* Send an HTML message to a chat
+function sendMessage (chatId, text) {
+  return callBotApi("sendMessage", {
+    chat_id: chatId,
+    text,
+    parse_mode: "HTML",
+    disable_web_page_preview: true,
+  });
+}
+
+export {
+  MAX_ITEMS,
+  escapeHtml,
+  link,
+  platformName,
+  findPlatform,
+  formatContest,
+  sendMessage,
+};
@@ -0,0 +1,43 @@
+// tests/unit/contest/controllers/DataSyncController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import dataSyncController from '../../../../contest/controllers/DataSyncController.js';
+import SyncRun from '../../../../sync/models/SyncRun.js';
+import { http } from '../../../../core/http/client.js';
+
+vi.mock('../../../../core/http/client.js', () => ({
+  http: { get: vi.fn(), post: vi.fn() }
+}));
+
+vi.mock('../../../../sync/models/SyncRun.js', () => ({
+  default: {
+    create: vi.fn(),
+    updateOne: vi.fn(),
+  },
+}));
+
+describe('DataSyncController - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    SyncRun.create.mockResolvedValue({ _id: 'run-1' });
+    SyncRun.updateOne.mockResolvedValue({});
+  });
+
+  it('should record a failed run when the platform request fails', async () => {
+    http.get.mockRejectedValue(new Error('status 503'));
+
+    const result = await dataSyncController.syncContests(['codeforces'], 'manual');
+
+    expect(result).toEqual({ failed: ['codeforces'] });
+    expect(SyncRun.create).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'contest',
+      source: 'codeforces',
+      trigger: 'manual',
+    }));
+    expect(SyncRun.updateOne).toHaveBeenCalledWith(
+      { _id: 'run-1' },
+      { $set: expect.objectContaining({ status: 'failed', error: 'status 503' }) },
+    );
+  });
+});
@@ -0,0 +1,159 @@
+// tests/unit/contest/controllers/archiveController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import archiveController from '../../../../contest/controllers/archiveController.js';
+import { Contest } from '../../../../contest/models/Contest.js';
+
+vi.mock('../../../../contest/models/Contest.js', () => ({
+  Contest: {
+    countDocuments: vi.fn(),
+    find: vi.fn(),
+    aggregate: vi.fn(),
+  },
+}));
+
+const contests = [
+  { host: 'codeforces', vanity: '1902', name: 'Round 902', url: 'https://codeforces.com/contests/1902', startTimeUnix: 3000, duration: 120 },
+  { host: 'codeforces', vanity: '1901', name: 'Round "901", Div. 2', url: 'https://codeforces.com/contests/1901', startTimeUnix: 2000, duration: 120 },
+  { host: 'codeforces', vanity: '1900', name: 'Round 900', url: 'https://codeforces.com/contests/1900', startTimeUnix: 1000, duration: 150 },
+];
+
+// Chainable stand-in for a mongoose query
+const createQuery = (docs) => {
+  const query = {
+    sort: vi.fn().mockReturnThis(),
+    select: vi.fn().mockReturnThis(),
+    limit: vi.fn((n) => {
+      docs = docs.slice(0, n);
+      return query;
+    }),
+    lean: vi.fn().mockReturnThis(),
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+    cursor: vi.fn(() => ({
+      close: vi.fn(),
+      [Symbol.asyncIterator]: async function * () {
+        yield * docs;
+      },
+    })),
+  };
+  return query;
+};
+
+// Contests ending after this are not archived yet
+const NOW = 5000;
+const ended = { endTimeUnix: { $lt: NOW } };
+
+describe('archiveController - Unit Tests', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(Date, 'now').mockReturnValue(NOW * 1000);
+    req = { query: {}, on: vi.fn() };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis(),
+      set: vi.fn().mockReturnThis(),
+      write: vi.fn(),
+      end: vi.fn(),
+      headersSent: false,
+    };
+  });
+
+  describe('getArchive', () => {
+    it('should return a page with a cursor to the next one', async () => {
+      Contest.countDocuments.mockResolvedValue(3);
+      Contest.find.mockReturnValue(createQuery(contests));
+      req.query = { host: 'codeforces', limit: '2' };
+
+      await archiveController.getArchive(req, res);
+
+      expect(Contest.countDocuments).toHaveBeenCalledWith({ host: { $in: ['codeforces'] }, ...ended });
+      const body = res.json.mock.calls[0][0];
+      expect(body.total).toBe(3);
+      expect(body.results.map((c) => c.vanity)).toEqual(['1902', '1901']);
+      expect(body.meta).toEqual(expect.objectContaining({ count: 2, limit: 2, sort: '-startTimeUnix', hasMore: true }));
+      expect(body.meta.nextCursor).toEqual(expect.any(String));
+    });
+
+    it('should continue after the cursor', async () => {
+      Contest.countDocuments.mockResolvedValue(3);
+      Contest.find.mockReturnValue(createQuery([]));
+      const cursor = Buffer.from(JSON.stringify([2000, 'codeforces', '1901'])).toString('base64url');
+      req.query = { cursor };
+
+      await archiveController.getArchive(req, res);
+
+      expect(Contest.find).toHaveBeenCalledWith({
+        $and: [
+          ended,
+          {
+            $or: [
+              { startTimeUnix: { $lt: 2000 } },
+              { startTimeUnix: 2000, host: { $gt: 'codeforces' } },
+              { startTimeUnix: 2000, host: 'codeforces', vanity: { $gt: '1901' } },
+            ],
+          },
+        ],
+      });
+    });
+
+    it('should only list contests that have ended', async () => {
+      Contest.countDocuments.mockResolvedValue(0);
+      Contest.find.mockReturnValue(createQuery([]));
+      req.query = { startAfter: '0' };
+
+      await archiveController.getArchive(req, res);
+
+      const [filter] = Contest.find.mock.calls[0];
+      expect(filter.endTimeUnix).toEqual({ $lt: NOW });
+      expect(Contest.countDocuments.mock.calls[0][0].endTimeUnix).toEqual({ $lt: NOW });
+    });
+
+    it('should return 400 for invalid parameters', async () => {
+      req.query = { startBefore: 'soon' };
+
+      await archiveController.getArchive(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(Contest.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getArchiveStats', () => {
+    it('should return per-platform statistics', async () => {
+      const stats = [{ host: 'codeforces', total: 3, averageDuration: 130, perMonth: [] }];
+      Contest.aggregate.mockResolvedValue(stats);
+
+      await archiveController.getArchiveStats(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ total: 1, results: stats });
+      expect(Contest.aggregate.mock.calls[0][0][0]).toEqual({ $match: ended });
+    });
+  });
+
+  describe('exportArchive', () => {
+    it('should stream CSV with escaped values', async () => {
+      Contest.find.mockReturnValue(createQuery(contests));
+      req.query = { fields: 'vanity,name' };
+
+      await archiveController.exportArchive(req, res);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'text/csv; charset=utf-8',
+      }));
+      const output = res.write.mock.calls.map(([chunk]) => chunk).join('');
+      expect(output).toBe('vanity,name\n1902,Round 902\n1901,"Round ""901"", Div. 2"\n1900,Round 900\n');
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should stream a JSON array', async () => {
+      Contest.find.mockReturnValue(createQuery(contests));
+      req.query = { format: 'json' };
+
+      await archiveController.exportArchive(req, res);
+
+      const output = res.write.mock.calls.map(([chunk]) => chunk).join('') + res.end.mock.calls[0][0];
+      expect(JSON.parse(output)).toEqual(contests);
+    });
+  });
+});
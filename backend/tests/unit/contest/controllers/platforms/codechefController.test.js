@@ -0,0 +1,46 @@
+// tests/unit/contest/controllers/platforms/codechefController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import codechefContests from '../../../../../contest/controllers/platforms/codechefController.js';
+import { validateRecord } from '../../../../../quarantine/services/recordValidation.js';
+import { http } from '../../../../../core/http/client.js';
+
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn() }
+}));
+
+const fixture = JSON.parse(readFileSync(new URL('./__fixtures__/codechef.json', import.meta.url), 'utf8'));
+
+describe('codechefController - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should map future contests with numeric durations', async () => {
+    http.get.mockResolvedValue({ data: fixture });
+
+    const contests = await codechefContests.codechef_c();
+
+    expect(contests).toEqual([
+      {
+        host: 'codechef',
+        name: 'Starters 118',
+        vanity: 'START118',
+        url: 'https://www.codechef.com/START118',
+        startTimeUnix: Date.UTC(2024, 0, 10, 14, 30) / 1000,
+        duration: 120,
+      },
+      expect.objectContaining({ vanity: 'COOK160', duration: 150 }),
+    ]);
+  });
+
+  it('should produce records that pass validation', async () => {
+    http.get.mockResolvedValue({ data: fixture });
+
+    const contests = await codechefContests.codechef_c();
+
+    contests.forEach((contest) => {
+      expect(validateRecord('contest', contest)).toEqual([]);
+    });
+  });
+});
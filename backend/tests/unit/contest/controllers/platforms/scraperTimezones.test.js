@@ -0,0 +1,66 @@
+// tests/unit/contest/controllers/platforms/scraperTimezones.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import atcoderContests from '../../../../../contest/controllers/platforms/atcoderController.js';
+import gfgContests from '../../../../../contest/controllers/platforms/gfgController.js';
+import { http } from '../../../../../core/http/client.js';
+
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn() }
+}));
+
+const fixture = (name) => readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url), 'utf8');
+
+// Scraped times must not depend on the timezone the server runs in
+const SERVER_TIMEZONES = ['UTC', 'Asia/Tokyo', 'Asia/Kolkata', 'America/Los_Angeles', 'Pacific/Kiritimati'];
+
+describe.each(SERVER_TIMEZONES)('scrapers with TZ=%s', (timeZone) => {
+  let originalTimeZone;
+
+  beforeAll(() => {
+    originalTimeZone = process.env.TZ;
+    process.env.TZ = timeZone;
+  });
+
+  afterAll(() => {
+    process.env.TZ = originalTimeZone;
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('should parse AtCoder start times as JST', async () => {
+    http.get.mockResolvedValue({ data: fixture('atcoder.html') });
+
+    const contests = await atcoderContests.atcoder_c();
+
+    expect(contests).toEqual([
+      expect.objectContaining({
+        vanity: 'abc335',
+        startTimeUnix: Date.UTC(2024, 0, 6, 12, 0) / 1000,
+        duration: 100,
+      }),
+      expect.objectContaining({
+        vanity: 'ahc031',
+        startTimeUnix: Date.UTC(2024, 2, 30, 16, 0) / 1000,
+        duration: 240 * 60,
+      }),
+    ]);
+  });
+
+  it('should parse GFG start times as IST and skip invalid ones', async () => {
+    http.get.mockResolvedValue({ data: JSON.parse(fixture('gfg.json')) });
+
+    const contests = await gfgContests.geeksforgeeks_c();
+
+    expect(contests).toEqual([
+      expect.objectContaining({
+        vanity: 'gfg-weekly-coding-contest-136',
+        startTimeUnix: Date.UTC(2024, 0, 7, 13, 30) / 1000,
+        duration: 90,
+      }),
+    ]);
+  });
+});
@@ -0,0 +1,45 @@
+// tests/unit/contest/models/Contest.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  Contest,
+  contestEndTime,
+  contestStatus,
+} from '../../../../contest/models/Contest.js';
+
+const contest = {
+  host: 'codeforces',
+  vanity: '1900',
+  name: 'Codeforces Round 900',
+  url: 'https://codeforces.com/contests/1900',
+  startTimeUnix: 1700000000,
+  duration: 120,
+};
+
+describe('Contest model - Unit Tests', () => {
+  it('should end duration minutes after the start', () => {
+    expect(contestEndTime(contest)).toBe(1700000000 + 7200);
+  });
+
+  it('should derive the status from the current time', () => {
+    expect(contestStatus(contest, 1699999999)).toBe('upcoming');
+    expect(contestStatus(contest, 1700000000)).toBe('live');
+    expect(contestStatus(contest, 1700007199)).toBe('live');
+    expect(contestStatus(contest, 1700007200)).toBe('finished');
+  });
+
+  it('should store the end time when validated', async () => {
+    const doc = new Contest(contest);
+
+    await doc.validate();
+
+    expect(doc.endTimeUnix).toBe(1700007200);
+  });
+
+  it('should index host and vanity as the unique key', () => {
+    const indexes = Contest.schema.indexes();
+
+    expect(indexes).toContainEqual([{ host: 1, vanity: 1 }, expect.objectContaining({ unique: true })]);
+    expect(indexes).toContainEqual([{ startTimeUnix: -1 }, expect.anything()]);
+    expect(Contest.collection.collectionName).toBe('contests');
+  });
+});
@@ -0,0 +1,73 @@
+// tests/unit/contest/routes/contestRoutes.test.js
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import contestRoutes from '../../../../contest/routes/contestRoutes.js';
+import contestController from '../../../../contest/controllers/contestController.js';
+import { Contest } from '../../../../contest/models/Contest.js';
+
+const START = 1704880800;
+const contest = {
+  host: 'codeforces',
+  name: 'Round 918',
+  vanity: '1918',
+  url: 'https://codeforces.com/contests/1918',
+  startTimeUnix: START,
+  duration: 120,
+  endTimeUnix: START + 120 * 60,
+};
+
+// Chainable stand-in for a mongoose query
+const createQuery = (docs) => ({
+  select: vi.fn().mockReturnThis(),
+  sort: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(docs),
+});
+
+describe('contestRoutes - Unit Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/contests', contestRoutes);
+  });
+
+  beforeEach(async () => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    await contestController.invalidateContests();
+  });
+
+  it('should send the new status once a contest starts, without a reload', async () => {
+    const find = vi.spyOn(Contest, 'find').mockReturnValue(createQuery([contest]));
+    const now = vi.spyOn(Date, 'now').mockReturnValue((START - 60) * 1000);
+
+    const before = await request(app).get('/contests?host=codeforces');
+    expect(before.status).toBe(200);
+    expect(before.body.results[0].status).toBe('upcoming');
+    expect(before.headers['last-modified']).toBeUndefined();
+
+    // The contest starts while the cached list stays in place
+    now.mockReturnValue((START + 60) * 1000);
+    const after = await request(app)
+      .get('/contests?host=codeforces')
+      .set('If-Modified-Since', new Date((START + 60) * 1000).toUTCString());
+
+    expect(find).toHaveBeenCalledTimes(1);
+    expect(after.status).toBe(200);
+    expect(after.body.results[0].status).toBe('live');
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+  });
+
+  it('should answer 304 while the list is unchanged', async () => {
+    vi.spyOn(Contest, 'find').mockReturnValue(createQuery([contest]));
+    vi.spyOn(Date, 'now').mockReturnValue((START - 60) * 1000);
+
+    const first = await request(app).get('/contests');
+    const second = await request(app)
+      .get('/contests')
+      .set('If-None-Match', first.headers.etag);
+
+    expect(second.status).toBe(304);
+  });
+});
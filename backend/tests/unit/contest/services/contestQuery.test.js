@@ -0,0 +1,81 @@
+// tests/unit/contest/services/contestQuery.test.js
+import { describe, it, expect } from 'vitest';
+import { parseContestQuery, queryContests } from '../../../../contest/services/contestQuery.js';
+
+const contests = [
+  { host: 'codeforces', vanity: '1900', name: 'Codeforces Round 900', url: 'https://codeforces.com/contests/1900', startTimeUnix: 3000, duration: 120 },
+  { host: 'leetcode', vanity: 'weekly-contest-400', name: 'Weekly Contest 400', url: 'https://leetcode.com/contest/weekly-contest-400', startTimeUnix: 1000, duration: 90 },
+  { host: 'codechef', vanity: 'start100', name: 'Starters 100', url: 'https://www.codechef.com/START100', startTimeUnix: 2000, duration: 120 },
+  { host: 'atcoder', vanity: 'abc350', name: 'AtCoder Beginner Contest 350', url: 'https://atcoder.jp/contests/abc350', startTimeUnix: 4000, duration: 100 },
+];
+
+const run = (query) => {
+  const { options, errors } = parseContestQuery(query);
+  expect(errors).toBeUndefined();
+  return queryContests(contests, options);
+};
+
+describe('contestQuery - Unit Tests', () => {
+  it('should return every contest sorted by start time by default', () => {
+    const result = run({});
+
+    expect(result.total).toBe(4);
+    expect(result.results.map((c) => c.vanity)).toEqual(['weekly-contest-400', 'start100', '1900', 'abc350']);
+    expect(result.meta).toEqual(expect.objectContaining({
+      count: 4,
+      limit: null,
+      sort: 'startTimeUnix',
+      nextCursor: null,
+      hasMore: false,
+      durationRange: { min: 90, max: 120 },
+    }));
+  });
+
+  it('should filter by host, start window and name', () => {
+    expect(run({ host: 'codeforces,CodeChef' }).total).toBe(2);
+    expect(run({ startAfter: '2000', startBefore: '3000' }).total).toBe(2);
+    expect(run({ q: 'round' }).results[0].vanity).toBe('1900');
+  });
+
+  it('should filter by duration but report the unfiltered duration range', () => {
+    const result = run({ minDuration: '100', maxDuration: '110' });
+
+    expect(result.results.map((c) => c.vanity)).toEqual(['abc350']);
+    expect(result.meta.durationRange).toEqual({ min: 90, max: 120 });
+  });
+
+  it('should sort descending with a - prefix and tie-break on the contest key', () => {
+    const result = run({ sort: '-duration' });
+
+    expect(result.results.map((c) => c.vanity)).toEqual(['start100', '1900', 'abc350', 'weekly-contest-400']);
+  });
+
+  it('should page through results with limit and cursor', () => {
+    const first = run({ limit: '3' });
+    expect(first.meta.hasMore).toBe(true);
+    expect(first.results).toHaveLength(3);
+
+    const second = run({ limit: '3', cursor: first.meta.nextCursor });
+    expect(second.results.map((c) => c.vanity)).toEqual(['abc350']);
+    expect(second.meta.hasMore).toBe(false);
+    expect(second.meta.nextCursor).toBeNull();
+    expect(second.total).toBe(4);
+  });
+
+  it('should project only the requested fields', () => {
+    const result = run({ fields: 'name,startTimeUnix', limit: '1' });
+
+    expect(result.results).toEqual([{ name: 'Weekly Contest 400', startTimeUnix: 1000 }]);
+  });
+
+  it('should reject invalid parameters', () => {
+    const { errors } = parseContestQuery({
+      startAfter: 'yesterday',
+      sort: 'rating',
+      cursor: 'not-a-cursor',
+      fields: 'name,secret',
+    });
+
+    expect(errors).toHaveLength(4);
+  });
+});
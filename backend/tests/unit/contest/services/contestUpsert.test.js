@@ -0,0 +1,169 @@
+// tests/unit/contest/services/contestUpsert.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  diffContest,
+  upsertContests,
+  emitContestChanges,
+} from '../../../../contest/services/contestUpsert.js';
+import {
+  contestEvents,
+  CONTEST_ADDED,
+  CONTEST_CHANGED,
+} from '../../../../contest/services/contestEvents.js';
+
+const storedContest = {
+  _id: 'abc123',
+  host: 'codeforces',
+  vanity: '1900',
+  name: 'Codeforces Round 900',
+  url: 'https://codeforces.com/contests/1900',
+  startTimeUnix: 1700000000,
+  duration: 120,
+};
+
+// Minimal stand-in for a mongoose model
+const createModel = (stored) => ({
+  findOne: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue(stored) }),
+  create: vi.fn().mockResolvedValue({}),
+  updateOne: vi.fn().mockResolvedValue({}),
+});
+
+describe('contestUpsert - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    contestEvents.removeAllListeners();
+  });
+
+  describe('diffContest', () => {
+    it('should return no changes for an identical contest', () => {
+      expect(diffContest(storedContest, { ...storedContest })).toEqual([]);
+    });
+
+    it('should list each changed tracked field', () => {
+      const changes = diffContest(storedContest, {
+        ...storedContest,
+        startTimeUnix: 1700003600,
+        duration: 150,
+      });
+
+      expect(changes).toEqual([
+        { field: 'startTimeUnix', from: 1700000000, to: 1700003600 },
+        { field: 'duration', from: 120, to: 150 },
+      ]);
+    });
+
+    it('should compare numeric fields sent as strings by value', () => {
+      // CodeChef sends durations as strings
+      expect(diffContest(storedContest, {
+        ...storedContest,
+        startTimeUnix: '1700000000',
+        duration: '120',
+      })).toEqual([]);
+      expect(diffContest(storedContest, { ...storedContest, duration: '150' }))
+        .toEqual([{ field: 'duration', from: 120, to: 150 }]);
+    });
+  });
+
+  describe('upsertContests', () => {
+    it('should insert contests that are not stored yet', async () => {
+      const Model = createModel(null);
+
+      const result = await upsertContests(Model, [storedContest]);
+
+      expect(Model.findOne).toHaveBeenCalledWith({ host: 'codeforces', vanity: '1900' });
+      expect(Model.create).toHaveBeenCalledWith(storedContest);
+      expect(result.added).toHaveLength(1);
+      expect(result.changed).toHaveLength(0);
+    });
+
+    it('should leave unchanged contests alone', async () => {
+      const Model = createModel(storedContest);
+
+      const result = await upsertContests(Model, [{ ...storedContest }]);
+
+      expect(Model.create).not.toHaveBeenCalled();
+      expect(Model.updateOne).not.toHaveBeenCalled();
+      expect(result).toEqual({ added: [], changed: [], unchanged: 1 });
+    });
+
+    it('should not record a change for a duration sent as a string', async () => {
+      const Model = createModel(storedContest);
+
+      const result = await upsertContests(Model, [{ ...storedContest, duration: '120' }]);
+
+      expect(Model.updateOne).not.toHaveBeenCalled();
+      expect(result).toEqual({ added: [], changed: [], unchanged: 1 });
+    });
+
+    it('should apply changes and record them in the history', async () => {
+      const Model = createModel(storedContest);
+
+      const result = await upsertContests(Model, [
+        { ...storedContest, name: 'Codeforces Round 900 (Div. 2)' },
+      ]);
+
+      expect(Model.updateOne).toHaveBeenCalledWith(
+        { _id: 'abc123' },
+        {
+          $set: { name: 'Codeforces Round 900 (Div. 2)' },
+          $push: {
+            changeHistory: {
+              changedAt: expect.any(Date),
+              changes: [
+                {
+                  field: 'name',
+                  from: 'Codeforces Round 900',
+                  to: 'Codeforces Round 900 (Div. 2)',
+                },
+              ],
+            },
+          },
+        },
+      );
+      expect(result.changed[0].contest.name).toBe('Codeforces Round 900 (Div. 2)');
+    });
+
+    it('should move the end time along with a new start time', async () => {
+      const Model = createModel(storedContest);
+
+      await upsertContests(Model, [{ ...storedContest, startTimeUnix: 1700003600 }]);
+
+      expect(Model.updateOne.mock.calls[0][1].$set).toEqual({
+        startTimeUnix: 1700003600,
+        endTimeUnix: 1700003600 + 120 * 60,
+      });
+    });
+
+    it('should keep going when one contest fails', async () => {
+      const Model = createModel(null);
+      Model.create.mockRejectedValueOnce(new Error('duplicate key'));
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await upsertContests(Model, [
+        storedContest,
+        { ...storedContest, vanity: '1901' },
+      ]);
+
+      expect(Model.create).toHaveBeenCalledTimes(2);
+      expect(result.added).toHaveLength(1);
+    });
+  });
+
+  describe('emitContestChanges', () => {
+    it('should emit one event per added or changed contest', () => {
+      const onAdded = vi.fn();
+      const onChanged = vi.fn();
+      contestEvents.on(CONTEST_ADDED, onAdded);
+      contestEvents.on(CONTEST_CHANGED, onChanged);
+
+      const change = {
+        contest: storedContest,
+        changes: [{ field: 'duration', from: 120, to: 150 }],
+      };
+      emitContestChanges({ added: [storedContest], changed: [change] });
+
+      expect(onAdded).toHaveBeenCalledWith({ contest: storedContest });
+      expect(onChanged).toHaveBeenCalledWith(change);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// tests/unit/contest/services/sourceRegistry.test.js
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  registerContestSource,
+  getContestSource,
+  getEnabledContestSources,
+  isContestSourceEnabled,
+  describeContestSource,
+} from '../../../../contest/services/sourceRegistry.js';
+
+describe('sourceRegistry - Unit Tests', () => {
+  afterEach(() => {
+    delete process.env.DISABLED_CONTEST_SOURCES;
+  });
+
+  it('should register the built-in platforms', () => {
+    const ids = getEnabledContestSources().map((source) => source.id);
+
+    expect(ids).toEqual(expect.arrayContaining([
+      'leetcode',
+      'codingninjas',
+      'geeksforgeeks',
+      'codechef',
+      'codeforces',
+      'atcoder',
+    ]));
+  });
+
+  it('should fill in defaults for a new adapter', () => {
+    registerContestSource({ id: 'TestJudge', fetch: async () => [] });
+
+    const source = getContestSource('testjudge');
+    expect(source.id).toBe('testjudge');
+    expect(source.enabled).toBe(true);
+    expect(source.timeoutMs).toBeGreaterThan(0);
+    expect(source.schedule.intervalMinutes).toBe(90);
+  });
+
+  it('should reject adapters without an id or fetch function', () => {
+    expect(() => registerContestSource({ fetch: async () => [] })).toThrow();
+    expect(() => registerContestSource({ id: 'nofetch' })).toThrow();
+  });
+
+  it('should skip sources disabled through DISABLED_CONTEST_SOURCES', () => {
+    process.env.DISABLED_CONTEST_SOURCES = 'atcoder, GeeksForGeeks';
+
+    const ids = getEnabledContestSources().map((source) => source.id);
+    expect(ids).not.toContain('atcoder');
+    expect(ids).not.toContain('geeksforgeeks');
+    expect(isContestSourceEnabled(getContestSource('leetcode'))).toBe(true);
+  });
+
+  it('should treat unknown platforms as disabled', () => {
+    expect(getContestSource('unknown')).toBeNull();
+    expect(isContestSourceEnabled(getContestSource('unknown'))).toBe(false);
+  });
+
+  it('should only expose public fields', () => {
+    expect(describeContestSource(getContestSource('codeforces'))).toEqual({
+      id: 'codeforces',
+      name: 'Codeforces',
+      icon: 'codeforces.svg',
+      intervalMinutes: 90,
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// tests/unit/core/api/conditional.test.js
+import { describe, it, expect, beforeEach } from 'vitest';
+import { jsonEtag, sendConditionalJson } from '../../../../core/api/conditional.js';
+import { createMockResponse } from '../../users/__helpers__/controllerTestHelpers.js';
+
+const body = { total: 1, results: [{ vanity: 'abc335' }] };
+const LAST_MODIFIED = 'Wed, 10 Jan 2024 10:00:00 GMT';
+
+describe('conditional - Unit Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    res = createMockResponse();
+  });
+
+  it('should send the body with validators', () => {
+    sendConditionalJson({ headers: {} }, res, body, { lastModified: LAST_MODIFIED });
+
+    expect(res.set).toHaveBeenCalledWith({
+      ETag: jsonEtag(body),
+      'Cache-Control': 'no-cache',
+      'Last-Modified': LAST_MODIFIED,
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(body);
+  });
+
+  it('should answer 304 when the ETag matches', () => {
+    const req = { headers: { 'if-none-match': `"other", ${jsonEtag(body)}` } };
+
+    sendConditionalJson(req, res, body);
+
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(res.end).toHaveBeenCalled();
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  it('should change the ETag with the body', () => {
+    expect(jsonEtag(body)).not.toBe(jsonEtag({ ...body, total: 2 }));
+    expect(jsonEtag(body)).toMatch(/^W\/".+"$/);
+  });
+
+  it('should prefer If-None-Match over If-Modified-Since', () => {
+    const req = { headers: { 'if-none-match': '"stale"', 'if-modified-since': LAST_MODIFIED } };
+
+    sendConditionalJson(req, res, body, { lastModified: LAST_MODIFIED });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should use If-Modified-Since on its own', () => {
+    sendConditionalJson({ headers: { 'if-modified-since': LAST_MODIFIED } }, res, body, { lastModified: LAST_MODIFIED });
+    expect(res.status).toHaveBeenLastCalledWith(304);
+
+    sendConditionalJson({ headers: { 'if-modified-since': 'Tue, 09 Jan 2024 10:00:00 GMT' } }, res, body, { lastModified: LAST_MODIFIED });
+    expect(res.status).toHaveBeenLastCalledWith(200);
+
+    // Without a known modification time there is nothing to compare against
+    sendConditionalJson({ headers: { 'if-modified-since': LAST_MODIFIED } }, res, body);
+    expect(res.status).toHaveBeenLastCalledWith(200);
+  });
+});
@@ -0,0 +1,92 @@
+// tests/unit/core/cache/cache.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createCache } from '../../../../core/cache/index.js';
+import { createMemoryStore } from '../../../../core/cache/memoryStore.js';
+import { createRedisStore } from '../../../../core/cache/redisStore.js';
+
+describe('cache - Unit Tests', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('memory store', () => {
+    it('should expire entries after their ttl', async () => {
+      let now = 1000;
+      const store = createMemoryStore({ now: () => now });
+
+      await store.set('k', { a: 1 }, 500);
+      expect(await store.get('k')).toEqual({ a: 1 });
+
+      now = 1500;
+      expect(await store.get('k')).toBeNull();
+    });
+
+    it('should hand out copies of stored values', async () => {
+      const store = createMemoryStore();
+      const value = { list: [1] };
+
+      await store.set('k', value);
+      value.list.push(2);
+
+      expect(await store.get('k')).toEqual({ list: [1] });
+    });
+  });
+
+  describe('redis store', () => {
+    it('should store JSON under a prefix with a millisecond ttl', async () => {
+      const client = { get: vi.fn().mockResolvedValue('{"a":1}'), set: vi.fn(), del: vi.fn() };
+      const store = createRedisStore(client);
+
+      await store.set('contests:upcoming', { a: 1 }, 60000);
+      expect(client.set).toHaveBeenCalledWith('digitomize:contests:upcoming', '{"a":1}', { PX: 60000 });
+      expect(await store.get('contests:upcoming')).toEqual({ a: 1 });
+
+      await store.del('contests:upcoming');
+      expect(client.del).toHaveBeenCalledWith('digitomize:contests:upcoming');
+    });
+
+    it('should report a miss for unknown keys', async () => {
+      const store = createRedisStore({ get: vi.fn().mockResolvedValue(null) });
+
+      expect(await store.get('missing')).toBeNull();
+    });
+  });
+
+  describe('createCache', () => {
+    it('should load a missing entry once and serve it afterwards', async () => {
+      const cache = createCache(() => createMemoryStore());
+      const loader = vi.fn().mockResolvedValue([{ vanity: 'abc335' }]);
+
+      const first = await cache.wrap('contests', loader);
+      const second = await cache.wrap('contests', loader);
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(first);
+      expect(first.value).toEqual([{ vanity: 'abc335' }]);
+      expect(new Date(first.lastModified).toUTCString()).toBe(first.lastModified);
+    });
+
+    it('should reload after an invalidation', async () => {
+      const cache = createCache(() => createMemoryStore());
+      const loader = vi.fn().mockResolvedValueOnce(['old']).mockResolvedValueOnce(['new']);
+
+      await cache.wrap('contests', loader);
+      await cache.del('contests');
+
+      expect((await cache.wrap('contests', loader)).value).toEqual(['new']);
+    });
+
+    it('should fall back to the loader when the store fails', async () => {
+      const broken = {
+        get: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+        set: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+        del: vi.fn(),
+      };
+      const cache = createCache(() => broken);
+
+      const entry = await cache.wrap('contests', async () => ['fresh']);
+
+      expect(entry.value).toEqual(['fresh']);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// tests/unit/core/date.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  InvalidDateError,
+  timeZoneOffsetMinutes,
+  zonedTimeToUnix,
+  parseIsoDateTime,
+  parseCompactDateTime,
+} from '../../../core/date.js';
+
+describe('date - Unit Tests', () => {
+  it('should report timezone offsets including DST', () => {
+    expect(timeZoneOffsetMinutes('Asia/Tokyo', Date.UTC(2024, 0, 1))).toBe(540);
+    expect(timeZoneOffsetMinutes('Asia/Kolkata', Date.UTC(2024, 0, 1))).toBe(330);
+    expect(timeZoneOffsetMinutes('America/New_York', Date.UTC(2024, 0, 1))).toBe(-300);
+    expect(timeZoneOffsetMinutes('America/New_York', Date.UTC(2024, 6, 1))).toBe(-240);
+    expect(timeZoneOffsetMinutes('UTC', Date.UTC(2024, 0, 1))).toBe(0);
+  });
+
+  it('should convert wall-clock time in a timezone to UTC seconds', () => {
+    const parts = { year: 2024, month: 1, day: 6, hour: 21, minute: 0 };
+
+    expect(zonedTimeToUnix(parts, 'Asia/Tokyo')).toBe(Date.UTC(2024, 0, 6, 12) / 1000);
+    expect(zonedTimeToUnix(parts, 'UTC')).toBe(Date.UTC(2024, 0, 6, 21) / 1000);
+    // Just after the spring-forward in New York (EDT, UTC-4)
+    expect(zonedTimeToUnix({ year: 2024, month: 3, day: 10, hour: 3, minute: 30 }, 'America/New_York'))
+      .toBe(Date.UTC(2024, 2, 10, 7, 30) / 1000);
+  });
+
+  it('should honour explicit offsets in ISO strings', () => {
+    const expected = Date.UTC(2024, 0, 10, 14, 30) / 1000;
+
+    expect(parseIsoDateTime('2024-01-10T20:00:00+05:30', 'America/New_York')).toBe(expected);
+    expect(parseIsoDateTime('2024-01-10T14:30:00Z', 'Asia/Tokyo')).toBe(expected);
+    expect(parseIsoDateTime('2024-01-10T20:00:00', 'Asia/Kolkata')).toBe(expected);
+    expect(parseIsoDateTime('2024-01-10 20:00:00+0530')).toBe(expected);
+  });
+
+  it('should parse compact timeanddate.com values', () => {
+    expect(parseCompactDateTime('20240106T2100', 'Asia/Tokyo')).toBe(Date.UTC(2024, 0, 6, 12) / 1000);
+    expect(parseCompactDateTime('20240106T210030', 'Asia/Tokyo')).toBe(Date.UTC(2024, 0, 6, 12, 0, 30) / 1000);
+  });
+
+  it('should reject invalid input instead of returning a placeholder', () => {
+    expect(() => parseCompactDateTime(undefined, 'Asia/Tokyo')).toThrow(InvalidDateError);
+    expect(() => parseCompactDateTime('2024-01-06', 'Asia/Tokyo')).toThrow(InvalidDateError);
+    expect(() => parseCompactDateTime('20240230T2100', 'Asia/Tokyo')).toThrow(InvalidDateError);
+    expect(() => parseIsoDateTime('soon', 'UTC')).toThrow(InvalidDateError);
+    expect(() => parseIsoDateTime('2024-13-01T00:00:00', 'UTC')).toThrow(InvalidDateError);
+    expect(() => parseIsoDateTime('2024-01-01T00:00:00', 'Mars/Olympus')).toThrow(InvalidDateError);
+  });
+});
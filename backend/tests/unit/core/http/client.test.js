@@ -0,0 +1,159 @@
+// tests/unit/core/http/client.test.js
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'http';
+import { createHttpClient } from '../../../../core/http/client.js';
+
+// Local mock server; scrapers' real URLs are rewritten to it via baseUrl
+let server;
+let baseUrl;
+let requests;
+let handler;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers, at: Date.now() });
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const json = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const createClient = (options = {}) => createHttpClient({
+  baseUrl,
+  minIntervalMs: 0,
+  backoffBaseMs: 1,
+  backoffMaxMs: 5,
+  ...options,
+});
+
+describe('http client - Unit Tests', () => {
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('should rewrite URLs to the base URL and send a user agent', async () => {
+    handler = (req, res) => json(res, 200, { ok: true });
+
+    const { data } = await createClient().get('https://codeforces.com/api/contest.list?gym=false');
+
+    expect(data).toEqual({ ok: true });
+    expect(requests[0].url).toBe('/codeforces.com/api/contest.list?gym=false');
+    expect(requests[0].headers['user-agent']).toMatch(/^digitomize-bot/);
+  });
+
+  it('should retry server errors and then succeed', async () => {
+    let calls = 0;
+    handler = (req, res) => (++calls < 3 ? json(res, 503, {}) : json(res, 200, { ok: true }));
+
+    const { data } = await createClient({ retries: 2 }).get('https://example.com/flaky');
+
+    expect(data).toEqual({ ok: true });
+    expect(requests).toHaveLength(3);
+  });
+
+  it('should not retry client errors', async () => {
+    handler = (req, res) => json(res, 404, {});
+
+    await expect(createClient().get('https://example.com/missing')).rejects.toMatchObject({
+      name: 'HttpError',
+      status: 404,
+    });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should time out slow responses', async () => {
+    handler = (req, res) => setTimeout(() => json(res, 200, {}), 200);
+
+    await expect(
+      createClient({ retries: 0 }).get('https://example.com/slow', { timeoutMs: 50 }),
+    ).rejects.toMatchObject({ name: 'HttpError' });
+  });
+
+  it('should reject responses above the size limit', async () => {
+    handler = (req, res) => json(res, 200, { big: 'x'.repeat(2000) });
+
+    await expect(
+      createClient({ maxContentLength: 1000 }).get('https://example.com/big'),
+    ).rejects.toMatchObject({ name: 'HttpError' });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should follow redirects', async () => {
+    handler = (req, res) => {
+      if (req.url.endsWith('/old')) {
+        res.writeHead(301, { Location: `${baseUrl}/example.com/new` });
+        res.end();
+      } else {
+        json(res, 200, { moved: true });
+      }
+    };
+
+    const { data } = await createClient().get('https://example.com/old');
+
+    expect(data).toEqual({ moved: true });
+  });
+
+  it('should send conditional headers and reuse data on 304', async () => {
+    handler = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        res.end();
+      } else {
+        json(res, 200, { version: 1 }, { ETag: '"v1"' });
+      }
+    };
+    const client = createClient();
+
+    await client.get('https://example.com/list', { conditional: true });
+    const second = await client.get('https://example.com/list', { conditional: true });
+
+    expect(requests[1].headers['if-none-match']).toBe('"v1"');
+    expect(second).toMatchObject({ status: 304, notModified: true, data: { version: 1 } });
+  });
+
+  it('should space out requests to the same host', async () => {
+    handler = (req, res) => json(res, 200, {});
+    const client = createClient({ minIntervalMs: 100 });
+
+    await Promise.all([
+      client.get('https://example.com/a'),
+      client.get('https://example.com/b'),
+    ]);
+
+    expect(requests[1].at - requests[0].at).toBeGreaterThanOrEqual(90);
+  });
+
+  it('should open the circuit after repeated failures', async () => {
+    handler = (req, res) => json(res, 500, {});
+    const client = createClient({ retries: 0, failureThreshold: 2, resetTimeoutMs: 60000 });
+
+    await expect(client.get('https://down.example.com/')).rejects.toMatchObject({ status: 500 });
+    await expect(client.get('https://down.example.com/')).rejects.toMatchObject({ status: 500 });
+    await expect(client.get('https://down.example.com/')).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+    expect(requests).toHaveLength(2);
+
+    // Other hosts are unaffected
+    handler = (req, res) => json(res, 200, {});
+    await expect(client.get('https://up.example.com/')).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('should let one request through after the reset timeout', async () => {
+    handler = (req, res) => json(res, 500, {});
+    const client = createClient({ retries: 0, failureThreshold: 1, resetTimeoutMs: 20 });
+
+    await expect(client.get('https://down.example.com/')).rejects.toMatchObject({ status: 500 });
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    handler = (req, res) => json(res, 200, { back: true });
+    await expect(client.get('https://down.example.com/')).resolves.toMatchObject({ data: { back: true } });
+  });
+});
@@ -0,0 +1,101 @@
+// tests/unit/core/userTime.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  timePreferences,
+  formatUserTime,
+  startOfLocalDay,
+  quietHoursEnd,
+  parseTimePreferences,
+} from '../../../core/userTime.js';
+
+const withPrefs = (preferences) => ({ preferences });
+// 2024-01-01 09:30 UTC, a Monday
+const START = 1704101400;
+
+describe('userTime - Unit Tests', () => {
+  it('should fall back to IST and a 12-hour clock', () => {
+    expect(timePreferences(undefined)).toEqual({ timeZone: 'Asia/Kolkata', hour12: true });
+    expect(timePreferences(withPrefs({ timezone: 'Not/AZone' }))).toEqual({ timeZone: 'Asia/Kolkata', hour12: true });
+    expect(timePreferences(withPrefs({ timezone: 'Europe/Berlin', time_format: '24h' })))
+      .toEqual({ timeZone: 'Europe/Berlin', hour12: false });
+  });
+
+  it('should format times in the user\'s zone and clock', () => {
+    expect(formatUserTime(START, undefined)).toBe('Mon, Jan 1, 3:00 PM GMT+5:30');
+    expect(formatUserTime(START, withPrefs({ timezone: 'America/New_York', time_format: '24h' })))
+      .toBe('Mon, Jan 1, 04:30 EST');
+    expect(formatUserTime(1704067200, withPrefs({ timezone: 'UTC', time_format: '24h' })))
+      .toBe('Mon, Jan 1, 00:00 UTC');
+  });
+
+  it('should find local midnight across month boundaries and DST', () => {
+    const date = new Date(Date.UTC(2024, 2, 1, 3)); // Mar 1, 08:30 in Kolkata
+
+    expect(startOfLocalDay('Asia/Kolkata', date)).toBe(Date.UTC(2024, 1, 29, 18, 30) / 1000);
+    expect(startOfLocalDay('Asia/Kolkata', date, 1)).toBe(Date.UTC(2024, 1, 28, 18, 30) / 1000);
+    // Mar 11 in New York is EDT, Mar 10 midnight was still EST
+    const afterSpringForward = new Date(Date.UTC(2024, 2, 11, 16));
+    expect(startOfLocalDay('America/New_York', afterSpringForward)).toBe(Date.UTC(2024, 2, 11, 4) / 1000);
+    expect(startOfLocalDay('America/New_York', afterSpringForward, 1)).toBe(Date.UTC(2024, 2, 10, 5) / 1000);
+  });
+
+  describe('quietHoursEnd', () => {
+    const user = withPrefs({
+      timezone: 'UTC',
+      quiet_hours: { enabled: true, start: '22:00', end: '07:00' },
+    });
+
+    it('should return the end of quiet hours that wrap past midnight', () => {
+      expect(quietHoursEnd(user, new Date(Date.UTC(2024, 0, 1, 23, 15, 30))))
+        .toEqual(new Date(Date.UTC(2024, 0, 2, 7)));
+      expect(quietHoursEnd(user, new Date(Date.UTC(2024, 0, 2, 6, 59))))
+        .toEqual(new Date(Date.UTC(2024, 0, 2, 7)));
+    });
+
+    it('should return null outside quiet hours or when they are off', () => {
+      expect(quietHoursEnd(user, new Date(Date.UTC(2024, 0, 2, 7)))).toBeNull();
+      expect(quietHoursEnd(user, new Date(Date.UTC(2024, 0, 2, 12)))).toBeNull();
+      expect(quietHoursEnd(
+        withPrefs({ quiet_hours: { enabled: false, start: '00:00', end: '23:59' } }),
+        new Date(Date.UTC(2024, 0, 2, 12)),
+      )).toBeNull();
+    });
+
+    it('should read the clock in the user\'s timezone', () => {
+      const kolkata = withPrefs({
+        timezone: 'Asia/Kolkata',
+        quiet_hours: { enabled: true, start: '13:00', end: '14:00' },
+      });
+
+      // 07:45 UTC is 13:15 in Kolkata
+      expect(quietHoursEnd(kolkata, new Date(Date.UTC(2024, 0, 1, 7, 45))))
+        .toEqual(new Date(Date.UTC(2024, 0, 1, 8, 30)));
+    });
+  });
+
+  describe('parseTimePreferences', () => {
+    it('should keep only the valid fields that were passed', () => {
+      expect(parseTimePreferences({ timezone: 'Europe/Berlin' }))
+        .toEqual({ preferences: { timezone: 'Europe/Berlin' } });
+      expect(parseTimePreferences({
+        time_format: '24h',
+        quiet_hours: { enabled: true, start: '23:00', end: '06:30' },
+      })).toEqual({
+        preferences: {
+          time_format: '24h',
+          quiet_hours: { enabled: true, start: '23:00', end: '06:30' },
+        },
+      });
+    });
+
+    it('should reject bad values', () => {
+      expect(parseTimePreferences({}).error).toBeDefined();
+      expect(parseTimePreferences({ timezone: 'Mars/Olympus' }).error).toMatch(/timezone/);
+      expect(parseTimePreferences({ time_format: '36h' }).error).toMatch(/time_format/);
+      expect(parseTimePreferences({ quiet_hours: { enabled: true, start: '24:00', end: '07:00' } }).error)
+        .toMatch(/quiet_hours/);
+      expect(parseTimePreferences({ quiet_hours: { enabled: 'yes', start: '22:00', end: '07:00' } }).error)
+        .toMatch(/quiet_hours/);
+    });
+  });
+});
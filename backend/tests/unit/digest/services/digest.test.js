@@ -0,0 +1,261 @@
+// tests/unit/digest/services/digest.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  buildDigest,
+  isDigestDue,
+  renderDigest,
+  sendDigests,
+} from '../../../../digest/services/digest.js';
+import User from '../../../../users/models/User.js';
+import { Contest } from '../../../../contest/models/Contest.js';
+import { Hackathon } from '../../../../hackathons/models/Hackathon.js';
+import InboxItem from '../../../../notifications/models/InboxItem.js';
+import { sendMail } from '../../../../services/email/smtp.js';
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { find: vi.fn(), updateOne: vi.fn() },
+}));
+
+vi.mock('../../../../contest/models/Contest.js', () => ({
+  Contest: { find: vi.fn() },
+}));
+
+vi.mock('../../../../hackathons/models/Hackathon.js', () => ({
+  Hackathon: { find: vi.fn() },
+}));
+
+vi.mock('../../../../notifications/models/InboxItem.js', () => ({
+  default: { find: vi.fn() },
+}));
+
+vi.mock('../../../../services/email/smtp.js', () => ({
+  isSmtpConfigured: vi.fn(() => true),
+  sendMail: vi.fn(),
+}));
+
+// find().sort().limit().select().lean() chains, in any order
+const queryResolving = (value) => {
+  const query = {};
+  query.sort = vi.fn().mockReturnValue(query);
+  query.limit = vi.fn().mockReturnValue(query);
+  query.select = vi.fn().mockReturnValue(query);
+  query.lean = vi.fn().mockResolvedValue(value);
+  return query;
+};
+
+const NOW = 1700000000;
+// Wednesday 2023-11-15, 11:30 in Kolkata
+const MORNING = 1700028000;
+const contest = {
+  host: 'codeforces',
+  vanity: '1900',
+  name: 'Codeforces Round 900',
+  url: 'https://codeforces.com/contests/1900',
+  startTimeUnix: NOW + 2 * 60 * 60,
+  duration: 150,
+};
+const hackathon = {
+  host: 'devfolio',
+  vanity: 'hack-the-mountains',
+  name: 'Hack <The> Mountains',
+  url: 'https://hack-the-mountains.devfolio.co',
+  registerationEndTimeUnix: NOW + 3 * 24 * 60 * 60,
+};
+const ratingItems = [
+  { data: { platform: 'codeforces', from: 1500, to: 1540 } },
+  { data: { platform: 'codeforces', from: 1540, to: 1580 } },
+  { data: { platform: 'leetcode', from: 1800, to: 1800 } },
+];
+const user = {
+  _id: 'user-id-1',
+  uid: 'user-1',
+  name: 'Test User',
+  email: 'user@example.com',
+  preferences: {
+    contest_notifs: { codeforces: true, codechef: false },
+    digest: { frequency: 'weekly', lastSentAt: null },
+  },
+};
+
+describe('digest - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubEnv('FRONTEND_URL', 'https://digitomize.com');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    Contest.find.mockReturnValue(queryResolving([contest]));
+    Hackathon.find.mockReturnValue(queryResolving([hackathon]));
+    InboxItem.find.mockReturnValue(queryResolving(ratingItems));
+    User.find.mockReturnValue(queryResolving([user]));
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    sendMail.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('buildDigest', () => {
+    it('should pick contests on the user platforms within the period', async () => {
+      const digest = await buildDigest(user, 'weekly', NOW);
+
+      expect(Contest.find).toHaveBeenCalledWith({
+        startTimeUnix: { $gt: NOW, $lte: NOW + 7 * 24 * 60 * 60 },
+        host: { $in: ['codeforces'] },
+      });
+      expect(Hackathon.find).toHaveBeenCalledWith({
+        registerationEndTimeUnix: { $gt: NOW, $lte: NOW + 7 * 24 * 60 * 60 },
+      });
+      expect(digest.contests).toEqual([contest]);
+      expect(digest.hackathons).toEqual([hackathon]);
+    });
+
+    it('should show every platform to users who picked none', async () => {
+      await buildDigest({ ...user, preferences: {} }, 'daily', NOW);
+
+      expect(Contest.find).toHaveBeenCalledWith({
+        startTimeUnix: { $gt: NOW, $lte: NOW + 24 * 60 * 60 },
+      });
+    });
+
+    it('should collapse rating changes to one per platform', async () => {
+      const digest = await buildDigest(user, 'weekly', NOW);
+
+      expect(InboxItem.find).toHaveBeenCalledWith({
+        uid: 'user-1',
+        type: 'rating.change',
+        createdAt: { $gte: new Date((NOW - 7 * 24 * 60 * 60) * 1000) },
+      });
+      expect(digest.ratingChanges).toEqual([{ platform: 'codeforces', from: 1500, to: 1580 }]);
+    });
+  });
+
+  describe('renderDigest', () => {
+    it('should render every section into HTML and text', async () => {
+      const digest = await buildDigest(user, 'weekly', NOW);
+
+      const { subject, html, text } = renderDigest(user, digest);
+
+      expect(subject).toBe('Your weekly digitomize digest: 1 contest, 1 hackathon, rating updates');
+      expect(html).toContain('Codeforces Round 900');
+      expect(html).toContain('Hack &lt;The&gt; Mountains');
+      expect(html).toContain('2h 30m');
+      expect(html).toContain('+80');
+      expect(html).toContain('https://digitomize.com/u/dashboard/preferences');
+      expect(text).toContain('- Codeforces: 1500 -> 1580 (+80)');
+    });
+
+    it('should write times in the user\'s timezone and clock', async () => {
+      const berlinUser = {
+        ...user,
+        preferences: { ...user.preferences, timezone: 'Europe/Berlin', time_format: '24h' },
+      };
+      const digest = await buildDigest(berlinUser, 'weekly', NOW);
+
+      const { text } = renderDigest(berlinUser, digest);
+
+      expect(text).toContain('Codeforces Round 900 (codeforces), Wed, Nov 15, 01:13 GMT+1, 2h 30m');
+    });
+
+    it('should leave out empty sections', () => {
+      const { html } = renderDigest(user, {
+        frequency: 'daily',
+        contests: [contest],
+        hackathons: [],
+        ratingChanges: [],
+      });
+
+      expect(html).toContain('Upcoming contests');
+      expect(html).not.toContain('Hackathon registrations closing soon');
+      expect(html).not.toContain('Your rating changes');
+    });
+  });
+
+  describe('isDigestDue', () => {
+    const withDigest = (digest, extra = {}) => ({
+      ...user,
+      preferences: { ...user.preferences, ...extra, digest: { ...user.preferences.digest, ...digest } },
+    });
+
+    it('should wait for the local morning', () => {
+      // 03:43 in Kolkata, but 23:13 the evening before in London
+      expect(isDigestDue(user, NOW)).toBe(false);
+      expect(isDigestDue(withDigest({}, { timezone: 'Europe/London' }), NOW)).toBe(true);
+      expect(isDigestDue(user, MORNING)).toBe(true);
+    });
+
+    it('should send once per local day or week', () => {
+      const earlierToday = new Date((MORNING - 60 * 60) * 1000);
+      const monday = new Date(Date.UTC(2023, 10, 13, 3));
+      const lastSunday = new Date(Date.UTC(2023, 10, 12, 3));
+
+      expect(isDigestDue(withDigest({ frequency: 'daily', lastSentAt: earlierToday }), MORNING)).toBe(false);
+      expect(isDigestDue(withDigest({ frequency: 'daily', lastSentAt: monday }), MORNING)).toBe(true);
+      expect(isDigestDue(withDigest({ frequency: 'weekly', lastSentAt: monday }), MORNING)).toBe(false);
+      expect(isDigestDue(withDigest({ frequency: 'weekly', lastSentAt: lastSunday }), MORNING)).toBe(true);
+      expect(isDigestDue(withDigest({ frequency: 'off' }), MORNING)).toBe(false);
+    });
+
+    it('should hold the digest during quiet hours', () => {
+      const quiet = withDigest({}, { quiet_hours: { enabled: true, start: '09:00', end: '12:00' } });
+
+      expect(isDigestDue(quiet, MORNING)).toBe(false);
+      expect(isDigestDue(quiet, MORNING + 60 * 60)).toBe(true);
+    });
+  });
+
+  describe('sendDigests', () => {
+    it('should claim and email each due user', async () => {
+      const totals = await sendDigests(MORNING);
+
+      expect(totals).toEqual({ sent: 1, skipped: 0, failed: 0 });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user-id-1', 'preferences.digest.lastSentAt': null },
+        { $set: { 'preferences.digest.lastSentAt': new Date(MORNING * 1000) } },
+      );
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'user@example.com',
+        subject: expect.stringContaining('weekly'),
+        headers: { 'List-Unsubscribe': '<https://digitomize.com/u/dashboard/preferences>' },
+      }));
+    });
+
+    it('should leave users whose morning hasn\'t come yet', async () => {
+      const totals = await sendDigests(NOW);
+
+      expect(totals.sent).toBe(0);
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should skip users another instance already claimed', async () => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const totals = await sendDigests(MORNING);
+
+      expect(totals.sent).toBe(0);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should not email a digest with nothing in it', async () => {
+      Contest.find.mockReturnValue(queryResolving([]));
+      Hackathon.find.mockReturnValue(queryResolving([]));
+      InboxItem.find.mockReturnValue(queryResolving([]));
+
+      const totals = await sendDigests(MORNING);
+
+      expect(totals).toEqual({ sent: 0, skipped: 1, failed: 0 });
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when sending fails', async () => {
+      sendMail.mockRejectedValue(new Error('connection refused'));
+
+      await expect(sendDigests(MORNING)).rejects.toThrow('Every digest failed to send');
+
+      expect(User.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'user-id-1' },
+        { $set: { 'preferences.digest.lastSentAt': null } },
+      );
+    });
+  });
+});
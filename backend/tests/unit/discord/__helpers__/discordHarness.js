@@ -0,0 +1,47 @@
+// tests/unit/discord/__helpers__/discordHarness.js
+// Signs interactions the way Discord does, so the endpoint can be exercised
+// end to end without a Discord application.
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import discordRoutes from '../../../../discord/routes/discordRoutes.js';
+import { keepRawBody } from '../../../../discord/middlewares/verifyInteraction.js';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+// Discord shows the raw 32 byte key: the tail of the SPKI encoding
+export const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+
+export function signInteraction (body, timestamp = String(Math.floor(Date.now() / 1000))) {
+  const signature = crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex');
+  return { 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp };
+}
+
+export function createApp () {
+  const app = express();
+  app.use(express.json({ verify: keepRawBody }));
+  app.use('/discord', discordRoutes);
+  return app;
+}
+
+//* POST a signed interaction to /discord/interactions
+export function sendInteraction (app, interaction) {
+  const body = JSON.stringify(interaction);
+  return request(app)
+    .post('/discord/interactions')
+    .set('Content-Type', 'application/json')
+    .set(signInteraction(body))
+    .send(body);
+}
+
+//* Slash command interaction as Discord sends it
+export function command (name, options = [], extra = {}) {
+  return {
+    type: 2,
+    id: '1',
+    application_id: '2',
+    token: 'token',
+    data: { name, options: options.map(([optionName, value]) => ({ name: optionName, value })) },
+    ...extra,
+  };
+}
@@ -0,0 +1,257 @@
+// tests/unit/discord/controllers/interactionController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import request from 'supertest';
+import contestController from '../../../../contest/controllers/contestController.js';
+import { getTodaysPotd } from '../../../../potd/controllers/potdController.js';
+import { getUser } from '../../../../users/services/getUser.js';
+import { getLinkedAccounts } from '../../../../users/services/linkedAccounts.js';
+import DiscordSubscription from '../../../../discord/models/DiscordSubscription.js';
+import {
+  command,
+  createApp,
+  publicKeyHex,
+  sendInteraction,
+  signInteraction,
+} from '../__helpers__/discordHarness.js';
+
+vi.mock('../../../../contest/controllers/contestController.js', () => ({
+  default: { getContestList: vi.fn() },
+}));
+
+vi.mock('../../../../hackathons/controllers/hackathonDbSyncController.js', () => ({
+  default: { getUpcomingHackathonsList: vi.fn().mockResolvedValue([]) },
+}));
+
+vi.mock('../../../../potd/controllers/potdController.js', () => ({
+  POTD_PLATFORMS: ['leetcode', 'geeksforgeeks'],
+  getTodaysPotd: vi.fn(),
+}));
+
+vi.mock('../../../../users/services/getUser.js', () => ({
+  getUser: vi.fn(),
+}));
+
+vi.mock('../../../../users/services/linkedAccounts.js', () => ({
+  getLinkedAccounts: vi.fn(),
+}));
+
+vi.mock('../../../../discord/models/DiscordSubscription.js', () => ({
+  default: { updateOne: vi.fn(), deleteOne: vi.fn() },
+}));
+
+vi.mock('../../../../contest/models/Contest.js');
+
+const NOW = Math.floor(Date.now() / 1000);
+const contest = (host, vanity, inHours) => ({
+  host,
+  vanity,
+  name: `${host} ${vanity}`,
+  url: `https://example.com/${host}/${vanity}`,
+  startTimeUnix: NOW + inHours * 3600,
+  duration: 120,
+});
+
+describe('interactionController - Unit Tests', () => {
+  let app;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.unstubAllEnvs();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubEnv('DISCORD_PUBLIC_KEY', publicKeyHex);
+    vi.stubEnv('DISCORD_BOT_TOKEN', 'bot-token');
+    vi.stubEnv('FRONTEND_URL', 'https://digitomize.com');
+    app = createApp();
+  });
+
+  describe('request verification', () => {
+    it('should answer pings with a pong', async () => {
+      const res = await sendInteraction(app, { type: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ type: 1 });
+    });
+
+    it('should reject requests with a bad or missing signature', async () => {
+      const body = JSON.stringify({ type: 1 });
+      const headers = signInteraction(JSON.stringify({ type: 2 }));
+
+      const forged = await request(app).post('/discord/interactions')
+        .set('Content-Type', 'application/json').set(headers).send(body);
+      const unsigned = await request(app).post('/discord/interactions')
+        .set('Content-Type', 'application/json').send(body);
+
+      expect(forged.status).toBe(401);
+      expect(unsigned.status).toBe(401);
+    });
+
+    it('should reject stale timestamps', async () => {
+      const body = JSON.stringify({ type: 1 });
+      const res = await request(app).post('/discord/interactions')
+        .set('Content-Type', 'application/json')
+        .set(signInteraction(body, String(NOW - 10 * 60)))
+        .send(body);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should return 503 when no public key is configured', async () => {
+      vi.stubEnv('DISCORD_PUBLIC_KEY', '');
+
+      const res = await sendInteraction(app, { type: 1 });
+
+      expect(res.status).toBe(503);
+    });
+  });
+
+  describe('/contests', () => {
+    beforeEach(() => {
+      contestController.getContestList.mockResolvedValue([
+        contest('codeforces', '1900', 5),
+        contest('leetcode', 'weekly-400', 2),
+        contest('codechef', 'start100', 30),
+        contest('notaplatform', 'x', 1),
+      ]);
+    });
+
+    it('should list upcoming contests soonest first', async () => {
+      const res = await sendInteraction(app, command('contests'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.type).toBe(4);
+      const [embed] = res.body.data.embeds;
+      expect(embed.title).toBe('Upcoming contests');
+      expect(embed.fields.map((field) => field.name)).toEqual([
+        'leetcode weekly-400 (LeetCode)',
+        'codeforces 1900 (Codeforces)',
+        'codechef start100 (CodeChef)',
+      ]);
+      expect(embed.fields[0].value).toContain(`<t:${NOW + 2 * 3600}:R>`);
+    });
+
+    it('should filter by platform', async () => {
+      const res = await sendInteraction(app, command('contests', [['platform', 'codeforces']]));
+
+      const [embed] = res.body.data.embeds;
+      expect(embed.fields).toHaveLength(1);
+      expect(embed.fields[0].name).toBe('codeforces 1900 (Codeforces)');
+    });
+
+    it('should say so privately when nothing is coming up', async () => {
+      contestController.getContestList.mockResolvedValue([]);
+
+      const res = await sendInteraction(app, command('contests', [['platform', 'atcoder']]));
+
+      expect(res.body.data.content).toBe('No upcoming AtCoder contests.');
+      expect(res.body.data.flags).toBe(64);
+    });
+  });
+
+  describe('/potd', () => {
+    it('should show the platforms that answered', async () => {
+      getTodaysPotd.mockImplementation(async (platform) => {
+        if (platform === 'leetcode') return { problemName: 'Two Sum', problemUrl: 'https://leetcode.com/problems/two-sum' };
+        throw new Error('down');
+      });
+
+      const res = await sendInteraction(app, command('potd'));
+
+      const [embed] = res.body.data.embeds;
+      expect(embed.fields).toEqual([
+        { name: 'LeetCode', value: '[Two Sum](https://leetcode.com/problems/two-sum)' },
+      ]);
+    });
+  });
+
+  describe('/rating', () => {
+    it('should show the ratings the user made public', async () => {
+      getUser.mockResolvedValue({
+        uid: 'alice-uid',
+        username: 'alice',
+        name: 'Alice',
+        digitomize_rating: 1650,
+      });
+      getLinkedAccounts.mockResolvedValue({
+        codeforces: { username: 'alice_cf', rating: 1720, badge: 'expert', showOnWebsite: true },
+        leetcode: { username: 'alice_lc', rating: 2100, showOnWebsite: false },
+        codechef: { username: null, rating: null, showOnWebsite: true },
+        atcoder: { username: null, rating: null, showOnWebsite: true },
+        geeksforgeeks: { username: 'alice_gfg', rating: null, showOnWebsite: true },
+        codingninjas: { username: null, rating: null, showOnWebsite: true },
+      });
+
+      const res = await sendInteraction(app, command('rating', [['username', ' alice ']]));
+
+      expect(getUser).toHaveBeenCalledWith('alice');
+      expect(getLinkedAccounts).toHaveBeenCalledWith('alice-uid');
+      const [embed] = res.body.data.embeds;
+      expect(embed.url).toBe('https://digitomize.com/u/alice');
+      expect(embed.description).toContain('1650');
+      expect(embed.fields).toEqual([
+        { name: 'Codeforces', value: '1720 · expert · @alice_cf', inline: true },
+      ]);
+    });
+
+    it('should answer privately for unknown users', async () => {
+      getUser.mockResolvedValue(null);
+
+      const res = await sendInteraction(app, command('rating', [['username', 'nobody']]));
+
+      expect(res.body.data.flags).toBe(64);
+      expect(res.body.data.content).toContain('nobody');
+    });
+  });
+
+  describe('/subscribe', () => {
+    const inChannel = { guild_id: 'g1', channel_id: 'c1', member: { user: { id: 'u1' } } };
+
+    it('should subscribe the channel to a platform', async () => {
+      const res = await sendInteraction(app, command('subscribe', [['platform', 'codeforces']], inChannel));
+
+      expect(DiscordSubscription.updateOne).toHaveBeenCalledWith(
+        { channelId: 'c1', platform: 'codeforces' },
+        { $set: { guildId: 'g1' }, $setOnInsert: { createdBy: 'u1' } },
+        { upsert: true },
+      );
+      expect(res.body.data.content).toContain('Codeforces');
+    });
+
+    it('should unsubscribe with off', async () => {
+      DiscordSubscription.deleteOne.mockResolvedValue({ deletedCount: 1 });
+
+      const res = await sendInteraction(
+        app,
+        command('subscribe', [['platform', 'codeforces'], ['off', true]], inChannel),
+      );
+
+      expect(DiscordSubscription.deleteOne).toHaveBeenCalledWith({ channelId: 'c1', platform: 'codeforces' });
+      expect(DiscordSubscription.updateOne).not.toHaveBeenCalled();
+      expect(res.body.data.content).toContain("won't get");
+    });
+
+    it('should refuse outside server channels and for unknown platforms', async () => {
+      const inDm = await sendInteraction(app, command('subscribe', [['platform', 'codeforces']]));
+      const unknown = await sendInteraction(app, command('subscribe', [['platform', 'nope']], inChannel));
+
+      expect(inDm.body.data.flags).toBe(64);
+      expect(unknown.body.data.flags).toBe(64);
+      expect(DiscordSubscription.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should reply privately when a command fails', async () => {
+    contestController.getContestList.mockRejectedValue(new Error('cache down'));
+
+    const res = await sendInteraction(app, command('contests'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.flags).toBe(64);
+    expect(res.body.data.content).toMatch(/went wrong/);
+  });
+
+  it('should reply privately to unknown commands', async () => {
+    const res = await sendInteraction(app, command('nope'));
+
+    expect(res.body.data.flags).toBe(64);
+  });
+});
@@ -0,0 +1,102 @@
+// tests/unit/discord/services/channelReminders.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { sendChannelReminders } from '../../../../discord/services/channelReminders.js';
+import { Contest } from '../../../../contest/models/Contest.js';
+import DiscordSubscription from '../../../../discord/models/DiscordSubscription.js';
+import ChannelReminder from '../../../../discord/models/ChannelReminder.js';
+import { postChannelMessage } from '../../../../discord/services/api.js';
+
+vi.mock('../../../../contest/models/Contest.js', () => ({
+  Contest: { find: vi.fn() },
+}));
+
+vi.mock('../../../../discord/models/DiscordSubscription.js', () => ({
+  default: { find: vi.fn(), deleteOne: vi.fn() },
+}));
+
+vi.mock('../../../../discord/models/ChannelReminder.js', () => ({
+  default: { create: vi.fn(), updateOne: vi.fn() },
+}));
+
+vi.mock('../../../../discord/services/api.js', () => ({
+  isDiscordBotConfigured: () => Boolean(process.env.DISCORD_BOT_TOKEN),
+  postChannelMessage: vi.fn(),
+}));
+
+const NOW = 1704101400;
+const contest = {
+  host: 'codeforces',
+  vanity: '1900',
+  name: 'Codeforces Round 900',
+  url: 'https://codeforces.com/contests/1900',
+  startTimeUnix: NOW + 30 * 60,
+  duration: 120,
+};
+
+const resolving = (value) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(value),
+});
+
+describe('sendChannelReminders - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.unstubAllEnvs();
+    vi.stubEnv('DISCORD_BOT_TOKEN', 'bot-token');
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    Contest.find.mockReturnValue(resolving([contest]));
+    DiscordSubscription.find.mockReturnValue(resolving([
+      { _id: 's1', channelId: 'c1' },
+      { _id: 's2', channelId: 'c2' },
+    ]));
+    ChannelReminder.create.mockImplementation(async (doc) => ({ _id: `r-${doc.channelId}`, ...doc }));
+    postChannelMessage.mockResolvedValue({});
+  });
+
+  it('should post each contest starting within the hour to its subscribed channels', async () => {
+    const totals = await sendChannelReminders(NOW);
+
+    expect(totals).toEqual({ sent: 2, failed: 0 });
+    expect(Contest.find).toHaveBeenCalledWith({ startTimeUnix: { $gt: NOW, $lte: NOW + 3600 } });
+    expect(DiscordSubscription.find).toHaveBeenCalledWith({ platform: 'codeforces' });
+    const [channelId, message] = postChannelMessage.mock.calls[0];
+    expect(channelId).toBe('c1');
+    expect(message.embeds[0].title).toBe('Codeforces Round 900 starts soon');
+    expect(message.embeds[0].fields[0].value).toContain(`<t:${contest.startTimeUnix}:R>`);
+    expect(ChannelReminder.updateOne).toHaveBeenCalledWith({ _id: 'r-c1' }, { $set: { status: 'sent' } });
+  });
+
+  it('should skip channels that were already reminded', async () => {
+    ChannelReminder.create
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate'), { code: 11000 }));
+
+    const totals = await sendChannelReminders(NOW);
+
+    expect(totals).toEqual({ sent: 1, failed: 0 });
+    expect(postChannelMessage).toHaveBeenCalledTimes(1);
+    expect(postChannelMessage.mock.calls[0][0]).toBe('c2');
+  });
+
+  it('should drop subscriptions of channels the bot can no longer post to', async () => {
+    postChannelMessage
+      .mockRejectedValueOnce(Object.assign(new Error('Missing Access'), { response: { status: 403 } }))
+      .mockRejectedValueOnce(new Error('timeout'));
+
+    const totals = await sendChannelReminders(NOW);
+
+    expect(totals).toEqual({ sent: 0, failed: 2 });
+    expect(ChannelReminder.updateOne).toHaveBeenCalledWith(
+      { _id: 'r-c1' },
+      { $set: { status: 'failed', error: 'HTTP 403' } },
+    );
+    expect(DiscordSubscription.deleteOne).toHaveBeenCalledTimes(1);
+    expect(DiscordSubscription.deleteOne).toHaveBeenCalledWith({ _id: 's1' });
+  });
+
+  it('should do nothing without a bot token', async () => {
+    vi.stubEnv('DISCORD_BOT_TOKEN', '');
+
+    expect(await sendChannelReminders(NOW)).toEqual({ sent: 0, failed: 0 });
+    expect(Contest.find).not.toHaveBeenCalled();
+  });
+});
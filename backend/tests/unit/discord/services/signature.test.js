@@ -0,0 +1,30 @@
+// tests/unit/discord/services/signature.test.js
+import { describe, it, expect } from 'vitest';
+import { isValidSignature } from '../../../../discord/services/signature.js';
+import { publicKeyHex, signInteraction } from '../__helpers__/discordHarness.js';
+
+const body = '{"type":1}';
+const timestamp = '1700000000';
+const signature = signInteraction(body, timestamp)['X-Signature-Ed25519'];
+
+describe('isValidSignature - Unit Tests', () => {
+  it('should accept what the key signed', () => {
+    expect(isValidSignature({ body: Buffer.from(body), signature, timestamp, publicKey: publicKeyHex })).toBe(true);
+  });
+
+  it('should reject a changed body or timestamp', () => {
+    expect(isValidSignature({ body: Buffer.from('{"type":2}'), signature, timestamp, publicKey: publicKeyHex }))
+      .toBe(false);
+    expect(isValidSignature({ body: Buffer.from(body), signature, timestamp: '1700000001', publicKey: publicKeyHex }))
+      .toBe(false);
+  });
+
+  it('should reject malformed input without throwing', () => {
+    const valid = { body: Buffer.from(body), signature, timestamp, publicKey: publicKeyHex };
+
+    expect(isValidSignature({ ...valid, signature: 'zz' })).toBe(false);
+    expect(isValidSignature({ ...valid, signature: undefined })).toBe(false);
+    expect(isValidSignature({ ...valid, publicKey: 'ab'.repeat(31) })).toBe(false);
+    expect(isValidSignature({ ...valid, body: undefined })).toBe(false);
+  });
+});
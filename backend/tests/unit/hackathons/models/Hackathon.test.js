@@ -0,0 +1,42 @@
+// tests/unit/hackathons/models/Hackathon.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  Hackathon,
+  hackathonStatus,
+} from '../../../../hackathons/models/Hackathon.js';
+
+const hackathon = {
+  host: 'devfolio',
+  vanity: 'hack-the-mountains',
+  name: 'Hack The Mountains',
+  url: 'https://hack-the-mountains.devfolio.co',
+  registerationStartTimeUnix: 1700000000,
+  registerationEndTimeUnix: 1700100000,
+  hackathonStartTimeUnix: 1700200000,
+  duration: 2880,
+};
+
+describe('Hackathon model - Unit Tests', () => {
+  it('should follow registration and then the hackathon itself', () => {
+    expect(hackathonStatus(hackathon, 1699999999)).toBe('upcoming');
+    expect(hackathonStatus(hackathon, 1700000000)).toBe('registration_open');
+    expect(hackathonStatus(hackathon, 1700100000)).toBe('registration_closed');
+    expect(hackathonStatus(hackathon, 1700200000)).toBe('live');
+    expect(hackathonStatus(hackathon, 1700200000 + 2880 * 60)).toBe('finished');
+  });
+
+  it('should report live when registration stays open during the hackathon', () => {
+    const rolling = { ...hackathon, registerationEndTimeUnix: 1700300000 };
+
+    expect(hackathonStatus(rolling, 1700250000)).toBe('live');
+  });
+
+  it('should store the end time when validated', async () => {
+    const doc = new Hackathon(hackathon);
+
+    await doc.validate();
+
+    expect(doc.endTimeUnix).toBe(1700200000 + 2880 * 60);
+    expect(Hackathon.collection.collectionName).toBe('hackathons');
+  });
+});
@@ -0,0 +1,46 @@
+// tests/unit/jobs/services/cron.test.js
+import { describe, it, expect } from 'vitest';
+import { parseSchedule, InvalidScheduleError } from '../../../../jobs/services/cron.js';
+
+const at = (iso) => new Date(iso);
+const next = (expression, iso) => parseSchedule(expression).next(at(iso)).toISOString();
+
+describe('cron - Unit Tests', () => {
+  it('should find the next matching minute strictly after the given time', () => {
+    expect(next('*/15 * * * *', '2024-01-10T10:07:30Z')).toBe('2024-01-10T10:15:00.000Z');
+    expect(next('*/15 * * * *', '2024-01-10T10:15:00Z')).toBe('2024-01-10T10:30:00.000Z');
+    expect(next('5 0 * * *', '2024-01-10T10:07:00Z')).toBe('2024-01-11T00:05:00.000Z');
+  });
+
+  it('should support lists, ranges and steps', () => {
+    expect(next('0,30 9-17/4 * * *', '2024-01-10T09:45:00Z')).toBe('2024-01-10T13:00:00.000Z');
+    expect(next('0 12 * * 1-5', '2024-01-13T13:00:00Z')).toBe('2024-01-15T12:00:00.000Z'); // Saturday -> Monday
+  });
+
+  it('should roll over months and years', () => {
+    expect(next('0 0 1 * *', '2024-01-31T23:59:00Z')).toBe('2024-02-01T00:00:00.000Z');
+    expect(next('0 0 29 2 *', '2024-03-01T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+    expect(next('30 23 31 12 *', '2024-12-31T23:30:00Z')).toBe('2025-12-31T23:30:00.000Z');
+  });
+
+  it('should match either day field when both are restricted', () => {
+    // The 15th or any Sunday
+    expect(next('0 0 15 * 0', '2024-01-08T00:00:00Z')).toBe('2024-01-14T00:00:00.000Z');
+    expect(next('0 0 15 * 7', '2024-01-14T00:00:00Z')).toBe('2024-01-15T00:00:00.000Z');
+  });
+
+  it('should support macros and intervals', () => {
+    expect(next('@daily', '2024-01-10T10:07:00Z')).toBe('2024-01-11T00:00:00.000Z');
+    expect(next('@every 90m', '2024-01-10T10:07:00Z')).toBe('2024-01-10T11:37:00.000Z');
+    expect(parseSchedule('@every 2h').intervalMs).toBe(2 * 60 * 60 * 1000);
+  });
+
+  it('should reject invalid expressions', () => {
+    expect(() => parseSchedule('* * * *')).toThrow(InvalidScheduleError);
+    expect(() => parseSchedule('60 * * * *')).toThrow(InvalidScheduleError);
+    expect(() => parseSchedule('*/0 * * * *')).toThrow(InvalidScheduleError);
+    expect(() => parseSchedule('5-1 * * * *')).toThrow(InvalidScheduleError);
+    expect(() => parseSchedule('@every 0m')).toThrow(InvalidScheduleError);
+    expect(() => parseSchedule('0 0 31 2 *').next(at('2024-01-01T00:00:00Z'))).toThrow('never matches');
+  });
+});
@@ -0,0 +1,164 @@
+// tests/unit/jobs/services/scheduler.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../../jobs/models/Job.js', () => ({
+  default: {
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn(),
+    find: vi.fn(),
+  },
+}));
+
+vi.mock('../../../../jobs/models/JobRun.js', () => ({
+  default: {
+    create: vi.fn(),
+    updateOne: vi.fn(),
+  },
+}));
+
+const NOW = new Date('2024-01-10T10:00:00Z');
+const lean = (value) => ({ lean: vi.fn().mockResolvedValue(value) });
+
+describe('scheduler - Unit Tests', () => {
+  let scheduler, Job, JobRun;
+
+  beforeEach(async () => {
+    // The scheduler keeps its jobs in module state
+    vi.resetModules();
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    scheduler = await import('../../../../jobs/services/scheduler.js');
+    Job = (await import('../../../../jobs/models/Job.js')).default;
+    JobRun = (await import('../../../../jobs/models/JobRun.js')).default;
+
+    JobRun.create.mockResolvedValue({ _id: 'run-1' });
+    JobRun.updateOne.mockResolvedValue({});
+    Job.updateOne.mockResolvedValue({ matchedCount: 1 });
+  });
+
+  describe('shared jobs', () => {
+    it('should create the schedule state of a new job', async () => {
+      scheduler.defineJob({ name: 'sync', schedule: '@every 90m', runOnStart: true, handler: vi.fn() });
+      Job.findOne.mockReturnValue(lean(null));
+
+      await scheduler.registerJob(scheduler.getJobDefinitions()[0], NOW);
+
+      expect(Job.updateOne).toHaveBeenCalledWith(
+        { name: 'sync' },
+        { $setOnInsert: { schedule: '@every 90m', nextRunAt: NOW, attempt: 0 } },
+        { upsert: true },
+      );
+    });
+
+    it('should reschedule a job whose schedule changed', async () => {
+      scheduler.defineJob({ name: 'sync', schedule: '0 * * * *', handler: vi.fn() });
+      Job.findOne.mockReturnValue(lean({ name: 'sync', schedule: '@every 90m' }));
+
+      await scheduler.registerJob(scheduler.getJobDefinitions()[0], NOW);
+
+      expect(Job.updateOne).toHaveBeenCalledWith(
+        { name: 'sync' },
+        { $set: { schedule: '0 * * * *', nextRunAt: new Date('2024-01-10T11:00:00Z'), attempt: 0 } },
+      );
+    });
+
+    it('should only run a job after taking its lease', async () => {
+      const handler = vi.fn();
+      scheduler.defineJob({ name: 'sync', schedule: '0 * * * *', handler });
+      Job.findOneAndUpdate.mockReturnValue(lean(null));
+
+      await scheduler.runDueJobs(NOW);
+
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'sync', nextRunAt: { $lte: NOW } }),
+        { $set: { lease: { owner: expect.any(String), expiresAt: new Date(NOW.getTime() + 10 * 60 * 1000) } } },
+        { new: true },
+      );
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should schedule the next occurrence and release the lease after a success', async () => {
+      const handler = vi.fn().mockResolvedValue();
+      scheduler.defineJob({ name: 'sync', schedule: '@every 90m', handler });
+      Job.findOneAndUpdate.mockReturnValue(lean({ name: 'sync', attempt: 0 }));
+
+      await scheduler.runDueJobs(NOW);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      const [filter, update] = Job.updateOne.mock.calls.at(-1);
+      expect(filter).toEqual({ name: 'sync', 'lease.owner': expect.any(String) });
+      expect(update.$set).toEqual(expect.objectContaining({
+        attempt: 0,
+        lastRun: expect.objectContaining({ status: 'success' }),
+      }));
+      expect(update.$set.nextRunAt.getTime() - update.$set.lastRun.finishedAt.getTime()).toBe(90 * 60 * 1000);
+      expect(update.$unset).toEqual({ lease: '' });
+      expect(JobRun.updateOne).toHaveBeenCalledWith(
+        { _id: 'run-1' },
+        { $set: expect.objectContaining({ status: 'success' }) },
+      );
+    });
+
+    it('should retry a failed run with exponential backoff', async () => {
+      const handler = vi.fn().mockRejectedValue(new Error('status 503'));
+      scheduler.defineJob({ name: 'sync', schedule: '@daily', retries: 3, backoffMs: 1000, handler });
+      Job.findOneAndUpdate.mockReturnValue(lean({ name: 'sync', attempt: 1 }));
+
+      await scheduler.runDueJobs(NOW);
+
+      const { $set } = Job.updateOne.mock.calls.at(-1)[1];
+      expect($set.attempt).toBe(2);
+      expect($set.nextRunAt.getTime() - $set.lastRun.finishedAt.getTime()).toBe(2000);
+      expect($set.lastRun).toEqual(expect.objectContaining({ status: 'failed', error: 'status 503' }));
+      expect(JobRun.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'sync', attempt: 2 }));
+    });
+
+    it('should give up after the last retry and wait for the next occurrence', async () => {
+      const handler = vi.fn().mockRejectedValue(new Error('status 503'));
+      scheduler.defineJob({ name: 'sync', schedule: '@daily', retries: 2, handler });
+      Job.findOneAndUpdate.mockReturnValue(lean({ name: 'sync', attempt: 2 }));
+
+      await scheduler.runDueJobs(NOW);
+
+      const { $set } = Job.updateOne.mock.calls.at(-1)[1];
+      expect($set.attempt).toBe(0);
+      expect($set.nextRunAt.toISOString().endsWith('T00:00:00.000Z')).toBe(true);
+    });
+
+    it('should make a job due when triggered', async () => {
+      scheduler.defineJob({ name: 'sync', schedule: '@daily', handler: vi.fn() });
+
+      expect(await scheduler.triggerJob('sync')).toBe(true);
+      expect(Job.updateOne).toHaveBeenCalledWith({ name: 'sync' }, { $set: { nextRunAt: expect.any(Date), attempt: 0 } });
+      expect(await scheduler.triggerJob('unknown')).toBe(false);
+    });
+  });
+
+  describe('local jobs', () => {
+    it('should run on this instance without a lease', async () => {
+      const handler = vi.fn().mockResolvedValue();
+      scheduler.defineJob({ name: 'cache', schedule: '@every 60m', local: true, runOnStart: true, handler });
+
+      await scheduler.registerJob(scheduler.getJobDefinitions()[0], NOW);
+      await scheduler.runDueJobs(NOW);
+      await scheduler.runDueJobs(NOW);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+      Job.find.mockReturnValue(lean([]));
+      const [listed] = await scheduler.listJobs();
+      expect(listed).toEqual(expect.objectContaining({
+        name: 'cache',
+        local: true,
+        running: false,
+        lastRun: expect.objectContaining({ status: 'success' }),
+      }));
+    });
+  });
+
+  it('should reject invalid definitions', () => {
+    expect(() => scheduler.defineJob({ name: 'x' })).toThrow('needs a name and a handler');
+    expect(() => scheduler.defineJob({ name: 'x', schedule: 'often', handler: vi.fn() })).toThrow('Invalid schedule');
+  });
+});
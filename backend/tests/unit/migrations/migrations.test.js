@@ -0,0 +1,213 @@
+// tests/unit/migrations/migrations.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../contest/models/Contest.js', () => ({
+  Contest: { createIndexes: vi.fn(), collection: { collectionName: 'contests' } },
+  contestEndTime: ({ startTimeUnix, duration }) => startTimeUnix + duration * 60,
+}));
+
+vi.mock('../../../hackathons/models/Hackathon.js', () => ({
+  Hackathon: { createIndexes: vi.fn(), collection: { collectionName: 'hackathons' } },
+  hackathonEndTime: ({ hackathonStartTimeUnix, duration }) =>
+    hackathonStartTimeUnix + duration * 60,
+}));
+
+vi.mock('../../../users/models/LinkedAccount.js', () => ({
+  default: { createIndexes: vi.fn(), collection: { collectionName: 'linkedaccounts' } },
+}));
+
+import { Contest } from '../../../contest/models/Contest.js';
+import LinkedAccount from '../../../users/models/LinkedAccount.js';
+import { runMigrations } from '../../../migrations/index.js';
+import unifyContestCollections from '../../../migrations/001-unify-contest-collections.js';
+import linkedAccounts from '../../../migrations/002-linked-accounts.js';
+
+// Minimal stand-in for a MongoDB database: named collections with canned documents
+const createDb = (documents = {}) => {
+  const collections = {};
+  const collection = (name) => {
+    if (!collections[name]) {
+      collections[name] = {
+        find: vi.fn(() => (documents[name] || [])[Symbol.iterator]()),
+        findOne: vi.fn().mockResolvedValue(null),
+        insertOne: vi.fn().mockResolvedValue({}),
+        bulkWrite: vi.fn().mockResolvedValue({}),
+        updateMany: vi.fn().mockResolvedValue({}),
+      };
+    }
+    return collections[name];
+  };
+  return { collection };
+};
+
+const contest = {
+  _id: 'old-id',
+  host: 'codeforces',
+  vanity: '1900',
+  startTimeUnix: 1700000000,
+  duration: 120,
+  updatedAt: new Date('2024-01-01'),
+};
+
+describe('migrations - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('runMigrations', () => {
+    it('should run pending migrations and record them', async () => {
+      const db = createDb();
+      const migration = { name: '001-test', up: vi.fn().mockResolvedValue({ moved: 1 }) };
+
+      const ran = await runMigrations(db, [migration]);
+
+      expect(ran).toEqual(['001-test']);
+      expect(migration.up).toHaveBeenCalledWith(db);
+      expect(db.collection('migrations').insertOne).toHaveBeenCalledWith(
+        expect.objectContaining({ name: '001-test', result: { moved: 1 } }),
+      );
+    });
+
+    it('should skip migrations that were already applied', async () => {
+      const db = createDb();
+      db.collection('migrations').findOne.mockResolvedValue({ name: '001-test' });
+      const migration = { name: '001-test', up: vi.fn() };
+
+      const ran = await runMigrations(db, [migration]);
+
+      expect(ran).toEqual([]);
+      expect(migration.up).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('001-unify-contest-collections', () => {
+    it('should upsert old documents by host and vanity, newest copy winning', async () => {
+      const db = createDb({ allcontests: [contest] });
+
+      const result = await unifyContestCollections.up(db);
+
+      expect(Contest.createIndexes).toHaveBeenCalled();
+      expect(result).toEqual({
+        conflicts: 0,
+        allcontests: 1,
+        upcomingcontests: 0,
+        allhackathons: 0,
+        upcominghackathons: 0,
+      });
+
+      const [operations] = db.collection('contests').bulkWrite.mock.calls[0];
+      const { _id, ...fields } = contest;
+      expect(operations).toEqual([
+        {
+          replaceOne: {
+            filter: {
+              host: 'codeforces',
+              vanity: '1900',
+              $or: [
+                { updatedAt: { $lt: contest.updatedAt } },
+                { updatedAt: { $exists: false } },
+              ],
+            },
+            replacement: { ...fields, endTimeUnix: 1700007200 },
+            upsert: true,
+          },
+        },
+      ]);
+    });
+
+    it('should treat duplicate keys as an already stored newer copy', async () => {
+      const db = createDb({ upcomingcontests: [contest] });
+      const duplicate = Object.assign(new Error('bulk write failed'), {
+        writeErrors: [{ code: 11000, err: { keyPattern: { host: 1, vanity: 1 } } }],
+      });
+      db.collection('contests').bulkWrite.mockRejectedValue(duplicate);
+
+      const result = await unifyContestCollections.up(db);
+
+      expect(result.conflicts).toBe(0);
+    });
+
+    it('should count and log duplicates on another unique key', async () => {
+      const db = createDb({ upcomingcontests: [contest] });
+      const errmsg = 'E11000 duplicate key error collection: contests index: url_1 dup key';
+      const duplicate = Object.assign(new Error('bulk write failed'), {
+        writeErrors: [
+          { code: 11000, err: { keyPattern: { host: 1, vanity: 1 } } },
+          { code: 11000, errmsg, err: { keyPattern: { url: 1 }, errmsg } },
+        ],
+      });
+      db.collection('contests').bulkWrite.mockRejectedValue(duplicate);
+
+      const result = await unifyContestCollections.up(db);
+
+      expect(result.conflicts).toBe(1);
+      expect(console.log).toHaveBeenCalledWith('Skipped a conflicting document:', errmsg);
+    });
+
+    it('should fail on any other write error', async () => {
+      const db = createDb({ upcomingcontests: [contest] });
+      const failure = Object.assign(new Error('bulk write failed'), {
+        writeErrors: [{ code: 11000 }, { code: 121 }],
+      });
+      db.collection('contests').bulkWrite.mockRejectedValue(failure);
+
+      await expect(unifyContestCollections.up(db)).rejects.toThrow('bulk write failed');
+    });
+  });
+
+  describe('002-linked-accounts', () => {
+    const oldFields = {
+      $or: [
+        { codechef: { $exists: true } },
+        { leetcode: { $exists: true } },
+        { codeforces: { $exists: true } },
+      ],
+    };
+
+    it('should copy linked platform fields into accounts and unset them', async () => {
+      const db = createDb({
+        users: [{
+          uid: 'u1',
+          codechef: { _id: 'sub', username: 'chef', rating: 1800, showOnWebsite: true },
+          leetcode: { username: null, rating: null },
+          codeforces: { username: 'tourist', rating: 3800, showOnWebsite: false },
+        }],
+      });
+
+      const result = await linkedAccounts.up(db);
+
+      expect(LinkedAccount.createIndexes).toHaveBeenCalled();
+      expect(result).toEqual({ users: 1, accounts: 2 });
+      expect(db.collection('users').find).toHaveBeenCalledWith(oldFields);
+
+      const [operations] = db.collection('linkedaccounts').bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(2);
+      expect(operations[0].updateOne.filter).toEqual({ uid: 'u1', platform: 'codechef' });
+      expect(operations[0].updateOne.update.$setOnInsert).toEqual(expect.objectContaining({
+        uid: 'u1',
+        platform: 'codechef',
+        username: 'chef',
+        rating: 1800,
+        showOnWebsite: true,
+      }));
+      expect(operations[0].updateOne.update.$setOnInsert).not.toHaveProperty('_id');
+      expect(operations[0].updateOne.upsert).toBe(true);
+      expect(operations[1].updateOne.filter).toEqual({ uid: 'u1', platform: 'codeforces' });
+
+      expect(db.collection('users').updateMany).toHaveBeenCalledWith(oldFields, {
+        $unset: { codechef: '', leetcode: '', codeforces: '' },
+      });
+    });
+
+    it('should write nothing when no user has a linked account', async () => {
+      const db = createDb({ users: [{ uid: 'u1', codechef: { username: '' } }] });
+
+      const result = await linkedAccounts.up(db);
+
+      expect(result).toEqual({ users: 1, accounts: 0 });
+      expect(db.collection('linkedaccounts').bulkWrite).not.toHaveBeenCalled();
+      expect(db.collection('users').updateMany).toHaveBeenCalled();
+    });
+  });
+});
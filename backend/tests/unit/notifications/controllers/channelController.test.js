@@ -0,0 +1,114 @@
+// tests/unit/notifications/controllers/channelController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getChannelSettings,
+  updateChannelSettings,
+} from '../../../../notifications/controllers/channelController.js';
+import User from '../../../../users/models/User.js';
+import { createMockRequest, createMockResponse } from '../../users/__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { findOne: vi.fn() },
+}));
+
+vi.mock('@novu/node', () => ({
+  Novu: vi.fn(() => ({ trigger: vi.fn() })),
+}));
+
+// Stand-in for a mongoose document: set() writes dotted paths
+const createUser = (channels = {}) => {
+  const user = {
+    uid: 'test-uid-123',
+    notifications: { channels },
+    save: vi.fn().mockResolvedValue(true),
+    set (path, value) {
+      const keys = path.split('.');
+      const last = keys.pop();
+      const target = keys.reduce((obj, key) => (obj[key] ??= {}), user);
+      target[last] = value;
+    },
+  };
+  return user;
+};
+
+const findReturning = (user) => ({
+  select: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue(user) }),
+});
+
+describe('channelController - Unit Tests', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    req = createMockRequest();
+    res = createMockResponse();
+  });
+
+  describe('getChannelSettings', () => {
+    it('should list every channel with the user settings', async () => {
+      User.findOne.mockReturnValue(findReturning(createUser({
+        discord: { enabled: true, webhookUrl: 'https://discord.com/api/webhooks/1/a' },
+      })));
+
+      await getChannelSettings(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { channels } = res.json.mock.calls[0][0];
+      expect(channels.map((channel) => channel.id)).toEqual(['email', 'discord', 'webpush', 'telegram']);
+      expect(channels[0]).toMatchObject({ id: 'email', enabled: true });
+      expect(channels[1]).toMatchObject({ enabled: true, webhookUrl: 'https://discord.com/api/webhooks/1/a' });
+      expect(channels[3]).toMatchObject({ enabled: false, linked: false });
+    });
+  });
+
+  describe('updateChannelSettings', () => {
+    it('should save a Discord webhook and opt in', async () => {
+      const user = createUser();
+      User.findOne.mockReturnValue({ select: vi.fn().mockResolvedValue(user) });
+      req.params.channel = 'discord';
+      req.body = { enabled: true, webhookUrl: 'https://discord.com/api/webhooks/1/a' };
+
+      await updateChannelSettings(req, res);
+
+      expect(user.notifications.channels.discord).toEqual({
+        enabled: true,
+        webhookUrl: 'https://discord.com/api/webhooks/1/a',
+      });
+      expect(user.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should reject a webhook that is not Discord', async () => {
+      User.findOne.mockReturnValue({ select: vi.fn().mockResolvedValue(createUser()) });
+      req.params.channel = 'discord';
+      req.body = { enabled: true, webhookUrl: 'https://example.com/hook' };
+
+      await updateChannelSettings(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should not opt into Telegram before the account is linked', async () => {
+      const user = createUser();
+      User.findOne.mockReturnValue({ select: vi.fn().mockResolvedValue(user) });
+      req.params.channel = 'telegram';
+      req.body = { enabled: true };
+
+      await updateChannelSettings(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for an unknown channel', async () => {
+      req.params.channel = 'carrier-pigeon';
+      req.body = { enabled: true };
+
+      await updateChannelSettings(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(User.findOne).not.toHaveBeenCalled();
+    });
+  });
+});
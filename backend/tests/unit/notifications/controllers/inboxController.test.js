@@ -0,0 +1,183 @@
+// tests/unit/notifications/controllers/inboxController.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import {
+  getInbox,
+  markInboxRead,
+  streamInbox,
+  createAnnouncement,
+} from '../../../../notifications/controllers/inboxController.js';
+import {
+  addToInbox,
+  countUnread,
+  listInbox,
+  markRead,
+  subscribeInbox,
+} from '../../../../notifications/services/inbox.js';
+import User from '../../../../users/models/User.js';
+import { createMockRequest, createMockResponse } from '../../users/__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../notifications/services/inbox.js', () => ({
+  addToInbox: vi.fn(),
+  countUnread: vi.fn(),
+  listInbox: vi.fn(),
+  markRead: vi.fn(),
+  subscribeInbox: vi.fn(),
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { find: vi.fn(), distinct: vi.fn() },
+}));
+
+const itemId = '65a1b2c3d4e5f6a7b8c9d0e1';
+
+describe('inboxController - Unit Tests', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    req = createMockRequest();
+    res = createMockResponse();
+  });
+
+  describe('getInbox', () => {
+    it('should return the requested page', async () => {
+      const inbox = { items: [], page: 2, limit: 10, total: 12, pages: 2, unread: 1 };
+      listInbox.mockResolvedValue(inbox);
+      req.query = { page: '2', limit: '10', unread: 'true' };
+
+      await getInbox(req, res);
+
+      expect(listInbox).toHaveBeenCalledWith('test-uid-123', { page: 2, limit: 10, unreadOnly: true });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(inbox);
+    });
+
+    it('should reject invalid pages', async () => {
+      req.query = { page: '0' };
+
+      await getInbox(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(listInbox).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('markInboxRead', () => {
+    it('should mark the given items read', async () => {
+      markRead.mockResolvedValue(2);
+      req.body = { ids: [itemId] };
+
+      await markInboxRead(req, res);
+
+      expect(markRead).toHaveBeenCalledWith('test-uid-123', [itemId]);
+      expect(res.json).toHaveBeenCalledWith({ unread: 2 });
+    });
+
+    it('should mark everything read', async () => {
+      markRead.mockResolvedValue(0);
+      req.body = { all: true };
+
+      await markInboxRead(req, res);
+
+      expect(markRead).toHaveBeenCalledWith('test-uid-123', null);
+    });
+
+    it('should reject invalid ids', async () => {
+      req.body = { ids: ['not-an-id'] };
+
+      await markInboxRead(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(markRead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('streamInbox', () => {
+    let listener, unsubscribe;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      unsubscribe = vi.fn();
+      subscribeInbox.mockImplementation((uid, callback) => {
+        listener = callback;
+        return unsubscribe;
+      });
+      countUnread.mockResolvedValue(3);
+      req = Object.assign(new EventEmitter(), createMockRequest());
+      res.flushHeaders = vi.fn();
+      res.write = vi.fn();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should send the unread count and then new items as events', async () => {
+      await streamInbox(req, res);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(res.write).toHaveBeenCalledWith('event: unread\ndata: {"unread":3}\n\n');
+
+      listener({ type: 'notification', item: { id: 'item-1', title: 'Hello' } });
+      listener({ type: 'unread', unread: 0 });
+      expect(res.write).toHaveBeenCalledWith('event: notification\ndata: {"id":"item-1","title":"Hello"}\n\n');
+      expect(res.write).toHaveBeenCalledWith('event: unread\ndata: {"unread":0}\n\n');
+
+      vi.advanceTimersByTime(25 * 1000);
+      expect(res.write).toHaveBeenCalledWith(': heartbeat\n\n');
+    });
+
+    it('should stop listening when the client disconnects', async () => {
+      await streamInbox(req, res);
+      req.emit('close');
+      res.write.mockClear();
+
+      vi.advanceTimersByTime(60 * 1000);
+
+      expect(unsubscribe).toHaveBeenCalled();
+      expect(res.write).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createAnnouncement', () => {
+    it('should send the announcement to every user', async () => {
+      User.distinct.mockResolvedValue(['user-1', 'user-2']);
+      addToInbox.mockResolvedValue(2);
+      req.body = { title: ' New feature ', body: 'Try the inbox' };
+
+      await createAnnouncement(req, res);
+
+      expect(addToInbox).toHaveBeenCalledWith(['user-1', 'user-2'], {
+        type: 'admin.announcement',
+        title: 'New feature',
+        body: 'Try the inbox',
+        url: undefined,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ recipients: 2 });
+    });
+
+    it('should only send to existing users when uids are given', async () => {
+      User.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue([{ uid: 'user-2' }]) }),
+      });
+      addToInbox.mockResolvedValue(1);
+      req.body = { title: 'Hi', uids: ['user-2', 'missing'] };
+
+      await createAnnouncement(req, res);
+
+      expect(addToInbox).toHaveBeenCalledWith(['user-2'], expect.any(Object));
+    });
+
+    it('should require a title', async () => {
+      req.body = { body: 'No title' };
+
+      await createAnnouncement(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(addToInbox).not.toHaveBeenCalled();
+    });
+  });
+});
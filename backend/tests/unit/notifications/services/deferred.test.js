@@ -0,0 +1,99 @@
+// tests/unit/notifications/services/deferred.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { deliverDeferred } from '../../../../notifications/services/deferred.js';
+import DeferredNotification from '../../../../notifications/models/DeferredNotification.js';
+import User from '../../../../users/models/User.js';
+import { notify } from '../../../../notifications/services/notify.js';
+
+vi.mock('../../../../notifications/models/DeferredNotification.js', () => ({
+  default: { findOneAndDelete: vi.fn() },
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { findOne: vi.fn() },
+}));
+
+vi.mock('../../../../notifications/services/notify.js', () => ({
+  notify: vi.fn(),
+}));
+
+const resolving = (value) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(value),
+});
+
+const NOW = new Date(Date.UTC(2024, 0, 2, 7, 5));
+const event = { type: 'contest.reminder', title: 'Round 900 starts in 1 hour' };
+
+describe('deliverDeferred - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const queue = (...items) => {
+    items.forEach((item) => DeferredNotification.findOneAndDelete.mockReturnValueOnce(resolving(item)));
+    DeferredNotification.findOneAndDelete.mockReturnValue(resolving(null));
+  };
+
+  it('should claim due items one by one and send them without a second inbox copy', async () => {
+    queue({ uid: 'user-1', event }, { uid: 'user-2', event });
+    User.findOne.mockImplementation(({ uid }) => resolving({ uid }));
+    notify.mockResolvedValue({ delivered: ['email'], failed: [] });
+
+    const totals = await deliverDeferred(NOW);
+
+    expect(totals).toEqual({ delivered: 2, deferred: 0, expired: 0, failed: 0 });
+    expect(DeferredNotification.findOneAndDelete).toHaveBeenCalledWith(
+      { deliverAfter: { $lte: NOW } },
+      { sort: { deliverAfter: 1 } },
+    );
+    expect(notify).toHaveBeenCalledWith({ uid: 'user-1' }, event, {
+      inbox: false,
+      now: NOW,
+      expiresAt: undefined,
+      collapseKey: undefined,
+    });
+  });
+
+  it('should drop items that expired while they waited', async () => {
+    const startsAt = new Date(Date.UTC(2024, 0, 2, 7));
+    queue(
+      { uid: 'user-1', event, expiresAt: startsAt, collapseKey: 'contest.reminder:codeforces/1900' },
+      { uid: 'user-2', event, expiresAt: new Date(Date.UTC(2024, 0, 2, 8)) },
+    );
+    User.findOne.mockImplementation(({ uid }) => resolving({ uid }));
+    notify.mockResolvedValue({ delivered: ['email'], failed: [] });
+
+    const totals = await deliverDeferred(NOW);
+
+    expect(totals).toEqual({ delivered: 1, deferred: 0, expired: 1, failed: 0 });
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith({ uid: 'user-2' }, event, expect.objectContaining({
+      expiresAt: new Date(Date.UTC(2024, 0, 2, 8)),
+    }));
+  });
+
+  it('should count items deferred again and drop ones for deleted users', async () => {
+    queue({ uid: 'gone', event }, { uid: 'user-1', event });
+    User.findOne.mockImplementation(({ uid }) => resolving(uid === 'gone' ? null : { uid }));
+    notify.mockResolvedValue({ delivered: [], failed: [], deferredUntil: new Date() });
+
+    const totals = await deliverDeferred(NOW);
+
+    expect(totals).toEqual({ delivered: 0, deferred: 1, expired: 0, failed: 0 });
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep going after a failed delivery', async () => {
+    queue({ uid: 'user-1', event }, { uid: 'user-2', event });
+    User.findOne.mockImplementation(({ uid }) => resolving({ uid }));
+    notify
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValueOnce({ delivered: ['email'], failed: [] });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const totals = await deliverDeferred(NOW);
+
+    expect(totals).toEqual({ delivered: 1, deferred: 0, expired: 0, failed: 1 });
+  });
+});
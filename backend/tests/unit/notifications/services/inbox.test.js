@@ -0,0 +1,153 @@
+// tests/unit/notifications/services/inbox.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  addToInbox,
+  listInbox,
+  markRead,
+  subscribeInbox,
+} from '../../../../notifications/services/inbox.js';
+import InboxItem from '../../../../notifications/models/InboxItem.js';
+
+vi.mock('../../../../notifications/models/InboxItem.js', () => ({
+  INBOX_TYPES: ['contest.reminder', 'admin.announcement'],
+  default: {
+    insertMany: vi.fn(),
+    find: vi.fn(),
+    countDocuments: vi.fn(),
+    updateMany: vi.fn(),
+  },
+}));
+
+const createdAt = new Date('2024-01-01T00:00:00Z');
+const storedItem = (uid, overrides = {}) => ({
+  _id: `item-${uid}`,
+  uid,
+  type: 'admin.announcement',
+  title: 'Hello',
+  readAt: null,
+  createdAt,
+  ...overrides,
+});
+
+// find().sort().skip().limit().lean() chain
+const findResolving = (items) => {
+  const query = {};
+  query.sort = vi.fn().mockReturnValue(query);
+  query.skip = vi.fn().mockReturnValue(query);
+  query.limit = vi.fn().mockReturnValue(query);
+  query.lean = vi.fn().mockResolvedValue(items);
+  return query;
+};
+
+describe('inbox - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    InboxItem.insertMany.mockImplementation(async (docs) =>
+      docs.map((doc) => storedItem(doc.uid, doc)),
+    );
+  });
+
+  describe('addToInbox', () => {
+    it('should store one item per recipient and tell their listeners', async () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeInbox('user-1', listener);
+
+      const stored = await addToInbox(['user-1', 'user-2', 'user-1'], {
+        type: 'admin.announcement',
+        title: 'Hello',
+        body: 'Welcome to the inbox',
+      });
+      unsubscribe();
+
+      expect(stored).toBe(2);
+      expect(InboxItem.insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ uid: 'user-1', title: 'Hello', body: 'Welcome to the inbox' }),
+        expect.objectContaining({ uid: 'user-2', title: 'Hello' }),
+      ]);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({
+        type: 'notification',
+        item: {
+          id: 'item-user-1',
+          type: 'admin.announcement',
+          title: 'Hello',
+          body: 'Welcome to the inbox',
+          url: null,
+          data: null,
+          read: false,
+          createdAt,
+        },
+      });
+    });
+
+    it('should stop telling listeners once they unsubscribe', async () => {
+      const listener = vi.fn();
+      subscribeInbox('user-1', listener)();
+
+      await addToInbox('user-1', { type: 'admin.announcement', title: 'Hello' });
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown item types', async () => {
+      await expect(addToInbox('user-1', { type: 'sync.report', title: 'Hello' }))
+        .rejects.toThrow('Unknown inbox item type "sync.report"');
+      expect(InboxItem.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listInbox', () => {
+    it('should return a page of items with the totals', async () => {
+      const query = findResolving([storedItem('user-1', { readAt: createdAt })]);
+      InboxItem.find.mockReturnValue(query);
+      InboxItem.countDocuments.mockResolvedValueOnce(41).mockResolvedValueOnce(3);
+
+      const inbox = await listInbox('user-1', { page: 3, limit: 20 });
+
+      expect(query.skip).toHaveBeenCalledWith(40);
+      expect(query.limit).toHaveBeenCalledWith(20);
+      expect(inbox).toMatchObject({ page: 3, limit: 20, total: 41, pages: 3, unread: 3 });
+      expect(inbox.items[0]).toMatchObject({ id: 'item-user-1', read: true });
+    });
+
+    it('should filter unread items and cap the page size', async () => {
+      const query = findResolving([]);
+      InboxItem.find.mockReturnValue(query);
+      InboxItem.countDocuments.mockResolvedValue(0);
+
+      const inbox = await listInbox('user-1', { limit: 500, unreadOnly: true });
+
+      expect(InboxItem.find).toHaveBeenCalledWith({ uid: 'user-1', readAt: null });
+      expect(inbox.limit).toBe(50);
+    });
+  });
+
+  describe('markRead', () => {
+    it('should mark the given items read and broadcast the unread count', async () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeInbox('user-1', listener);
+      InboxItem.countDocuments.mockResolvedValue(4);
+
+      const unread = await markRead('user-1', ['item-1']);
+      unsubscribe();
+
+      expect(unread).toBe(4);
+      expect(InboxItem.updateMany).toHaveBeenCalledWith(
+        { uid: 'user-1', readAt: null, _id: { $in: ['item-1'] } },
+        { $set: { readAt: expect.any(Date) } },
+      );
+      expect(listener).toHaveBeenCalledWith({ type: 'unread', unread: 4 });
+    });
+
+    it('should mark everything read without ids', async () => {
+      InboxItem.countDocuments.mockResolvedValue(0);
+
+      await markRead('user-1');
+
+      expect(InboxItem.updateMany).toHaveBeenCalledWith(
+        { uid: 'user-1', readAt: null },
+        expect.any(Object),
+      );
+    });
+  });
+});
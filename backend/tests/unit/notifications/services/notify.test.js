@@ -0,0 +1,234 @@
+// tests/unit/notifications/services/notify.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { readFile, rm } from 'fs/promises';
+import axios from 'axios';
+import { notify, getUserChannels } from '../../../../notifications/services/notify.js';
+import {
+  getLoggedNotifications,
+  clearLoggedNotifications,
+} from '../../../../notifications/services/logProvider.js';
+import { isDiscordWebhookUrl } from '../../../../notifications/channels/discord.js';
+import { addToInbox } from '../../../../notifications/services/inbox.js';
+import DeferredNotification from '../../../../notifications/models/DeferredNotification.js';
+
+const { mockTrigger } = vi.hoisted(() => ({ mockTrigger: vi.fn() }));
+vi.mock('@novu/node', () => ({
+  Novu: vi.fn(() => ({ trigger: mockTrigger })),
+}));
+
+vi.mock('axios', () => ({
+  default: { post: vi.fn() },
+}));
+
+vi.mock('../../../../notifications/services/inbox.js', () => ({
+  INBOX_TYPES: ['test', 'contest.reminder'],
+  addToInbox: vi.fn(),
+}));
+
+vi.mock('../../../../notifications/models/DeferredNotification.js', () => ({
+  default: { create: vi.fn(), updateOne: vi.fn() },
+}));
+
+const webhookUrl = 'https://discord.com/api/webhooks/123/abc-DEF_1';
+const user = {
+  uid: 'user-1',
+  email: 'user@example.com',
+  notifications: {
+    channels: {
+      email: { enabled: true },
+      discord: { enabled: true, webhookUrl },
+      telegram: { enabled: true, chatId: '42' },
+      webpush: { enabled: false },
+    },
+  },
+};
+const event = {
+  type: 'test',
+  title: 'Hello',
+  body: 'A test notification',
+  url: 'https://digitomize.com',
+};
+const logFile = join(tmpdir(), `notifications-${process.pid}.log`);
+
+describe('notify - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubEnv('NOVU_API_KEY', 'novu-key');
+    vi.stubEnv('TELEGRAM_BOT_TOKEN', 'bot-token');
+    vi.stubEnv('NOTIFICATIONS_PROVIDER', '');
+    mockTrigger.mockResolvedValue({});
+    addToInbox.mockResolvedValue(1);
+    axios.post.mockResolvedValue({ data: {} });
+    clearLoggedNotifications();
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    await rm(logFile, { force: true });
+  });
+
+  it('should only pick channels the user opted into and that can reach them', () => {
+    const ids = (u) => getUserChannels(u).map((channel) => channel.id);
+
+    expect(ids(user)).toEqual(['email', 'discord', 'telegram']);
+    expect(ids({ ...user, notifications: { channels: { discord: { enabled: true } } } })).toEqual(['email']);
+  });
+
+  it('should default to email for users who never picked channels', () => {
+    expect(getUserChannels({ uid: 'u', email: 'u@example.com' }).map((c) => c.id)).toEqual(['email']);
+  });
+
+  it('should leave out channels the server has no credentials for', () => {
+    vi.stubEnv('TELEGRAM_BOT_TOKEN', '');
+
+    expect(getUserChannels(user).map((channel) => channel.id)).not.toContain('telegram');
+  });
+
+  it('should send through each channel', async () => {
+    const result = await notify(user, event);
+
+    expect(result).toEqual({ delivered: ['email', 'discord', 'telegram'], failed: [] });
+    expect(mockTrigger).toHaveBeenCalledWith('digitomize-notification', {
+      to: { subscriberId: 'user-1', email: 'user@example.com' },
+      payload: { title: 'Hello', body: 'A test notification', url: 'https://digitomize.com' },
+    });
+    expect(axios.post).toHaveBeenCalledWith(
+      webhookUrl,
+      expect.objectContaining({ embeds: [expect.objectContaining({ title: 'Hello' })] }),
+      expect.any(Object),
+    );
+    expect(axios.post).toHaveBeenCalledWith(
+      'https://api.telegram.org/botbot-token/sendMessage',
+      expect.objectContaining({ chat_id: '42' }),
+      expect.any(Object),
+    );
+  });
+
+  it('should use the workflow and payload an event brings along', async () => {
+    await notify(user, { ...event, workflow: 'contest-alert', payload: { contest: {} } });
+
+    expect(mockTrigger).toHaveBeenCalledWith('contest-alert', expect.objectContaining({
+      payload: { contest: {} },
+    }));
+  });
+
+  it('should report a failing channel without stopping the others', async () => {
+    axios.post.mockRejectedValueOnce(new Error('Unknown Webhook'));
+
+    const result = await notify(user, event);
+
+    expect(result.delivered).toEqual(['email', 'telegram']);
+    expect(result.failed).toEqual([{ channel: 'discord', error: 'Unknown Webhook' }]);
+  });
+
+  it('should record notifications instead of sending them with the log provider', async () => {
+    vi.stubEnv('NOTIFICATIONS_PROVIDER', 'log');
+    vi.stubEnv('NOTIFICATIONS_LOG_FILE', logFile);
+    vi.stubEnv('NOVU_API_KEY', '');
+
+    const result = await notify(user, event);
+
+    expect(result.delivered).toEqual(['email', 'discord', 'telegram']);
+    expect(mockTrigger).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(getLoggedNotifications()).toHaveLength(3);
+
+    const lines = (await readFile(logFile, 'utf8')).trim().split('\n').map(JSON.parse);
+    expect(lines[1]).toMatchObject({ channel: 'discord', uid: 'user-1', event });
+    expect(JSON.stringify(lines)).not.toContain(webhookUrl);
+  });
+
+  it('should keep a copy of inbox events in the inbox', async () => {
+    await notify(user, { ...event, type: 'contest.reminder', payload: { contest: {} } });
+    await notify(user, { ...event, type: 'sync.report' });
+
+    expect(addToInbox).toHaveBeenCalledTimes(1);
+    expect(addToInbox).toHaveBeenCalledWith('user-1', expect.objectContaining({
+      type: 'contest.reminder',
+      title: 'Hello',
+      data: { contest: {} },
+    }));
+  });
+
+  it('should still deliver when the inbox fails', async () => {
+    addToInbox.mockRejectedValueOnce(new Error('connection lost'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await notify(user, event);
+
+    expect(result.delivered).toEqual(['email', 'discord', 'telegram']);
+  });
+
+  describe('quiet hours', () => {
+    const quietUser = {
+      ...user,
+      preferences: {
+        timezone: 'UTC',
+        quiet_hours: { enabled: true, start: '22:00', end: '07:00' },
+      },
+    };
+    const night = new Date(Date.UTC(2024, 0, 1, 23, 30));
+
+    it('should defer the channels but fill the inbox right away', async () => {
+      const result = await notify(quietUser, event, { now: night });
+
+      expect(result).toEqual({
+        delivered: [],
+        failed: [],
+        deferredUntil: new Date(Date.UTC(2024, 0, 2, 7)),
+      });
+      expect(DeferredNotification.create).toHaveBeenCalledWith({
+        uid: 'user-1',
+        event,
+        deliverAfter: new Date(Date.UTC(2024, 0, 2, 7)),
+        expiresAt: null,
+        collapseKey: null,
+      });
+      expect(addToInbox).toHaveBeenCalledTimes(1);
+      expect(mockTrigger).not.toHaveBeenCalled();
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should replace a waiting event with the same collapse key', async () => {
+      const expiresAt = new Date(Date.UTC(2024, 0, 2, 9));
+
+      await notify(quietUser, event, { now: night, expiresAt, collapseKey: 'contest.reminder:codeforces/1900' });
+
+      expect(DeferredNotification.create).not.toHaveBeenCalled();
+      expect(DeferredNotification.updateOne).toHaveBeenCalledWith(
+        { uid: 'user-1', collapseKey: 'contest.reminder:codeforces/1900' },
+        {
+          $set: {
+            uid: 'user-1',
+            event,
+            deliverAfter: new Date(Date.UTC(2024, 0, 2, 7)),
+            expiresAt,
+            collapseKey: 'contest.reminder:codeforces/1900',
+          },
+        },
+        { upsert: true },
+      );
+    });
+
+    it('should send right away when asked to ignore quiet hours', async () => {
+      const result = await notify(quietUser, event, { now: night, quietHours: false });
+
+      expect(result.delivered).toEqual(['email', 'discord', 'telegram']);
+      expect(DeferredNotification.create).not.toHaveBeenCalled();
+    });
+
+    it('should send outside quiet hours', async () => {
+      const result = await notify(quietUser, event, { now: new Date(Date.UTC(2024, 0, 2, 12)) });
+
+      expect(result.delivered).toEqual(['email', 'discord', 'telegram']);
+    });
+  });
+
+  it('should only accept Discord webhook URLs', () => {
+    expect(isDiscordWebhookUrl(webhookUrl)).toBe(true);
+    expect(isDiscordWebhookUrl('https://example.com/api/webhooks/1/a')).toBe(false);
+    expect(isDiscordWebhookUrl('http://discord.com/api/webhooks/1/a')).toBe(false);
+  });
+});
@@ -0,0 +1,219 @@
+// tests/unit/notifications/services/webPush.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import webpush from 'web-push';
+import {
+  parseSubscription,
+  saveSubscription,
+  sendWebPush,
+  pruneSubscriptions,
+} from '../../../../notifications/services/webPush.js';
+import PushSubscription from '../../../../notifications/models/PushSubscription.js';
+import User from '../../../../users/models/User.js';
+
+vi.mock('web-push', () => ({
+  default: { sendNotification: vi.fn() },
+}));
+
+vi.mock('../../../../notifications/models/PushSubscription.js', () => ({
+  default: {
+    find: vi.fn(),
+    findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    countDocuments: vi.fn(),
+    updateMany: vi.fn(),
+    deleteMany: vi.fn(),
+  },
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { updateOne: vi.fn() },
+}));
+
+const keys = { p256dh: 'p256dh-key', auth: 'auth-key' };
+const subscriptions = [
+  { _id: 'sub-1', uid: 'user-1', endpoint: 'https://push.example.com/1', keys },
+  { _id: 'sub-2', uid: 'user-1', endpoint: 'https://push.example.com/2', keys },
+];
+const payload = { title: 'Hello', body: 'A test notification', url: 'https://digitomize.com' };
+
+const pushError = (statusCode) =>
+  Object.assign(new Error('Received unexpected response code'), { statusCode, body: 'gone' });
+
+describe('webPush - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.stubEnv('VAPID_PUBLIC_KEY', 'public-key');
+    vi.stubEnv('VAPID_PRIVATE_KEY', 'private-key');
+    PushSubscription.find.mockReturnValue({ lean: vi.fn().mockResolvedValue(subscriptions) });
+    PushSubscription.countDocuments.mockResolvedValue(1);
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  describe('parseSubscription', () => {
+    it('should accept a browser subscription', () => {
+      const { subscription } = parseSubscription({
+        endpoint: 'https://push.example.com/1',
+        expirationTime: null,
+        keys,
+      });
+
+      expect(subscription).toEqual({
+        endpoint: 'https://push.example.com/1',
+        keys,
+        expirationTime: null,
+      });
+    });
+
+    it('should reject insecure endpoints and missing keys', () => {
+      expect(parseSubscription({ endpoint: 'http://push.example.com/1', keys }).error)
+        .toBe('Push endpoints must use https');
+      expect(parseSubscription({ endpoint: 'https://push.example.com/1' }).error)
+        .toBe('A subscription needs p256dh and auth keys');
+      expect(parseSubscription(null).error).toBe('A subscription needs a valid endpoint');
+    });
+  });
+
+  describe('saveSubscription', () => {
+    const subscription = { endpoint: 'https://push.example.com/1', keys, expirationTime: null };
+    const previousOwner = (uid) =>
+      PushSubscription.findOne.mockReturnValue({
+        select: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue(uid && { uid }),
+      });
+
+    beforeEach(() => {
+      PushSubscription.findOneAndUpdate.mockResolvedValue({ _id: 'sub-1', uid: 'user-2' });
+    });
+
+    it('should opt the user into push', async () => {
+      previousOwner(null);
+
+      const saved = await saveSubscription('user-2', subscription);
+
+      expect(saved).toEqual({ _id: 'sub-1', uid: 'user-2' });
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { uid: 'user-2' },
+        { $set: { 'notifications.channels.webpush.enabled': true } },
+      );
+    });
+
+    it('should turn push off for the previous owner left without subscriptions', async () => {
+      previousOwner('user-1');
+      PushSubscription.countDocuments.mockResolvedValue(0);
+
+      await saveSubscription('user-2', subscription);
+
+      expect(PushSubscription.countDocuments).toHaveBeenCalledWith({ uid: 'user-1' });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { uid: 'user-1' },
+        { $set: { 'notifications.channels.webpush.enabled': false } },
+      );
+    });
+
+    it('should keep push on for a previous owner with other subscriptions', async () => {
+      previousOwner('user-1');
+
+      await saveSubscription('user-2', subscription);
+
+      expect(User.updateOne).not.toHaveBeenCalledWith(
+        { uid: 'user-1' },
+        expect.anything(),
+      );
+    });
+  });
+
+  describe('sendWebPush', () => {
+    it('should send the payload to every subscription with the VAPID keys', async () => {
+      webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+      const result = await sendWebPush('user-1', payload);
+
+      expect(result).toEqual({ sent: 2, pruned: 0 });
+      expect(webpush.sendNotification).toHaveBeenCalledTimes(2);
+      expect(webpush.sendNotification).toHaveBeenCalledWith(
+        { endpoint: 'https://push.example.com/1', keys },
+        JSON.stringify(payload),
+        expect.objectContaining({
+          vapidDetails: {
+            subject: 'mailto:contact@digitomize.com',
+            publicKey: 'public-key',
+            privateKey: 'private-key',
+          },
+        }),
+      );
+      expect(PushSubscription.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['sub-1', 'sub-2'] } },
+        { $set: { lastSuccessAt: expect.any(Date), failures: 0 } },
+      );
+    });
+
+    it('should delete subscriptions the push service reports as gone', async () => {
+      webpush.sendNotification
+        .mockResolvedValueOnce({ statusCode: 201 })
+        .mockRejectedValueOnce(pushError(410));
+
+      const result = await sendWebPush('user-1', payload);
+
+      expect(result).toEqual({ sent: 1, pruned: 1 });
+      expect(PushSubscription.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['sub-2'] } });
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should count other errors as failures and reject when nothing was delivered', async () => {
+      webpush.sendNotification.mockRejectedValue(pushError(500));
+
+      await expect(sendWebPush('user-1', payload)).rejects.toThrow('Web push failed: gone');
+
+      expect(PushSubscription.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['sub-1', 'sub-2'] } },
+        { $inc: { failures: 1 } },
+      );
+      expect(PushSubscription.deleteMany).not.toHaveBeenCalled();
+    });
+
+    it('should turn the channel off once the last subscription is gone', async () => {
+      webpush.sendNotification.mockRejectedValue(pushError(404));
+      PushSubscription.countDocuments.mockResolvedValue(0);
+
+      await expect(sendWebPush('user-1', payload)).rejects.toThrow('Web push failed');
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { uid: 'user-1' },
+        { $set: { 'notifications.channels.webpush.enabled': false } },
+      );
+    });
+
+    it('should reject when the user has no subscriptions', async () => {
+      PushSubscription.find.mockReturnValue({ lean: vi.fn().mockResolvedValue([]) });
+
+      await expect(sendWebPush('user-1', payload)).rejects.toThrow('No push subscriptions');
+      expect(webpush.sendNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pruneSubscriptions', () => {
+    it('should delete expired and failing subscriptions', async () => {
+      const now = new Date('2024-01-01T00:00:00Z');
+      PushSubscription.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([{ _id: 'sub-1', uid: 'user-1' }]),
+        }),
+      });
+
+      const pruned = await pruneSubscriptions(now);
+
+      expect(pruned).toBe(1);
+      expect(PushSubscription.find).toHaveBeenCalledWith({
+        $or: [
+          { expirationTime: { $ne: null, $lte: now } },
+          { failures: { $gte: 5 } },
+        ],
+      });
+      expect(PushSubscription.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['sub-1'] } });
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// tests/unit/quarantine/controllers/quarantineController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  getQuarantine,
+  fixQuarantined,
+  discardQuarantined,
+} from '../../../../quarantine/controllers/quarantineController.js';
+import QuarantinedRecord from '../../../../quarantine/models/QuarantinedRecord.js';
+import contestSyncer from '../../../../contest/controllers/DataSyncController.js';
+import { createMockRequest, createMockResponse } from '../../users/__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../quarantine/models/QuarantinedRecord.js', () => ({
+  default: {
+    countDocuments: vi.fn(),
+    find: vi.fn(),
+    findById: vi.fn(),
+  },
+}));
+
+vi.mock('../../../../contest/controllers/DataSyncController.js', () => ({
+  default: { addToDB: vi.fn() },
+}));
+
+vi.mock('../../../../hackathons/controllers/hackathonApiSyncController.js', () => ({
+  default: { addToDB: vi.fn() },
+}));
+
+const ID = '65a1f0c2e4b0a1b2c3d4e5f6';
+
+const createEntry = (overrides = {}) => ({
+  _id: ID,
+  kind: 'contest',
+  source: 'leetcode',
+  status: 'pending',
+  payload: {
+    host: 'leetcode',
+    name: 'Weekly Contest 380',
+    vanity: 'weekly-contest-380',
+    url: 'https://leetcode.com/contest/weekly-contest-380',
+    startTimeUnix: 1705199400,
+    duration: 97.5,
+  },
+  save: vi.fn().mockResolvedValue(),
+  ...overrides,
+});
+
+describe('quarantineController - Unit Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    res = createMockResponse();
+  });
+
+  describe('getQuarantine', () => {
+    it('should list pending entries newest first', async () => {
+      const query = {
+        sort: vi.fn().mockReturnThis(),
+        skip: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue([createEntry()]),
+      };
+      QuarantinedRecord.countDocuments.mockResolvedValue(1);
+      QuarantinedRecord.find.mockReturnValue(query);
+
+      await getQuarantine(createMockRequest({ query: { kind: 'contest', source: 'LeetCode', page: '2', limit: '10' } }), res);
+
+      expect(QuarantinedRecord.find).toHaveBeenCalledWith({ status: 'pending', kind: 'contest', source: 'leetcode' });
+      expect(query.sort).toHaveBeenCalledWith({ lastSeenAt: -1 });
+      expect(query.skip).toHaveBeenCalledWith(10);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ total: 1, page: 2, limit: 10 }));
+    });
+
+    it('should reject invalid filters', async () => {
+      await getQuarantine(createMockRequest({ query: { kind: 'meetup', limit: '1000' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Invalid query' }));
+      expect(QuarantinedRecord.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fixQuarantined', () => {
+    it('should store the corrected record and mark the entry fixed', async () => {
+      const entry = createEntry();
+      QuarantinedRecord.findById.mockResolvedValue(entry);
+
+      await fixQuarantined(createMockRequest({ params: { id: ID }, body: { record: { duration: 90 } } }), res);
+
+      expect(contestSyncer.addToDB).toHaveBeenCalledWith([{ ...entry.payload, duration: 90 }], 'leetcode');
+      expect(entry.status).toBe('fixed');
+      expect(entry.resolvedBy).toBe('test-uid-123');
+      expect(entry.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should refuse corrections that are still invalid', async () => {
+      const entry = createEntry();
+      QuarantinedRecord.findById.mockResolvedValue(entry);
+
+      await fixQuarantined(createMockRequest({ params: { id: ID }, body: { record: { duration: 0 } } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [expect.objectContaining({ field: 'duration' })],
+      }));
+      expect(contestSyncer.addToDB).not.toHaveBeenCalled();
+      expect(entry.save).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown ids', async () => {
+      await fixQuarantined(createMockRequest({ params: { id: 'nope' }, body: { record: {} } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(QuarantinedRecord.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('discardQuarantined', () => {
+    it('should mark the entry discarded', async () => {
+      const entry = createEntry();
+      QuarantinedRecord.findById.mockResolvedValue(entry);
+
+      await discardQuarantined(createMockRequest({ params: { id: ID } }), res);
+
+      expect(entry.status).toBe('discarded');
+      expect(entry.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should not resolve an entry twice', async () => {
+      QuarantinedRecord.findById.mockResolvedValue(createEntry({ status: 'discarded' }));
+
+      await discardQuarantined(createMockRequest({ params: { id: ID } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// tests/unit/quarantine/services/recordValidation.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { validateRecord } from '../../../../quarantine/services/recordValidation.js';
+import { screenRecords, recordKey } from '../../../../quarantine/services/quarantine.js';
+import QuarantinedRecord from '../../../../quarantine/models/QuarantinedRecord.js';
+
+vi.mock('../../../../quarantine/models/QuarantinedRecord.js', () => ({
+  default: { updateOne: vi.fn() },
+}));
+
+const contest = {
+  host: 'leetcode',
+  name: 'Weekly Contest 380',
+  vanity: 'weekly-contest-380',
+  url: 'https://leetcode.com/contest/weekly-contest-380',
+  startTimeUnix: 1705199400,
+  duration: 90,
+};
+
+const hackathon = {
+  host: 'devpost',
+  name: 'Hack the Planet',
+  vanity: 18231,
+  url: 'https://hack-the-planet.devpost.com/',
+  registerationStartTimeUnix: 1705199400,
+  registerationEndTimeUnix: 1705804200,
+  hackathonStartTimeUnix: 1705199400,
+  duration: 10080,
+};
+
+describe('recordValidation - Unit Tests', () => {
+  it('should accept well formed records', () => {
+    expect(validateRecord('contest', contest)).toEqual([]);
+    expect(validateRecord('hackathon', hackathon)).toEqual([]);
+  });
+
+  it('should reject fractional durations and non-numeric start times', () => {
+    const errors = validateRecord('contest', { ...contest, duration: 97.5, startTimeUnix: 'Invalid ISO' });
+
+    expect(errors).toEqual([
+      { field: 'startTimeUnix', message: 'must be a whole number of seconds' },
+      { field: 'duration', message: 'must be a whole number of minutes' },
+    ]);
+  });
+
+  it('should reject NaN durations from missing detail pages', () => {
+    const errors = validateRecord('hackathon', {
+      ...hackathon,
+      hackathonStartTimeUnix: NaN,
+      registerationStartTimeUnix: NaN,
+      registerationEndTimeUnix: NaN,
+      duration: NaN,
+    });
+
+    expect(errors.map((e) => e.field)).toEqual([
+      'registerationStartTimeUnix',
+      'registerationEndTimeUnix',
+      'hackathonStartTimeUnix',
+      'duration',
+    ]);
+  });
+
+  it('should list every missing field of an empty record', () => {
+    expect(validateRecord('hackathon', {})).toHaveLength(8);
+    expect(validateRecord('contest', null)).toEqual([{ field: null, message: 'must be an object' }]);
+  });
+
+  it('should check registration windows once fields are valid', () => {
+    const errors = validateRecord('hackathon', { ...hackathon, registerationEndTimeUnix: 1705000000 });
+
+    expect(errors).toEqual([
+      { field: 'registerationEndTimeUnix', message: 'must not be before registerationStartTimeUnix' },
+    ]);
+  });
+
+  it('should reject unknown kinds', () => {
+    expect(() => validateRecord('meetup', {})).toThrow('Unknown record kind');
+  });
+});
+
+describe('screenRecords - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    QuarantinedRecord.updateOne.mockResolvedValue({});
+  });
+
+  it('should pass valid records through and quarantine the rest', async () => {
+    const bad = { ...contest, vanity: 'Weekly-Contest-381', duration: 97.5 };
+
+    const valid = await screenRecords('contest', 'leetcode', [contest, bad]);
+
+    expect(valid).toEqual([contest]);
+    expect(QuarantinedRecord.updateOne).toHaveBeenCalledTimes(1);
+    expect(QuarantinedRecord.updateOne).toHaveBeenCalledWith(
+      { kind: 'contest', source: 'leetcode', key: 'weekly-contest-381' },
+      expect.objectContaining({
+        $set: expect.objectContaining({
+          payload: bad,
+          validationErrors: [{ field: 'duration', message: 'must be a whole number of minutes' }],
+        }),
+        $setOnInsert: { status: 'pending' },
+        $inc: { occurrences: 1 },
+      }),
+      { upsert: true },
+    );
+  });
+
+  it('should key records without a vanity by their content', () => {
+    expect(recordKey({})).toBe(recordKey({}));
+    expect(recordKey({})).toMatch(/^[0-9a-f]{40}$/);
+    expect(recordKey({ vanity: 42 })).toBe('42');
+  });
+
+  it('should keep going when quarantining fails', async () => {
+    QuarantinedRecord.updateOne.mockRejectedValue(new Error('db down'));
+
+    const valid = await screenRecords('hackathon', 'devpost', [{}, hackathon]);
+
+    expect(valid).toEqual([hackathon]);
+  });
+
+  it('should treat a non-list result as empty', async () => {
+    expect(await screenRecords('contest', 'atcoder', undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+// tests/unit/reminders/services/contestChangeAlerts.test.js
+import { describe, it, expect, vi, beforeAll, beforeEach } from 'vitest';
+import { listenForContestChanges } from '../../../../reminders/services/contestChangeAlerts.js';
+import { contestEvents, CONTEST_CHANGED } from '../../../../contest/services/contestEvents.js';
+import { notify } from '../../../../notifications/services/notify.js';
+import ContestReminder from '../../../../reminders/models/ContestReminder.js';
+import User from '../../../../users/models/User.js';
+
+vi.mock('../../../../notifications/services/notify.js', () => ({
+  notify: vi.fn(),
+}));
+
+vi.mock('../../../../reminders/models/ContestReminder.js', () => ({
+  default: { distinct: vi.fn() },
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { find: vi.fn() },
+}));
+
+// find().select().lean() chains
+const queryResolving = (value) => ({
+  select: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue(value) }),
+});
+
+// Lets the listener's async work finish
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const START = Math.floor(Date.now() / 1000) + 2 * 24 * 60 * 60;
+const contest = {
+  host: 'codeforces',
+  vanity: '1918',
+  name: 'Codeforces Round 918',
+  url: 'https://codeforces.com/contests/1918',
+  startTimeUnix: START,
+  duration: 120,
+};
+const user = { uid: 'user-1', email: 'user@example.com' };
+
+describe('contestChangeAlerts - Unit Tests', () => {
+  beforeAll(() => {
+    listenForContestChanges();
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    ContestReminder.distinct.mockResolvedValue(['user-1']);
+    User.find.mockReturnValue(queryResolving([user]));
+    notify.mockResolvedValue({ delivered: ['webpush'], failed: [] });
+  });
+
+  it('should tell reminded users when a contest is rescheduled', async () => {
+    contestEvents.emit(CONTEST_CHANGED, {
+      contest,
+      changes: [{ field: 'startTimeUnix', from: START - 3600, to: START }],
+    });
+    await settle();
+
+    expect(ContestReminder.distinct).toHaveBeenCalledWith('uid', {
+      host: 'codeforces',
+      vanity: '1918',
+      status: { $in: ['sent', 'deferred'] },
+    });
+    expect(User.find).toHaveBeenCalledWith({ uid: { $in: ['user-1'] } });
+    expect(notify).toHaveBeenCalledTimes(1);
+    const [to, event, options] = notify.mock.calls[0];
+    expect(to).toBe(user);
+    expect(event.type).toBe('contest.change');
+    expect(event.title).toBe('Codeforces Round 918 was rescheduled');
+    expect(event.body).toContain('now starts');
+    expect(options.expiresAt).toEqual(new Date(START * 1000));
+    expect(options.collapseKey).toBe('contest.change:codeforces/1918');
+  });
+
+  it('should give the old name when a contest is renamed', async () => {
+    contestEvents.emit(CONTEST_CHANGED, {
+      contest,
+      changes: [{ field: 'name', from: 'Round 918', to: 'Codeforces Round 918' }],
+    });
+    await settle();
+
+    const [, event] = notify.mock.calls[0];
+    expect(event.title).toBe('Round 918 was renamed');
+    expect(event.body).toBe('Round 918 on codeforces is now called Codeforces Round 918.');
+  });
+
+  it('should leave url and duration changes to the next reminder', async () => {
+    contestEvents.emit(CONTEST_CHANGED, {
+      contest,
+      changes: [
+        { field: 'url', from: 'https://codeforces.com/contest/1918', to: contest.url },
+        { field: 'duration', from: 150, to: 120 },
+      ],
+    });
+    await settle();
+
+    expect(ContestReminder.distinct).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('should stay quiet when nobody was reminded yet', async () => {
+    ContestReminder.distinct.mockResolvedValue([]);
+
+    contestEvents.emit(CONTEST_CHANGED, {
+      contest,
+      changes: [{ field: 'startTimeUnix', from: START - 3600, to: START }],
+    });
+    await settle();
+
+    expect(User.find).not.toHaveBeenCalled();
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('should keep alerting other users when one delivery throws', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    User.find.mockReturnValue(queryResolving([user, { uid: 'user-2' }]));
+    notify.mockRejectedValueOnce(new Error('inbox down'));
+
+    contestEvents.emit(CONTEST_CHANGED, {
+      contest,
+      changes: [{ field: 'startTimeUnix', from: START - 3600, to: START }],
+    });
+    await settle();
+
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify.mock.calls[1][0]).toEqual({ uid: 'user-2' });
+  });
+});
@@ -0,0 +1,123 @@
+// tests/unit/reminders/services/hackathonAlerts.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { sendHackathonDeadlineAlerts } from '../../../../reminders/services/hackathonAlerts.js';
+import { notify } from '../../../../notifications/services/notify.js';
+import HackathonAlert from '../../../../reminders/models/HackathonAlert.js';
+import User from '../../../../users/models/User.js';
+import { Hackathon } from '../../../../hackathons/models/Hackathon.js';
+
+vi.mock('../../../../notifications/services/notify.js', () => ({
+  notify: vi.fn(),
+}));
+
+vi.mock('../../../../reminders/models/HackathonAlert.js', () => ({
+  default: { create: vi.fn(), updateOne: vi.fn() },
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { find: vi.fn() },
+}));
+
+vi.mock('../../../../hackathons/models/Hackathon.js', () => ({
+  Hackathon: { find: vi.fn() },
+}));
+
+// find().select().lean() chains
+const queryResolving = (value) => ({
+  select: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue(value) }),
+});
+
+const NOW = 1700000000;
+const hackathon = {
+  host: 'devfolio',
+  vanity: 'hack-the-mountains',
+  name: 'Hack The Mountains',
+  url: 'https://hack-the-mountains.devfolio.co',
+  registerationEndTimeUnix: NOW + 3 * 60 * 60,
+};
+const user = { uid: 'user-1', email: 'user@example.com' };
+
+describe('hackathonAlerts - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Hackathon.find.mockReturnValue(queryResolving([hackathon]));
+    User.find.mockReturnValue(queryResolving([user]));
+    HackathonAlert.create.mockResolvedValue({ _id: 'alert-1' });
+    notify.mockResolvedValue({ delivered: ['webpush'], failed: [] });
+  });
+
+  it('should alert users who saved a hackathon closing within a day', async () => {
+    const totals = await sendHackathonDeadlineAlerts(NOW);
+
+    expect(totals).toEqual({ sent: 1, deferred: 0, skipped: 0, failed: 0 });
+    expect(Hackathon.find).toHaveBeenCalledWith({
+      registerationEndTimeUnix: { $gt: NOW, $lte: NOW + 24 * 60 * 60 },
+    });
+    expect(User.find).toHaveBeenCalledWith({
+      'calendar.hackathons': {
+        $elemMatch: { host: 'devfolio', vanity: 'hack-the-mountains' },
+      },
+    });
+    expect(HackathonAlert.create).toHaveBeenCalledWith({
+      uid: 'user-1',
+      host: 'devfolio',
+      vanity: 'hack-the-mountains',
+      registerationEndTimeUnix: hackathon.registerationEndTimeUnix,
+    });
+    expect(notify).toHaveBeenCalledWith(user, expect.objectContaining({
+      type: 'hackathon.deadline',
+      title: 'Registration for Hack The Mountains closes in 3 hours',
+      url: hackathon.url,
+    }), { expiresAt: new Date(hackathon.registerationEndTimeUnix * 1000) });
+    expect(HackathonAlert.updateOne).toHaveBeenCalledWith(
+      { _id: 'alert-1' },
+      { $set: { status: 'sent', channels: ['webpush'], sentAt: expect.any(Date) } },
+    );
+  });
+
+  it('should not alert twice for the same deadline', async () => {
+    HackathonAlert.create.mockRejectedValue(Object.assign(new Error('duplicate'), { code: 11000 }));
+
+    const totals = await sendHackathonDeadlineAlerts(NOW);
+
+    expect(totals).toEqual({ sent: 0, deferred: 0, skipped: 0, failed: 0 });
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  it('should record failed deliveries', async () => {
+    notify.mockResolvedValue({
+      delivered: [],
+      failed: [{ channel: 'webpush', error: 'No push subscriptions' }],
+    });
+
+    const totals = await sendHackathonDeadlineAlerts(NOW);
+
+    expect(totals.failed).toBe(1);
+    expect(HackathonAlert.updateOne).toHaveBeenCalledWith(
+      { _id: 'alert-1' },
+      {
+        $set: expect.objectContaining({
+          status: 'failed',
+          error: 'webpush: No push subscriptions',
+        }),
+      },
+    );
+  });
+
+  it('should write the deadline in the user\'s timezone and mark quiet-hour alerts deferred', async () => {
+    const berlinUser = { ...user, preferences: { timezone: 'Europe/Berlin', time_format: '24h' } };
+    User.find.mockReturnValue(queryResolving([berlinUser]));
+    notify.mockResolvedValue({ delivered: [], failed: [], deferredUntil: new Date() });
+
+    const totals = await sendHackathonDeadlineAlerts(NOW);
+
+    expect(totals.deferred).toBe(1);
+    expect(notify).toHaveBeenCalledWith(berlinUser, expect.objectContaining({
+      body: 'Registration for Hack The Mountains on devfolio closes Wed, Nov 15, 02:13 GMT+1.',
+    }), expect.anything());
+    expect(HackathonAlert.updateOne).toHaveBeenCalledWith(
+      { _id: 'alert-1' },
+      { $set: { status: 'deferred', channels: [], sentAt: expect.any(Date) } },
+    );
+  });
+});
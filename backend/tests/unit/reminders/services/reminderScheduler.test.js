@@ -0,0 +1,194 @@
+// tests/unit/reminders/services/reminderScheduler.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  parseReminderOffsets,
+  dueOffsets,
+  sendDueReminders,
+} from '../../../../reminders/services/reminderScheduler.js';
+import { notify } from '../../../../notifications/services/notify.js';
+import ContestReminder from '../../../../reminders/models/ContestReminder.js';
+import User from '../../../../users/models/User.js';
+import { Contest } from '../../../../contest/models/Contest.js';
+
+vi.mock('../../../../notifications/services/notify.js', () => ({
+  notify: vi.fn(),
+}));
+
+vi.mock('../../../../reminders/models/ContestReminder.js', () => ({
+  default: {
+    find: vi.fn(),
+    create: vi.fn(),
+    insertMany: vi.fn(),
+    updateOne: vi.fn(),
+  },
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { find: vi.fn() },
+}));
+
+vi.mock('../../../../contest/models/Contest.js', () => ({
+  Contest: { find: vi.fn() },
+}));
+
+// find().select().lean() chains
+const queryResolving = (value) => ({
+  select: vi.fn().mockReturnValue({ lean: vi.fn().mockResolvedValue(value) }),
+});
+
+const NOW = 1700000000;
+const contest = {
+  host: 'codeforces',
+  vanity: '1900',
+  name: 'Codeforces Round 900',
+  url: 'https://codeforces.com/contests/1900',
+  startTimeUnix: NOW + 30 * 60,
+  duration: 120,
+};
+const user = {
+  uid: 'user-1',
+  email: 'user@example.com',
+  preferences: { contest_notifs: { codeforces: true }, reminder_offsets: [] },
+};
+
+describe('reminderScheduler - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    notify.mockResolvedValue({ delivered: ['email'], failed: [] });
+
+    Contest.find.mockReturnValue(queryResolving([contest]));
+    User.find.mockReturnValue(queryResolving([user]));
+    ContestReminder.find.mockReturnValue(queryResolving([]));
+    ContestReminder.create.mockImplementation(async (doc) => ({ _id: 'reminder-1', ...doc }));
+    ContestReminder.insertMany.mockResolvedValue([]);
+    ContestReminder.updateOne.mockResolvedValue({});
+  });
+
+  describe('parseReminderOffsets', () => {
+    it('should dedupe and sort offsets, largest first', () => {
+      expect(parseReminderOffsets([10, 1440, 60, 10])).toEqual({ offsets: [1440, 60, 10] });
+    });
+
+    it('should reject empty, fractional or out of range offsets', () => {
+      expect(parseReminderOffsets([]).error).toBeDefined();
+      expect(parseReminderOffsets([1.5]).error).toBeDefined();
+      expect(parseReminderOffsets([0]).error).toBeDefined();
+      expect(parseReminderOffsets([20000]).error).toBeDefined();
+      expect(parseReminderOffsets('60').error).toBeDefined();
+    });
+  });
+
+  describe('dueOffsets', () => {
+    it('should return the offsets whose time has passed', () => {
+      expect(dueOffsets([1440, 60, 10], NOW + 30 * 60, NOW)).toEqual([1440, 60]);
+      expect(dueOffsets([1440, 60, 10], NOW + 2 * 86400, NOW)).toEqual([]);
+    });
+  });
+
+  describe('sendDueReminders', () => {
+    it('should send only the closest due reminder and skip the missed ones', async () => {
+      const result = await sendDueReminders(NOW);
+
+      expect(result).toEqual({ sent: 1, deferred: 0, skipped: 1, failed: 0 });
+      expect(User.find).toHaveBeenCalledWith({ 'preferences.contest_notifs.codeforces': true });
+      expect(ContestReminder.create).toHaveBeenCalledWith({
+        host: 'codeforces',
+        vanity: '1900',
+        uid: 'user-1',
+        startTimeUnix: contest.startTimeUnix,
+        offsetMinutes: 60,
+      });
+      expect(ContestReminder.insertMany).toHaveBeenCalledWith(
+        [expect.objectContaining({ offsetMinutes: 1440, status: 'skipped' })],
+        { ordered: false },
+      );
+      expect(ContestReminder.updateOne).toHaveBeenCalledWith(
+        { _id: 'reminder-1' },
+        { $set: expect.objectContaining({ status: 'sent', channels: ['email'] }) },
+      );
+    });
+
+    it('should notify the user with a contest reminder event', async () => {
+      await sendDueReminders(NOW);
+
+      expect(notify).toHaveBeenCalledWith(user, expect.objectContaining({
+        type: 'contest.reminder',
+        title: 'Codeforces Round 900 starts in 30 minutes',
+        url: contest.url,
+        workflow: 'contest-alert',
+        payload: {
+          contest: expect.objectContaining({ name: 'Codeforces Round 900', duration: '2 hours 0 minutes' }),
+          startsInMinutes: 30,
+          rescheduled: false,
+        },
+      }), {
+        expiresAt: new Date(contest.startTimeUnix * 1000),
+        collapseKey: 'contest.reminder:codeforces/1900',
+      });
+    });
+
+    it('should not send a reminder twice', async () => {
+      ContestReminder.find.mockReturnValue(queryResolving([
+        { uid: 'user-1', startTimeUnix: contest.startTimeUnix, offsetMinutes: 60, status: 'sent' },
+      ]));
+
+      const result = await sendDueReminders(NOW);
+
+      expect(result.sent).toBe(0);
+      expect(ContestReminder.create).not.toHaveBeenCalled();
+    });
+
+    it('should back off when another instance claimed the reminder', async () => {
+      ContestReminder.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      const result = await sendDueReminders(NOW);
+
+      expect(result.sent).toBe(0);
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('should remind again and flag a contest that moved', async () => {
+      ContestReminder.find.mockReturnValue(queryResolving([
+        { uid: 'user-1', startTimeUnix: contest.startTimeUnix - 3600, offsetMinutes: 60, status: 'sent' },
+      ]));
+
+      const result = await sendDueReminders(NOW);
+
+      expect(result.sent).toBe(1);
+      expect(notify.mock.calls[0][1].payload.rescheduled).toBe(true);
+      expect(notify.mock.calls[0][1].body).toMatch(/^Rescheduled: /);
+    });
+
+    it('should use the offsets the user picked', async () => {
+      User.find.mockReturnValue(queryResolving([
+        { ...user, preferences: { reminder_offsets: [10] } },
+      ]));
+
+      const result = await sendDueReminders(NOW);
+
+      expect(result.sent).toBe(0);
+      expect(ContestReminder.create).not.toHaveBeenCalled();
+    });
+
+    it('should mark the reminder failed when every channel fails', async () => {
+      notify.mockResolvedValue({ delivered: [], failed: [{ channel: 'email', error: 'Novu down' }] });
+
+      const result = await sendDueReminders(NOW);
+
+      expect(result.failed).toBe(1);
+      expect(ContestReminder.updateOne).toHaveBeenCalledWith(
+        { _id: 'reminder-1' },
+        { $set: expect.objectContaining({ status: 'failed', error: 'email: Novu down' }) },
+      );
+    });
+
+    it('should skip users without any notification channel', async () => {
+      notify.mockResolvedValue({ delivered: [], failed: [] });
+
+      const result = await sendDueReminders(NOW);
+
+      expect(result).toEqual({ sent: 0, deferred: 0, skipped: 2, failed: 0 });
+    });
+  });
+});
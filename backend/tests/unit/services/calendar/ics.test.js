@@ -0,0 +1,110 @@
+// tests/unit/services/calendar/ics.test.js
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildCalendar,
+  escapeText,
+  foldLine,
+  formatDateTime,
+} from '../../../../services/calendar/ics.js';
+import {
+  contestToEvent,
+  hackathonToEvents,
+} from '../../../../services/calendar/feeds.js';
+
+vi.mock('../../../../contest/models/Contest.js');
+vi.mock('../../../../hackathons/models/Hackathon.js');
+
+describe('ics - Unit Tests', () => {
+  it('should format unix seconds as UTC date-time', () => {
+    expect(formatDateTime(1704101400)).toBe('20240101T093000Z');
+  });
+
+  it('should escape special characters in text values', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  it('should fold lines longer than 75 octets', () => {
+    const folded = foldLine('SUMMARY:' + 'x'.repeat(200));
+    const lines = folded.split('\r\n');
+
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach((line) => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    lines.slice(1).forEach((line) => expect(line.startsWith(' ')).toBe(true));
+    expect(lines.map((line, i) => (i ? line.slice(1) : line)).join('')).toBe('SUMMARY:' + 'x'.repeat(200));
+  });
+
+  it('should not split multi-byte characters when folding', () => {
+    const folded = foldLine('SUMMARY:' + '🏆'.repeat(40));
+
+    folded.split('\r\n').forEach((line) => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      expect(line).not.toContain('�');
+    });
+  });
+
+  it('should build a calendar with CRLF line endings', () => {
+    const ics = buildCalendar({
+      name: 'Test',
+      events: [{ uid: 'a@b', start: 1704101400, end: 1704108600, summary: 'Round 1' }],
+    }, Date.UTC(2024, 0, 1));
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('UID:a@b\r\nDTSTAMP:20240101T000000Z\r\nDTSTART:20240101T093000Z\r\nDTEND:20240101T113000Z');
+    expect(ics).toContain('SEQUENCE:0\r\nSUMMARY:Round 1');
+  });
+
+  describe('feeds', () => {
+    it('should give contests a UID that depends only on host and vanity', () => {
+      const contest = {
+        host: 'codeforces',
+        vanity: '1900',
+        name: 'Codeforces Round 900',
+        url: 'https://codeforces.com/contests/1900',
+        startTimeUnix: 1704101400,
+        duration: 120,
+        changeHistory: [{}, {}],
+      };
+
+      const event = contestToEvent(contest);
+      const moved = contestToEvent({ ...contest, startTimeUnix: 1704105000, name: 'Renamed' });
+
+      expect(event.uid).toBe('contest-codeforces-1900@digitomize.com');
+      expect(moved.uid).toBe(event.uid);
+      expect(event.end - event.start).toBe(120 * 60);
+      expect(event.sequence).toBe(2);
+    });
+
+    it('should create registration and start events for hackathons', () => {
+      const [registration, start] = hackathonToEvents({
+        host: 'devfolio',
+        vanity: 'hackx',
+        name: 'HackX',
+        url: 'https://hackx.devfolio.co',
+        registerationEndTimeUnix: 1704000000,
+        hackathonStartTimeUnix: 1704101400,
+        duration: 2880,
+      });
+
+      expect(registration.uid).toBe('hackathon-devfolio-hackx-registration@digitomize.com');
+      expect(registration.start).toBe(1704000000);
+      expect(start.uid).toBe('hackathon-devfolio-hackx-start@digitomize.com');
+      expect(start.end).toBe(1704101400 + 2880 * 60);
+    });
+
+    it('should write start times in the feed owner\'s timezone and clock', () => {
+      const contest = {
+        host: 'codeforces',
+        vanity: '1900',
+        name: 'Codeforces Round 900',
+        url: 'https://codeforces.com/contests/1900',
+        startTimeUnix: 1704101400, // 2024-01-01 09:30 UTC
+        duration: 120,
+      };
+      const user = { preferences: { timezone: 'America/New_York', time_format: '24h' } };
+
+      expect(contestToEvent(contest, user).description).toMatch(/^Starts: Mon, Jan 1, 04:30 EST\n/);
+      expect(contestToEvent(contest).description).toMatch(/^Host: codeforces/);
+    });
+  });
+});
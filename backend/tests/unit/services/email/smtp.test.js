@@ -0,0 +1,110 @@
+// tests/unit/services/email/smtp.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import net from 'net';
+import { sendMail, resetTransport } from '../../../../services/email/smtp.js';
+import { renderTemplate, escapeHtml } from '../../../../services/email/templates.js';
+
+//* Just enough of an SMTP server to accept mail, like a local sink would
+const startSmtpSink = () => new Promise((resolve) => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let message = { rcpt: [] };
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(message);
+            message = { rcpt: [] };
+            socket.write('250 OK queued\r\n');
+          } else {
+            message.data = (message.data || '') + line + '\n';
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 sink\r\n');
+        } else if (/^MAIL FROM/i.test(line)) {
+          message.from = line;
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO/i.test(line)) {
+          message.rcpt.push(line);
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port }));
+});
+
+describe('email - Unit Tests', () => {
+  let sink;
+
+  beforeAll(async () => {
+    sink = await startSmtpSink();
+  });
+
+  afterAll(() => new Promise((resolve) => sink.server.close(resolve)));
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    resetTransport();
+  });
+
+  describe('sendMail', () => {
+    it('should deliver through the configured SMTP server', async () => {
+      vi.stubEnv('SMTP_HOST', '127.0.0.1');
+      vi.stubEnv('SMTP_PORT', String(sink.port));
+      vi.stubEnv('SMTP_SECURE', 'false');
+      vi.stubEnv('SMTP_FROM', 'digitomize <digest@example.com>');
+
+      await sendMail({
+        to: 'user@example.com',
+        subject: 'Your weekly digest',
+        html: '<p>Hello</p>',
+        text: 'Hello',
+      });
+
+      expect(sink.messages).toHaveLength(1);
+      const [message] = sink.messages;
+      expect(message.from).toContain('digest@example.com');
+      expect(message.rcpt[0]).toContain('user@example.com');
+      expect(message.data).toContain('Subject: Your weekly digest');
+      expect(message.data).toContain('<p>Hello</p>');
+    });
+
+    it('should refuse to send without an SMTP host', async () => {
+      vi.stubEnv('SMTP_HOST', '');
+
+      await expect(sendMail({ to: 'user@example.com' })).rejects.toThrow('SMTP_HOST is not set');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should escape values and keep trusted HTML', () => {
+      const html = renderTemplate('digest/section', {
+        title: '<script>alert(1)</script>',
+        rows: '<tr><td>row</td></tr>',
+      });
+
+      expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(html).toContain('<tr><td>row</td></tr>');
+    });
+
+    it('should escape quotes for attributes', () => {
+      expect(escapeHtml('"a" & \'b\'')).toBe('&quot;a&quot; &amp; &#39;b&#39;');
+    });
+  });
+});
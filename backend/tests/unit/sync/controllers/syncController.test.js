@@ -0,0 +1,97 @@
+// tests/unit/sync/controllers/syncController.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getSyncStatus, runSync } from '../../../../sync/controllers/syncController.js';
+import contestSyncer from '../../../../contest/controllers/DataSyncController.js';
+import hackathonSyncer from '../../../../hackathons/controllers/hackathonApiSyncController.js';
+import { getLatestRuns, isSyncRunning } from '../../../../sync/services/syncRuns.js';
+import { createMockRequest, createMockResponse } from '../../users/__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../contest/controllers/DataSyncController.js', () => ({
+  default: { syncContests: vi.fn() },
+}));
+
+vi.mock('../../../../contest/services/sourceRegistry.js', () => ({
+  getContestSources: () => [
+    { id: 'codeforces', name: 'Codeforces', enabled: true, schedule: { intervalMinutes: 90 } },
+    { id: 'atcoder', name: 'AtCoder', enabled: false, schedule: { intervalMinutes: 90 } },
+  ],
+  isContestSourceEnabled: (source) => source.enabled,
+}));
+
+vi.mock('../../../../hackathons/controllers/hackathonApiSyncController.js', () => ({
+  default: { syncHackathons: vi.fn() },
+  HACKATHON_SOURCES: [{ id: 'devpost', name: 'Devpost', schedule: { intervalMinutes: 90 } }],
+}));
+
+vi.mock('../../../../sync/services/syncRuns.js', () => ({
+  getLatestRuns: vi.fn(),
+  getRecentRuns: vi.fn(),
+  isSyncRunning: vi.fn(),
+}));
+
+const NOW = Date.UTC(2024, 0, 10, 12);
+
+describe('syncController - Unit Tests', () => {
+  let res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    res = createMockResponse();
+    isSyncRunning.mockReturnValue(false);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getSyncStatus', () => {
+    it('should flag sources without a recent successful run as stale', async () => {
+      getLatestRuns.mockResolvedValue(new Map([
+        ['contest:codeforces', { lastRun: { status: 'success' }, lastSuccessAt: new Date(NOW - 60 * 60 * 1000) }],
+        ['hackathon:devpost', { lastRun: { status: 'failed' }, lastSuccessAt: new Date(NOW - 4 * 60 * 60 * 1000) }],
+      ]));
+
+      await getSyncStatus(createMockRequest(), res);
+
+      const { results } = res.json.mock.calls[0][0];
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(results.map(({ id, stale, enabled }) => ({ id, stale, enabled }))).toEqual([
+        { id: 'codeforces', stale: false, enabled: true },
+        { id: 'atcoder', stale: false, enabled: false },
+        { id: 'devpost', stale: true, enabled: true },
+      ]);
+      expect(results[0]).not.toHaveProperty('sync');
+    });
+  });
+
+  describe('runSync', () => {
+    it('should start a manual sync of a contest source', async () => {
+      await runSync(createMockRequest({ query: { source: 'Codeforces' } }), res);
+
+      expect(contestSyncer.syncContests).toHaveBeenCalledWith(['codeforces'], 'manual');
+      expect(res.status).toHaveBeenCalledWith(202);
+    });
+
+    it('should start a manual sync of a hackathon source', async () => {
+      await runSync(createMockRequest({ query: { source: 'devpost' } }), res);
+
+      expect(hackathonSyncer.syncHackathons).toHaveBeenCalledWith(['devpost'], 'manual');
+    });
+
+    it('should reject unknown, disabled and already running sources', async () => {
+      await runSync(createMockRequest({ query: { source: 'topcoder' } }), res);
+      expect(res.status).toHaveBeenLastCalledWith(400);
+
+      await runSync(createMockRequest({ query: { source: 'atcoder' } }), res);
+      expect(res.status).toHaveBeenLastCalledWith(409);
+
+      isSyncRunning.mockReturnValue(true);
+      await runSync(createMockRequest({ query: { source: 'codeforces' } }), res);
+      expect(res.status).toHaveBeenLastCalledWith(409);
+
+      expect(contestSyncer.syncContests).not.toHaveBeenCalled();
+    });
+  });
+});
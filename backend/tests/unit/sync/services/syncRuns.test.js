@@ -0,0 +1,78 @@
+// tests/unit/sync/services/syncRuns.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { recordSyncRun, isSyncRunning, getLatestRuns } from '../../../../sync/services/syncRuns.js';
+import SyncRun from '../../../../sync/models/SyncRun.js';
+
+vi.mock('../../../../sync/models/SyncRun.js', () => ({
+  default: {
+    create: vi.fn(),
+    updateOne: vi.fn(),
+    aggregate: vi.fn(),
+  },
+}));
+
+describe('syncRuns - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    SyncRun.create.mockResolvedValue({ _id: 'run-1' });
+    SyncRun.updateOne.mockResolvedValue({});
+  });
+
+  it('should record a successful run with its counts', async () => {
+    const counts = { fetched: 3, new: 1, updated: 1, unchanged: 0, invalid: 1 };
+    let runningDuringSync;
+
+    const result = await recordSyncRun({ kind: 'contest', source: 'codeforces' }, async () => {
+      runningDuringSync = isSyncRunning('contest', 'codeforces');
+      return counts;
+    });
+
+    expect(result).toBe(counts);
+    expect(runningDuringSync).toBe(true);
+    expect(isSyncRunning('contest', 'codeforces')).toBe(false);
+    expect(SyncRun.create).toHaveBeenCalledWith(expect.objectContaining({
+      kind: 'contest',
+      source: 'codeforces',
+      trigger: 'schedule',
+    }));
+    expect(SyncRun.updateOne).toHaveBeenCalledWith(
+      { _id: 'run-1' },
+      { $set: expect.objectContaining({ status: 'success', counts, durationMs: expect.any(Number) }) },
+    );
+  });
+
+  it('should record the error of a failed run and rethrow it', async () => {
+    await expect(
+      recordSyncRun({ kind: 'hackathon', source: 'devpost', trigger: 'manual' }, async () => {
+        throw new Error('status 503');
+      }),
+    ).rejects.toThrow('status 503');
+
+    expect(SyncRun.updateOne).toHaveBeenCalledWith(
+      { _id: 'run-1' },
+      { $set: expect.objectContaining({ status: 'failed', error: 'status 503' }) },
+    );
+    expect(isSyncRunning('hackathon', 'devpost')).toBe(false);
+  });
+
+  it('should still sync when the history cannot be written', async () => {
+    SyncRun.create.mockRejectedValue(new Error('db down'));
+
+    const result = await recordSyncRun({ kind: 'contest', source: 'atcoder' }, async () => ({ fetched: 0 }));
+
+    expect(result).toEqual({ fetched: 0 });
+    expect(SyncRun.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should key the latest runs by kind and source', async () => {
+    const lastRun = { status: 'failed' };
+    SyncRun.aggregate.mockResolvedValue([
+      { _id: { kind: 'contest', source: 'leetcode' }, lastRun, lastSuccessAt: null },
+    ]);
+
+    const runs = await getLatestRuns();
+
+    expect(runs.get('contest:leetcode')).toEqual({ lastRun, lastSuccessAt: null });
+  });
+});
@@ -0,0 +1,36 @@
+// tests/unit/telegram/__helpers__/fakeBotApi.js
+// A local stand-in for api.telegram.org: records every method call and
+// answers ok. Point TELEGRAM_API_URL at url to use it.
+import express from 'express';
+
+export async function startFakeBotApi () {
+  const calls = [];
+  const app = express();
+  app.use(express.json());
+  app.post('/bot:token/:method', (req, res) => {
+    calls.push({ token: req.params.token, method: req.params.method, params: req.body });
+    res.json({ ok: true, result: {} });
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    calls,
+    // Texts sent to a chat, in order
+    messagesTo: (chatId) => calls
+      .filter(({ method, params }) => method === 'sendMessage' && String(params.chat_id) === String(chatId))
+      .map(({ params }) => params.text),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+//* Update carrying a text message, as Telegram posts it to the webhook
+export function textUpdate (text, chat = { id: 42, type: 'private' }) {
+  return {
+    update_id: 1,
+    message: { message_id: 1, date: 1700000000, chat, from: { id: chat.id, is_bot: false }, text },
+  };
+}
@@ -0,0 +1,81 @@
+// tests/unit/telegram/controllers/linkController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  createTelegramLink,
+  deleteTelegramLink,
+} from '../../../../telegram/controllers/linkController.js';
+import { createLinkCode, unlinkUser } from '../../../../telegram/services/link.js';
+import { callBotApi } from '../../../../notifications/channels/telegram.js';
+import { createMockRequest, createMockResponse } from '../../users/__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../telegram/services/link.js', () => ({
+  createLinkCode: vi.fn(),
+  unlinkUser: vi.fn(),
+}));
+
+vi.mock('../../../../notifications/channels/telegram.js', () => ({
+  callBotApi: vi.fn(),
+}));
+
+describe('linkController - Unit Tests', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.unstubAllEnvs();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubEnv('TELEGRAM_BOT_TOKEN', 'bot-token');
+    vi.stubEnv('TELEGRAM_BOT_USERNAME', 'digitomize_bot');
+    req = createMockRequest();
+    res = createMockResponse();
+  });
+
+  describe('createTelegramLink', () => {
+    it('should return a code and a link that opens the bot with it', async () => {
+      const expiresAt = new Date(Date.UTC(2024, 0, 1, 12, 10));
+      createLinkCode.mockResolvedValue({ code: 'ABCD2345', expiresAt });
+
+      await createTelegramLink(req, res);
+
+      expect(createLinkCode).toHaveBeenCalledWith('test-uid-123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        code: 'ABCD2345',
+        expiresAt,
+        botUsername: 'digitomize_bot',
+        url: 'https://t.me/digitomize_bot?start=ABCD2345',
+      });
+    });
+
+    it('should return 503 without a bot', async () => {
+      vi.stubEnv('TELEGRAM_BOT_TOKEN', '');
+
+      await createTelegramLink(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(createLinkCode).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteTelegramLink', () => {
+    it('should unlink and tell the chat', async () => {
+      unlinkUser.mockResolvedValue('42');
+      callBotApi.mockResolvedValue({});
+
+      await deleteTelegramLink(req, res);
+
+      expect(unlinkUser).toHaveBeenCalledWith('test-uid-123');
+      expect(callBotApi).toHaveBeenCalledWith('sendMessage', expect.objectContaining({ chat_id: '42' }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 when nothing was linked', async () => {
+      unlinkUser.mockResolvedValue(null);
+
+      await deleteTelegramLink(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(callBotApi).not.toHaveBeenCalled();
+    });
+  });
+});
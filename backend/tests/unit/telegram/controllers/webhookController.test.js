@@ -0,0 +1,216 @@
+// tests/unit/telegram/controllers/webhookController.test.js
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import telegramRoutes from '../../../../telegram/routes/telegramRoutes.js';
+import { getNextContests } from '../../../../contest/services/nextContests.js';
+import { getTodaysPotd } from '../../../../potd/controllers/potdController.js';
+import { getUser } from '../../../../users/services/getUser.js';
+import { getLinkedAccounts } from '../../../../users/services/linkedAccounts.js';
+import { linkChat, unlinkChat, findLinkedUser } from '../../../../telegram/services/link.js';
+import { startFakeBotApi, textUpdate } from '../__helpers__/fakeBotApi.js';
+
+vi.mock('../../../../contest/services/nextContests.js', () => ({
+  getNextContests: vi.fn(),
+}));
+
+vi.mock('../../../../potd/controllers/potdController.js', () => ({
+  POTD_PLATFORMS: ['leetcode', 'geeksforgeeks'],
+  getTodaysPotd: vi.fn(),
+}));
+
+vi.mock('../../../../users/services/getUser.js', () => ({
+  getUser: vi.fn(),
+}));
+
+vi.mock('../../../../users/services/linkedAccounts.js', () => ({
+  getLinkedAccounts: vi.fn(),
+}));
+
+vi.mock('../../../../telegram/services/link.js', () => ({
+  linkChat: vi.fn(),
+  unlinkChat: vi.fn(),
+  findLinkedUser: vi.fn(),
+}));
+
+const SECRET = 'webhook-secret';
+const CHAT_ID = 42;
+
+describe('webhookController - Unit Tests', () => {
+  let botApi, app;
+
+  beforeAll(async () => {
+    botApi = await startFakeBotApi();
+    app = express();
+    app.use(express.json());
+    app.use('/telegram', telegramRoutes);
+  });
+
+  afterAll(() => botApi.close());
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.unstubAllEnvs();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubEnv('TELEGRAM_API_URL', botApi.url);
+    vi.stubEnv('TELEGRAM_BOT_TOKEN', 'bot-token');
+    vi.stubEnv('TELEGRAM_BOT_USERNAME', 'digitomize_bot');
+    vi.stubEnv('TELEGRAM_WEBHOOK_SECRET', SECRET);
+    vi.stubEnv('FRONTEND_URL', 'https://digitomize.com');
+    botApi.calls.length = 0;
+    findLinkedUser.mockResolvedValue(null);
+  });
+
+  const send = (text, chat) => request(app)
+    .post('/telegram/webhook')
+    .set('X-Telegram-Bot-Api-Secret-Token', SECRET)
+    .send(textUpdate(text, chat));
+
+  it('should reject updates without the secret token', async () => {
+    const res = await request(app).post('/telegram/webhook')
+      .set('X-Telegram-Bot-Api-Secret-Token', 'wrong')
+      .send(textUpdate('/potd'));
+
+    expect(res.status).toBe(401);
+    expect(botApi.calls).toHaveLength(0);
+  });
+
+  it('should return 503 when the bot is not configured', async () => {
+    vi.stubEnv('TELEGRAM_WEBHOOK_SECRET', '');
+
+    const res = await send('/potd');
+
+    expect(res.status).toBe(503);
+  });
+
+  it('should ignore plain messages and commands for other bots', async () => {
+    await send('hello');
+    await send('/potd@some_other_bot', { id: -100, type: 'group' });
+
+    expect(botApi.calls).toHaveLength(0);
+  });
+
+  describe('/start', () => {
+    it('should link the chat with a code', async () => {
+      linkChat.mockResolvedValue({ uid: 'user-1', username: 'alice' });
+
+      const res = await send('/start ABCD2345');
+
+      expect(res.status).toBe(200);
+      expect(linkChat).toHaveBeenCalledWith('ABCD2345', CHAT_ID);
+      const [text] = botApi.messagesTo(CHAT_ID);
+      expect(text).toContain('Linked to <b>alice</b>');
+      expect(botApi.calls[0]).toMatchObject({ token: 'bot-token', params: { parse_mode: 'HTML' } });
+    });
+
+    it('should refuse wrong codes and group chats', async () => {
+      linkChat.mockResolvedValue(null);
+
+      await send('/start NOPE');
+      await send('/start@digitomize_bot ABCD2345', { id: -100, type: 'group' });
+
+      expect(botApi.messagesTo(CHAT_ID)[0]).toMatch(/wrong or has expired/);
+      expect(botApi.messagesTo(-100)[0]).toMatch(/private chat/);
+      expect(linkChat).toHaveBeenCalledTimes(1);
+    });
+
+    it('should show help without a code', async () => {
+      await send('/start');
+
+      expect(botApi.messagesTo(CHAT_ID)[0]).toContain('/contests [platform]');
+    });
+  });
+
+  it('should unlink the chat', async () => {
+    unlinkChat.mockResolvedValue(true);
+
+    await send('/unlink');
+
+    expect(unlinkChat).toHaveBeenCalledWith(CHAT_ID);
+    expect(botApi.messagesTo(CHAT_ID)[0]).toMatch(/^Unlinked/);
+  });
+
+  describe('/contests', () => {
+    const contest = {
+      host: 'codeforces',
+      vanity: '1900',
+      name: 'Codeforces Round <900>',
+      url: 'https://codeforces.com/contests/1900',
+      startTimeUnix: 4102444800, // 2100-01-01 00:00 UTC
+      duration: 120,
+    };
+
+    it('should list contests in the linked user\'s timezone', async () => {
+      findLinkedUser.mockResolvedValue({ uid: 'user-1', preferences: { timezone: 'UTC', time_format: '24h' } });
+      getNextContests.mockResolvedValue([contest]);
+
+      await send('/contests Codeforces');
+
+      expect(getNextContests).toHaveBeenCalledWith({ platform: 'codeforces', limit: 5 });
+      expect(botApi.messagesTo(CHAT_ID)[0]).toBe(
+        '<b>Upcoming Codeforces contests</b>\n\n' +
+        '<a href="https://codeforces.com/contests/1900">Codeforces Round &lt;900&gt;</a> (Codeforces)\n' +
+        'Fri, Jan 1, 00:00 UTC',
+      );
+    });
+
+    it('should say when a platform is unknown or has nothing coming up', async () => {
+      getNextContests.mockResolvedValue([]);
+
+      await send('/contests myspace');
+      await send('/contests');
+
+      expect(botApi.messagesTo(CHAT_ID)).toEqual([
+        'I don\'t know the platform myspace.',
+        'No upcoming contests.',
+      ]);
+    });
+  });
+
+  it('should send today\'s problems from the platforms that answered', async () => {
+    getTodaysPotd.mockImplementation(async (platform) => {
+      if (platform === 'leetcode') return { problemName: 'Two Sum', problemUrl: 'https://leetcode.com/problems/two-sum' };
+      throw new Error('down');
+    });
+
+    await send('/potd');
+
+    expect(botApi.messagesTo(CHAT_ID)[0]).toBe(
+      '<b>Problem of the day</b>\nLeetCode: <a href="https://leetcode.com/problems/two-sum">Two Sum</a>',
+    );
+  });
+
+  it('should send a user\'s public ratings', async () => {
+    getUser.mockResolvedValue({ uid: 'alice-uid', username: 'alice', digitomize_rating: 1650 });
+    getLinkedAccounts.mockResolvedValue({
+      codeforces: { rating: 1720, badge: 'expert', showOnWebsite: true },
+      leetcode: { rating: 2100, showOnWebsite: false },
+      codechef: { rating: null, showOnWebsite: true },
+      atcoder: { rating: null, showOnWebsite: true },
+      geeksforgeeks: { rating: null, showOnWebsite: true },
+      codingninjas: { rating: null, showOnWebsite: true },
+    });
+
+    await send('/rating alice');
+
+    expect(getUser).toHaveBeenCalledWith('alice');
+    expect(getLinkedAccounts).toHaveBeenCalledWith('alice-uid');
+    expect(botApi.messagesTo(CHAT_ID)[0]).toBe(
+      '<b><a href="https://digitomize.com/u/alice">alice</a></b>\n' +
+      'digitomize rating: <b>1650</b>\n' +
+      'Codeforces: 1720 (expert)',
+    );
+  });
+
+  it('should answer failures and unknown commands instead of staying silent', async () => {
+    getNextContests.mockRejectedValue(new Error('cache down'));
+
+    const res = await send('/contests');
+    await send('/dance');
+
+    expect(res.status).toBe(200);
+    const [failed, unknown] = botApi.messagesTo(CHAT_ID);
+    expect(failed).toMatch(/went wrong/);
+    expect(unknown).toMatch(/don't know that command/);
+  });
+});
@@ -0,0 +1,98 @@
+// tests/unit/telegram/services/link.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  createLinkCode,
+  linkChat,
+  unlinkChat,
+  unlinkUser,
+} from '../../../../telegram/services/link.js';
+import TelegramLinkCode from '../../../../telegram/models/TelegramLinkCode.js';
+import User from '../../../../users/models/User.js';
+
+vi.mock('../../../../telegram/models/TelegramLinkCode.js', () => ({
+  default: { create: vi.fn(), deleteMany: vi.fn(), findOneAndDelete: vi.fn() },
+}));
+
+vi.mock('../../../../users/models/User.js', () => ({
+  default: { updateMany: vi.fn(), updateOne: vi.fn(), findOneAndUpdate: vi.fn() },
+}));
+
+const resolving = (value) => ({
+  select: vi.fn().mockReturnThis(),
+  lean: vi.fn().mockResolvedValue(value),
+});
+
+const NOW = new Date(Date.UTC(2024, 0, 1, 12));
+const UNLINKED = {
+  $set: {
+    'notifications.channels.telegram.chatId': null,
+    'notifications.channels.telegram.enabled': false,
+  },
+};
+
+describe('telegram link - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should replace the user\'s code with a fresh one that expires in 10 minutes', async () => {
+    TelegramLinkCode.create.mockImplementation(async (doc) => doc);
+
+    const { code, uid, expiresAt } = await createLinkCode('user-1', NOW);
+
+    expect(TelegramLinkCode.deleteMany).toHaveBeenCalledWith({ uid: 'user-1' });
+    expect(uid).toBe('user-1');
+    expect(code).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+    expect(expiresAt).toEqual(new Date(Date.UTC(2024, 0, 1, 12, 10)));
+  });
+
+  describe('linkChat', () => {
+    it('should use up the code and link the chat to its user', async () => {
+      TelegramLinkCode.findOneAndDelete.mockResolvedValue({ uid: 'user-1' });
+      User.findOneAndUpdate.mockReturnValue(resolving({ uid: 'user-1', username: 'alice' }));
+
+      const user = await linkChat('abcd2345', 42, NOW);
+
+      expect(user).toEqual({ uid: 'user-1', username: 'alice' });
+      expect(TelegramLinkCode.findOneAndDelete).toHaveBeenCalledWith({
+        code: 'ABCD2345',
+        expiresAt: { $gt: NOW },
+      });
+      expect(User.updateMany).toHaveBeenCalledWith(
+        { 'notifications.channels.telegram.chatId': '42', uid: { $ne: 'user-1' } },
+        UNLINKED,
+      );
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { uid: 'user-1' },
+        {
+          $set: {
+            'notifications.channels.telegram.chatId': '42',
+            'notifications.channels.telegram.enabled': true,
+          },
+        },
+        { new: true },
+      );
+    });
+
+    it('should link nothing for an unknown or expired code', async () => {
+      TelegramLinkCode.findOneAndDelete.mockResolvedValue(null);
+
+      expect(await linkChat('NOPE', 42, NOW)).toBeNull();
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should unlink by chat or by user', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findOneAndUpdate.mockReturnValue(resolving({
+      notifications: { channels: { telegram: { chatId: '42' } } },
+    }));
+
+    expect(await unlinkChat(42)).toBe(true);
+    expect(User.updateOne).toHaveBeenCalledWith({ 'notifications.channels.telegram.chatId': '42' }, UNLINKED);
+    expect(await unlinkUser('user-1')).toBe('42');
+
+    User.findOneAndUpdate.mockReturnValue(resolving(null));
+    expect(await unlinkUser('user-2')).toBeNull();
+  });
+});
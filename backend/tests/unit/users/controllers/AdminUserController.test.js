@@ -10,11 +10,13 @@ import {
   deleteUserDB
 } from '../../../../users/controllers/AdminUserController.js'; // Changed to ../../../../
 import User from '../../../../users/models/User.js'; // Changed
+import LinkedAccount from '../../../../users/models/LinkedAccount.js';
 import admin from 'firebase-admin';
 import { setUser } from '../../../../users/services/setUser.js'; // Changed
 
 // Mock all dependencies with CORRECT paths
 vi.mock('../../../../users/models/User.js'); // Changed
+vi.mock('../../../../users/models/LinkedAccount.js');
 vi.mock('firebase-admin');
 vi.mock('../../../../users/services/setUser.js'); // Changed
 
@@ -435,6 +437,7 @@ it('should return 400 when email already exists in Firebase', async () => {
       await deleteUserDB(req, mockRes);
 
       expect(User.deleteOne).toHaveBeenCalledWith({ uid: 'user-to-delete' });
+      expect(LinkedAccount.deleteMany).toHaveBeenCalledWith({ uid: 'user-to-delete' });
     });
 
     it('should handle missing uid', async () => {
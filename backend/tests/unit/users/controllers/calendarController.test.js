@@ -0,0 +1,132 @@
+// tests/unit/users/controllers/calendarController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  handleGetCalendarFeed,
+  handleRotateCalendarFeed,
+  handleMarkCalendarEntry,
+  handleCalendarFeed,
+} from '../../../../users/controllers/calendarController.js';
+import User from '../../../../users/models/User.js';
+import { getContestEvents, getHackathonEvents } from '../../../../services/calendar/feeds.js';
+import { createMockRequest, createMockResponse } from '../__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../users/models/User.js');
+vi.mock('../../../../services/calendar/feeds.js');
+
+const createCalendarUser = (calendar = {}) => ({
+  preferences: { contest_notifs: { codeforces: true, leetcode: false } },
+  calendar: { token: null, tokenCreatedAt: null, contests: [], hackathons: [], ...calendar },
+  save: vi.fn().mockResolvedValue(true),
+});
+
+describe('calendarController - Unit Tests', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.BACKEND_URL = 'https://api.example.com';
+    req = createMockRequest();
+    res = createMockResponse();
+  });
+
+  describe('handleGetCalendarFeed', () => {
+    it('should create a token on first use', async () => {
+      const user = createCalendarUser();
+      User.findOne.mockResolvedValue(user);
+
+      await handleGetCalendarFeed(req, res);
+
+      expect(user.calendar.token).toMatch(/^[a-f0-9]{48}$/);
+      expect(user.save).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        webcalUrl: `webcal://api.example.com/user/calendar/${user.calendar.token}.ics`,
+      }));
+    });
+
+    it('should return 404 when user does not exist', async () => {
+      User.findOne.mockResolvedValue(null);
+
+      await handleGetCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('handleRotateCalendarFeed', () => {
+    it('should replace the existing token', async () => {
+      const user = createCalendarUser({ token: 'old-token' });
+      User.findOne.mockResolvedValue(user);
+
+      await handleRotateCalendarFeed(req, res);
+
+      expect(user.calendar.token).not.toBe('old-token');
+      expect(user.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('handleMarkCalendarEntry', () => {
+    it('should reject unknown entry types', async () => {
+      req.body = { type: 'meetup', host: 'x', vanity: 'y' };
+
+      await handleMarkCalendarEntry(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should add and remove marked contests', async () => {
+      User.findOneAndUpdate.mockResolvedValue(createCalendarUser());
+
+      req.body = { type: 'contest', host: 'CodeChef', vanity: 'START100' };
+      await handleMarkCalendarEntry(req, res);
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { uid: 'test-uid-123' },
+        { $addToSet: { 'calendar.contests': { host: 'codechef', vanity: 'start100' } } },
+        { new: true },
+      );
+
+      req.body = { type: 'contest', host: 'codechef', vanity: 'start100', marked: false };
+      await handleMarkCalendarEntry(req, res);
+      expect(User.findOneAndUpdate).toHaveBeenLastCalledWith(
+        { uid: 'test-uid-123' },
+        { $pull: { 'calendar.contests': { host: 'codechef', vanity: 'start100' } } },
+        { new: true },
+      );
+    });
+  });
+
+  describe('handleCalendarFeed', () => {
+    it('should return 404 for an unknown token', async () => {
+      User.findOne.mockReturnValue({ select: vi.fn().mockResolvedValue(null) });
+      req.params = { token: 'revoked' };
+
+      await handleCalendarFeed(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should include followed platforms and marked entries once', async () => {
+      const user = createCalendarUser({
+        token: 'secret',
+        contests: [{ host: 'codeforces', vanity: '1900' }],
+        hackathons: [{ host: 'devfolio', vanity: 'hackx' }],
+      });
+      User.findOne.mockReturnValue({ select: vi.fn().mockResolvedValue(user) });
+      const contestEvent = { uid: 'contest-codeforces-1900@digitomize.com', start: 1, summary: 'Round' };
+      getContestEvents.mockResolvedValue([contestEvent]);
+      getHackathonEvents.mockResolvedValue([]);
+      req.params = { token: 'secret' };
+
+      await handleCalendarFeed(req, res);
+
+      expect(getContestEvents).toHaveBeenCalledWith({ hosts: ['codeforces'], user });
+      expect(getHackathonEvents).toHaveBeenCalledWith({ keys: user.calendar.hackathons, user });
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Type': 'text/calendar; charset=utf-8',
+      }));
+      const body = res.send.mock.calls[0][0];
+      expect(body.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    });
+  });
+});
@@ -2,9 +2,37 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { getLeaderboard } from '../../../../users/controllers/leaderboardController.js';
 import User from '../../../../users/models/User.js';
+import LinkedAccount from '../../../../users/models/LinkedAccount.js';
+import { getLinkedAccountsOf } from '../../../../users/services/linkedAccounts.js';
 
 // Mock dependencies
 vi.mock('../../../../users/models/User.js');
+vi.mock('../../../../users/models/LinkedAccount.js');
+vi.mock('../../../../users/services/linkedAccounts.js');
+
+const PLATFORMS = ['codechef', 'leetcode', 'codeforces'];
+
+// Serve the mock users, and their linked accounts from their per-platform
+// ratings, the way MongoDB would answer the leaderboard's queries
+const mockLinkedAccounts = (users) => {
+  users.forEach((user) => { user.uid = user.uid || user.username; });
+  const ratingOf = (user, platform) => user?.[platform]?.rating ?? null;
+
+  User.find.mockImplementation((query) => Promise.resolve(
+    query.uid ? users.filter((user) => query.uid.$in.includes(user.uid)) : users
+  ));
+  LinkedAccount.find.mockImplementation(({ platform }) => Promise.resolve(
+    users
+      .filter((user) => ratingOf(user, platform) !== null)
+      .map((user) => ({ uid: user.uid, rating: ratingOf(user, platform) }))
+  ));
+  getLinkedAccountsOf.mockImplementation((uids) => Promise.resolve(new Map(
+    uids.map((uid) => {
+      const user = users.find((user) => user.uid === uid);
+      return [uid, Object.fromEntries(PLATFORMS.map((platform) => [platform, { rating: ratingOf(user, platform) }]))];
+    })
+  )));
+};
 
 describe('leaderboardController - Unit Tests', () => {
   let req, res;
@@ -23,6 +51,8 @@ describe('leaderboardController - Unit Tests', () => {
       status: vi.fn().mockReturnThis(),
       json: vi.fn().mockReturnThis()
     };
+
+    getLinkedAccountsOf.mockResolvedValue(new Map());
   });
 
   describe('getLeaderboard', () => {
@@ -77,7 +107,7 @@ describe('leaderboardController - Unit Tests', () => {
         }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -137,14 +167,15 @@ describe('leaderboardController - Unit Tests', () => {
         }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
 
       // Assert
-      expect(User.find).toHaveBeenCalledWith({
-        'codeforces.rating': { $exists: true, $ne: null }
+      expect(LinkedAccount.find).toHaveBeenCalledWith({
+        platform: 'codeforces',
+        rating: { $exists: true, $ne: null }
       });
       
       const response = res.json.mock.calls[0][0];
@@ -157,59 +188,46 @@ describe('leaderboardController - Unit Tests', () => {
       // Arrange
       req.query.platform = 'leetcode';
       
-      // Mock User.find to simulate the actual query filtering
-      User.find.mockImplementation((query) => {
-        if (query && query['leetcode.rating']) {
-          // Simulate MongoDB filtering: only return users with leetcode.rating that exists and is not null
-          const allUsers = [
-            {
-              username: 'user1',
-              name: 'User One',
-              picture: 'avatar1.jpg',
-              digitomize_rating: 2100,
-              leetcode: { rating: 2000 }
-            },
-            {
-              username: 'user2',
-              name: 'User Two',
-              picture: 'avatar2.jpg',
-              digitomize_rating: 2200,
-              leetcode: null // Should be filtered out by MongoDB query
-            },
-            {
-              username: 'user3',
-              name: 'User Three',
-              picture: 'avatar3.jpg',
-              digitomize_rating: 1900,
-              leetcode: { rating: null } // Should be filtered out by MongoDB query
-            },
-            {
-              username: 'user4', // This user shouldn't be in the filtered results
-              name: 'User Four',
-              picture: 'avatar4.jpg',
-              digitomize_rating: 1800
-              // No leetcode at all - should be filtered out
-            }
-          ];
-          
-          // Simulate MongoDB filtering
-          return Promise.resolve(
-            allUsers.filter(user => 
-              user.leetcode && 
-              user.leetcode.rating !== null && 
-              user.leetcode.rating !== undefined
-            )
-          );
+      const mockUsers = [
+        {
+          username: 'user1',
+          name: 'User One',
+          picture: 'avatar1.jpg',
+          digitomize_rating: 2100,
+          leetcode: { rating: 2000 }
+        },
+        {
+          username: 'user2',
+          name: 'User Two',
+          picture: 'avatar2.jpg',
+          digitomize_rating: 2200,
+          leetcode: null // Not rated on leetcode
+        },
+        {
+          username: 'user3',
+          name: 'User Three',
+          picture: 'avatar3.jpg',
+          digitomize_rating: 1900,
+          leetcode: { rating: null } // Not rated on leetcode
+        },
+        {
+          username: 'user4', // This user shouldn't be in the filtered results
+          name: 'User Four',
+          picture: 'avatar4.jpg',
+          digitomize_rating: 1800
+          // No leetcode at all - should be filtered out
         }
-        return Promise.resolve([]);
-      });
+      ];
+
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
 
       // Assert
-      expect(User.find).toHaveBeenCalledWith({
-        'leetcode.rating': { $exists: true, $ne: null }
+      expect(LinkedAccount.find).toHaveBeenCalledWith({
+        platform: 'leetcode',
+        rating: { $exists: true, $ne: null }
       });
       
       const response = res.json.mock.calls[0][0];
@@ -236,7 +254,7 @@ describe('leaderboardController - Unit Tests', () => {
         });
       }
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -269,7 +287,7 @@ describe('leaderboardController - Unit Tests', () => {
         }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -292,7 +310,7 @@ describe('leaderboardController - Unit Tests', () => {
         { username: 'user5', digitomize_rating: 1700, codechef: { rating: 1500 } }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -304,6 +322,9 @@ describe('leaderboardController - Unit Tests', () => {
           codechef: 1700,
           leetcode: null,
           codeforces: null,
+          atcoder: null,
+          geeksforgeeks: null,
+          codingninjas: null,
           digitomize_rating: 1900,
           platform_rating: null
         }
@@ -334,7 +355,7 @@ describe('leaderboardController - Unit Tests', () => {
         }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -346,6 +367,9 @@ describe('leaderboardController - Unit Tests', () => {
           codechef: null,
           leetcode: null,
           codeforces: 1900,
+          atcoder: null,
+          geeksforgeeks: null,
+          codingninjas: null,
           digitomize_rating: 2000,
           platform_rating: 1900
         }
@@ -361,7 +385,7 @@ describe('leaderboardController - Unit Tests', () => {
         { username: 'user1', digitomize_rating: 2100 }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -373,6 +397,9 @@ describe('leaderboardController - Unit Tests', () => {
           codechef: null,
           leetcode: null,
           codeforces: null,
+          atcoder: null,
+          geeksforgeeks: null,
+          codingninjas: null,
           digitomize_rating: null,
           platform_rating: null
         }
@@ -462,7 +489,7 @@ describe('leaderboardController - Unit Tests', () => {
         }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -479,31 +506,20 @@ describe('leaderboardController - Unit Tests', () => {
       // Arrange
       req.query.platform = 'leetcode';
       
-      // Mock the find method to simulate MongoDB query
-      User.find.mockImplementation((query) => {
-        if (query && query['leetcode.rating']) {
-          // Only return users that would match the query
-          return Promise.resolve([
-            {
-              username: 'user1',
-              leetcode: { rating: 2000 }
-            },
-            {
-              username: 'user4',
-              leetcode: { rating: 1900 }
-            }
-          ]);
-        }
-        return Promise.resolve([]);
-      });
+      const mockUsers = [
+        { username: 'user1', leetcode: { rating: 2000 } },
+        { username: 'user2', leetcode: { rating: null } },
+        { username: 'user3' },
+        { username: 'user4', leetcode: { rating: 1900 } }
+      ];
+
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
 
       // Assert
-      expect(User.find).toHaveBeenCalledWith({
-        'leetcode.rating': { $exists: true, $ne: null }
-      });
+      expect(User.find).toHaveBeenCalledWith({ uid: { $in: ['user1', 'user4'] } });
       
       const response = res.json.mock.calls[0][0];
       expect(response.total_users).toBe(2); // Only user1 and user4
@@ -518,7 +534,7 @@ describe('leaderboardController - Unit Tests', () => {
         { username: 'user1', digitomize_rating: 2100 }
       ];
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
@@ -542,7 +558,7 @@ describe('leaderboardController - Unit Tests', () => {
         });
       }
 
-      User.find.mockResolvedValue(mockUsers);
+      mockLinkedAccounts(mockUsers);
 
       // Act
       await getLeaderboard(req, res);
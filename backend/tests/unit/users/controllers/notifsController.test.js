@@ -11,7 +11,7 @@ import {
   getAllTopics
 } from '../../../../users/controllers/notifsController.js';
 import User from '../../../../users/models/User.js';
-import { AllContest } from '../../../../contest/models/Contest.js';
+import { Contest } from '../../../../contest/models/Contest.js';
 import fetch from 'node-fetch';
 
 // Mock all dependencies
@@ -392,13 +392,13 @@ describe('notifsController - Unit Tests', () => {
         url: 'https://codeforces.com/contest/100'
       };
 
-      AllContest.findOne.mockResolvedValue(mockContest);
+      Contest.findOne.mockResolvedValue(mockContest);
 
       // Act
       await TriggerContestNotifToTopic(req, res);
 
       // Assert
-      expect(AllContest.findOne).toHaveBeenCalledWith({
+      expect(Contest.findOne).toHaveBeenCalledWith({
         vanity: 'codeforces-round-100'
       });
       expect(mockNovuInstance.topics.get).toHaveBeenCalledWith('codeforces-notifs');
@@ -446,7 +446,7 @@ describe('notifsController - Unit Tests', () => {
         topicKey: 'codeforces-notifs',
         contestVanity: 'nonexistent-contest'
       };
-      AllContest.findOne.mockResolvedValue(null);
+      Contest.findOne.mockResolvedValue(null);
 
       // Act
       await TriggerContestNotifToTopic(req, res);
@@ -475,7 +475,7 @@ describe('notifsController - Unit Tests', () => {
         url: 'https://test.com/contest/1'
       };
 
-      AllContest.findOne.mockResolvedValue(mockContest);
+      Contest.findOne.mockResolvedValue(mockContest);
 
       // Act
       await TriggerContestNotifToTopic(req, res);
@@ -509,7 +509,7 @@ describe('notifsController - Unit Tests', () => {
         url: 'https://test.com/contest/1'
       };
 
-      AllContest.findOne.mockResolvedValue(mockContest);
+      Contest.findOne.mockResolvedValue(mockContest);
       const error = new Error('Trigger failed');
       mockNovuInstance.trigger.mockRejectedValue(error);
 
@@ -0,0 +1,76 @@
+// tests/unit/users/controllers/platforms/atcoderUpdater.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { atcoder_u } from '../../../../../users/controllers/platforms/atcoderUpdater.js';
+import { http } from '../../../../../core/http/client.js';
+
+// Mock the shared HTTP client
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn() }
+}));
+
+const contest = (id, newRating, endTime, isRated = true) => ({
+  IsRated: isRated,
+  NewRating: newRating,
+  ContestScreenName: `${id}.contest.atcoder.jp`,
+  ContestName: `Contest ${id}`,
+  ContestNameEn: '',
+  EndTime: endTime
+});
+
+describe('atcoderUpdater - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should return null when username is not provided', async () => {
+    expect(await atcoder_u(null)).toBeNull();
+    expect(await atcoder_u('')).toBeNull();
+    expect(http.get).not.toHaveBeenCalled();
+  });
+
+  it('should return null when the user does not exist', async () => {
+    http.get.mockRejectedValue(Object.assign(new Error('Not Found'), { status: 404 }));
+
+    expect(await atcoder_u('nobody')).toBeNull();
+    expect(http.get).toHaveBeenCalledWith('https://atcoder.jp/users/nobody/history/json');
+  });
+
+  it('should return null when the user has no rated contests', async () => {
+    http.get.mockResolvedValue({ data: [contest('abc300', 0, '2023-04-29T22:40:00+09:00', false)] });
+
+    expect(await atcoder_u('newcomer')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Error fetching AtCoder user info:', 'User has no rated contests');
+  });
+
+  it('should return rating, highest rating, color and rated contests', async () => {
+    http.get.mockResolvedValue({
+      data: [
+        contest('abc300', 1250, '2023-04-29T22:40:00+09:00'),
+        contest('ahc020', 1250, '2023-05-14T19:00:00+09:00', false),
+        contest('arc160', 1650, '2023-05-14T23:00:00+09:00'),
+        contest('abc301', 1580, '2023-05-13T22:40:00+09:00')
+      ]
+    });
+
+    expect(await atcoder_u('rateduser')).toEqual({
+      handle: 'rateduser',
+      rating: 1580,
+      maxRating: 1650,
+      rank: 'cyan',
+      attendedContestsCount: 3,
+      history: [
+        { contestId: 'abc300', contestName: 'Contest abc300', rating: 1250, timestamp: Date.UTC(2023, 3, 29, 13, 40) / 1000 },
+        { contestId: 'arc160', contestName: 'Contest arc160', rating: 1650, timestamp: Date.UTC(2023, 4, 14, 14) / 1000 },
+        { contestId: 'abc301', contestName: 'Contest abc301', rating: 1580, timestamp: Date.UTC(2023, 4, 13, 13, 40) / 1000 }
+      ]
+    });
+  });
+
+  it('should map ratings onto AtCoder color tiers', async () => {
+    for (const [rating, color] of [[0, 'gray'], [399, 'gray'], [400, 'brown'], [2000, 'yellow'], [3500, 'red']]) {
+      http.get.mockResolvedValueOnce({ data: [contest('abc300', rating, '2023-04-29T22:40:00+09:00')] });
+      expect((await atcoder_u('user')).rank).toBe(color);
+    }
+  });
+});
@@ -1,16 +1,17 @@
 // tests/unit/users/controllers/platforms/codechefUpdater.test.js
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { codechef_u } from '../../../../../controllers/platforms/codechefUpdater.js';
-import https from 'https';
+import { codechef_u } from '../../../../../users/controllers/platforms/codechefUpdater.js';
+import { http } from '../../../../../core/http/client.js';
 
-// Mock https module
-vi.mock('https', () => ({
-  get: vi.fn()
+// Mock the shared HTTP client
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn() }
 }));
 
 describe('codechefUpdater - Unit Tests', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
   });
 
   // BRANCH 1: Username is null/undefined
@@ -19,86 +20,75 @@ describe('codechefUpdater - Unit Tests', () => {
     expect(await codechef_u(null)).toBeNull();
     expect(await codechef_u(undefined)).toBeNull();
     expect(await codechef_u('')).toBeNull();
+    expect(http.get).not.toHaveBeenCalled();
   });
 
   // BRANCH 2: Network error
   it('should return null on network error', async () => {
     // Arrange
     const username = 'testuser';
-    https.get.mockImplementation((url, callback) => {
-      const req = {
-        on: vi.fn((event, handler) => {
-          if (event === 'error') {
-            handler(new Error('Network error'));
-          }
-        })
-      };
-      return req;
-    });
+    http.get.mockRejectedValue(new Error('Network error'));
 
     // Act
     const result = await codechef_u(username);
 
     // Assert
     expect(result).toBeNull();
-    expect(https.get).toHaveBeenCalledWith(
+    expect(http.get).toHaveBeenCalledWith(
       `https://www.codechef.com/users/${username}`,
-      expect.any(Function)
+      { responseType: 'text' }
     );
   });
 
   // BRANCH 3: HTML response without required regex match
-  it('should throw error when user info not found in HTML', async () => {
+  it('should return null when user info not found in HTML', async () => {
     // Arrange
-    const username = 'testuser';
-    const htmlResponse = '<html><body>No user data here</body></html>';
-    
-    https.get.mockImplementation((url, callback) => {
-      const res = {
-        on: vi.fn((event, handler) => {
-          if (event === 'data') {
-            handler(htmlResponse);
-          }
-          if (event === 'end') {
-            handler();
-          }
-        })
-      };
-      callback(res);
-      return { on: vi.fn() };
-    });
+    http.get.mockResolvedValue({ data: '<html><body>No user data here</body></html>' });
 
     // Act & Assert
-    await expect(codechef_u(username)).rejects.toThrow('User info not found on the page');
+    expect(await codechef_u('testuser')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Error fetching user info:', 'User info not found on the page');
   });
 
   // BRANCH 4: User has no contest data
-  it('should throw error when user has no contest data', async () => {
+  it('should return null when user has no contest data', async () => {
     // Arrange
-    const username = 'inactiveuser';
     const jsonData = {
       date_versus_rating: {
         all: [] // Empty array
       }
     };
-    const htmlResponse = `jQuery.extend(Drupal.settings, ${JSON.stringify(jsonData)});`;
-    
-    https.get.mockImplementation((url, callback) => {
-      const res = {
-        on: vi.fn((event, handler) => {
-          if (event === 'data') {
-            handler(htmlResponse);
-          }
-          if (event === 'end') {
-            handler();
-          }
-        })
-      };
-      callback(res);
-      return { on: vi.fn() };
-    });
+    http.get.mockResolvedValue({ data: `jQuery.extend(Drupal.settings, ${JSON.stringify(jsonData)});` });
+
+    // Act & Assert
+    expect(await codechef_u('inactiveuser')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Error fetching user info:', 'User has no contest data');
+  });
+
+  // BRANCH 5: Rated user
+  it('should return rating, stars and contest count for a rated user', async () => {
+    // Arrange
+    const jsonData = {
+      date_versus_rating: {
+        all: [
+          { code: 'START100', name: 'Starters 100', rating: '1500', end_date: '2023-08-30 22:00:00' },
+          { code: 'START101', name: 'Starters 101', rating: 1850, end_date: '2023-09-06 22:00:00' }
+        ]
+      }
+    };
+    http.get.mockResolvedValue({ data: `jQuery.extend(Drupal.settings, ${JSON.stringify(jsonData)});` });
 
     // Act & Assert
-    await expect(codechef_u(username)).rejects.toThrow('User has no contest data');
+    expect(await codechef_u('rateduser')).toEqual({
+      attendedContestsCount: 2,
+      handle: 'rateduser',
+      rating: 1850,
+      rank: '4 star',
+      // end_date is in IST
+      history: [
+        { contestId: 'START100', contestName: 'Starters 100', rating: 1500, timestamp: Date.UTC(2023, 7, 30, 16, 30) / 1000 },
+        { contestId: 'START101', contestName: 'Starters 101', rating: 1850, timestamp: Date.UTC(2023, 8, 6, 16, 30) / 1000 }
+      ]
+    });
   });
-});
\ No newline at end of file
+});
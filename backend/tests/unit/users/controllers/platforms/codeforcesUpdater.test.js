@@ -1,219 +1,135 @@
 // tests/unit/users/controllers/platforms/codeforcesUpdater.test.js
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { codeforces_u } from '../../../../../controllers/platforms/codeforcesUpdater.js';
-import https from 'https';
+import { codeforces_u } from '../../../../../users/controllers/platforms/codeforcesUpdater.js';
+import { http } from '../../../../../core/http/client.js';
 
-// Mock https module
-vi.mock('https', () => ({
-  get: vi.fn()
+// Mock the shared HTTP client
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn() }
 }));
 
 describe('codeforcesUpdater - Unit Tests', () => {
-  let mockRequest, mockResponse1, mockResponse2;
-
   beforeEach(() => {
     vi.clearAllMocks();
-    
-    // Mock request objects
-    mockRequest = {
-      on: vi.fn()
-    };
-    
-    // Mock response objects
-    mockResponse1 = {
-      on: vi.fn()
-    };
-    
-    mockResponse2 = {
-      on: vi.fn()
-    };
-    
-    https.get.mockReturnValue(mockRequest);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
   });
 
-  // Helper to simulate HTTP response
-  const simulateResponse = (response, data, error = null) => {
-    const dataHandler = response.on.mock.calls.find(call => call[0] === 'data')[1];
-    const endHandler = response.on.mock.calls.find(call => call[0] === 'end')[1];
-    const errorHandler = response.on.mock.calls.find(call => call[0] === 'error')[1];
-    
-    if (error && errorHandler) {
-      errorHandler(error);
-    } else {
-      if (typeof data === 'string') {
-        dataHandler(data);
-      }
-      if (endHandler) {
-        endHandler();
-      }
-    }
-  };
-
   describe('codeforces_u', () => {
     // BRANCH 1: Handle is null or undefined
     it('should return null when handle is not provided', async () => {
       // Act
       const result = await codeforces_u(null);
-      
+
       // Assert
       expect(result).toBeNull();
-      expect(https.get).not.toHaveBeenCalled();
+      expect(http.get).not.toHaveBeenCalled();
     });
 
     // BRANCH 2: Handle is empty string
     it('should return null when handle is empty string', async () => {
       // Act
       const result = await codeforces_u('');
-      
+
       // Assert
       expect(result).toBeNull();
-      expect(https.get).not.toHaveBeenCalled();
+      expect(http.get).not.toHaveBeenCalled();
     });
 
     // BRANCH 3: Successful API response with contest data
     it('should return user data on successful API response with contests', async () => {
       // Arrange
-      const handle = 'tourist';
-      const userInfoData = JSON.stringify({
-        status: 'OK',
-        result: [{
-          handle: 'tourist',
-          rating: 3500,
-          rank: 'legendary grandmaster'
-        }]
-      });
-      
-      const contestData = JSON.stringify({
-        status: 'OK',
-        result: [
-          { contestId: 1, contestName: 'Contest 1' },
-          { contestId: 2, contestName: 'Contest 2' }
-        ]
-      });
-
-      // Setup mock responses
-      https.get
-        .mockImplementationOnce((url, callback) => {
-          callback(mockResponse1);
-          return mockRequest;
+      http.get
+        .mockResolvedValueOnce({
+          data: {
+            status: 'OK',
+            result: [{
+              handle: 'tourist',
+              rating: 3500,
+              rank: 'legendary grandmaster'
+            }]
+          }
         })
-        .mockImplementationOnce((url, callback) => {
-          callback(mockResponse2);
-          const req = { on: vi.fn() };
-          return req;
+        .mockResolvedValueOnce({
+          data: {
+            status: 'OK',
+            result: [
+              { contestId: 1, contestName: 'Contest 1', newRating: 1600, ratingUpdateTimeSeconds: 1700000000 },
+              { contestId: 2, contestName: 'Contest 2', newRating: 1750, ratingUpdateTimeSeconds: 1700600000 }
+            ]
+          }
         });
 
       // Act
-      const promise = codeforces_u(handle);
-      
-      // Simulate first response
-      simulateResponse(mockResponse1, userInfoData);
-      
-      // Need to handle the nested promise structure
-      // This is complex due to the Promise structure in the actual code
-      // We'll test the main branches more simply
-
-      // For now, test basic behavior
-      expect(https.get).toHaveBeenCalled();
+      const result = await codeforces_u('tourist');
+
+      // Assert
+      expect(http.get).toHaveBeenNthCalledWith(2, 'https://codeforces.com/api/user.rating?handle=tourist');
+      expect(result).toEqual({
+        handle: 'tourist',
+        rating: 3500,
+        rank: 'legendary grandmaster',
+        attendedContestsCount: 2,
+        history: [
+          { contestId: '1', contestName: 'Contest 1', rating: 1600, timestamp: 1700000000 },
+          { contestId: '2', contestName: 'Contest 2', rating: 1750, timestamp: 1700600000 }
+        ]
+      });
     });
 
-    // BRANCH 4: API returns non-OK status
+    // BRANCH 4: API rejects an unknown handle
     it('should return empty object when API returns non-OK status', async () => {
       // Arrange
-      const handle = 'invalid_user';
-      const userInfoData = JSON.stringify({
-        status: 'FAILED',
-        comment: 'user not found'
-      });
-
-      https.get.mockImplementation((url, callback) => {
-        callback(mockResponse1);
-        return mockRequest;
-      });
+      http.get.mockRejectedValue(Object.assign(new Error('status 400'), { status: 400 }));
 
-      // Act
-      const promise = codeforces_u(handle);
-      simulateResponse(mockResponse1, userInfoData);
-      
-      // Since we can't easily resolve the complex promise chain,
-      // we'll test simpler branches
+      // Act & Assert
+      await expect(codeforces_u('invalid_user')).resolves.toEqual({});
     });
 
     // BRANCH 5: Network error on first request
     it('should handle network error on first request', async () => {
       // Arrange
-      const handle = 'testuser';
-      
-      https.get.mockImplementation((url, callback) => {
-        callback(mockResponse1);
-        return mockRequest;
-      });
+      http.get.mockRejectedValue(new Error('Network error'));
 
-      // Act
-      const promise = codeforces_u(handle);
-      
-      // Simulate network error
-      const errorHandler = mockResponse1.on.mock.calls.find(call => call[0] === 'error')[1];
-      errorHandler(new Error('Network error'));
-
-      // Wait for promise to settle
-      await expect(promise).rejects.toThrow('Network error');
+      // Act & Assert
+      await expect(codeforces_u('testuser')).rejects.toThrow('Network error');
     });
 
     // BRANCH 6: Invalid JSON response
     it('should handle invalid JSON response gracefully', async () => {
       // Arrange
-      const handle = 'testuser';
-      
-      https.get.mockImplementation((url, callback) => {
-        callback(mockResponse1);
-        return mockRequest;
-      });
+      http.get.mockResolvedValue({ data: 'Invalid JSON {' });
 
-      // Act
-      const promise = codeforces_u(handle);
-      
-      // Simulate invalid JSON
-      simulateResponse(mockResponse1, 'Invalid JSON {');
-
-      // Should resolve with empty object (based on catch block)
-      await expect(promise).resolves.toEqual({});
+      // Act & Assert
+      await expect(codeforces_u('testuser')).resolves.toEqual({});
     });
 
     // BRANCH 7: Empty result array from API
     it('should handle empty result array from API', async () => {
       // Arrange
-      const handle = 'nonexistent';
-      const userInfoData = JSON.stringify({
-        status: 'OK',
-        result: [] // Empty array
-      });
+      http.get.mockResolvedValue({ data: { status: 'OK', result: [] } });
 
-      https.get.mockImplementation((url, callback) => {
-        callback(mockResponse1);
-        return mockRequest;
-      });
-
-      // Act
-      const promise = codeforces_u(handle);
-      simulateResponse(mockResponse1, userInfoData);
-      
-      // Should resolve with empty object
-      await expect(promise).resolves.toEqual({});
+      // Act & Assert
+      await expect(codeforces_u('nonexistent')).resolves.toEqual({});
     });
   });
 
-  // Since the actual implementation has complex nested promises,
-  // let me create a simplified test for the main error branches
   describe('Error handling branches', () => {
-    it('should handle JSON parse error in resolveUserInfo', async () => {
-      // This tests the catch block in resolveUserInfo when parsing contest data fails
-      // The actual test would need to mock the nested promise structure
-      // For unit testing, we might want to refactor the code to be more testable
-    });
-
     it('should handle second request error gracefully', async () => {
-      // Tests when second request fails but still returns basic user info
+      // Arrange
+      http.get
+        .mockResolvedValueOnce({
+          data: { status: 'OK', result: [{ handle: 'tourist', rating: 3500, rank: 'legendary grandmaster' }] }
+        })
+        .mockRejectedValueOnce(new Error('Network error'));
+
+      // Act & Assert
+      await expect(codeforces_u('tourist')).resolves.toEqual({
+        handle: 'tourist',
+        rating: 3500,
+        rank: 'legendary grandmaster',
+        attendedContestsCount: 0,
+        history: []
+      });
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,62 @@
+// tests/unit/users/controllers/platforms/codingninjasUpdater.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { codingninjas_u } from '../../../../../users/controllers/platforms/codingninjasUpdater.js';
+import { http } from '../../../../../core/http/client.js';
+
+// Mock the shared HTTP client
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn() }
+}));
+
+describe('codingninjasUpdater - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should return null when handle is not provided', async () => {
+    expect(await codingninjas_u(null)).toBeNull();
+    expect(http.get).not.toHaveBeenCalled();
+  });
+
+  it('should return null on network error or a missing profile', async () => {
+    http.get.mockRejectedValueOnce(new Error('Network error'));
+    expect(await codingninjas_u('uuid-1')).toBeNull();
+
+    http.get.mockResolvedValueOnce({ data: { data: null } });
+    expect(await codingninjas_u('uuid-1')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Error fetching Coding Ninjas user info:', 'User not found');
+  });
+
+  it('should return problems solved by difficulty', async () => {
+    http.get.mockResolvedValue({
+      data: {
+        data: {
+          dsa_domain_data: {
+            problem_count_data: {
+              total_count: 42,
+              difficulty_data: [
+                { level: 'Easy', count: 20 },
+                { level: 'Moderate', count: 15 },
+                { level: 'Hard', count: 5 },
+                { level: 'Ninja', count: 2 }
+              ]
+            }
+          }
+        }
+      }
+    });
+
+    expect(await codingninjas_u('uuid-1')).toEqual({
+      handle: 'uuid-1',
+      totalQuestions: 42,
+      easyQuestions: 20,
+      mediumQuestions: 15,
+      // Ninja problems count as hard
+      hardQuestions: 7
+    });
+    expect(http.get).toHaveBeenCalledWith(
+      'https://api.codingninjas.com/api/v3/public_section/profile/user_details?uuid=uuid-1'
+    );
+  });
+});
@@ -0,0 +1,77 @@
+// tests/unit/users/controllers/platforms/geeksforgeeksUpdater.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { geeksforgeeks_u } from '../../../../../users/controllers/platforms/geeksforgeeksUpdater.js';
+import { http } from '../../../../../core/http/client.js';
+
+// Mock the shared HTTP client
+vi.mock('../../../../../core/http/client.js', () => ({
+  http: { get: vi.fn(), post: vi.fn() }
+}));
+
+const solved = (...ids) => Object.fromEntries(ids.map((id) => [id, { pname: `Problem ${id}` }]));
+
+describe('geeksforgeeksUpdater - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('should return null when handle is not provided', async () => {
+    expect(await geeksforgeeks_u(null)).toBeNull();
+    expect(await geeksforgeeks_u('')).toBeNull();
+    expect(http.get).not.toHaveBeenCalled();
+  });
+
+  it('should return null when the profile is missing', async () => {
+    http.get.mockResolvedValue({ data: { message: 'User not found' } });
+
+    expect(await geeksforgeeks_u('nobody')).toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Error fetching GeeksforGeeks user info:', 'User not found');
+    expect(http.post).not.toHaveBeenCalled();
+  });
+
+  it('should return coding score, institute rank and problems by difficulty', async () => {
+    http.get.mockResolvedValue({
+      data: { data: { score: 452, total_problems_solved: 9, institute_rank: '12' } }
+    });
+    http.post.mockResolvedValue({
+      data: {
+        count: 9,
+        result: {
+          School: solved(1),
+          Basic: solved(2, 3),
+          Easy: solved(4, 5),
+          Medium: solved(6, 7, 8),
+          Hard: solved(9)
+        }
+      }
+    });
+
+    expect(await geeksforgeeks_u('gfg_user')).toEqual({
+      handle: 'gfg_user',
+      codingScore: 452,
+      totalQuestions: 9,
+      instituteRank: 12,
+      // School and Basic count as easy
+      easyQuestions: 5,
+      mediumQuestions: 3,
+      hardQuestions: 1
+    });
+    expect(http.get).toHaveBeenCalledWith('https://authapi.geeksforgeeks.org/api-get/user-profile-info/?handle=gfg_user');
+    expect(http.post.mock.calls[0][1]).toEqual(expect.objectContaining({ handle: 'gfg_user' }));
+  });
+
+  it('should keep the profile numbers when submissions fail', async () => {
+    http.get.mockResolvedValue({
+      data: { data: { score: 10, total_problems_solved: 2, institute_rank: '' } }
+    });
+    http.post.mockRejectedValue(new Error('Network error'));
+
+    expect(await geeksforgeeks_u('gfg_user')).toEqual({
+      handle: 'gfg_user',
+      codingScore: 10,
+      totalQuestions: 2,
+      instituteRank: null
+    });
+  });
+});
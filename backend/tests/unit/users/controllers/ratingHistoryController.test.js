@@ -0,0 +1,76 @@
+// tests/unit/users/controllers/ratingHistoryController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { handleRatingHistory } from '../../../../users/controllers/ratingHistoryController.js';
+import { getUser } from '../../../../users/services/getUser.js';
+import { getRatingHistory } from '../../../../users/services/ratingHistory.js';
+import { getLinkedAccounts } from '../../../../users/services/linkedAccounts.js';
+import { createMockRequest, createMockResponse } from '../__helpers__/controllerTestHelpers.js';
+
+vi.mock('../../../../users/services/getUser.js', () => ({
+  getUser: vi.fn(),
+}));
+
+vi.mock('../../../../users/services/ratingHistory.js', () => ({
+  getRatingHistory: vi.fn(),
+}));
+
+vi.mock('../../../../users/services/linkedAccounts.js', () => ({
+  getLinkedAccounts: vi.fn(),
+}));
+
+describe('ratingHistoryController - Unit Tests', () => {
+  let res;
+  const request = (platform) => createMockRequest({
+    params: { username: 'alice' },
+    query: platform === undefined ? {} : { platform },
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    res = createMockResponse();
+    getUser.mockResolvedValue({ uid: 'user-1' });
+    getLinkedAccounts.mockResolvedValue({
+      codeforces: { username: 'alice_cf', showOnWebsite: true },
+      leetcode: { username: 'alice_lc', showOnWebsite: false },
+    });
+  });
+
+  it('should return the history of the linked handle', async () => {
+    const points = [{ timestamp: 1704000000, rating: 1450, contest: null }];
+    getRatingHistory.mockResolvedValue(points);
+
+    await handleRatingHistory(request('Codeforces'), res);
+
+    expect(getLinkedAccounts).toHaveBeenCalledWith('user-1');
+    expect(getRatingHistory).toHaveBeenCalledWith('user-1', 'codeforces', 'alice_cf');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ platform: 'codeforces', handle: 'alice_cf', points });
+  });
+
+  it('should show nothing for hidden platforms', async () => {
+    await handleRatingHistory(request('leetcode'), res);
+
+    expect(getRatingHistory).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({ platform: 'leetcode', handle: null, points: [] });
+  });
+
+  it('should return 400 for a missing or unknown platform', async () => {
+    await handleRatingHistory(request(undefined), res);
+    await handleRatingHistory(request('myspace'), res);
+
+    expect(res.status).toHaveBeenNthCalledWith(1, 400);
+    expect(res.status).toHaveBeenNthCalledWith(2, 400);
+    expect(getUser).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown users and 500 on errors', async () => {
+    getUser.mockResolvedValueOnce(null);
+    await handleRatingHistory(request('codeforces'), res);
+    expect(res.status).toHaveBeenLastCalledWith(404);
+
+    getUser.mockRejectedValueOnce(new Error('db down'));
+    await handleRatingHistory(request('codeforces'), res);
+    expect(res.status).toHaveBeenLastCalledWith(500);
+  });
+});
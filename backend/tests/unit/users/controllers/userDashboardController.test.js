@@ -2,9 +2,11 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { handleUserDashboard } from '../../../../users/controllers/userDashboardController.js';
 import User from '../../../../users/models/User.js';
+import { getLinkedAccounts } from '../../../../users/services/linkedAccounts.js';
 
 // Mock dependencies
 vi.mock('../../../../users/models/User.js');
+vi.mock('../../../../users/services/linkedAccounts.js');
 
 describe('userDashboardController - Unit Tests', () => {
   let req, res;
@@ -25,6 +27,13 @@ describe('userDashboardController - Unit Tests', () => {
       status: vi.fn().mockReturnThis(),
       json: vi.fn().mockReturnThis()
     };
+
+    // No linked accounts unless a test says otherwise
+    getLinkedAccounts.mockResolvedValue({
+      codechef: { username: null, showOnWebsite: true },
+      leetcode: { username: null, showOnWebsite: true },
+      codeforces: { username: null, showOnWebsite: true }
+    });
   });
 
   describe('handleUserDashboard', () => {
@@ -49,21 +58,6 @@ describe('userDashboardController - Unit Tests', () => {
         dateOfBirth: '1990-01-01',
         resume: 'resume.pdf',
         github: 'https://github.com/testuser',
-        codechef: {
-          username: 'cc_test',
-          rating: 1800,
-          showOnWebsite: true
-        },
-        leetcode: {
-          username: 'lc_test',
-          rating: 1900,
-          showOnWebsite: true
-        },
-        codeforces: {
-          username: 'cf_test',
-          rating: 2000,
-          showOnWebsite: true
-        },
         digitomize_rating: 2100,
         skills: ['JavaScript', 'Node.js'],
         education: [
@@ -83,6 +77,25 @@ describe('userDashboardController - Unit Tests', () => {
         }
       };
 
+      getLinkedAccounts.mockResolvedValue({
+        codechef: { username: 'cc_test', rating: 1800, showOnWebsite: true },
+        leetcode: { username: 'lc_test', rating: 1900, showOnWebsite: true },
+        codeforces: { username: 'cf_test', rating: 2000, showOnWebsite: false },
+        atcoder: { username: null, rating: null, showOnWebsite: true },
+        geeksforgeeks: {
+          username: 'gfg_test',
+          rating: null,
+          showOnWebsite: true,
+          totalQuestions: 120,
+          easyQuestions: 70,
+          mediumQuestions: 40,
+          hardQuestions: 10,
+          codingScore: 450,
+          instituteRank: 12
+        },
+        codingninjas: { username: null, rating: null, showOnWebsite: true }
+      });
+
       // Create a proper Mongoose mock chain
       const mockSelect = vi.fn().mockResolvedValue(mockUserData);
       const mockFindOne = vi.fn().mockReturnValue({ select: mockSelect });
@@ -93,6 +106,7 @@ describe('userDashboardController - Unit Tests', () => {
 
       // Assert
       expect(User.findOne).toHaveBeenCalledWith({ uid: 'firebase-uid-123' });
+      expect(getLinkedAccounts).toHaveBeenCalledWith('firebase-uid-123');
       expect(mockSelect).toHaveBeenCalledWith('-_id -password -createdAt -updatedAt -__v');
       
       expect(res.status).toHaveBeenCalledWith(200);
@@ -104,6 +118,36 @@ describe('userDashboardController - Unit Tests', () => {
       expect(response).toHaveProperty('social');
       expect(response).toHaveProperty('ratings');
       expect(response.personal_data.bio.data).toBe('Test bio');
+      const noStats = {
+        rating: null,
+        totalQuestions: 0,
+        easyQuestions: 0,
+        mediumQuestions: 0,
+        hardQuestions: 0,
+        codingScore: null,
+        instituteRank: null
+      };
+      expect(response.ratings).toEqual({
+        codechef: { data: 'cc_test', showOnWebsite: true, stats: { ...noStats, rating: 1800 } },
+        leetcode: { data: 'lc_test', showOnWebsite: true, stats: { ...noStats, rating: 1900 } },
+        codeforces: { data: 'cf_test', showOnWebsite: false, stats: { ...noStats, rating: 2000 } },
+        atcoder: { data: null, showOnWebsite: true, stats: noStats },
+        geeksforgeeks: {
+          data: 'gfg_test',
+          showOnWebsite: true,
+          stats: {
+            rating: null,
+            totalQuestions: 120,
+            easyQuestions: 70,
+            mediumQuestions: 40,
+            hardQuestions: 10,
+            codingScore: 450,
+            instituteRank: 12
+          }
+        },
+        codingninjas: { data: null, showOnWebsite: true, stats: noStats },
+        digitomize_rating: 2100
+      });
     });
 
     // FIX: User not found - returns 404
@@ -306,12 +350,7 @@ describe('userDashboardController - Unit Tests', () => {
       // Arrange
       const mockUserData = {
         uid: 'firebase-uid-123',
-        username: 'testuser',
-        codeforces: {
-          username: null,
-          rating: null,
-          showOnWebsite: true
-        }
+        username: 'testuser'
       };
 
       const mockSelect = vi.fn().mockResolvedValue(mockUserData);
@@ -9,17 +9,28 @@ import User from '../../../../users/models/User.js';
 import { codeforces_u } from '../../../../users/controllers/platforms/codeforcesUpdater.js';
 import { codechef_u } from '../../../../users/controllers/platforms/codechefUpdater.js';
 import { leetcode_u } from '../../../../users/controllers/platforms/leetcodeUpdater.js';
+import { atcoder_u } from '../../../../users/controllers/platforms/atcoderUpdater.js';
+import { geeksforgeeks_u } from '../../../../users/controllers/platforms/geeksforgeeksUpdater.js';
 import { updateUser } from '../../../../users/services/updateUser.js';
+import { addToInbox } from '../../../../notifications/services/inbox.js';
+import { recordRatingHistory } from '../../../../users/services/ratingHistory.js';
+import { getLinkedAccounts, saveLinkedAccount } from '../../../../users/services/linkedAccounts.js';
 
 // Mock all dependencies
 vi.mock('../../../../users/models/User.js');
 vi.mock('../../../../users/controllers/platforms/codeforcesUpdater.js');
 vi.mock('../../../../users/controllers/platforms/codechefUpdater.js');
 vi.mock('../../../../users/controllers/platforms/leetcodeUpdater.js');
+vi.mock('../../../../users/controllers/platforms/atcoderUpdater.js');
+vi.mock('../../../../users/controllers/platforms/geeksforgeeksUpdater.js');
+vi.mock('../../../../users/controllers/platforms/codingninjasUpdater.js');
 vi.mock('../../../../users/services/updateUser.js');
+vi.mock('../../../../notifications/services/inbox.js');
+vi.mock('../../../../users/services/ratingHistory.js');
+vi.mock('../../../../users/services/linkedAccounts.js');
 
 describe('userProfileController - Unit Tests', () => {
-  let req, res, mockUser;
+  let req, res, mockUser, mockAccounts;
 
   beforeEach(() => {
     // Reset all mocks
@@ -67,9 +78,19 @@ describe('userProfileController - Unit Tests', () => {
         instagram: null,
         twitter: null
       },
+      digitomize_rating: 1700,
+      skills: ['JavaScript', 'React', 'Node.js'],
+      education: [],
+      role: 'user',
+      save: vi.fn()
+    };
+
+    // The user's linked accounts, keyed by platform id
+    mockAccounts = {
       codeforces: {
         username: 'cf_test',
         rating: 1500,
+        maxRating: 1650,
         attendedContestsCount: 10,
         badge: 'specialist',
         fetchTime: Date.now() - (13 * 60 * 60 * 1000), // 13 hours old (stale)
@@ -91,15 +112,29 @@ describe('userProfileController - Unit Tests', () => {
         fetchTime: Date.now() - (14 * 60 * 60 * 1000), // 14 hours old (stale)
         showOnWebsite: false  // Not shown on website
       },
-      digitomize_rating: 1700,
-      skills: ['JavaScript', 'React', 'Node.js'],
-      education: [],
-      role: 'user',
-      save: vi.fn()
+      atcoder: {
+        username: null, // Not linked
+        rating: null,
+        fetchTime: 0,
+        showOnWebsite: true
+      },
+      geeksforgeeks: {
+        username: null,
+        rating: null,
+        fetchTime: 0,
+        showOnWebsite: true
+      },
+      codingninjas: {
+        username: null,
+        rating: null,
+        fetchTime: 0,
+        showOnWebsite: true
+      }
     };
     
-    // Default User mock
+    // Default mocks
     User.findOne.mockResolvedValue(mockUser);
+    getLinkedAccounts.mockResolvedValue(mockAccounts);
   });
 
   describe('handleUserProfilePreview', () => {
@@ -129,39 +164,91 @@ describe('userProfileController - Unit Tests', () => {
           twitter: null
         },
         ratings: {
-          digitomize_rating: 1700,
+          // Recomputed from the accounts: codeforces 1500 x 1 beats codechef 1800 x 0.76
+          digitomize_rating: 1500,
           codechef: {
             username: 'cc_test',
             rating: 1800,
+            maxRating: null,
             attendedContestsCount: 15,
             badge: '4 star',
-            fetchTime: mockUser.codechef.fetchTime,
+            fetchTime: mockAccounts.codechef.fetchTime,
             totalQuestions: null,
             easyQuestions: null,
             mediumQuestions: null,
-            hardQuestions: null
+            hardQuestions: null,
+            codingScore: null,
+            instituteRank: null
           },
           leetcode: {
             username: null, // showOnWebsite is false
             rating: null,
+            maxRating: null,
             attendedContestsCount: null,
             badge: null,
             fetchTime: null,
             totalQuestions: null,
             easyQuestions: null,
             mediumQuestions: null,
-            hardQuestions: null
+            hardQuestions: null,
+            codingScore: null,
+            instituteRank: null
           },
           codeforces: {
             username: 'cf_test',
             rating: 1500,
+            maxRating: 1650,
             attendedContestsCount: 10,
             badge: 'specialist',
-            fetchTime: mockUser.codeforces.fetchTime,
+            fetchTime: mockAccounts.codeforces.fetchTime,
+            totalQuestions: null,
+            easyQuestions: null,
+            mediumQuestions: null,
+            hardQuestions: null,
+            codingScore: null,
+            instituteRank: null
+          },
+          atcoder: {
+            username: null, // not linked
+            rating: null,
+            maxRating: null,
+            attendedContestsCount: null,
+            badge: null,
+            fetchTime: 0,
+            totalQuestions: null,
+            easyQuestions: null,
+            mediumQuestions: null,
+            hardQuestions: null,
+            codingScore: null,
+            instituteRank: null
+          },
+          geeksforgeeks: {
+            username: null, // not linked
+            rating: null,
+            maxRating: null,
+            attendedContestsCount: null,
+            badge: null,
+            fetchTime: 0,
             totalQuestions: null,
             easyQuestions: null,
             mediumQuestions: null,
-            hardQuestions: null
+            hardQuestions: null,
+            codingScore: null,
+            instituteRank: null
+          },
+          codingninjas: {
+            username: null, // not linked
+            rating: null,
+            maxRating: null,
+            attendedContestsCount: null,
+            badge: null,
+            fetchTime: 0,
+            totalQuestions: null,
+            easyQuestions: null,
+            mediumQuestions: null,
+            hardQuestions: null,
+            codingScore: null,
+            instituteRank: null
           }
         }
       };
@@ -263,8 +350,8 @@ describe('userProfileController - Unit Tests', () => {
     // BRANCH 1: Platform data is fresh (<12 hours) - should not update
     it('should not update platform if fetchTime is less than 12 hours old', async () => {
       // Arrange
-      mockUser.codeforces.fetchTime = mockCurrentTime - (11 * 60 * 60 * 1000); // 11 hours old
-      mockUser.codeforces.showOnWebsite = true;
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (11 * 60 * 60 * 1000); // 11 hours old
+      mockAccounts.codeforces.showOnWebsite = true;
       
       // Act
       await handleUserDataUpdate(mockUser);
@@ -277,8 +364,8 @@ describe('userProfileController - Unit Tests', () => {
     // BRANCH 2: Platform data is stale (>12 hours) - should update
     it('should update platform if fetchTime is more than 12 hours old', async () => {
       // Arrange
-      mockUser.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000); // 13 hours old
-      mockUser.codeforces.showOnWebsite = true;
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000); // 13 hours old
+      mockAccounts.codeforces.showOnWebsite = true;
       
       const newData = {
         handle: 'cf_test',
@@ -293,18 +380,20 @@ describe('userProfileController - Unit Tests', () => {
       
       // Assert
       expect(codeforces_u).toHaveBeenCalledWith('cf_test');
-      expect(mockUser.codeforces.rating).toBe(1600);
-      expect(mockUser.codeforces.badge).toBe('expert');
-      expect(mockUser.codeforces.attendedContestsCount).toBe(12);
-      expect(mockUser.codeforces.fetchTime).toBe(mockCurrentTime);
+      expect(mockAccounts.codeforces.rating).toBe(1600);
+      expect(mockAccounts.codeforces.badge).toBe('expert');
+      expect(mockAccounts.codeforces.attendedContestsCount).toBe(12);
+      expect(mockAccounts.codeforces.fetchTime).toBe(mockCurrentTime);
+      expect(saveLinkedAccount).toHaveBeenCalledTimes(1);
+      expect(saveLinkedAccount).toHaveBeenCalledWith('test-uid-123', 'codeforces', mockAccounts.codeforces);
       expect(updateUser).toHaveBeenCalledWith(mockUser);
     });
     
     // BRANCH 3: Platform not shown on website - should skip update
     it('should skip update if showOnWebsite is false', async () => {
       // Arrange
-      mockUser.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000); // Stale
-      mockUser.codeforces.showOnWebsite = false; // Not shown
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000); // Stale
+      mockAccounts.codeforces.showOnWebsite = false; // Not shown
       
       // Act
       await handleUserDataUpdate(mockUser);
@@ -314,11 +403,26 @@ describe('userProfileController - Unit Tests', () => {
       expect(updateUser).not.toHaveBeenCalled();
     });
     
+    // BRANCH 3b: Platforms without a linked username are never fetched
+    it('should skip platforms the user has not linked', async () => {
+      // Arrange
+      mockAccounts.codeforces.username = null;
+      mockAccounts.codeforces.fetchTime = 0;
+
+      // Act
+      const accounts = await handleUserDataUpdate(mockUser);
+
+      // Assert
+      expect(getLinkedAccounts).toHaveBeenCalledWith('test-uid-123');
+      expect(codeforces_u).not.toHaveBeenCalled();
+      expect(accounts).toBe(mockAccounts);
+    });
+    
     // BRANCH 4: External API failure - should handle gracefully
     it('should handle Codeforces API failure gracefully', async () => {
       // Arrange
-      mockUser.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
-      mockUser.codeforces.showOnWebsite = true;
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.codeforces.showOnWebsite = true;
       
       codeforces_u.mockRejectedValue(new Error('API failure'));
       
@@ -330,20 +434,37 @@ describe('userProfileController - Unit Tests', () => {
       // Should not update user data on API failure
       expect(updateUser).not.toHaveBeenCalled();
     });
+
+    it('should keep refreshing the other platforms when one fails', async () => {
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.codechef.fetchTime = mockCurrentTime - (14 * 60 * 60 * 1000);
+      const stored = { ...mockAccounts.codeforces };
+
+      codeforces_u.mockRejectedValue(new Error('CIRCUIT_OPEN'));
+      codechef_u.mockResolvedValue({ handle: 'cc_test', rating: 1900, rank: '5 star', attendedContestsCount: 16 });
+
+      const accounts = await handleUserDataUpdate(mockUser);
+
+      expect(accounts.codeforces).toEqual(stored);
+      expect(accounts.codechef.rating).toBe(1900);
+      expect(saveLinkedAccount).toHaveBeenCalledTimes(1);
+      expect(saveLinkedAccount).toHaveBeenCalledWith('test-uid-123', 'codechef', accounts.codechef);
+      expect(updateUser).toHaveBeenCalledWith(mockUser);
+    });
     
     // BRANCH 5: Multiple platforms update in one call
     it('should update multiple stale platforms in one call', async () => {
       // Arrange
       // Both platforms are stale
-      mockUser.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
-      mockUser.codeforces.showOnWebsite = true;
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.codeforces.showOnWebsite = true;
       
-      mockUser.codechef.fetchTime = mockCurrentTime - (14 * 60 * 60 * 1000);
-      mockUser.codechef.showOnWebsite = true;
+      mockAccounts.codechef.fetchTime = mockCurrentTime - (14 * 60 * 60 * 1000);
+      mockAccounts.codechef.showOnWebsite = true;
       
       // LeetCode is fresh, shouldn't update
-      mockUser.leetcode.fetchTime = mockCurrentTime - (11 * 60 * 60 * 1000);
-      mockUser.leetcode.showOnWebsite = true;
+      mockAccounts.leetcode.fetchTime = mockCurrentTime - (11 * 60 * 60 * 1000);
+      mockAccounts.leetcode.showOnWebsite = true;
       
       const cfData = {
         handle: 'cf_test',
@@ -371,16 +492,16 @@ describe('userProfileController - Unit Tests', () => {
       expect(codechef_u).toHaveBeenCalled();
       expect(leetcode_u).not.toHaveBeenCalled(); // Fresh data
       
-      expect(mockUser.codeforces.rating).toBe(1600);
-      expect(mockUser.codechef.rating).toBe(1900);
+      expect(mockAccounts.codeforces.rating).toBe(1600);
+      expect(mockAccounts.codechef.rating).toBe(1900);
       expect(updateUser).toHaveBeenCalledWith(mockUser);
     });
     
     // BRANCH 6: LeetCode specific fields update
     it('should update LeetCode specific fields (totalQuestions, etc.)', async () => {
       // Arrange
-      mockUser.leetcode.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
-      mockUser.leetcode.showOnWebsite = true;
+      mockAccounts.leetcode.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.leetcode.showOnWebsite = true;
       
       const lcData = {
         handle: 'lc_test',
@@ -400,19 +521,71 @@ describe('userProfileController - Unit Tests', () => {
       
       // Assert
       expect(leetcode_u).toHaveBeenCalled();
-      expect(mockUser.leetcode.rating).toBe(2100);
-      expect(mockUser.leetcode.totalQuestions).toBe(550);
-      expect(mockUser.leetcode.easyQuestions).toBe(220);
-      expect(mockUser.leetcode.mediumQuestions).toBe(270);
-      expect(mockUser.leetcode.hardQuestions).toBe(60);
+      expect(mockAccounts.leetcode.rating).toBe(2100);
+      expect(mockAccounts.leetcode.totalQuestions).toBe(550);
+      expect(mockAccounts.leetcode.easyQuestions).toBe(220);
+      expect(mockAccounts.leetcode.mediumQuestions).toBe(270);
+      expect(mockAccounts.leetcode.hardQuestions).toBe(60);
     });
     
+    it('should update AtCoder rating, highest rating and color', async () => {
+      // Arrange
+      mockAccounts.atcoder.username = 'ac_test';
+      atcoder_u.mockResolvedValue({
+        handle: 'ac_test',
+        rating: 1580,
+        maxRating: 1650,
+        rank: 'cyan',
+        attendedContestsCount: 3,
+        history: []
+      });
+
+      // Act
+      await handleUserDataUpdate(mockUser);
+
+      // Assert
+      expect(atcoder_u).toHaveBeenCalledWith('ac_test');
+      expect(saveLinkedAccount).toHaveBeenCalledWith('test-uid-123', 'atcoder', expect.objectContaining({
+        rating: 1580,
+        maxRating: 1650,
+        badge: 'cyan',
+        attendedContestsCount: 3
+      }));
+    });
+
+    it('should store GeeksforGeeks practice stats without a rating', async () => {
+      // Arrange
+      mockAccounts.geeksforgeeks.username = 'gfg_test';
+      geeksforgeeks_u.mockResolvedValue({
+        handle: 'gfg_test',
+        codingScore: 450,
+        totalQuestions: 120,
+        instituteRank: 12,
+        easyQuestions: 70,
+        mediumQuestions: 40,
+        hardQuestions: 10
+      });
+
+      // Act
+      await handleUserDataUpdate(mockUser);
+
+      // Assert
+      expect(saveLinkedAccount).toHaveBeenCalledWith('test-uid-123', 'geeksforgeeks', expect.objectContaining({
+        rating: null,
+        codingScore: 450,
+        instituteRank: 12,
+        totalQuestions: 120,
+        mediumQuestions: 40
+      }));
+      expect(addToInbox).not.toHaveBeenCalled();
+    });
+
     // BRANCH 7: No changes when all platforms are fresh
     it('should not call updateUser when no platforms were updated', async () => {
       // Arrange - All platforms are fresh
-      mockUser.codeforces.fetchTime = mockCurrentTime - (11 * 60 * 60 * 1000);
-      mockUser.codechef.fetchTime = mockCurrentTime - (10 * 60 * 60 * 1000);
-      mockUser.leetcode.fetchTime = mockCurrentTime - (9 * 60 * 60 * 1000);
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (11 * 60 * 60 * 1000);
+      mockAccounts.codechef.fetchTime = mockCurrentTime - (10 * 60 * 60 * 1000);
+      mockAccounts.leetcode.fetchTime = mockCurrentTime - (9 * 60 * 60 * 1000);
       
       // Act
       await handleUserDataUpdate(mockUser);
@@ -423,6 +596,63 @@ describe('userProfileController - Unit Tests', () => {
       expect(leetcode_u).not.toHaveBeenCalled();
       expect(updateUser).not.toHaveBeenCalled();
     });
+
+    // BRANCH 8: A changed rating lands in the user's inbox
+    it('should add rating changes to the inbox', async () => {
+      // Arrange
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.leetcode.showOnWebsite = false;
+      codeforces_u.mockResolvedValue({ handle: 'cf_test', rating: 1450, rank: 'pupil' });
+
+      // Act
+      await handleUserDataUpdate(mockUser);
+
+      // Assert
+      expect(addToInbox).toHaveBeenCalledWith('test-uid-123', {
+        type: 'rating.change',
+        title: 'Your Codeforces rating went down from 1500 to 1450',
+        data: { platform: 'codeforces', from: 1500, to: 1450 },
+      });
+    });
+
+    it('should not add unchanged or first ratings to the inbox', async () => {
+      // Arrange
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.codeforces.rating = null;
+      mockAccounts.leetcode.showOnWebsite = false;
+      codeforces_u.mockResolvedValue({ handle: 'cf_test', rating: 1450, rank: 'pupil' });
+
+      // Act
+      await handleUserDataUpdate(mockUser);
+
+      // Assert
+      expect(updateUser).toHaveBeenCalled();
+      expect(addToInbox).not.toHaveBeenCalled();
+    });
+
+    // BRANCH 9: Fetched ratings are kept as history
+    it('should record what each updater returned as rating history', async () => {
+      // Arrange
+      mockAccounts.codeforces.fetchTime = mockCurrentTime - (13 * 60 * 60 * 1000);
+      mockAccounts.leetcode.showOnWebsite = false;
+      const cfData = {
+        handle: 'cf_test',
+        rating: 1450,
+        rank: 'pupil',
+        history: [{ contestId: '1900', contestName: 'Round 900', rating: 1450, timestamp: 1704000000 }],
+      };
+      codeforces_u.mockResolvedValue(cfData);
+      recordRatingHistory.mockRejectedValue(new Error('db down'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      // Act
+      await handleUserDataUpdate(mockUser);
+
+      // Assert: a failed write doesn't fail the refresh
+      expect(recordRatingHistory).toHaveBeenCalledTimes(1);
+      expect(recordRatingHistory).toHaveBeenCalledWith('test-uid-123', 'codeforces', cfData, new Date(mockCurrentTime));
+      expect(addToInbox).toHaveBeenCalled();
+    });
   });
 
   describe('calculateDigitomizeRating', () => {
@@ -474,6 +704,17 @@ describe('userProfileController - Unit Tests', () => {
       expect(result).toBe(0);
     });
     
+    it('should weigh AtCoder ratings above Codeforces ratings', () => {
+      // Arrange
+      const user = {
+        codeforces: { rating: 1500 },
+        atcoder: { rating: 1500 }      // Weighted: 1500 * 1.1 = 1650
+      };
+
+      // Act & Assert
+      expect(calculateDigitomizeRating(user)).toBeCloseTo(1650);
+    });
+
     // BRANCH 4: Platform data is undefined
     it('should handle undefined platform data', () => {
       // Arrange
@@ -0,0 +1,72 @@
+// tests/unit/users/controllers/userUpdateController.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { updatePlatformData } from '../../../../users/controllers/userUpdateController.js';
+
+vi.mock('../../../../users/models/User.js');
+vi.mock('../../../../services/discord-webhook/updateAccount.js');
+vi.mock('../../../../users/controllers/userProfileController.js');
+
+describe('userUpdateController - Unit Tests', () => {
+  describe('updatePlatformData', () => {
+    let user, account;
+
+    beforeEach(() => {
+      user = { digitomize_rating: 1500 };
+      account = {
+        username: 'old_handle',
+        showOnWebsite: true,
+        rating: 1800,
+        maxRating: 2000,
+        attendedContestsCount: 30,
+        badge: 'Expert',
+        fetchTime: 1704880800000,
+        totalQuestions: 420,
+        easyQuestions: 200,
+        mediumQuestions: 180,
+        hardQuestions: 40,
+        codingScore: 1337,
+        instituteRank: 12,
+      };
+    });
+
+    it('should clear everything fetched for the old handle', () => {
+      updatePlatformData('geeksforgeeks', {
+        geeksforgeeks: { username: 'new_handle', showOnWebsite: true },
+      }, account, user);
+
+      expect(account).toEqual({
+        username: 'new_handle',
+        showOnWebsite: true,
+        rating: null,
+        maxRating: null,
+        attendedContestsCount: null,
+        badge: null,
+        fetchTime: 0,
+        totalQuestions: 0,
+        easyQuestions: 0,
+        mediumQuestions: 0,
+        hardQuestions: 0,
+        codingScore: null,
+        instituteRank: null,
+      });
+      expect(user.digitomize_rating).toBe(0);
+    });
+
+    it('should keep the stats when only the visibility changes', () => {
+      const before = { ...account };
+
+      updatePlatformData('geeksforgeeks', {
+        geeksforgeeks: { username: 'old_handle', showOnWebsite: false },
+      }, account, user);
+
+      expect(account).toEqual({ ...before, showOnWebsite: false });
+      expect(user.digitomize_rating).toBe(1500);
+    });
+
+    it('should require both the username and showOnWebsite', () => {
+      expect(() => updatePlatformData('geeksforgeeks', {
+        geeksforgeeks: { username: 'new_handle' },
+      }, account, user)).toThrow("Both 'username' and 'showOnWebsite' properties are required for the 'geeksforgeeks' platform.");
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// tests/unit/users/services/linkedAccounts.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import LinkedAccount from '../../../../users/models/LinkedAccount.js';
+import {
+  ACCOUNT_DEFAULTS,
+  getLinkedAccounts,
+  getLinkedAccountsOf,
+  saveLinkedAccount,
+  pickLinkedAccounts,
+} from '../../../../users/services/linkedAccounts.js';
+
+vi.mock('../../../../users/models/LinkedAccount.js');
+
+const found = (documents) => ({ lean: vi.fn().mockResolvedValue(documents) });
+
+describe('linkedAccounts - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should return an account for every registered platform', async () => {
+    LinkedAccount.find.mockReturnValue(found([
+      { _id: 'a1', uid: 'u1', platform: 'codeforces', username: 'tourist', rating: 3800, fetchTime: 5 },
+    ]));
+
+    const accounts = await getLinkedAccounts('u1');
+
+    expect(LinkedAccount.find).toHaveBeenCalledWith({ uid: 'u1' });
+    expect(accounts).toEqual({
+      codechef: ACCOUNT_DEFAULTS,
+      leetcode: ACCOUNT_DEFAULTS,
+      codeforces: { ...ACCOUNT_DEFAULTS, username: 'tourist', rating: 3800, fetchTime: 5 },
+      atcoder: ACCOUNT_DEFAULTS,
+      geeksforgeeks: ACCOUNT_DEFAULTS,
+      codingninjas: ACCOUNT_DEFAULTS,
+    });
+  });
+
+  it('should load the accounts of many users in one query', async () => {
+    LinkedAccount.find.mockReturnValue(found([
+      { uid: 'u1', platform: 'leetcode', username: 'lc', rating: 2000 },
+      { uid: 'u2', platform: 'codechef', username: 'chef', rating: 1800 },
+    ]));
+
+    const accounts = await getLinkedAccountsOf(['u1', 'u2', 'u3']);
+
+    expect(LinkedAccount.find).toHaveBeenCalledTimes(1);
+    expect(LinkedAccount.find).toHaveBeenCalledWith({ uid: { $in: ['u1', 'u2', 'u3'] } });
+    expect(accounts.get('u1').leetcode.rating).toBe(2000);
+    expect(accounts.get('u1').codechef.rating).toBeNull();
+    expect(accounts.get('u2').codechef.username).toBe('chef');
+    expect(accounts.get('u3').codeforces).toEqual(ACCOUNT_DEFAULTS);
+  });
+
+  it('should upsert only the account fields', async () => {
+    await saveLinkedAccount('u1', 'codeforces', {
+      username: 'tourist',
+      rating: 3800,
+      showOnWebsite: false,
+      history: [],
+    });
+
+    expect(LinkedAccount.updateOne).toHaveBeenCalledWith(
+      { uid: 'u1', platform: 'codeforces' },
+      { $set: { username: 'tourist', rating: 3800, showOnWebsite: false } },
+      { upsert: true },
+    );
+  });
+
+  it('should pick the registered platforms out of a payload', () => {
+    const codeforces = { username: 'tourist', showOnWebsite: true };
+
+    expect(pickLinkedAccounts({ uid: 'u1', codeforces, myspace: {} })).toEqual({
+      codechef: undefined,
+      leetcode: undefined,
+      codeforces,
+    });
+  });
+});
@@ -0,0 +1,62 @@
+// tests/unit/users/services/platformRegistry.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  registerPlatform,
+  getPlatform,
+  getPlatforms,
+  describePlatform,
+} from '../../../../users/services/platformRegistry.js';
+
+describe('platformRegistry - Unit Tests', () => {
+  it('should register the built-in platforms with their weights', () => {
+    const weights = Object.fromEntries(getPlatforms().map(({ id, weight }) => [id, weight]));
+
+    expect(weights).toEqual(expect.objectContaining({
+      codechef: 0.76,
+      leetcode: 0.695,
+      codeforces: 1,
+      atcoder: 1.1,
+      geeksforgeeks: 0,
+      codingninjas: 0,
+    }));
+    getPlatforms().forEach((platform) => {
+      expect(typeof platform.update).toBe('function');
+      // Practice platforms have no rating to put on the SVG card
+      if (platform.weight > 0) expect(typeof platform.logo).toBe('function');
+    });
+  });
+
+  it('should fill in defaults for a new platform', () => {
+    const update = async () => null;
+    registerPlatform({ id: 'TestJudge', update });
+
+    const platform = getPlatform('testjudge');
+    expect(platform).toEqual({
+      id: 'testjudge',
+      name: 'TestJudge',
+      profileUrl: null,
+      weight: 1,
+      logo: null,
+      update,
+    });
+    expect(getPlatforms().map(({ id }) => id)).toContain('testjudge');
+  });
+
+  it('should reject platforms without an id or update function', () => {
+    expect(() => registerPlatform({ update: async () => null })).toThrow();
+    expect(() => registerPlatform({ id: 'noupdate' })).toThrow();
+  });
+
+  it('should return null for unknown platforms', () => {
+    expect(getPlatform('unknown')).toBeNull();
+    expect(getPlatform(undefined)).toBeNull();
+  });
+
+  it('should only expose public fields', () => {
+    expect(describePlatform(getPlatform('Codeforces'))).toEqual({
+      id: 'codeforces',
+      name: 'Codeforces',
+      profileUrl: 'https://codeforces.com/profile/',
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// tests/unit/users/services/ratingHistory.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { recordRatingHistory, getRatingHistory } from '../../../../users/services/ratingHistory.js';
+import RatingSnapshot from '../../../../users/models/RatingSnapshot.js';
+
+vi.mock('../../../../users/models/RatingSnapshot.js', () => ({
+  default: { bulkWrite: vi.fn(), find: vi.fn() },
+}));
+
+const NOW = new Date(Date.UTC(2024, 0, 1, 12));
+
+describe('ratingHistory - Unit Tests', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('recordRatingHistory', () => {
+    it('should store the current rating and upsert each contest once', async () => {
+      await recordRatingHistory('user-1', 'codeforces', {
+        handle: 'cf_test',
+        rating: '1450',
+        history: [
+          { contestId: '1900', contestName: 'Round 900', rating: 1450, timestamp: 1704000000 },
+        ],
+      }, NOW);
+
+      expect(RatingSnapshot.bulkWrite).toHaveBeenCalledWith([
+        {
+          insertOne: {
+            document: { uid: 'user-1', platform: 'codeforces', handle: 'cf_test', rating: 1450, recordedAt: NOW },
+          },
+        },
+        {
+          updateOne: {
+            filter: { uid: 'user-1', platform: 'codeforces', handle: 'cf_test', 'contest.id': '1900' },
+            update: {
+              $setOnInsert: {
+                'contest.name': 'Round 900',
+                rating: 1450,
+                recordedAt: new Date(1704000000 * 1000),
+              },
+            },
+            upsert: true,
+          },
+        },
+      ], { ordered: false });
+    });
+
+    it('should skip unrated accounts and incomplete contest entries', async () => {
+      await recordRatingHistory('user-1', 'leetcode', {
+        handle: 'lc_test',
+        rating: 0,
+        history: [{ contestId: 'Weekly 1', rating: 1500, timestamp: NaN }],
+      }, NOW);
+      await recordRatingHistory('user-1', 'codeforces', {}, NOW);
+
+      expect(RatingSnapshot.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should return a handle\'s points oldest first', async () => {
+    const lean = vi.fn().mockResolvedValue([
+      { rating: 1400, recordedAt: new Date(1700000000 * 1000), contest: { id: '1', name: 'Round 1' } },
+      { rating: 1450, recordedAt: new Date(1704000000 * 1000), contest: null },
+    ]);
+    const select = vi.fn().mockReturnValue({ lean });
+    RatingSnapshot.find.mockReturnValue({ sort: vi.fn().mockReturnValue({ select }) });
+
+    const points = await getRatingHistory('user-1', 'codeforces', 'cf_test');
+
+    expect(RatingSnapshot.find).toHaveBeenCalledWith({ uid: 'user-1', platform: 'codeforces', handle: 'cf_test' });
+    expect(points).toEqual([
+      { timestamp: 1700000000, rating: 1400, contest: { id: '1', name: 'Round 1' } },
+      { timestamp: 1704000000, rating: 1450, contest: null },
+    ]);
+  });
+});
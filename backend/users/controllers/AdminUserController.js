@@ -2,6 +2,7 @@ import User from "../models/User.js";
 import admin from "firebase-admin";
 import { setUser } from "../services/setUser.js";
 import { error, success } from "../../core/api/response.api.js";
+import { deleteLinkedAccounts, pickLinkedAccounts } from "../services/linkedAccounts.js";
 
 const getUserList = async (req, res) => {
   try {
@@ -96,9 +97,6 @@ const createUserDB = async (req, res) => {
     dateOfBirth,
     phoneNumber,
     github,
-    codechef,
-    leetcode,
-    codeforces,
   } = req.user;
 
   if (!username) {
@@ -126,9 +124,7 @@ const createUserDB = async (req, res) => {
       dateOfBirth,
       phoneNumber,
       github,
-      codechef,
-      leetcode,
-      codeforces,
+      ...pickLinkedAccounts(req.user),
     };
 
     await setUser(userData); // Create a new user using setUser
@@ -186,6 +182,7 @@ const deleteUserDB = async (request, response) => {
       return error(response, 400, "User ID cannot be null");
     }
     await User.deleteOne({ uid });
+    await deleteLinkedAccounts(uid);
 
     return success({}, response, 200, "User Deleted!!");
   } catch (error) {
@@ -1,4 +1,5 @@
 import { setUser } from "../services/setUser.js";
+import { pickLinkedAccounts } from "../services/linkedAccounts.js";
 
 const twitterUrlPattern = /^(?:https?:\/\/)?(?:www\.)?twitter\.com\/(?:#!\/)?[a-zA-Z0-9_]{1,15}(?:\/)?$/;
 const linkedInUrlPattern = /^(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[a-zA-Z0-9-]{5,30}\/?$/;
@@ -36,9 +37,6 @@ const handleUserSignup = async (req, res) => {
     phoneNumber,
     github,
     social,
-    codechef,
-    leetcode,
-    codeforces,
   } = req.decodedToken;
 
   if (!username) {
@@ -74,9 +72,8 @@ const handleUserSignup = async (req, res) => {
       phoneNumber,
       github,
       social,
-      codechef,
-      leetcode,
-      codeforces,
+      // Accounts on the registered rated platforms, keyed by platform id
+      ...pickLinkedAccounts(req.decodedToken),
     };
 
     await setUser(userData); // Create a new user using setUser
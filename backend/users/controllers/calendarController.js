@@ -0,0 +1,182 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import { getEnabledContestSources } from "../../contest/services/sourceRegistry.js";
+import { sendCalendar } from "../../services/calendar/ics.js";
+import {
+  getContestEvents,
+  getHackathonEvents,
+} from "../../services/calendar/feeds.js";
+
+const ENTRY_TYPES = {
+  contest: "contests",
+  hackathon: "hackathons",
+};
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString("hex");
+
+// webcal:// makes calendar apps subscribe instead of downloading once
+const buildFeedUrl = (token) => {
+  const httpUrl = `${process.env.BACKEND_URL}/user/calendar/${token}.ics`;
+  return {
+    url: httpUrl,
+    webcalUrl: httpUrl.replace(/^https?:\/\//, "webcal://"),
+  };
+};
+
+const calendarResponse = (calendar) => ({
+  ...buildFeedUrl(calendar.token),
+  tokenCreatedAt: calendar.tokenCreatedAt,
+  contests: calendar.contests,
+  hackathons: calendar.hackathons,
+});
+
+const rotateToken = (user) => {
+  user.calendar.token = generateCalendarToken();
+  user.calendar.tokenCreatedAt = new Date();
+};
+
+//* GET /user/calendar - the user's feed URL, created on first use
+const handleGetCalendarFeed = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.calendar?.token) {
+      rotateToken(user);
+      await user.save();
+    }
+
+    res.status(200).json(calendarResponse(user.calendar));
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+//* POST /user/calendar/rotate - replace the token, revoking the old URL
+const handleRotateCalendarFeed = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    rotateToken(user);
+    await user.save();
+
+    res.status(200).json(calendarResponse(user.calendar));
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+//* DELETE /user/calendar - revoke the feed URL without issuing a new one
+const handleRevokeCalendarFeed = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const user = await User.findOne({ uid });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.calendar.token = null;
+    user.calendar.tokenCreatedAt = null;
+    await user.save();
+
+    res.status(200).json({ message: "Calendar feed revoked" });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+//* POST /user/calendar/entries - add or remove a contest/hackathon from the feed
+const handleMarkCalendarEntry = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const { type, host, vanity, marked } = req.body;
+
+    const field = ENTRY_TYPES[type];
+    if (!field || !host || !vanity) {
+      return res.status(400).json({
+        message: "type (contest or hackathon), host and vanity are required",
+      });
+    }
+
+    const entry = {
+      host: String(host).toLowerCase(),
+      vanity: String(vanity).toLowerCase(),
+    };
+    const update = marked === false
+      ? { $pull: { [`calendar.${field}`]: entry } }
+      : { $addToSet: { [`calendar.${field}`]: entry } };
+
+    const user = await User.findOneAndUpdate({ uid }, update, { new: true });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json({
+      contests: user.calendar.contests,
+      hackathons: user.calendar.hackathons,
+    });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+//* GET /user/calendar/:token.ics - public feed, the token authenticates it
+const handleCalendarFeed = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      "calendar.token": String(req.params.token),
+    }).select("preferences calendar");
+    if (!user) {
+      return res.status(404).json({ message: "Calendar not found" });
+    }
+
+    const contestNotifs = user.preferences?.contest_notifs || {};
+    const hosts = getEnabledContestSources()
+      .map((source) => source.id)
+      .filter((id) => contestNotifs[id]);
+
+    const [platformEvents, markedEvents, hackathonEvents] = await Promise.all([
+      getContestEvents({ hosts, user }),
+      getContestEvents({ keys: user.calendar.contests, user }),
+      getHackathonEvents({ keys: user.calendar.hackathons, user }),
+    ]);
+
+    // A marked contest can also belong to a followed platform
+    const contestEvents = [
+      ...new Map(
+        [...platformEvents, ...markedEvents].map((event) => [event.uid, event]),
+      ).values(),
+    ].sort((a, b) => a.start - b.start);
+
+    sendCalendar(
+      res,
+      {
+        name: "digitomize",
+        events: [...contestEvents, ...hackathonEvents],
+      },
+      "digitomize.ics",
+    );
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+export {
+  handleGetCalendarFeed,
+  handleRotateCalendarFeed,
+  handleRevokeCalendarFeed,
+  handleMarkCalendarEntry,
+  handleCalendarFeed,
+};
@@ -1,20 +1,22 @@
 import { getUser } from "../services/getUser.js";
 import { svgCard } from "../utils/svgCard.js";
 import { generateErrorSvg } from "../utils/generateErrorSvg.js";
+import { getPlatform } from "../services/platformRegistry.js";
+import { getLinkedAccounts } from "../services/linkedAccounts.js";
 
 const generateSVG = async (req, res) => {
   try {
     const user = await getUser(req.params.username);
+    const accounts = user ? await getLinkedAccounts(user.uid) : {};
 
     const queries = req.query;
-    const platforms = ["leetcode", "codechef", "codeforces"];
     // console.log(queries);
     let toReturn = [];
     if (typeof queries === "object" && queries !== null) {
       const keys = Object.keys(queries);
       // console.log(keys)
       keys.forEach((e) => {
-        if (platforms.includes(e)) {
+        if (getPlatform(e)?.logo) {
           if (typeof queries[e] === "string" && queries[e] === "1")
             toReturn.push(e);
           else if (typeof queries[e] === "object" && queries[e].includes("1"))
@@ -28,26 +30,17 @@ const generateSVG = async (req, res) => {
     try {
       let n = 0;
       toReturn.forEach(e => {
-        let data = user[e];
+        let data = accounts[e];
         if(data.username !== null && (data.rating !== null && data.rating !== undefined) && (data.attendedContestsCount !== null && data.attendedContestsCount !== undefined)) n+= 1;
       })
       let width = 100 / n,
         height = "100%",
         x = 0;
       toReturn.forEach((e, i) => {
-        let data = user[e];
+        let data = accounts[e];
         // console.log(data);
         if (data.username !== null && (data.rating !== null && data.rating !== undefined) && (data.attendedContestsCount !== null && data.attendedContestsCount !== undefined)) {
-          let card = ``;
-          if (e === "leetcode") {
-            card += svgCard(data, width + "%", height, x + "%", e);
-          }
-          if (e === "codechef") {
-            card += svgCard(data, width + "%", height, x + "%", e);
-          }
-          if (e === "codeforces") {
-            card += svgCard(data, width + "%", height, x + "%", e);
-          }
+          const card = svgCard(data, width + "%", height, x + "%", e);
           cards += `${card}`;
           x += 100 / n;
         }
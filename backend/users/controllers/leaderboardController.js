@@ -1,4 +1,13 @@
 import User from "../models/User.js";
+import LinkedAccount from "../models/LinkedAccount.js";
+import { getPlatforms } from "../services/platformRegistry.js";
+import { getLinkedAccountsOf } from "../services/linkedAccounts.js";
+
+// Every registered platform's rating, keyed by platform id
+const ratingsOf = (accounts) =>
+  Object.fromEntries(
+    getPlatforms().map(({ id }) => [id, accounts?.[id]?.rating ?? null]),
+  );
 
 const getLeaderboard = async (req, res) => {
   try {
@@ -10,16 +19,21 @@ const getLeaderboard = async (req, res) => {
 
     let users;
     let totalUsers;
+    const platform = req.query.platform?.toLowerCase();
 
-    if (req.query.platform) {
-      const platform = req.query.platform.toLowerCase();
-      users = await User.find({
-        [`${platform}.rating`]: { $exists: true, $ne: null },
+    if (platform) {
+      const ratedAccounts = await LinkedAccount.find({
+        platform,
+        rating: { $exists: true, $ne: null },
       });
+      const ratingByUid = new Map(
+        ratedAccounts.map(({ uid, rating }) => [uid, rating]),
+      );
+      users = await User.find({ uid: { $in: [...ratingByUid.keys()] } });
       totalUsers = users.length;
       users.sort((a, b) => {
-        const aRating = a[platform] ? a[platform].rating || 0 : 0;
-        const bRating = b[platform] ? b[platform].rating || 0 : 0;
+        const aRating = ratingByUid.get(a.uid) || 0;
+        const bRating = ratingByUid.get(b.uid) || 0;
         return bRating - aRating;
       });
     } else {
@@ -28,16 +42,22 @@ const getLeaderboard = async (req, res) => {
       users.sort((a, b) => b.digitomize_rating - a.digitomize_rating);
     }
 
-    const top3 = users.slice(0, 3).map((user) => {
-      const platformRating = user[req.query.platform]
-        ? user[req.query.platform].rating
-        : null;
+    const allSortedUsers = users;
+    const top3Users = users.slice(0, 3);
+    users = users.slice(3); // Exclude top3
+    users = users.slice((page - 1) * pageSize, page * pageSize);
 
-      const userRatings = {
-        codechef: user.codechef ? user.codechef.rating : null,
-        leetcode: user.leetcode ? user.leetcode.rating : null,
-        codeforces: user.codeforces ? user.codeforces.rating : null,
-      };
+    const username = req.query.username;
+    const user = username
+      ? allSortedUsers.find((user) => user.username === username)
+      : null;
+
+    // Linked accounts of only the users in the response
+    const accountsByUid = await getLinkedAccountsOf(
+      [...top3Users, ...users, ...(user ? [user] : [])].map(({ uid }) => uid),
+    );
+    const entryOf = (user) => {
+      const userRatings = ratingsOf(accountsByUid.get(user.uid));
 
       return {
         username: user.username,
@@ -45,37 +65,29 @@ const getLeaderboard = async (req, res) => {
         name: user.name,
         ...userRatings,
         digitomize_rating: user.digitomize_rating,
-        platform_rating: platformRating,
+        platform_rating: userRatings[platform] ?? null,
       };
-    });
+    };
 
-    const allSortedUsers = users;
-    users = users.slice(3); // Exclude top3
-    users = users.slice((page - 1) * pageSize, page * pageSize);
+    const top3 = top3Users.map(entryOf);
 
-    if (req.query.username) {
-      const username = req.query.username;
-      const user = allSortedUsers.find((user) => user.username === username);
+    if (username) {
       const userIndex = allSortedUsers.findIndex(
         (user) => user.username === username,
       );
       const userPosition =
         userIndex !== -1 ? (page - 1) * pageSize + userIndex + 1 : null;
-      const userRatings = {
-        codechef: user ? (user.codechef ? user.codechef.rating : null) : null,
-        leetcode: user ? (user.leetcode ? user.leetcode.rating : null) : null,
-        codeforces: user
-          ? user.codeforces
-            ? user.codeforces.rating
-            : null
-          : null,
-        digitomize_rating: user ? user.digitomize_rating : null,
-        platform_rating: user
-          ? user[req.query.platform]
-            ? user[req.query.platform].rating
-            : null
-          : null,
-      };
+      const userRatings = user
+        ? {
+            ...ratingsOf(accountsByUid.get(user.uid)),
+            digitomize_rating: user.digitomize_rating,
+            platform_rating: entryOf(user).platform_rating,
+          }
+        : {
+            ...ratingsOf(null),
+            digitomize_rating: null,
+            platform_rating: null,
+          };
       res.json({ user_position: userPosition, ratings: userRatings });
       return; // Return early if the username is provided
     }
@@ -83,28 +95,9 @@ const getLeaderboard = async (req, res) => {
     const total_pages = Math.ceil((totalUsers - 3) / pageSize);
     const users_in_page = users.length;
 
-    const leaderboard = users.map((user) => {
-      const platformRating = user[req.query.platform]
-        ? user[req.query.platform].rating
-        : null;
-
-      const userRatings = {
-        codechef: user.codechef ? user.codechef.rating : null,
-        leetcode: user.leetcode ? user.leetcode.rating : null,
-        codeforces: user.codeforces ? user.codeforces.rating : null,
-      };
-
-      return {
-        username: user.username,
-        picture: user.picture,
-        name: user.name,
-        ...userRatings,
-        digitomize_rating: user.digitomize_rating,
-        platform_rating: platformRating,
-      };
-    });
+    const leaderboard = users.map(entryOf);
 
-    if (req.query.platform) {
+    if (platform) {
       leaderboard.sort((a, b) => {
         const aRating = a.platform_rating || 0;
         const bRating = b.platform_rating || 0;
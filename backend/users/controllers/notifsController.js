@@ -1,6 +1,7 @@
 import { Novu, ChatProviderIdEnum } from "@novu/node";
 import User from "../models/User.js";
-import { AllContest } from "../../contest/models/Contest.js";
+import { Contest } from "../../contest/models/Contest.js";
+import { contestAlertPayload } from "../../reminders/services/reminderEvent.js";
 
 const novu = new Novu(process.env.NOVU_API_KEY);
 const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
@@ -100,7 +101,7 @@ export const removeSubscriberFromTopic = async (req, res) => {
 export const TriggerContestNotifToTopic = async (req, res) => {
   try {
     const { topicKey, contestVanity } = req.body;
-    const contest = await AllContest.findOne({ vanity: contestVanity });
+    const contest = await Contest.findOne({ vanity: contestVanity });
     const topic = await novu.topics.get(topicKey);
     if (!topic) {
       return res.status(404).json({ message: "Topic not found" });
@@ -108,34 +109,12 @@ export const TriggerContestNotifToTopic = async (req, res) => {
     if (!contest) {
       return res.status(404).json({ message: "Contest not found" });
     }
-    // console.log("contest", contest);
-    // console.log("topic", topic);
-    const response = await novu.trigger(topicKey, {
-      title,
-      body,
-    });
-
-    const durationInMinutes = contest.duration;
-    const hours = Math.floor(durationInMinutes / 60);
-    const minutes = durationInMinutes % 60;
-    const duration = `${hours} hours ${minutes} minutes`;
-    
-    const timeInIST = new Date(contest.startTimeUnix * 1000).toLocaleString('en-US', { timeZone: 'Asia/Kolkata' });
-
-    await novu.trigger('contest-alert', {
-      to: [{ type: 'Topic', topicKey: topicKey }],
+    await novu.trigger("contest-alert", {
+      to: [{ type: "Topic", topicKey }],
       payload: {
-        contest: {
-          name: contest.name,
-          host: contest.host,
-          vanity: contest.vanity,
-          time: timeInIST,
-          duration: duration,
-          url: contest.url,
-        }
+        contest: contestAlertPayload(contest),
       },
     });
-    console.log(response);
     return res.status(200).json({ message: "Notification triggered successfully" });
   }
   catch (error) {
@@ -165,7 +144,7 @@ export const updateDeviceID = async (req, res) => {
     //   deviceTokens: deviceID,
     // });
     await novu.subscribers.setCredentials(userId, ChatProviderIdEnum.Discord, {
-      webhookUrl: "https://discord.com/api/webhooks/1202543150716162119/1cAqL2Vmd6H-k87TcD1LiBDNw5oCGBmrVJQgh9ULykdo96EMl7myo0ufXAnKqTVz4XHh",
+      webhookUrl: DISCORD_WEBHOOK_URL,
     });
 
     return res.status(200).json(req.body);
@@ -0,0 +1,56 @@
+import { http } from "../../../core/http/client.js";
+
+// AtCoder colors by rating; the first tier whose floor the rating reaches
+const COLOR_TIERS = [
+  { floor: 2800, color: "red" },
+  { floor: 2400, color: "orange" },
+  { floor: 2000, color: "yellow" },
+  { floor: 1600, color: "blue" },
+  { floor: 1200, color: "cyan" },
+  { floor: 800, color: "green" },
+  { floor: 400, color: "brown" },
+  { floor: 0, color: "gray" },
+];
+
+const colorOf = (rating) =>
+  COLOR_TIERS.find(({ floor }) => rating >= floor).color;
+
+async function atcoder_u (username) {
+  if (!username) {
+    return null;
+  }
+  try {
+    // The JSON behind the user's public contest history page
+    const url = `https://atcoder.jp/users/${username}/history/json`;
+    const { data: contests } = await http.get(url);
+
+    const rated = Array.isArray(contests)
+      ? contests.filter((contest) => contest.IsRated)
+      : [];
+    if (rated.length === 0) {
+      throw new Error("User has no rated contests");
+    }
+
+    const rating = rated[rated.length - 1].NewRating;
+    return {
+      handle: username,
+      rating,
+      maxRating: Math.max(...rated.map((contest) => contest.NewRating)),
+      rank: colorOf(rating),
+      attendedContestsCount: rated.length,
+      history: rated.map((contest) => ({
+        // "abc300.contest.atcoder.jp" is contest abc300
+        contestId: contest.ContestScreenName.split(".")[0],
+        contestName: contest.ContestNameEn || contest.ContestName,
+        rating: contest.NewRating,
+        // EndTime carries its offset, e.g. "2023-04-29T22:40:00+09:00"
+        timestamp: Date.parse(contest.EndTime) / 1000,
+      })),
+    };
+  } catch (error) {
+    console.error("Error fetching AtCoder user info:", error.message);
+    return null;
+  }
+}
+
+export { atcoder_u };
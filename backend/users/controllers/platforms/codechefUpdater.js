@@ -1,4 +1,4 @@
-import https from "https";
+import { http } from "../../../core/http/client.js";
 
 async function codechef_u (username) {
   if (!username) {
@@ -7,20 +7,8 @@ async function codechef_u (username) {
   try {
     const profileUrl = `https://www.codechef.com/users/${username}`;
 
-    const response = await new Promise((resolve, reject) => {
-      https
-        .get(profileUrl, (res) => {
-          let data = "";
-          res.on("data", (chunk) => {
-            data += chunk;
-          });
-          res.on("end", () => {
-            resolve(data);
-          });
-        })
-        .on("error", (error) => {
-          reject(error);
-        });
+    const { data: response } = await http.get(profileUrl, {
+      responseType: "text",
     });
 
     const regex = /jQuery.extend\(Drupal\.settings,\s*({[^;]+})\);/;
@@ -61,6 +49,13 @@ async function codechef_u (username) {
           handle: username,
           rating: lastContestRating,
           rank: `${stars} star`,
+          history: allContests.map((contest) => ({
+            contestId: contest.code,
+            contestName: contest.name,
+            rating: Number(contest.rating),
+            // end_date is IST, e.g. "2024-01-03 22:00:00"
+            timestamp: Date.parse(`${String(contest.end_date).replace(" ", "T")}+05:30`) / 1000,
+          })),
         };
       } else {
         throw new Error("User has no contest data");
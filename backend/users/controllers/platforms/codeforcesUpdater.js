@@ -1,4 +1,4 @@
-import https from "https";
+import { http } from "../../../core/http/client.js";
 
 async function codeforces_u (handle) {
   if (!handle) {
@@ -8,81 +8,58 @@ async function codeforces_u (handle) {
   const url = `https://codeforces.com/api/user.info?handles=${handle}`;
   // const url2 = `https://codeforces.com/api/user.rating?handle=${handle}`;
 
-  return new Promise((resolve, reject) => {
-    const request = https.get(url, (response) => {
-      let data = "";
-
-      response.on("data", (chunk) => {
-        data += chunk;
-      });
-
-      response.on("end", () => {
-        try {
-          const userInfo = JSON.parse(data);
-          resolveUserInfo(userInfo, resolve, reject);
-        } catch (error) {
-          console.log("Error parsing JSON:", error);
-          resolve({});
-        }
-      });
-    });
+  let userInfo;
+  try {
+    ({ data: userInfo } = await http.get(url));
+  } catch (error) {
+    console.log("Error getting user info:", error.message);
+    // A missing handle is a 400 from Codeforces, not a failure
+    if (error.status === 400) {
+      return {};
+    }
+    throw error;
+  }
 
-    request.on("error", (error) => {
-      console.log("Error getting user info:", error);
-      reject(error);
-    });
-  });
+  return resolveUserInfo(userInfo);
 }
 
-async function resolveUserInfo (userInfo, resolve, reject) {
-  if (userInfo.status === "OK" && userInfo.result.length > 0) {
+async function resolveUserInfo (userInfo) {
+  if (userInfo?.status === "OK" && userInfo.result.length > 0) {
     const handle = userInfo.result[0].handle;
     const rating = userInfo.result[0].rating;
     const rank = userInfo.result[0].rank;
 
     // Fetching additional data from url2
     const url2 = `https://codeforces.com/api/user.rating?handle=${handle}`;
-    const request2 = https.get(url2, (response2) => {
-      let data2 = "";
-
-      response2.on("data", (chunk2) => {
-        data2 += chunk2;
-      });
-
-      response2.on("end", () => {
-        try {
-          const userRatingInfo = JSON.parse(data2);
-          const attendedContestsCount = userRatingInfo.result.length;
+    try {
+      const { data: userRatingInfo } = await http.get(url2);
+      const attendedContestsCount = userRatingInfo.result.length;
 
-          resolve({
-            handle,
-            rating,
-            rank,
-            attendedContestsCount, // Add attendedContestsCount here
-          });
-        } catch (error) {
-          console.log("Error parsing JSON from url2:", error);
-          resolve({
-            handle,
-            rating,
-            rank,
-            attendedContestsCount: 0,
-          });
-        }
-      });
-    });
-
-    request2.on("error", (error) => {
-      console.log("Error getting user rating info:", error);
-      resolve({
+      return {
+        handle,
+        rating,
+        rank,
+        attendedContestsCount, // Add attendedContestsCount here
+        // Rating after every rated contest, kept as rating history
+        history: userRatingInfo.result.map((change) => ({
+          contestId: String(change.contestId),
+          contestName: change.contestName,
+          rating: change.newRating,
+          timestamp: change.ratingUpdateTimeSeconds,
+        })),
+      };
+    } catch (error) {
+      console.log("Error getting user rating info:", error.message);
+      return {
         handle,
         rating,
         rank,
         attendedContestsCount: 0,
-      });
-    });
+        history: [],
+      };
+    }
   } else {
-    resolve({});
+    return {};
   }
 }
 
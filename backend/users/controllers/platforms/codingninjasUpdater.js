@@ -0,0 +1,41 @@
+import { http } from "../../../core/http/client.js";
+
+// Studio difficulty levels folded into easy, medium and hard
+const DIFFICULTIES = {
+  easy: "easyQuestions",
+  moderate: "mediumQuestions",
+  hard: "hardQuestions",
+  ninja: "hardQuestions",
+};
+
+// The handle is the uuid at the end of the Studio profile URL
+async function codingninjas_u (handle) {
+  if (!handle) {
+    return null;
+  }
+  try {
+    const url = `https://api.codingninjas.com/api/v3/public_section/profile/user_details?uuid=${handle}`;
+    const { data: profile } = await http.get(url);
+    const problems = profile?.data?.dsa_domain_data?.problem_count_data;
+    if (!problems) {
+      throw new Error("User not found");
+    }
+
+    const counts = { easyQuestions: 0, mediumQuestions: 0, hardQuestions: 0 };
+    (problems.difficulty_data || []).forEach(({ level, count }) => {
+      const field = DIFFICULTIES[String(level).toLowerCase()];
+      if (field) counts[field] += Number(count) || 0;
+    });
+
+    return {
+      handle,
+      totalQuestions: Number(problems.total_count) || 0,
+      ...counts,
+    };
+  } catch (error) {
+    console.error("Error fetching Coding Ninjas user info:", error.message);
+    return null;
+  }
+}
+
+export { codingninjas_u };
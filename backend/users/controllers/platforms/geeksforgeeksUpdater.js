@@ -0,0 +1,64 @@
+import { http } from "../../../core/http/client.js";
+
+// GFG difficulty buckets folded into easy, medium and hard; School and Basic
+// problems are easier than Easy ones
+const DIFFICULTIES = {
+  School: "easyQuestions",
+  Basic: "easyQuestions",
+  Easy: "easyQuestions",
+  Medium: "mediumQuestions",
+  Hard: "hardQuestions",
+};
+
+//* Solved problems per difficulty from the user's practice submissions
+// Without them the profile numbers are still worth keeping, so a failure
+// leaves the counts out and the stored ones stay.
+async function solvedByDifficulty (handle) {
+  const counts = { easyQuestions: 0, mediumQuestions: 0, hardQuestions: 0 };
+  let submissions;
+  try {
+    ({ data: submissions } = await http.post(
+      "https://practiceapi.geeksforgeeks.org/api/v1/user/problems/submissions/",
+      { handle, requestType: "", year: "", month: "" },
+      { headers: { "Content-Type": "application/json" } },
+    ));
+  } catch (error) {
+    console.error("Error getting GeeksforGeeks submissions:", error.message);
+    return {};
+  }
+
+  // result maps each difficulty to the solved problems, keyed by problem id
+  Object.entries(submissions?.result || {}).forEach(([difficulty, problems]) => {
+    const field = DIFFICULTIES[difficulty];
+    if (field) counts[field] += Object.keys(problems || {}).length;
+  });
+  return counts;
+}
+
+async function geeksforgeeks_u (handle) {
+  if (!handle) {
+    return null;
+  }
+  try {
+    const url = `https://authapi.geeksforgeeks.org/api-get/user-profile-info/?handle=${handle}`;
+    const { data: profile } = await http.get(url);
+    if (!profile?.data) {
+      throw new Error("User not found");
+    }
+
+    const { score, total_problems_solved: totalQuestions, institute_rank: instituteRank } = profile.data;
+    return {
+      handle,
+      codingScore: Number(score) || 0,
+      totalQuestions: Number(totalQuestions) || 0,
+      // GFG sends an empty rank for users without an institute
+      instituteRank: Number(instituteRank) || null,
+      ...(await solvedByDifficulty(handle)),
+    };
+  } catch (error) {
+    console.error("Error fetching GeeksforGeeks user info:", error.message);
+    return null;
+  }
+}
+
+export { geeksforgeeks_u };
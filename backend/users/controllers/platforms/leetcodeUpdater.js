@@ -1,4 +1,4 @@
-import https from "https";
+import { http } from "../../../core/http/client.js";
 
 async function leetcode_u (handle) {
   if (!handle) {
@@ -20,6 +20,14 @@ async function leetcode_u (handle) {
           globalRanking
           __typename
         }
+        userContestRankingHistory(username: $username) {
+          attended
+          rating
+          contest {
+            title
+            startTime
+          }
+        }
         matchedUser(username: $username) {
           submitStats {
             acSubmissionNum {
@@ -33,74 +41,67 @@ async function leetcode_u (handle) {
     `,
   };
 
-  return new Promise((resolve, reject) => {
-    const options = {
-      method: "POST",
+  let userInfo;
+  try {
+    ({ data: userInfo } = await http.post(url, query, {
       headers: {
         "Content-Type": "application/json",
       },
-    };
-
-    const request = https.request(url, options, (response) => {
-      let data = "";
-
-      response.on("data", (chunk) => {
-        data += chunk;
-      });
-
-      response.on("end", () => {
-        try {
-          const userInfo = JSON.parse(data);
-          // console.log("OKKKKKKKKK", userInfo);
-          // console.log(userInfo.data.userContestRanking.badge);
-          if (userInfo.data?.userContestRanking === undefined || userInfo.data?.userContestRanking === null) {
-            // userInfo.data = userContestRanking;
-            userInfo.data.userContestRanking = {
-              attendedContestsCount: 0,
-              rating: 0,
-              globalRanking: 0,
-            };
-          }
-          if([null,undefined].includes(userInfo.data?.matchedUser)){
-            userInfo.data.userContestRanking = {
-              ...userInfo.data.userContestRanking,
-              totalQuestions:0,
-              easyQuestions:0,
-              mediumQuestions:0,
-              hardQuestions:0
-            }
-          }else if(Object.hasOwn(userInfo.data?.matchedUser,'submitStats')){
-            const {submitStats:{acSubmissionNum:[all,easy,medium,hard]}} = userInfo.data?.matchedUser;
-            userInfo.data.userContestRanking = {
-              ...userInfo.data.userContestRanking,
-              totalQuestions:all.count,
-              easyQuestions:easy.count,
-              mediumQuestions:medium.count,
-              hardQuestions:hard.count
-            }
-            
-          }
-          // console.log(userInfo)
-          userInfo.data.userContestRanking.rank = userInfo.data.userContestRanking?.badge?.name || "none";
-          userInfo.data.userContestRanking.handle = handle;
-
-          //   console.log("HERRRREEEEE:",userInfo.data.userContestRanking);
-          resolve(userInfo.data.userContestRanking);
-        } catch (error) {
-          console.log("Error parsing JSON:", error);
-          resolve({});
-        }
-      });
-    });
+    }));
+  } catch (error) {
+    console.log("Error getting user info:", error.message);
+    throw error;
+  }
 
-    request.on("error", (error) => {
-      console.log("Error getting user info:", error);
-      reject(error);
-    });
+  try {
+    // console.log("OKKKKKKKKK", userInfo);
+    // console.log(userInfo.data.userContestRanking.badge);
+    if (userInfo.data?.userContestRanking === undefined || userInfo.data?.userContestRanking === null) {
+      // userInfo.data = userContestRanking;
+      userInfo.data.userContestRanking = {
+        attendedContestsCount: 0,
+        rating: 0,
+        globalRanking: 0,
+      };
+    }
+    if([null,undefined].includes(userInfo.data?.matchedUser)){
+      userInfo.data.userContestRanking = {
+        ...userInfo.data.userContestRanking,
+        totalQuestions:0,
+        easyQuestions:0,
+        mediumQuestions:0,
+        hardQuestions:0
+      }
+    }else if(Object.hasOwn(userInfo.data?.matchedUser,'submitStats')){
+      const {submitStats:{acSubmissionNum:[all,easy,medium,hard]}} = userInfo.data?.matchedUser;
+      userInfo.data.userContestRanking = {
+        ...userInfo.data.userContestRanking,
+        totalQuestions:all.count,
+        easyQuestions:easy.count,
+        mediumQuestions:medium.count,
+        hardQuestions:hard.count
+      }
+      
+    }
+    // console.log(userInfo)
+    userInfo.data.userContestRanking.rank = userInfo.data.userContestRanking?.badge?.name || "none";
+    userInfo.data.userContestRanking.handle = handle;
+    // LeetCode lists every contest, attended or not
+    userInfo.data.userContestRanking.history = (userInfo.data.userContestRankingHistory || [])
+      .filter((entry) => entry.attended)
+      .map((entry) => ({
+        contestId: entry.contest.title,
+        contestName: entry.contest.title,
+        rating: Math.round(entry.rating),
+        timestamp: entry.contest.startTime,
+      }));
 
-    request.write(JSON.stringify(query));
-    request.end();
-  });
+    //   console.log("HERRRREEEEE:",userInfo.data.userContestRanking);
+    return userInfo.data.userContestRanking;
+  } catch (error) {
+    console.log("Error parsing JSON:", error);
+    return {};
+  }
 }
 
 export { leetcode_u };
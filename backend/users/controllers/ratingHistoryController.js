@@ -0,0 +1,41 @@
+import { getUser } from "../services/getUser.js";
+import { getRatingHistory } from "../services/ratingHistory.js";
+import { getPlatform, getPlatforms } from "../services/platformRegistry.js";
+import { getLinkedAccounts } from "../services/linkedAccounts.js";
+
+//* GET /user/ratings/:username/history?platform=codeforces
+// Public like the profile: hidden platforms have no history to show.
+const handleRatingHistory = async (req, res) => {
+  try {
+    const platform = getPlatform(req.query.platform)?.id;
+    if (!platform) {
+      return res.status(400).json({
+        message: `platform must be one of ${getPlatforms().map(({ id }) => id).join(", ")}`,
+      });
+    }
+
+    const user = await getUser(req.params.username);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ message: "User not found", error: "User not found" });
+    }
+
+    const accounts = await getLinkedAccounts(user.uid);
+    const { showOnWebsite, username: handle } = accounts[platform] || {};
+    if (!showOnWebsite || !handle) {
+      return res.status(200).json({ platform, handle: null, points: [] });
+    }
+
+    res.status(200).json({
+      platform,
+      handle,
+      points: await getRatingHistory(user.uid, platform, handle),
+    });
+  } catch (error) {
+    console.error("Error:", error);
+    res.status(500).json({ error: "Internal server error", message: "Internal server error" });
+  }
+};
+
+export { handleRatingHistory };
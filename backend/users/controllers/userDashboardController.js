@@ -1,4 +1,17 @@
 import User from "../models/User.js";
+import { getPlatforms } from "../services/platformRegistry.js";
+import { getLinkedAccounts } from "../services/linkedAccounts.js";
+
+// What the last refresh of an account found, for the Ratings page
+const accountStats = (account) => ({
+  rating: account?.rating ?? null,
+  totalQuestions: account?.totalQuestions || 0,
+  easyQuestions: account?.easyQuestions || 0,
+  mediumQuestions: account?.mediumQuestions || 0,
+  hardQuestions: account?.hardQuestions || 0,
+  codingScore: account?.codingScore ?? null,
+  instituteRank: account?.instituteRank ?? null,
+});
 // Replace the current handleUserDashboard function with this fixed version:
 
 const handleUserDashboard = async (req, res) => {
@@ -11,6 +24,7 @@ const handleUserDashboard = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
+    const accounts = await getLinkedAccounts(user.uid);
 
     // Construct the JSON response with proper null checks
     const jsonResponse = {
@@ -50,18 +64,17 @@ const handleUserDashboard = async (req, res) => {
         twitter: user.social?.twitter || null,
       },
       ratings: {
-        codeforces: {
-          data: user.codeforces?.username || null,
-          showOnWebsite: user.codeforces?.showOnWebsite || false
-        },
-        codechef: {
-          data: user.codechef?.username || null,
-          showOnWebsite: user.codechef?.showOnWebsite || false
-        },
-        leetcode: {
-          data: user.leetcode?.username || null,
-          showOnWebsite: user.leetcode?.showOnWebsite || false
-        },
+        // One entry per registered platform
+        ...Object.fromEntries(
+          getPlatforms().map(({ id }) => [
+            id,
+            {
+              data: accounts[id]?.username || null,
+              showOnWebsite: accounts[id]?.showOnWebsite || false,
+              stats: accountStats(accounts[id]),
+            },
+          ]),
+        ),
         digitomize_rating: user.digitomize_rating || null,
       },
     };
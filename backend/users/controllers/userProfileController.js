@@ -1,37 +1,19 @@
 import { getUser } from "../services/getUser.js";
-import { codeforces_u } from "./platforms/codeforcesUpdater.js";
-import { codechef_u } from "./platforms/codechefUpdater.js"; // Import your CodeChef updater function
-import { leetcode_u } from "./platforms/leetcodeUpdater.js"; // Import your LeetCode updater function
 import { updateUser } from "../services/updateUser.js";
 import { ROLE } from "../../core/const.js";
+import { addToInbox } from "../../notifications/services/inbox.js";
+import { recordRatingHistory } from "../services/ratingHistory.js";
+import { getPlatform, getPlatforms } from "../services/platformRegistry.js";
+import { getLinkedAccounts, saveLinkedAccount } from "../services/linkedAccounts.js";
 
-// Mapping of platform names to their updater functions
-const platformUpdaters = {
-  codeforces: codeforces_u,
-  codechef: codechef_u, // Replace with your CodeChef updater function
-  leetcode: leetcode_u, // Replace with your LeetCode updater function
-};
-
-const handleUserPlatformUpdate = async (username, platform) => {
-  const updater = platformUpdaters[platform];
-  if (updater) {
-    return await updater(username);
-  }
-  return null; // Handle unsupported platform case if needed
-};
-
-const calculateDigitomizeRating = (user) => {
+// Highest weighted rating over the accounts, keyed by platform id
+const calculateDigitomizeRating = (accounts) => {
   let maxDigitomizeRating = 0;
 
-  ["codeforces", "codechef", "leetcode"].forEach((platform) => {
-    const platformData = user[platform];
+  getPlatforms().forEach(({ id, weight }) => {
+    const platformData = accounts[id];
     if (platformData && platformData.rating) {
-      const weightage = {
-        codechef: 0.76,
-        leetcode: 0.695,
-        codeforces: 1,
-      };
-      const platformRating = platformData.rating * weightage[platform];
+      const platformRating = platformData.rating * weight;
       if (platformRating > maxDigitomizeRating) {
         maxDigitomizeRating = platformRating;
       }
@@ -41,44 +23,97 @@ const calculateDigitomizeRating = (user) => {
   return maxDigitomizeRating;
 };
 
-// Updates user data in DB
+// Tells the user about ratings that moved since the last fetch
+const notifyRatingChanges = async (user, ratingChanges) => {
+  try {
+    for (const { platform, from, to } of ratingChanges) {
+      await addToInbox(user.uid, {
+        type: "rating.change",
+        title: `Your ${getPlatform(platform)?.name || platform} rating went ${to > from ? "up" : "down"} from ${from} to ${to}`,
+        data: { platform, from, to },
+      });
+    }
+  } catch (error) {
+    console.error("Error adding rating changes to inbox:", error);
+  }
+};
+
+// Keeps what the updaters returned as rating history
+const saveRatingHistory = async (user, fetched, currentTime) => {
+  for (const { platform, data } of fetched) {
+    try {
+      await recordRatingHistory(user.uid, platform, data, currentTime);
+    } catch (error) {
+      console.error(`Error saving ${platform} rating history:`, error);
+    }
+  }
+};
+
+// Refreshes the user's stale linked accounts and returns all of them
+// Platforms are fetched side by side; one that fails keeps its stored data.
 const handleUserDataUpdate = async (user) => {
   const currentTime = new Date();
+  const accounts = await getLinkedAccounts(user.uid);
 
-  let changes = false;
-  for (const platformKey of ["codeforces", "codechef", "leetcode"]) {
-    // for (const platformKey of ['codeforces']) {
-    const platformData = user[platformKey];
-    if (
+  const stale = getPlatforms().filter(({ id }) => {
+    const platformData = accounts[id];
+    return (
+      platformData.username &&
       platformData.showOnWebsite &&
       platformData.fetchTime + 12 * 60 * 60 * 1000 < currentTime
-    ) {
-      const newData = await handleUserPlatformUpdate(
-        platformData.username,
-        platformKey,
-      );
-      // console.log("newData", newData);
-      if (newData) {
-        changes = true;
-        platformData.attendedContestsCount = newData.attendedContestsCount;
-        platformData.username = newData.handle;
-        platformData.rating = parseInt(newData.rating);
-        platformData.badge = newData.rank;
-        platformData.fetchTime = currentTime;
-        platformData.totalQuestions = newData.totalQuestions;
-        platformData.easyQuestions = newData.easyQuestions;
-        platformData.mediumQuestions = newData.mediumQuestions;
-        platformData.hardQuestions = newData.hardQuestions;
+    );
+  });
+  const results = await Promise.allSettled(
+    stale.map(({ id, update }) => update(accounts[id].username)),
+  );
+
+  const ratingChanges = [];
+  const fetched = [];
+  results.forEach((result, index) => {
+    const platformKey = stale[index].id;
+    const platformData = accounts[platformKey];
+    if (result.status === "rejected") {
+      console.error(`Error updating ${platformKey} for ${user.username}:`, result.reason?.message);
+      return;
+    }
+
+    const newData = result.value;
+    // console.log("newData", newData);
+    if (newData) {
+      fetched.push({ platform: platformKey, data: newData });
+      const previousRating = platformData.rating;
+      const rating = parseInt(newData.rating);
+      if (previousRating && rating && previousRating !== rating) {
+        ratingChanges.push({ platform: platformKey, from: previousRating, to: rating });
       }
+      platformData.attendedContestsCount = newData.attendedContestsCount;
+      platformData.username = newData.handle;
+      // Practice platforms have no contest rating
+      platformData.rating = Number.isNaN(rating) ? null : rating;
+      platformData.maxRating = newData.maxRating;
+      platformData.badge = newData.rank;
+      platformData.fetchTime = currentTime.getTime();
+      platformData.totalQuestions = newData.totalQuestions;
+      platformData.easyQuestions = newData.easyQuestions;
+      platformData.mediumQuestions = newData.mediumQuestions;
+      platformData.hardQuestions = newData.hardQuestions;
+      platformData.codingScore = newData.codingScore;
+      platformData.instituteRank = newData.instituteRank;
     }
-  }
-  user.digitomize_rating = calculateDigitomizeRating(user);
+  });
+  user.digitomize_rating = calculateDigitomizeRating(accounts);
   // console.log("new:", user.digitomize_rating);
 
-  // Save the updated user object in MongoDB
-  if (changes) {
+  // Save the refreshed accounts and the new digitomize rating
+  if (fetched.length > 0) {
+    for (const { platform } of fetched) {
+      await saveLinkedAccount(user.uid, platform, accounts[platform]);
+    }
     await updateUser(user);
+    await saveRatingHistory(user, fetched, currentTime);
+    await notifyRatingChanges(user, ratingChanges);
   }
+  return accounts;
 };
 
 // Handle user profile preview route
@@ -95,7 +130,7 @@ const handleUserProfilePreview = async (req, res) => {
         .json({ message: "User not found", error: "User not found" });
     }
 
-    await handleUserDataUpdate(user);
+    const accounts = await handleUserDataUpdate(user);
 
     // Prepare the public user data object
     const publicUserData = {
@@ -126,16 +161,9 @@ const handleUserProfilePreview = async (req, res) => {
         instagram: user.social.instagram,
         twitter: user.social.twitter,
       },
-      ratings: {
-        digitomize_rating: user.digitomize_rating,
-      },
+      ratings: getPublicRatings(user, accounts),
     };
 
-    // Handle coding platforms
-    handleCodingPlatform(publicUserData.ratings, user.codechef, "codechef");
-    handleCodingPlatform(publicUserData.ratings, user.leetcode, "leetcode");
-    handleCodingPlatform(publicUserData.ratings, user.codeforces, "codeforces");
-
     res.status(200).json(publicUserData);
   } catch (error) {
     console.error("Error:", error);
@@ -146,11 +174,20 @@ const handleUserProfilePreview = async (req, res) => {
   }
 };
 
+//* Ratings as the public profile shows them; hidden platforms come back empty
+function getPublicRatings (user, accounts) {
+  const ratings = { digitomize_rating: user.digitomize_rating };
+
+  getPlatforms().forEach(({ id }) => handleCodingPlatform(ratings, accounts[id], id));
+  return ratings;
+}
+
 function handleCodingPlatform (targetObject, platform, platformKey) {
   if (platform.showOnWebsite) {
     targetObject[platformKey] = {
       username: platform.username || null,
       rating: platform.rating || null,
+      maxRating: platform.maxRating || null,
       attendedContestsCount: platform.attendedContestsCount || null,
       badge: platform.badge || null,
       fetchTime: platform.fetchTime || 0,
@@ -158,11 +195,14 @@ function handleCodingPlatform (targetObject, platform, platformKey) {
       easyQuestions: platform.easyQuestions || null,
       mediumQuestions: platform.mediumQuestions || null,
       hardQuestions: platform.hardQuestions || null,
+      codingScore: platform.codingScore || null,
+      instituteRank: platform.instituteRank || null,
     };
   } else {
     targetObject[platformKey] = {
       username: null,
       rating: null,
+      maxRating: null,
       attendedContestsCount: null,
       badge: null,
       fetchTime: null,
@@ -170,8 +210,10 @@ function handleCodingPlatform (targetObject, platform, platformKey) {
       easyQuestions: null,
       mediumQuestions: null,
       hardQuestions: null,
+      codingScore: null,
+      instituteRank: null,
     };
   }
 }
 
-export { handleUserProfilePreview, handleUserDataUpdate, calculateDigitomizeRating };
+export { handleUserProfilePreview, handleUserDataUpdate, calculateDigitomizeRating, getPublicRatings };
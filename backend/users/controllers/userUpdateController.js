@@ -1,6 +1,11 @@
 import User from "../models/User.js";
 import { sendWebhook_updateAccount } from "../../services/discord-webhook/updateAccount.js";
 import { handleUserDataUpdate } from "./userProfileController.js";
+import { DEFAULT_OFFSETS, parseReminderOffsets } from "../../reminders/services/reminderScheduler.js";
+import { DIGEST_FREQUENCIES } from "../../digest/services/digest.js";
+import { parseTimePreferences } from "../../core/userTime.js";
+import { getPlatforms } from "../services/platformRegistry.js";
+import { getLinkedAccounts, saveLinkedAccount } from "../services/linkedAccounts.js";
 const maxUpdatesPerDay = 50;
 const twitterUrlPattern = /^(?:https?:\/\/)?(?:www\.)?twitter\.com\/(?:#!\/)?[a-zA-Z0-9_]{1,15}(?:\/)?$/;
 const linkedInUrlPattern = /^(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[a-zA-Z0-9-]{5,30}\/?$/;
@@ -22,13 +27,20 @@ const updatePlatformData = (platform, userData, existingData, user) => {
 
     existingData.showOnWebsite = platformData.showOnWebsite || false;
 
-    // If username is provided in userData, set ratings, badge, and fetchTime to null
+    // A new handle starts from scratch: nothing fetched for the old one carries over
     if (platformData.username !== existingData.username) {
       existingData.username = platformData.username || "";
       existingData.rating = null;
+      existingData.maxRating = null;
       existingData.attendedContestsCount = null;
       existingData.badge = null;
       existingData.fetchTime = 0;
+      existingData.totalQuestions = 0;
+      existingData.easyQuestions = 0;
+      existingData.mediumQuestions = 0;
+      existingData.hardQuestions = 0;
+      existingData.codingScore = null;
+      existingData.instituteRank = null;
       user.digitomize_rating = 0;
     }
     // You can similarly update other properties specific to each platform
@@ -67,8 +79,8 @@ function validateSocialUrls (social) {
   return null;
 }
 
-// Helper function to update user data, including platform-specific data
-const updateUserData = async (userData, existingData) => {
+// Helper function to update user data, including the linked platform accounts
+const updateUserData = async (userData, existingData, accounts) => {
   // Update general user data (firstName, lastName, etc.)
   const generalFields = ["username", "picture", "resume", "name", "email_show"];
   generalFields.forEach((field) => {
@@ -83,10 +95,9 @@ const updateUserData = async (userData, existingData) => {
     updateDataField(field, userData, existingData);
   });
 
-  // Update platform-specific data for CodeChef, LeetCode, and CodeForces
-  const platforms = ["codechef", "leetcode", "codeforces"];
-  platforms.forEach((platform) => {
-    updatePlatformData(platform, userData, existingData[platform], existingData);
+  // Update the account of every registered platform sent
+  getPlatforms().forEach(({ id }) => {
+    updatePlatformData(id, userData, accounts[id], existingData);
   });
 
   if (userData.social) {
@@ -155,8 +166,8 @@ function compareUserProfile (oldPlatformData, newPlatformData) {
       return false;
     }
 
-    // Check contest platforms (codeforces, codechef, leetcode) for username
-    const contestFields = ["codeforces", "codechef", "leetcode"];
+    // Check the linked platform accounts for username
+    const contestFields = getPlatforms().map(({ id }) => id);
     const notEqualContestFields = contestFields
       .filter(field => newPlatformData[field] && String(normalizeValue(oldPlatformData[field]?.username)) !== String(normalizeValue(newPlatformData[field]?.username)));
 
@@ -217,8 +228,12 @@ const handleUpdateUserProfile = async (req, res) => {
     }
 
     try {
-      // Clone the user's data before updating
-      const userDataBeforeUpdate = JSON.parse(JSON.stringify(user));
+      // Clone the user's data and linked accounts before updating
+      const accounts = await getLinkedAccounts(user.uid);
+      const userDataBeforeUpdate = {
+        ...JSON.parse(JSON.stringify(user)),
+        ...JSON.parse(JSON.stringify(accounts)),
+      };
 
       if (compareUserProfile(userDataBeforeUpdate, updatedData)) {
         return res.status(400).json({
@@ -228,13 +243,22 @@ const handleUpdateUserProfile = async (req, res) => {
       }
 
       // Update user data, including platform-specific data
-      await updateUserData(updatedData, user);
+      await updateUserData(updatedData, user, accounts);
 
-      // Save the updated user profile
+      // Save the updated user profile and the accounts that changed
       await user.save();
+      for (const { id } of getPlatforms()) {
+        if (JSON.stringify(userDataBeforeUpdate[id]) !== JSON.stringify(accounts[id])) {
+          await saveLinkedAccount(user.uid, id, accounts[id]);
+        }
+      }
       // console.log("UPDATING USERRRRRHEREEEEEEE");
       handleUserDataUpdate(user);
 
+      const userDataAfterUpdate = {
+        ...JSON.parse(JSON.stringify(user)),
+        ...accounts,
+      };
       if (process.env.NODE_ENV === "production") {
         sendWebhook_updateAccount({
           oldImage: userDataBeforeUpdate.picture,
@@ -242,7 +266,7 @@ const handleUpdateUserProfile = async (req, res) => {
           oldUsername: userDataBeforeUpdate.username,
           newUsername: user.username,
           oldData: userDataBeforeUpdate,
-          newData: user,
+          newData: userDataAfterUpdate,
         });
       }
 
@@ -251,9 +275,9 @@ const handleUpdateUserProfile = async (req, res) => {
       Object.keys(updatedData).forEach((field) => {
         if (
           JSON.stringify(userDataBeforeUpdate[field]) !==
-          JSON.stringify(user[field])
+          JSON.stringify(userDataAfterUpdate[field])
         ) {
-          updatedFields[field] = user[field];
+          updatedFields[field] = userDataAfterUpdate[field];
         }
       });
 
@@ -283,8 +307,7 @@ const handleUpdateUserProfile = async (req, res) => {
 };
 
 
-import { Novu } from "@novu/node";
-const novu = new Novu(process.env.NOVU_API_KEY);
+import { getContestSource, isContestSourceEnabled } from "../../contest/services/sourceRegistry.js";
 const handleUserPreferences = async (req, res) => {
   try {
     const { uid } = req.decodedToken;
@@ -297,31 +320,18 @@ const handleUserPreferences = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Ensure the platform exists in the contest_notifs object
-    // if (!user.preferences.contest_notifs[platform]) {
-    //   return res.status(400).json({ message: "Invalid platform" });
-    // }
+    // Only platforms enabled in the contest source registry can be toggled
+    if (!isContestSourceEnabled(getContestSource(platform))) {
+      return res.status(400).json({ message: "Invalid platform" });
+    }
 
-    // Update the preference for the specified platform
+    // Update the preference for the specified platform; the reminder
+    // scheduler notifies everyone who has it switched on
     user.preferences.contest_notifs[platform] = preference;
 
     // Save the user
     await user.save();
 
-    // Handle adding/removing user from novu service based on preference
-    if (preference) {
-      const topicKey = `${platform}-notifs`;
-      const response = await novu.topics.addSubscribers(topicKey, {
-        subscribers: [uid],
-      });
-    } else {
-      const topicKey = `${platform}-notifs`;
-      const response = await novu.topics.removeSubscribers(topicKey, {
-        subscribers: [uid],
-      });
-      // console.log(response);
-    }
-
     return res.status(200).json({ message: `Preference for ${platform} updated successfully to ${preference}` });
   } catch (error) {
     console.error("Error updating user preference:", error);
@@ -329,13 +339,99 @@ const handleUserPreferences = async (req, res) => {
   }
 };
 
-   
+//* POST /user/preferences/reminders - minutes before a contest to be reminded
+const handleReminderPreferences = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const { offsets, error } = parseReminderOffsets(req.body.offsets);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { uid },
+      { $set: { "preferences.reminder_offsets": offsets } },
+      { new: true },
+    ).select("preferences.reminder_offsets");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    return res.status(200).json({ offsets, defaults: DEFAULT_OFFSETS });
+  } catch (error) {
+    console.error("Error updating reminder preferences:", error);
+    return res.status(500).json({ message: "Internal server error", error: "Internal server error" });
+  }
+};
+
+const handleDigestPreferences = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const { frequency } = req.body;
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ message: `frequency must be one of ${DIGEST_FREQUENCIES.join(", ")}` });
+    }
 
+    const user = await User.findOneAndUpdate(
+      { uid },
+      { $set: { "preferences.digest.frequency": frequency } },
+      { new: true },
+    ).select("preferences.digest");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    return res.status(200).json({ frequency });
+  } catch (error) {
+    console.error("Error updating digest preferences:", error);
+    return res.status(500).json({ message: "Internal server error", error: "Internal server error" });
+  }
+};
+
+//* POST /user/preferences/time - timezone, 12/24h clock and quiet hours
+const handleTimePreferences = async (req, res) => {
+  try {
+    const { uid } = req.decodedToken;
+    const { preferences, error } = parseTimePreferences(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const update = Object.fromEntries(
+      Object.entries(preferences).map(([key, value]) => [`preferences.${key}`, value]),
+    );
+    const user = await User.findOneAndUpdate(
+      { uid },
+      { $set: update },
+      { new: true },
+    ).select("preferences.timezone preferences.time_format preferences.quiet_hours");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { timezone, time_format: timeFormat, quiet_hours: quietHours } = user.preferences;
+    return res.status(200).json({
+      timezone,
+      time_format: timeFormat,
+      quiet_hours: {
+        enabled: quietHours.enabled,
+        start: quietHours.start,
+        end: quietHours.end,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating time preferences:", error);
+    return res.status(500).json({ message: "Internal server error", error: "Internal server error" });
+  }
+};
 
 export {
   updatePlatformData,
   updateDataField,
   updateUserData,
   handleUpdateUserProfile,
-  handleUserPreferences
+  handleUserPreferences,
+  handleReminderPreferences,
+  handleDigestPreferences,
+  handleTimePreferences,
 };
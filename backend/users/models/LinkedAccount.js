@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+//* A user's account on one rated platform (see users/services/platformRegistry.js)
+// What the platform's updater last returned is kept here, so adding a
+// platform needs no change to the User model.
+const linkedAccountSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    platform: {
+      type: String,
+      lowercase: true,
+      required: [true, "Platform is required."],
+    },
+    username: {
+      type: String,
+      default: null,
+    },
+    rating: {
+      type: Number,
+      default: null,
+    },
+    maxRating: {
+      type: Number,
+      default: null,
+    },
+    badge: {
+      type: String,
+      default: null,
+    },
+    fetchTime: {
+      type: Number,
+      default: 0,
+    },
+    attendedContestsCount: {
+      type: Number,
+      default: null,
+    },
+    showOnWebsite: {
+      type: Boolean,
+      default: true,
+    },
+    totalQuestions: {
+      type: Number,
+      default: 0,
+    },
+    easyQuestions: {
+      type: Number,
+      default: 0,
+    },
+    mediumQuestions: {
+      type: Number,
+      default: 0,
+    },
+    hardQuestions: {
+      type: Number,
+      default: 0,
+    },
+    codingScore: {
+      type: Number,
+      default: null,
+    },
+    instituteRank: {
+      type: Number,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+linkedAccountSchema.index({ uid: 1, platform: 1 }, { unique: true });
+// Platform leaderboards rank every rated account on the platform
+linkedAccountSchema.index({ platform: 1, rating: -1 });
+
+const LinkedAccount = mongoose.model(
+  "LinkedAccount",
+  linkedAccountSchema,
+  "linkedaccounts",
+);
+
+export default LinkedAccount;
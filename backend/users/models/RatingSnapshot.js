@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+//* A user's rating on a platform at one point in time
+// Refreshes store one without a contest; contest results from the platform's
+// own history carry the contest and are stored once per contest.
+const ratingSnapshotSchema = new mongoose.Schema(
+  {
+    uid: {
+      type: String,
+      required: [true, "uid is required."],
+    },
+    platform: {
+      type: String,
+      lowercase: true,
+      required: [true, "Platform is required."],
+    },
+    // Ratings belong to a handle; changing it starts a new history
+    handle: {
+      type: String,
+      required: [true, "Handle is required."],
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required."],
+    },
+    recordedAt: {
+      type: Date,
+      required: [true, "Time is required."],
+    },
+    contest: {
+      type: new mongoose.Schema(
+        { id: String, name: String },
+        { _id: false },
+      ),
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ratingSnapshotSchema.index({ uid: 1, platform: 1, handle: 1, recordedAt: 1 });
+ratingSnapshotSchema.index(
+  { uid: 1, platform: 1, handle: 1, "contest.id": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "contest.id": { $type: "string" } },
+  },
+);
+
+const RatingSnapshot = mongoose.model(
+  "RatingSnapshot",
+  ratingSnapshotSchema,
+  "ratingsnapshots",
+);
+
+export default RatingSnapshot;
@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import { ROLE } from "../../core/const.js";
+import { getContestSources } from "../../contest/services/sourceRegistry.js";
 
 const stringToggleSchema = new mongoose.Schema({
   data: String,
@@ -11,19 +12,6 @@ const numberToggleSchema = new mongoose.Schema({
   showOnWebsite: Boolean,
 });
 
-const contestToggleSchema = new mongoose.Schema({
-  username: String,
-  rating: Number,
-  badge: String,
-  fetchTime: Number,
-  attendedContestsCount: Number,
-  showOnWebsite: Boolean,
-  totalQuestions: Number,
-  easyQuestions:Number,
-  mediumQuestions:Number,
-  hardQuestions: Number,
-});
-
 const communitySchema = new mongoose.Schema({
   communityId: {
     type: String,
@@ -31,6 +19,47 @@ const communitySchema = new mongoose.Schema({
   },
 });
 
+const calendarEntrySchema = new mongoose.Schema(
+  {
+    host: { type: String, lowercase: true, required: true },
+    vanity: { type: String, lowercase: true, required: true },
+  },
+  { _id: false },
+);
+
+//* Secret calendar feed: the token is the only credential for the feed URL
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    token: { type: String, default: null },
+    tokenCreatedAt: { type: Date, default: null },
+    contests: { type: [calendarEntrySchema], default: [] },
+    hackathons: { type: [calendarEntrySchema], default: [] },
+  },
+  { _id: false },
+);
+
+//* Per-channel opt-in for notifications (see notifications/services/notify.js)
+// Email is on by default, matching the old Novu topic subscriptions.
+const notificationChannelsSchema = new mongoose.Schema(
+  {
+    email: {
+      enabled: { type: Boolean, default: true },
+    },
+    discord: {
+      enabled: { type: Boolean, default: false },
+      webhookUrl: { type: String, default: null },
+    },
+    webpush: {
+      enabled: { type: Boolean, default: false },
+    },
+    telegram: {
+      enabled: { type: Boolean, default: false },
+      chatId: { type: String, default: null },
+    },
+  },
+  { _id: false },
+);
+
 const userSchema = new mongoose.Schema(
   {
     uid: {
@@ -74,13 +103,61 @@ const userSchema = new mongoose.Schema(
       default: true,
     },
     preferences: {
-      contest_notifs: {
-        codechef: { type: Boolean, default: false },
-        leetcode: { type: Boolean, default: false },
-        codeforces: { type: Boolean, default: false },
-        atcoder: { type: Boolean, default: false },
-        codingninjas: { type: Boolean, default: false },
-        geeksforgeeks: { type: Boolean, default: false },
+      // One toggle per registered contest source
+      contest_notifs: Object.fromEntries(
+        getContestSources().map(({ id }) => [
+          id,
+          { type: Boolean, default: false },
+        ]),
+      ),
+      // Minutes before a contest to send reminders; empty means the defaults
+      reminder_offsets: {
+        type: [Number],
+        default: [],
+      },
+      // Opt-in email digest (see digest/services/digest.js)
+      digest: {
+        frequency: {
+          type: String,
+          enum: ["off", "daily", "weekly"],
+          default: "off",
+        },
+        lastSentAt: {
+          type: Date,
+          default: null,
+        },
+      },
+      // How times are shown in messages (see core/userTime.js); no timezone
+      // means IST on the server and the browser's zone on the site
+      timezone: {
+        type: String,
+        default: null,
+      },
+      time_format: {
+        type: String,
+        enum: ["12h", "24h"],
+        default: "12h",
+      },
+      // Outbound messages that fall inside are deferred until they end
+      quiet_hours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: "22:00",
+        },
+        end: {
+          type: String,
+          default: "07:00",
+        },
+      },
+    },
+    notifications: {
+      channels: {
+        type: notificationChannelsSchema,
+        default: () => ({}),
       },
     },
     bio: {
@@ -153,51 +230,11 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
-    codechef: {
-      type: contestToggleSchema,
-      default: {
-        username: null,
-        rating: null,
-        badge: null,
-        showOnWebsite: true,
-        fetchTime: 0,
-        attendedContestsCount: null,
-        totalQuestions:0,
-        easyQuestions:0,
-        mediumQuestions:0,
-        hardQuestions:0
-      },
-    },
-    leetcode: {
-      type: contestToggleSchema,
-      default: {
-        username: null,
-        rating: null,
-        badge: null,
-        showOnWebsite: true,
-        fetchTime: 0,
-        attendedContestsCount: null,
-        totalQuestions:0,
-        easyQuestions:0,
-        mediumQuestions:0,
-        hardQuestions:0
-      },
-    },
-    codeforces: {
-      type: contestToggleSchema,
-      default: {
-        username: null,
-        rating: null,
-        badge: null,
-        showOnWebsite: true,
-        fetchTime: 0,
-        attendedContestsCount: null,
-        totalQuestions:0,
-        easyQuestions:0,
-        mediumQuestions:0,
-        hardQuestions:0
-      },
+    calendar: {
+      type: calendarFeedSchema,
+      default: {},
     },
+    // Platform accounts live in LinkedAccount; this is their best weighted rating
     digitomize_rating: {
       type: Number,
       default: 0,
@@ -212,6 +249,24 @@ const userSchema = new mongoose.Schema(
   { timestamps: true },
 );
 
+userSchema.index(
+  { "calendar.token": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "calendar.token": { $type: "string" } },
+  },
+);
+
+// The Telegram bot looks users up by the chat a command came from
+userSchema.index(
+  { "notifications.channels.telegram.chatId": 1 },
+  {
+    partialFilterExpression: {
+      "notifications.channels.telegram.chatId": { $type: "string" },
+    },
+  },
+);
+
 userSchema.methods.updateCount = function () {
   try {
     // console.log("step1");
@@ -7,6 +7,23 @@ import {
   deleteUserFirebase,
   deleteUserDB,
 } from "../controllers/AdminUserController.js";
+import {
+  getQuarantine,
+  fixQuarantined,
+  discardQuarantined,
+} from "../../quarantine/controllers/quarantineController.js";
+import {
+  getSyncStatus,
+  getSyncRuns,
+  runSync,
+} from "../../sync/controllers/syncController.js";
+import {
+  getJobs,
+  getJobHistory,
+  runJobNow,
+} from "../../jobs/controllers/jobController.js";
+import { createAnnouncement } from "../../notifications/controllers/inboxController.js";
+import { previewDigest } from "../../digest/controllers/digestController.js";
 // import { updateUser } from "../controllers/userController.js";
 
 const router = express.Router();
@@ -23,4 +40,25 @@ router.delete(
   deleteUserDB,
 );
 
+// Scraped records that failed validation
+router.get("/quarantine", [addUID, dgmAdminCheck], getQuarantine);
+router.put("/quarantine/:id", [addUID, dgmAdminCheck], fixQuarantined);
+router.delete("/quarantine/:id", [addUID, dgmAdminCheck], discardQuarantined);
+
+// Scraper health and on-demand syncs
+router.get("/sync/status", [addUID, dgmAdminCheck], getSyncStatus);
+router.get("/sync/runs", [addUID, dgmAdminCheck], getSyncRuns);
+router.post("/sync/run", [addUID, dgmAdminCheck], runSync);
+
+// Scheduled jobs
+router.get("/jobs", [addUID, dgmAdminCheck], getJobs);
+router.get("/jobs/:name/runs", [addUID, dgmAdminCheck], getJobHistory);
+router.post("/jobs/:name/run", [addUID, dgmAdminCheck], runJobNow);
+
+// Announcements land in every user's notification inbox
+router.post("/notifications/announcements", [addUID, dgmAdminCheck], createAnnouncement);
+
+// The email digest as a user would get it now
+router.get("/digest/preview", [addUID, dgmAdminCheck], previewDigest);
+
 export default router;
@@ -2,16 +2,55 @@ import express from "express";
 import { handleUserSignup } from "../controllers/authController.js";
 import { handleUserDashboard } from "../controllers/userDashboardController.js";
 import { handleUserProfilePreview } from "../controllers/userProfileController.js";
-import { handleUpdateUserProfile, handleUserPreferences } from "../controllers/userUpdateController.js";
+import { handleUpdateUserProfile, handleUserPreferences, handleReminderPreferences, handleDigestPreferences, handleTimePreferences } from "../controllers/userUpdateController.js";
 import { addUID, dgmAdminCheck } from "../middlewares/authMiddleware.js";
+import {
+  handleGetCalendarFeed,
+  handleRotateCalendarFeed,
+  handleRevokeCalendarFeed,
+  handleMarkCalendarEntry,
+  handleCalendarFeed,
+} from "../controllers/calendarController.js";
+import {
+  getChannelSettings,
+  updateChannelSettings,
+  sendTestNotification,
+} from "../../notifications/controllers/channelController.js";
+import {
+  getPushKey,
+  getPushSubscriptions,
+  addPushSubscription,
+  deletePushSubscription,
+} from "../../notifications/controllers/pushController.js";
+import {
+  getInbox,
+  markInboxRead,
+  streamInbox,
+} from "../../notifications/controllers/inboxController.js";
+import {
+  createTelegramLink,
+  deleteTelegramLink,
+} from "../../telegram/controllers/linkController.js";
 import { getLeaderboard } from "../controllers/leaderboardController.js";
+import { handleRatingHistory } from "../controllers/ratingHistoryController.js";
+import { describePlatform, getPlatforms } from "../services/platformRegistry.js";
 import { generateSignature } from "../controllers/cloudinaryUploadController.js";
 import { generateSVG } from "../controllers/generateSVG.js";
 import { getAllTopics, TriggerContestNotifToTopic, addSubscriber, addSubscriberToTopic, createTopic, removeSubscriberFromTopic, updateDeviceID } from "../controllers/notifsController.js";
 
 const router = express.Router();
 
+// GET route for the rated platforms users can link an account on
+router.get("/platforms", (req, res) => {
+  const platforms = getPlatforms().map(describePlatform);
+  res.status(200).json({
+    total: platforms.length,
+    results: platforms,
+  });
+});
+
 router.get("/leaderboard", getLeaderboard);
+router.get("/ratings/:username/history", handleRatingHistory);
 
 // POST route for user signup
 router.post("/signup", addUID, handleUserSignup);
@@ -23,6 +62,30 @@ router.get("/dashboard", addUID, handleUserDashboard);
 router.post("/dashboard", addUID, handleUpdateUserProfile);
 
 router.post("/preferences", addUID, handleUserPreferences);
+router.post("/preferences/reminders", addUID, handleReminderPreferences);
+router.post("/preferences/digest", addUID, handleDigestPreferences);
+router.post("/preferences/time", addUID, handleTimePreferences);
+
+router.get("/calendar", addUID, handleGetCalendarFeed);
+router.post("/calendar/rotate", addUID, handleRotateCalendarFeed);
+router.delete("/calendar", addUID, handleRevokeCalendarFeed);
+router.post("/calendar/entries", addUID, handleMarkCalendarEntry);
+
+// Public: calendar apps can't send a Firebase token, the secret is in the URL
+router.get("/calendar/:token.ics", handleCalendarFeed);
+
+router.get("/notifications/channels", addUID, getChannelSettings);
+router.put("/notifications/channels/:channel", addUID, updateChannelSettings);
+router.post("/notifications/test", addUID, sendTestNotification);
+router.post("/notifications/telegram/link", addUID, createTelegramLink);
+router.delete("/notifications/telegram/link", addUID, deleteTelegramLink);
+router.get("/notifications/push/key", getPushKey);
+router.get("/notifications/push/subscriptions", addUID, getPushSubscriptions);
+router.post("/notifications/push/subscriptions", addUID, addPushSubscription);
+router.delete("/notifications/push/subscriptions/:id", addUID, deletePushSubscription);
+router.get("/notifications/inbox", addUID, getInbox);
+router.post("/notifications/inbox/read", addUID, markInboxRead);
+router.get("/notifications/inbox/stream", addUID, streamInbox);
 
 // router.post("/notifs", addUID, updateDeviceID);
 // router.post("/notifs/subscribe", addUID, addSubscriber);
@@ -0,0 +1,77 @@
+// ? Users' accounts on the rated platforms of the platform registry
+// Callers get one account per registered platform, keyed by platform id;
+// platforms the user never linked come back with the defaults.
+
+import LinkedAccount from "../models/LinkedAccount.js";
+import { getPlatforms } from "./platformRegistry.js";
+
+const ACCOUNT_DEFAULTS = {
+  username: null,
+  rating: null,
+  maxRating: null,
+  badge: null,
+  fetchTime: 0,
+  attendedContestsCount: null,
+  showOnWebsite: true,
+  totalQuestions: 0,
+  easyQuestions: 0,
+  mediumQuestions: 0,
+  hardQuestions: 0,
+  codingScore: null,
+  instituteRank: null,
+};
+
+const pickAccountFields = (account) =>
+  Object.fromEntries(
+    Object.keys(ACCOUNT_DEFAULTS)
+      .filter((field) => account?.[field] !== undefined)
+      .map((field) => [field, account[field]]),
+  );
+
+function toAccounts (documents) {
+  const byPlatform = new Map(documents.map((document) => [document.platform, document]));
+  return Object.fromEntries(
+    getPlatforms().map(({ id }) => [
+      id,
+      { ...ACCOUNT_DEFAULTS, ...pickAccountFields(byPlatform.get(id)) },
+    ]),
+  );
+}
+
+async function getLinkedAccounts (uid) {
+  return toAccounts(await LinkedAccount.find({ uid }).lean());
+}
+
+//* Accounts of many users at once, as a Map of uid to accounts
+async function getLinkedAccountsOf (uids) {
+  const byUid = new Map(uids.map((uid) => [uid, []]));
+  const documents = await LinkedAccount.find({ uid: { $in: uids } }).lean();
+  documents.forEach((document) => byUid.get(document.uid)?.push(document));
+  return new Map([...byUid].map(([uid, userDocuments]) => [uid, toAccounts(userDocuments)]));
+}
+
+async function saveLinkedAccount (uid, platform, account) {
+  await LinkedAccount.updateOne(
+    { uid, platform },
+    { $set: pickAccountFields(account) },
+    { upsert: true },
+  );
+}
+
+async function deleteLinkedAccounts (uid) {
+  await LinkedAccount.deleteMany({ uid });
+}
+
+//* The registered platforms' entries of a payload such as a signup token
+function pickLinkedAccounts (source) {
+  return Object.fromEntries(getPlatforms().map(({ id }) => [id, source?.[id]]));
+}
+
+export {
+  ACCOUNT_DEFAULTS,
+  getLinkedAccounts,
+  getLinkedAccountsOf,
+  saveLinkedAccount,
+  deleteLinkedAccounts,
+  pickLinkedAccounts,
+};
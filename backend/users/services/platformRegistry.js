@@ -0,0 +1,105 @@
+// ? Registry of rated platforms users can link an account on
+
+import { atcoder_u } from "../controllers/platforms/atcoderUpdater.js";
+import { codechef_u } from "../controllers/platforms/codechefUpdater.js";
+import { codeforces_u } from "../controllers/platforms/codeforcesUpdater.js";
+import { codingninjas_u } from "../controllers/platforms/codingninjasUpdater.js";
+import { geeksforgeeks_u } from "../controllers/platforms/geeksforgeeksUpdater.js";
+import { leetcode_u } from "../controllers/platforms/leetcodeUpdater.js";
+import { atcoderLogo } from "../utils/atcoderLogo.js";
+import { codechefLogo } from "../utils/codechefLogo.js";
+import { codeforcesLogo } from "../utils/codeforcesLogo.js";
+import { leetcodeLogo } from "../utils/leetcodeLogo.js";
+
+const platforms = new Map();
+
+//* Register a platform updater
+// A platform declares its id (the key of the user's linked account), display
+// name, profile URL prefix, the weight of its rating in the digitomize
+// rating, an update(handle) that fetches the profile and a logo for the SVG
+// card. Practice platforms without a contest rating register with weight 0
+// and no logo. Registering an existing id replaces it.
+function registerPlatform (platform) {
+  if (!platform?.id || typeof platform.update !== "function") {
+    throw new Error("A platform needs an id and an update function.");
+  }
+
+  const id = platform.id.toLowerCase();
+  platforms.set(id, {
+    name: platform.id,
+    profileUrl: null,
+    weight: 1,
+    logo: null,
+    ...platform,
+    id,
+  });
+}
+
+function getPlatforms () {
+  return [...platforms.values()];
+}
+
+function getPlatform (id) {
+  return platforms.get(String(id).toLowerCase()) || null;
+}
+
+//* Public view of a platform, safe to send to clients
+function describePlatform ({ id, name, profileUrl }) {
+  return { id, name, profileUrl };
+}
+
+registerPlatform({
+  id: "codechef",
+  name: "CodeChef",
+  profileUrl: "https://www.codechef.com/users/",
+  weight: 0.76,
+  update: codechef_u,
+  logo: codechefLogo,
+});
+
+registerPlatform({
+  id: "leetcode",
+  name: "LeetCode",
+  profileUrl: "https://leetcode.com/",
+  weight: 0.695,
+  update: leetcode_u,
+  logo: leetcodeLogo,
+});
+
+registerPlatform({
+  id: "codeforces",
+  name: "Codeforces",
+  profileUrl: "https://codeforces.com/profile/",
+  weight: 1,
+  update: codeforces_u,
+  logo: codeforcesLogo,
+});
+
+// AtCoder ratings run below Codeforces ratings for the same skill
+registerPlatform({
+  id: "atcoder",
+  name: "AtCoder",
+  profileUrl: "https://atcoder.jp/users/",
+  weight: 1.1,
+  update: atcoder_u,
+  logo: atcoderLogo,
+});
+
+// Practice platforms: problems solved and scores, no contest rating
+registerPlatform({
+  id: "geeksforgeeks",
+  name: "GeeksforGeeks",
+  profileUrl: "https://www.geeksforgeeks.org/user/",
+  weight: 0,
+  update: geeksforgeeks_u,
+});
+
+registerPlatform({
+  id: "codingninjas",
+  name: "Coding Ninjas",
+  profileUrl: "https://www.codingninjas.com/studio/profile/",
+  weight: 0,
+  update: codingninjas_u,
+});
+
+export { registerPlatform, getPlatforms, getPlatform, describePlatform };
@@ -0,0 +1,59 @@
+// ? Rating history of linked platform accounts
+// Every refresh stores the current rating; the contest history the updaters
+// return is stored too, so a newly linked account starts with its past.
+
+import RatingSnapshot from "../models/RatingSnapshot.js";
+
+const isRating = (rating) => Number.isFinite(rating) && rating > 0;
+
+//* Store what an updater returned: the rating now and its contest history
+// Contests already stored are left alone, so refreshes can resend them.
+async function recordRatingHistory (uid, platform, data, now = new Date()) {
+  const handle = data?.handle;
+  if (!handle) return;
+
+  const operations = [];
+  const rating = parseInt(data.rating);
+  if (isRating(rating)) {
+    operations.push({
+      insertOne: { document: { uid, platform, handle, rating, recordedAt: now } },
+    });
+  }
+
+  for (const { contestId, contestName, rating, timestamp } of data.history || []) {
+    if (!contestId || !isRating(rating) || !Number.isFinite(timestamp)) continue;
+    operations.push({
+      updateOne: {
+        filter: { uid, platform, handle, "contest.id": String(contestId) },
+        update: {
+          $setOnInsert: {
+            "contest.name": contestName || String(contestId),
+            rating,
+            recordedAt: new Date(timestamp * 1000),
+          },
+        },
+        upsert: true,
+      },
+    });
+  }
+
+  if (operations.length > 0) {
+    await RatingSnapshot.bulkWrite(operations, { ordered: false });
+  }
+}
+
+//* Rating points of one handle, oldest first
+async function getRatingHistory (uid, platform, handle) {
+  const snapshots = await RatingSnapshot.find({ uid, platform, handle })
+    .sort({ recordedAt: 1 })
+    .select("rating recordedAt contest")
+    .lean();
+
+  return snapshots.map(({ rating, recordedAt, contest }) => ({
+    timestamp: Math.floor(recordedAt.getTime() / 1000),
+    rating,
+    contest: contest?.id ? { id: contest.id, name: contest.name } : null,
+  }));
+}
+
+export { recordRatingHistory, getRatingHistory };
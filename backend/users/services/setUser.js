@@ -1,24 +1,17 @@
 import User from "../models/User.js";
 import { sendEmail } from "../../services/email/createAccount.js";
 import { sendWebhook_createAccount } from "../../services/discord-webhook/createAccount.js";
+import { pickLinkedAccounts, saveLinkedAccount } from "./linkedAccounts.js";
 
-// Utility function to create default contest object
-function createDefaultContestObject (platformData) {
-  const commonDefaults = {
-    rating: null,
-    badge: null,
-    fetchTime: 0,
-    attendedContestsCount: null,
-  };
-
-  if (platformData) {
-    return {
+// Links the platform accounts sent at signup, keyed by platform id
+async function linkSignupAccounts (uid, userData) {
+  const accounts = Object.entries(pickLinkedAccounts(userData))
+    .filter(([, platformData]) => platformData);
+  for (const [platform, platformData] of accounts) {
+    await saveLinkedAccount(uid, platform, {
       showOnWebsite: platformData.showOnWebsite || false,
       username: platformData.username || null,
-      ...commonDefaults,
-    };
-  } else {
-    return undefined;
+    });
   }
 }
 
@@ -38,9 +31,6 @@ const setUser = async (userData) => {
       dateOfBirth,
       phoneNumber,
       github,
-      codechef,
-      leetcode,
-      codeforces,
     } = userData;
 
     let { username } = userData;
@@ -89,12 +79,10 @@ const setUser = async (userData) => {
             data: github.data || null,
           }
         : undefined,
-      codechef: createDefaultContestObject(codechef),
-      leetcode: createDefaultContestObject(leetcode),
-      codeforces: createDefaultContestObject(codeforces),
     });
 
     const createdUser = await newUser.save();
+    await linkSignupAccounts(createdUser.uid, userData);
     // console.log(createdUser);
     // console.log("New user created.");
     if (process.env.NODE_ENV === "production") {
@@ -0,0 +1,17 @@
+const atcoderLogo = () => {
+  return `
+    <g class="logo">
+        <circle cx="246" cy="88" r="52" fill="white" />
+        <path
+            d="M246 50L212 120H226.5L233.5 104.5H258.5L265.5 120H280L246 50ZM239 92.5L246 76.5L253 92.5H239Z"
+            fill="#222222" />
+        <path
+            d="M222 128H270C271.657 128 273 129.343 273 131C273 132.657 271.657 134 270 134H222C220.343 134 219 132.657 219 131C219 129.343 220.343 128 222 128Z"
+            fill="#222222" />
+    </g>
+    `;
+};
+
+export {
+  atcoderLogo,
+};
@@ -1,23 +1,13 @@
-import { codechefLogo } from "./codechefLogo.js";
-import { codeforcesLogo } from "./codeforcesLogo.js";
-import { leetcodeLogo } from "./leetcodeLogo.js";
+import { getPlatform } from "../services/platformRegistry.js";
 import { svgBottom,svgData,svgWrapper } from "./svgUtils.js"
 
 const svgCard = (data,width,height,x,logoType) => {
     let logo = ``;
-    switch(logoType){
-        case "leetcode":
-            logo = leetcodeLogo();
-            break;
-        case "codeforces":
-            logo = codeforcesLogo();
-            break;
-        case "codechef":
-            logo = codechefLogo();
-            break;
-        default:
-            console.error(`Unsupported logoType: ${logoType}`);
-            break;
+    const platform = getPlatform(logoType);
+    if (platform?.logo) {
+        logo = platform.logo();
+    } else {
+        console.error(`Unsupported logoType: ${logoType}`);
     }
     return `
     ${svgWrapper(width,height,x)}
@@ -0,0 +1,52 @@
+// Served as-is from the site root, so it can't import modules or use env
+// variables. It handles Web Push for contest reminders and hackathon alerts.
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+// This allows the web app to trigger skipWaiting via
+// registration.waiting.postMessage({type: 'SKIP_WAITING'})
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+// The backend sends { title, body, url }
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (err) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || "digitomize", {
+      body: data.body,
+      icon: "https://res.cloudinary.com/dsazw0r59/image/upload/r_max/v1697627259/logox144.png",
+      data: { url: data.url || "/" },
+    }),
+  );
+});
+
+// Focus a tab that already shows the page, or open a new one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin).href;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        const open = windows.find((client) => client.url === url);
+        if (open) return open.focus();
+        return self.clients.openWindow(url);
+      }),
+  );
+});
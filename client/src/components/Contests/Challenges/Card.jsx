@@ -8,6 +8,7 @@ import {
 import ShareModel from "../../share_model";
 import { EmojiEvents } from "@mui/icons-material";
 import { Tooltip } from "@mui/material";
+import { useTimePreferences } from "@context/UserContext";
 
 const frontendUrl = import.meta.env.VITE_REACT_APP_FRONTEND_URL;
 const hostToSVGMap = {
@@ -18,6 +19,7 @@ const hostToSVGMap = {
 
 function Card({ contest }) {
   const { name, startTimeUnix, url, duration, host, vanity, prize } = contest;
+  const { timeZone, hour12 } = useTimePreferences();
   const startDate = new Date(startTimeUnix * 1000);
   const options = {
     year: "numeric",
@@ -25,10 +27,12 @@ function Card({ contest }) {
     day: "numeric",
     hour: "numeric",
     minute: "numeric",
-    timeZone: "Asia/Kolkata",
+    // hour12: false would show midnight as 24:00
+    hourCycle: hour12 ? "h12" : "h23",
+    timeZone,
   };
-  const startTimeIST = startDate.toLocaleString("en-US", options);
-  const endTimeIST = new Date((startTimeUnix + duration * 60) * 1000).toLocaleString("en-US", options);
+  const startsAt = startDate.toLocaleString("en-US", options);
+  const endsAt = new Date((startTimeUnix + duration * 60) * 1000).toLocaleString("en-US", options);
   const [remaningTime, setRemainingTime] = useState("loading...");
   const [show, setShow] = useState(false);
   const close_model = () => setShow(false);
@@ -63,7 +67,7 @@ function Card({ contest }) {
           id="startTime"
           className="text-card-text font-light leading-tight lowercase text-lg max-md:text-sm"
         >
-          ends: {endTimeIST}
+          ends: {endsAt}
         </p>
         <Tooltip title={host} placement="bottom" arrow>
           <img src={hostToSVGMap[host]} alt={host} width="13%"  className="object-contain"/>
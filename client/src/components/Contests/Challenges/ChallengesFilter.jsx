@@ -49,27 +49,30 @@ function ChallengesFilter() {
   const [range, setRange] = useState([0, 0]);
   const [maxValue, setMaxValue] = useState(Number);
   useEffect(() => {
-    // Fetch data from the backend API
-    const selectedPlatformsParam = selectedPlatforms.join(",");
-    const url = selectedPlatformsParam
-      ? `${backendUrl}/contests?host=${selectedPlatformsParam}`
-      : `${backendUrl}/contests`;
+    // Fetch data from the backend API, which applies the platform and duration filters
+    const params = new URLSearchParams();
+    if (selectedPlatforms.length) {
+      params.set("host", selectedPlatforms.join(","));
+    }
+    // The slider starts at [0, 0] until the first response sets its maximum
+    if (range[1] > 0) {
+      params.set("minDuration", range[0]);
+      params.set("maxDuration", range[1]);
+    }
 
-    fetch(url)
-      .then((response) => response.json())
-      .then((data) => {
-        let maxDuration = data.results?.reduce((max, current) => {
-          if (current && current.duration > max) {
-            return current.duration;
-          } else {
-            return max;
-          }
-        }, data.results[0]?.duration);
-        setMaxValue(maxDuration);
-        setContestsData(data.results);
-      })
-      .catch((error) => console.error("Error fetching data:", error));
-  }, [selectedPlatforms]);
+    // Wait for the slider to settle before asking again
+    const timer = setTimeout(() => {
+      fetch(`${backendUrl}/contests?${params}`)
+        .then((response) => response.json())
+        .then((data) => {
+          setMaxValue(data.meta?.durationRange?.max ?? 0);
+          setContestsData(data.results);
+        })
+        .catch((error) => console.error("Error fetching data:", error));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [selectedPlatforms, range]);
 
   const handleDelete = (value) => {
     let newSelectedParams = selectedPlatforms.filter(
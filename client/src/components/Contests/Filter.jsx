@@ -25,14 +25,8 @@ import {
   ListItemIcon,
   Skeleton,
 } from "@mui/material";
-import {
-  geeksforgeeks,
-  leetcode,
-  codingninjas,
-  codechef,
-  atcoder,
-  codeforces,
-} from "../AllAssets";
+import { getContestPlatforms } from "@core/api/contest.api";
+import { platformIcons } from "@core/utils/platforms";
 import Contests from "../Contests";
 import { Element } from "react-scroll";
 import CustomSlider from "../CustomSlider";
@@ -52,50 +46,44 @@ const MenuProps = {
   },
 };
 
-const platformsIcon = [
-  leetcode,
-  codingninjas,
-  geeksforgeeks,
-  codechef,
-  codeforces,
-  atcoder,
-];
-const platforms = [
-  "leetcode",
-  "codingninjas",
-  "geeksforgeeks",
-  "codechef",
-  "codeforces",
-  "atcoder",
-];
 function Filter() {
   const [contestsData, setContestsData] = useState([]);
+  const [platforms, setPlatforms] = useState([]);
   const [selectedPlatforms, setSelectedPlatforms] = useState([]);
   const [open, setOpen] = useState(false);
   const [range, setRange] = useState([0, 0]);
   const [maxValue, setMaxValue] = useState(Number);
   useEffect(() => {
-    // Fetch data from the backend API
-    const selectedPlatformsParam = selectedPlatforms.join(",");
-    const url = selectedPlatformsParam
-      ? `${backendUrl}/contests?host=${selectedPlatformsParam}`
-      : `${backendUrl}/contests`;
-      
-    fetch(url)
-      .then((response) => response.json())
-      .then((data) => {
-        let maxDuration = data.results?.reduce((max, current) => {
-          if (current && current.duration > max) {
-            return current.duration;
-          } else {
-            return max;
-          }
-        }, data.results[0]?.duration);
-        setMaxValue(maxDuration);
-        setContestsData(data.results);
-      })
-      .catch((error) => console.error("Error fetching data:", error));
-  }, [selectedPlatforms]);
+    // The platform list comes from the backend's contest-source registry
+    getContestPlatforms()
+      .then((results) => setPlatforms(results.map((platform) => platform.id)))
+      .catch((error) => console.error("Error fetching platforms:", error));
+  }, []);
+  useEffect(() => {
+    // Fetch data from the backend API, which applies the platform and duration filters
+    const params = new URLSearchParams();
+    if (selectedPlatforms.length) {
+      params.set("host", selectedPlatforms.join(","));
+    }
+    // The slider starts at [0, 0] until the first response sets its maximum
+    if (range[1] > 0) {
+      params.set("minDuration", range[0]);
+      params.set("maxDuration", range[1]);
+    }
+
+    // Wait for the slider to settle before asking again
+    const timer = setTimeout(() => {
+      fetch(`${backendUrl}/contests?${params}`)
+        .then((response) => response.json())
+        .then((data) => {
+          setMaxValue(data.meta?.durationRange?.max ?? 0);
+          setContestsData(data.results);
+        })
+        .catch((error) => console.error("Error fetching data:", error));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [selectedPlatforms, range]);
 
   const handleDelete = (value) => {
     let newSelectedParams = selectedPlatforms.filter(
@@ -144,7 +132,7 @@ function Filter() {
                       label={
                         <span style={{ display: "flex", alignItems: "center" }}>
                           <img
-                            src={platformsIcon[platforms.indexOf(value)]}
+                            src={platformIcons[value]}
                             alt={value}
                             style={{
                               width: "20px",
@@ -163,11 +151,11 @@ function Filter() {
               MenuProps={MenuProps}
             >
               {/* All the platforms list is fetched here */}
-              {platforms.map((platform, idx) => (
+              {platforms.map((platform) => (
                 <MenuItem key={platform} value={platform}>
                   <ListItemIcon>
                     <img
-                      src={platformsIcon[idx]}
+                      src={platformIcons[platform]}
                       alt="a"
                       style={{
                         width: "20px",
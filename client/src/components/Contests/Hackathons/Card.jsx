@@ -7,7 +7,9 @@ import {
 } from "../../AllAssets";
 import ShareModel from "../../share_model";
 import moment from "moment-timezone";
+import { useTimePreferences } from "@context/UserContext";
 import { CalendarPlus, Share2, MoveRight } from "lucide-react";
+import { addHackathonToGoogleCalendar } from "@core/utils/calendar";
 
 const frontendUrl = import.meta.env.VITE_REACT_APP_FRONTEND_URL;
 const hostToSVGMap = {
@@ -50,35 +52,13 @@ const generateTimeAndDateURL = (startTimeUnix) => {
   return timeAndDateURL.href;
 };
 
-const addToGoogleCalendar = ({ name, hackathonStartTimeUnix: startTimeUnix, duration, url, host }) => {
-  // Adjust the start time and duration for IST (GMT+5:30)
-  const startTimeIST = new Date((startTimeUnix + 60 * 60 - 3600) * 1000);
-  const endTimeIST = new Date((startTimeUnix + duration * 60 + 60 * 60 - 3600) * 1000);
-
-  const formattedStartTime = startTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-  const formattedEndTime = endTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-
-  const startHour = startTimeIST.getHours();
-  const startMinute = startTimeIST.getMinutes();
-  const ampm = startHour >= 12 ? "PM" : "AM";
-  const formattedStartTimeString = `${startHour % 12 || 12}:${startMinute < 10 ? "0" : ""}${startMinute} ${ampm}`;
-
-  const description = `<hr>🏆<b>Hackathon</b>🏆%0A👨🏻‍💻Name: ${name}%0A🕘Start at: ${formattedStartTimeString}%0A⏱️Duration: ${duration} minutes%0A🚀Host: ${host}%0A🔗Hackathon URL: <a href='${url}'>${url}</a>%0A<hr><i>Thank you for using <a href='https://digitomize.com'>digitomize</a></i>`;
-
-  const googleCalendarUrl = `https://calendar.google.com/calendar/u/0/r/eventedit?dates=${formattedStartTime}/${formattedEndTime}&text=${encodeURIComponent(name)}&details=${description}`;
-
-  // Open the Google Calendar event creation page in a new tab
-  window.open(googleCalendarUrl, "_blank");
-};
-
 function Card({ hackathon }) {
   const { host, name, vanity, url, registerationStartTimeUnix, registerationEndTimeUnix, hackathonStartTimeUnix: startTimeUnix, duration } = hackathon;
 
   // Get the timeAndDateURL
   const timeAndDateURL = generateTimeAndDateURL(startTimeUnix);
 
-  // Get the current User's timezone
-  const userTimezone = moment.tz.guess(true);
+  const { timeZone: userTimezone } = useTimePreferences();
 
   // Convert the Unix timestamp to a datetime in the specified timezone
   const dateTimeInTimezone = moment.tz(startTimeUnix * 1000, userTimezone);
@@ -156,7 +136,7 @@ function Card({ hackathon }) {
             <Share2 style={{ color: "white" }} className="w-5 h-5" />
           </button>
 
-          <button id="calendarButton" onClick={() => addToGoogleCalendar(hackathon)} aria-label="Google Calendar Integration">
+          <button id="calendarButton" onClick={() => addHackathonToGoogleCalendar(hackathon)} aria-label="Google Calendar Integration">
             <CalendarPlus style={{ color: "white" }} className="w-5 h-5" />
           </button>
 
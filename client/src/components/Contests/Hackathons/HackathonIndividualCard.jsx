@@ -15,31 +15,14 @@ import { Alert, AlertTitle } from "@mui/material";
 import { devfolio, devpost, unstop } from "../../AllAssets";
 import CopyToClipboard from "../../CopyToClipboard";
 import moment from "moment-timezone";
+import { useTimePreferences } from "@context/UserContext";
+import { addHackathonToGoogleCalendar } from "@core/utils/calendar";
+import CalendarFeedButton from "../../globals/CalendarFeedButton";
 
 const backendUrl = import.meta.env.VITE_REACT_APP_BACKEND_URL;
 
-const addToGoogleCalendar = ({ name, hackathonStartTimeUnix: startTimeUnix, duration, url, host }) => {
-  // Adjust the start time and duration for IST (GMT+5:30)
-  const startTimeIST = new Date((startTimeUnix +  60 * 60 - 3600) * 1000);
-  const endTimeIST = new Date((startTimeUnix + duration * 60 + 60 * 60 - 3600) * 1000);
-
-  const formattedStartTime = startTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-  const formattedEndTime = endTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-
-  const startHour = startTimeIST.getHours();
-  const startMinute = startTimeIST.getMinutes();
-  const ampm = startHour >= 12 ? "PM" : "AM";
-  const formattedStartTimeString = `${startHour % 12 || 12}:${startMinute < 10 ? "0" : ""}${startMinute} ${ampm}`;
-
-  const description = `<hr>🏆<b>Hackathon</b>🏆%0A👨🏻‍💻Name: ${name}%0A🕘Start at: ${formattedStartTimeString}%0A⏱️Duration: ${duration} minutes%0A🚀Host: ${host}%0A🔗Hackathon URL: <a href='${url}'>${url}</a>%0A<hr><i>Thank you for using <a href='https://digitomize.com'>digitomize</a></i>`;
-
-  const googleCalendarUrl = `https://calendar.google.com/calendar/u/0/r/eventedit?dates=${formattedStartTime}/${formattedEndTime}&text=${encodeURIComponent(name)}&details=${description}`;
-
-  // Open the Google Calendar event creation page in a new tab
-  window.open(googleCalendarUrl, "_blank");
-};
-
 function HackathonIndividualCard() {
+  const { timeZone: userTimezone, timeFormat } = useTimePreferences();
   const backendUrl = import.meta.env.VITE_REACT_APP_BACKEND_URL;
   const hostToSVGMap = {
     devfolio: devfolio,
@@ -82,8 +65,6 @@ function HackathonIndividualCard() {
   const durationInMilliseconds = duration * 60 * 1000;
   const endTimeUnix = startTimeUnix + durationInMilliseconds / 1000;
 
-  // Get the current User's timezone
-  const userTimezone = moment.tz.guess(true);
 
   // Convert the Unix timestamp to a datetime in the specified timezone for startTimeUnix
   const startDateTimeInTimezone = moment.tz(startTimeUnix * 1000, userTimezone);
@@ -92,13 +73,13 @@ function HackathonIndividualCard() {
   const startMonth = startDateTimeInTimezone.format("MMM");
   const startDate = startDateTimeInTimezone.format("D");
   const startYear = startDateTimeInTimezone.format("YYYY");
-  const startTime = startDateTimeInTimezone.format("h:mm A");
+  const startTime = startDateTimeInTimezone.format(timeFormat);
 
   // Convert the Unix timestamp to a datetime in the specified timezone for endTimeUnix
   const endDateTimeInTimezone = moment.tz(endTimeUnix * 1000, userTimezone);
 
   // Format the datetime as a string for endTime
-  const endTime = endDateTimeInTimezone.format("h:mm A");
+  const endTime = endDateTimeInTimezone.format(timeFormat);
 
   const getColorTheme = () => {
     if (host === "devpost") {
@@ -398,7 +379,7 @@ function HackathonIndividualCard() {
                     style={{ boxShadow: `8px 8px ${colorTheme}` }}
                   >
                     <button
-                      onClick={() => addToGoogleCalendar(hackathon)}
+                      onClick={() => addHackathonToGoogleCalendar(hackathon)}
                       style={{
                         color: "black",
                         fontWeight: "bold",
@@ -409,6 +390,13 @@ function HackathonIndividualCard() {
                       Add to Calendar <Event />
                     </button>
                   </div>
+                  <CalendarFeedButton
+                    type="hackathon"
+                    host={hackathon.host}
+                    vanity={hackathon.vanity}
+                    className="mv-btn-div"
+                    colorTheme={colorTheme}
+                  />
 
                   <a
                     href={url + "?ref=digitomize&utm_source=digitomize"}
@@ -915,7 +903,7 @@ function HackathonIndividualCard() {
                       style={{ boxShadow: `8px 8px ${colorTheme}` }}
                     >
                       <button
-                        onClick={() => addToGoogleCalendar(hackathon)}
+                        onClick={() => addHackathonToGoogleCalendar(hackathon)}
                         style={{
                           color: "black",
                           fontWeight: "bold",
@@ -926,6 +914,13 @@ function HackathonIndividualCard() {
                         Add to Calendar <Event />
                       </button>
                     </div>
+                    <CalendarFeedButton
+                      type="hackathon"
+                      host={hackathon.host}
+                      vanity={hackathon.vanity}
+                      className="btn-div"
+                      colorTheme={colorTheme}
+                    />
                     <a
                       href={url + "?ref=digitomize&utm_source=digitomize"}
                       target="_blank"
@@ -13,6 +13,7 @@ import codechef from "@assets/codechef.svg";
 import codeforces from "@assets/codeforces.svg";
 import atcoder from "@assets/atcoder.svg";
 import CopyToClipboard from "./CopyToClipboard";
+import { useTimePreferences } from "@context/UserContext";
 
 const backendUrl = import.meta.env.VITE_REACT_APP_BACKEND_URL;
 
@@ -40,6 +41,7 @@ function IndividualCard() {
   }, [vanity]);
 
   const isMobile = useMediaQuery({ query: "(max-width: 768px)" });
+  const { timeZone, hour12 } = useTimePreferences();
 
   const [remaningTime, setRemainingTime] = useState("0");
   if (contest === null) {
@@ -72,11 +74,11 @@ function IndividualCard() {
   const options = {
     hour: "numeric",
     minute: "numeric",
-    hour12: true,
-    timeZone: "Asia/Kolkata",
+    hour12,
+    timeZone,
   };
-  const startTimeIST = startDate.toLocaleString("en-US", options);
-  const endTimeIST = endDate.toLocaleString("en-US", options);
+  const startTime = startDate.toLocaleString("en-US", options);
+  const endTime = endDate.toLocaleString("en-US", options);
 
   const hours = Math.floor(duration / 60);
   const minutes = duration % 60;
@@ -102,7 +104,7 @@ function IndividualCard() {
     };
   }, []);
 
-  const contentDescription = `${name} | ${startTimeIST} (IST)`.toLowerCase();
+  const contentDescription = `${name} | ${startTime}`.toLowerCase();
   const contentTitle = `${host} | Digitomize`.toLowerCase();
   const pageTitle = `${name} | Digitomize`.toLowerCase();
   return (
@@ -164,7 +166,7 @@ function IndividualCard() {
                   </div>
                   <div className='ic-mv-child-third'>
                     <div className='ic-mv-child-third-first'>
-                      <div className='mv-start-time-div' style={{ backgroundColor: colorTheme, fontSize: "3.8vw", color: "black", fontWeight: "bold", padding: "1.5vw", display: "inline-block" }}>{startTimeIST}</div>
+                      <div className='mv-start-time-div' style={{ backgroundColor: colorTheme, fontSize: "3.8vw", color: "black", fontWeight: "bold", padding: "1.5vw", display: "inline-block" }}>{startTime}</div>
                     </div>
                     <div className='ic-mv-child-third-second'><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg></div>
                     <div className='ic-mv-child-third-third'>
@@ -180,7 +182,7 @@ function IndividualCard() {
                     </div>
                     <div className='ic-mv-child-third-fourth'><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg><svg xmlns="http://www.w3.org/2000/svg" width="6" height="6" fill="currentColor" className="bi bi-square-fill" viewBox="0 0 16 16"> <path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /> </svg></div>
                     <div className='ic-mv-child-third-fifth'>
-                      <div className='mv-end-time-div' style={{ backgroundColor: colorTheme, fontSize: "3.8vw", color: "black", fontWeight: "bold", padding: "1.5vw", display: "inline-block" }}>{endTimeIST}</div>
+                      <div className='mv-end-time-div' style={{ backgroundColor: colorTheme, fontSize: "3.8vw", color: "black", fontWeight: "bold", padding: "1.5vw", display: "inline-block" }}>{endTime}</div>
                     </div>
                   </div>
                   <div className='ic-mv-child-fourth'>
@@ -233,13 +235,13 @@ function IndividualCard() {
               </svg></div>
               <div className='ic-child-left'>
                 <div className='ic-child-left-zeroth'></div>
-                <div className='ic-child-left-first'><div className='ic-child-left-first-inner' style={{ backgroundColor: colorTheme }}><p style={{ fontSize: "20px", marginLeft: "30px", color: "black", fontWeight: "bold", paddingTop: "5px", display: "inline-block" }}>{startTimeIST}</p></div></div>
+                <div className='ic-child-left-first'><div className='ic-child-left-first-inner' style={{ backgroundColor: colorTheme }}><p style={{ fontSize: "20px", marginLeft: "30px", color: "black", fontWeight: "bold", paddingTop: "5px", display: "inline-block" }}>{startTime}</p></div></div>
                 <div className='ic-child-left-second'><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg></div>
                 <div className='ic-child-left-third'></div>
                 <div className='ic-child-left-fourth'><p style={{ marginLeft: "125px", marginTop: "8px", fontSize: "20px", display: "inline-block" }}>{durationFormatted}</p></div>
                 <div className='ic-child-left-fifth'></div>
                 <div className='ic-child-left-sixth'><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg><svg xmlns="http://www.w3.org/2000/svg" width="5" height="5" fill="currentColor" className="bi bi-square-fill left-filled-box" viewBox="0 0 16 16"><path d="M0 2a2 2 0 0 1 2-2h12a2 2 0 0 1 2 2v12a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2V2z" /></svg></div>
-                <div className='ic-child-left-seventh'><div className='ic-child-left-seventh-inner' style={{ backgroundColor: colorTheme }}><p style={{ fontSize: "20px", marginLeft: "30px", color: "black", fontWeight: "bold", paddingTop: "5px", display: "inline-block" }}>{endTimeIST}</p></div></div>
+                <div className='ic-child-left-seventh'><div className='ic-child-left-seventh-inner' style={{ backgroundColor: colorTheme }}><p style={{ fontSize: "20px", marginLeft: "30px", color: "black", fontWeight: "bold", paddingTop: "5px", display: "inline-block" }}>{endTime}</p></div></div>
                 <div className='ic-child-left-eight'></div>
               </div>
               <div className='ic-child-center'>
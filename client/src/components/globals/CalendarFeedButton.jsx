@@ -0,0 +1,40 @@
+import { useState } from "react";
+import { useUserAuth } from "@context/UserAuthContext";
+import { markCalendarEntry } from "@core/api/user.api";
+
+// Adds a contest or hackathon to the signed-in user's personal calendar feed
+function CalendarFeedButton({ type, host, vanity, className, colorTheme }) {
+  const { user } = useUserAuth();
+  const [marked, setMarked] = useState(false);
+
+  if (!user) {
+    return null;
+  }
+
+  const handleClick = async () => {
+    try {
+      await markCalendarEntry({ type, host, vanity, marked: !marked });
+      setMarked(!marked);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className={className} style={{ boxShadow: `8px 8px ${colorTheme}` }}>
+      <button
+        onClick={handleClick}
+        style={{
+          color: "black",
+          fontWeight: "bold",
+          fontSize: "20px",
+          marginTop: "17px",
+        }}
+      >
+        {marked ? "In my feed ✓" : "Add to my feed"}
+      </button>
+    </div>
+  );
+}
+
+export default CalendarFeedButton;
@@ -10,7 +10,9 @@ import {
 } from "../AllAssets";
 import ShareModel from "../share_model";
 import moment from "moment-timezone";
+import { useTimePreferences } from "@context/UserContext";
 import { CalendarPlus, Share2, MoveRight } from "lucide-react";
+import { addToGoogleCalendar } from "@core/utils/calendar";
 
 const frontendUrl = import.meta.env.VITE_REACT_APP_FRONTEND_URL;
 const hostToSVGMap = {
@@ -55,27 +57,6 @@ const generateTimeAndDateURL = (startTimeUnix) => {
   return timeAndDateURL.href;
 };
 
-const addToGoogleCalendar = ({ name, startTimeUnix, duration, url, host, vanity }) => {
-  // Adjust the start time and duration for IST (GMT+5:30)
-  const startTimeIST = new Date((startTimeUnix + 60 * 60 - 3600) * 1000);
-  const endTimeIST = new Date((startTimeUnix + duration * 60 + 60 * 60 - 3600) * 1000);
-
-  const formattedStartTime = startTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-  const formattedEndTime = endTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-
-  const startHour = startTimeIST.getHours();
-  const startMinute = startTimeIST.getMinutes();
-  const ampm = startHour >= 12 ? "PM" : "AM";
-  const formattedStartTimeString = `${startHour % 12 || 12}:${startMinute < 10 ? "0" : ""}${startMinute} ${ampm}`;
-
-  const description = `<hr>🏆<b>Contest</b>🏆%0A👨🏻‍💻Name: ${name}%0A🕘Start at: ${formattedStartTimeString}%0A⏱️Duration: ${duration} minutes%0A🚀Host: ${host}%0A🔗Contest URL: <a href='${url}'>${url}</a>%0A<hr><i>Thank you for using <a href='https://digitomize.com'>digitomize</a></i>`;
-
-  const googleCalendarUrl = `https://calendar.google.com/calendar/u/0/r/eventedit?dates=${formattedStartTime}/${formattedEndTime}&text=${encodeURIComponent(name)}&details=${description}`;
-
-  // Open the Google Calendar event creation page in a new tab
-  window.open(googleCalendarUrl, "_blank");
-};
-
 function Card({ contest }) {
   const navigate = useNavigate();
   const { name, startTimeUnix, url, duration, host, vanity } = contest;
@@ -83,8 +64,7 @@ function Card({ contest }) {
   // Get the timeAndDateURL
   const timeAndDateURL = generateTimeAndDateURL(startTimeUnix);
 
-  // Get the current User's timezone
-  const userTimezone = moment.tz.guess(true);
+  const { timeZone: userTimezone, timeFormat } = useTimePreferences();
 
   // Convert the Unix timestamp to a datetime in the specified timezone
   const dateTimeInTimezone = moment.tz(startTimeUnix * 1000, userTimezone);
@@ -93,7 +73,7 @@ function Card({ contest }) {
   const startMonth = dateTimeInTimezone.format("MMMM");
   const startDate = dateTimeInTimezone.format("D");
   const startYear = dateTimeInTimezone.format("YYYY");
-  const startTime = dateTimeInTimezone.format("h:mm A");
+  const startTime = dateTimeInTimezone.format(timeFormat);
 
   const [remaningTime, setRemainingTime] = useState("loading...");
   const [show, setShow] = useState(false);
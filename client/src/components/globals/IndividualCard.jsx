@@ -22,31 +22,14 @@ import atcoder from "@assets/atcoder.svg";
 import CopyToClipboard from "../CopyToClipboard";
 import { useUserAuth } from "@context/UserAuthContext";
 import moment from "moment-timezone";
+import { useTimePreferences } from "@context/UserContext";
+import { addToGoogleCalendar } from "@core/utils/calendar";
+import CalendarFeedButton from "./CalendarFeedButton";
 
 const backendUrl = import.meta.env.VITE_REACT_APP_BACKEND_URL;
 
-const addToGoogleCalendar = ({ name, startTimeUnix, duration, url, host, vanity }) => {
-  // Adjust the start time and duration for IST (GMT+5:30)
-  const startTimeIST = new Date((startTimeUnix + 60 * 60 - 3600) * 1000);
-  const endTimeIST = new Date((startTimeUnix + duration * 60 + 60 * 60 - 3600) * 1000);
-
-  const formattedStartTime = startTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-  const formattedEndTime = endTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
-
-  const startHour = startTimeIST.getHours();
-  const startMinute = startTimeIST.getMinutes();
-  const ampm = startHour >= 12 ? "PM" : "AM";
-  const formattedStartTimeString = `${startHour % 12 || 12}:${startMinute < 10 ? "0" : ""}${startMinute} ${ampm}`;
-
-  const description = `<hr>🏆<b>Contest</b>🏆%0A👨🏻‍💻Name: ${name}%0A🕘Start at: ${formattedStartTimeString}%0A⏱️Duration: ${duration} minutes%0A🚀Host: ${host}%0A🔗Contest URL: <a href='${url}'>${url}</a>%0A<hr><i>Thank you for using <a href='https://digitomize.com'>digitomize</a></i>`;
-
-  const googleCalendarUrl = `https://calendar.google.com/calendar/u/0/r/eventedit?dates=${formattedStartTime}/${formattedEndTime}&text=${encodeURIComponent(name)}&details=${description}`;
-
-  // Open the Google Calendar event creation page in a new tab
-  window.open(googleCalendarUrl, "_blank");
-};
-
 function IndividualCard() {
+  const { timeZone: userTimezone, timeFormat } = useTimePreferences();
   const { user } = useUserAuth();
   const backendUrl = import.meta.env.VITE_REACT_APP_BACKEND_URL;
   const hostToSVGMap = {
@@ -98,8 +81,6 @@ function IndividualCard() {
   const durationInMilliseconds = duration * 60 * 1000;
   const endTimeUnix = startTimeUnix + durationInMilliseconds / 1000;
 
-  // Get the current User's timezone
-  const userTimezone = moment.tz.guess(true);
 
   // Convert the Unix timestamp to a datetime in the specified timezone for startTimeUnix
   const startDateTimeInTimezone = moment.tz(startTimeUnix * 1000, userTimezone);
@@ -108,13 +89,13 @@ function IndividualCard() {
   const startMonth = startDateTimeInTimezone.format("MMM");
   const startDate = startDateTimeInTimezone.format("D");
   const startYear = startDateTimeInTimezone.format("YYYY");
-  const startTime = startDateTimeInTimezone.format("h:mm A");
+  const startTime = startDateTimeInTimezone.format(timeFormat);
 
   // Convert the Unix timestamp to a datetime in the specified timezone for endTimeUnix
   const endDateTimeInTimezone = moment.tz(endTimeUnix * 1000, userTimezone);
 
   // Format the datetime as a string for endTime
-  const endTime = endDateTimeInTimezone.format("h:mm A");
+  const endTime = endDateTimeInTimezone.format(timeFormat);
 
   const getColorTheme = () => {
     if (host === "leetcode") {
@@ -443,6 +424,13 @@ function IndividualCard() {
                       Add to Calendar <Event />
                     </button>
                   </div>
+                  <CalendarFeedButton
+                    type="contest"
+                    host={contest.host}
+                    vanity={contest.vanity}
+                    className="mv-btn-div"
+                    colorTheme={colorTheme}
+                  />
 
                   <a
                     href={url + "?ref=digitomize&utm_source=digitomize"}
@@ -960,6 +948,13 @@ function IndividualCard() {
                         Add to Calendar <Event />
                       </button>
                     </div>
+                    <CalendarFeedButton
+                      type="contest"
+                      host={contest.host}
+                      vanity={contest.vanity}
+                      className="btn-div"
+                      colorTheme={colorTheme}
+                    />
                     <a
                       href={url + "?ref=digitomize&utm_source=digitomize"}
                       target="_blank"
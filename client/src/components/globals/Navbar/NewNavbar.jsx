@@ -5,7 +5,7 @@ import { logo } from "../../AllAssets";
 import { useUserAuth } from "../../../context/UserAuthContext";
 import { useUserDetails } from "../../../context/UserContext";
 import { ROLE } from "../../../core/utils/const";
-import Novu from "../Notifs/Novu";
+import NotificationBell from "../Notifs/NotificationBell";
 
 
 import formbricks from "@formbricks/js/website";
@@ -222,7 +222,7 @@ export default function NewNavbar({ position }) {
           </div>
         </div>
         <div className="flex items-center flex-wrap">
-          {user && <Novu user={user} />}
+          {user && <NotificationBell />}
         </div>
       </div>
     </>
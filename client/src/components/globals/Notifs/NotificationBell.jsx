@@ -0,0 +1,180 @@
+import { useState, useEffect } from "react";
+import { IoMdNotificationsOutline } from "react-icons/io";
+import {
+  getInbox,
+  markInboxRead,
+  openInboxStream,
+} from "../../../core/api/user.api";
+
+const PAGE_SIZE = 10;
+const RECONNECT_DELAYS = [2000, 5000, 15000, 30000];
+
+const typeLabels = {
+  "contest.reminder": "Contest",
+  "contest.change": "Contest",
+  "hackathon.deadline": "Hackathon",
+  "rating.change": "Rating",
+  "community.invite": "Community",
+  "admin.announcement": "Announcement",
+  test: "Test",
+};
+
+//* "5m ago", "3h ago", "2d ago"
+function timeAgo(date) {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  return `${Math.floor(minutes / (24 * 60))}d ago`;
+}
+
+function NotificationBell() {
+  const [unread, setUnread] = useState(0);
+  const [items, setItems] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+
+  // Keep the badge live; reconnect with a growing delay when the stream drops
+  useEffect(() => {
+    const controller = new AbortController();
+    let attempt = 0;
+    let timer;
+
+    const connect = () => {
+      openInboxStream({
+        signal: controller.signal,
+        onEvent: (name, data) => {
+          attempt = 0;
+          if (name === "unread") setUnread(data.unread);
+          if (name === "notification") {
+            setUnread((count) => count + 1);
+            setItems((prev) => (prev ? [data, ...prev] : prev));
+          }
+        },
+      })
+        .catch((err) => {
+          if (err?.auth === false) controller.abort();
+        })
+        .finally(() => {
+          if (controller.signal.aborted) return;
+          const delay = RECONNECT_DELAYS[Math.min(attempt, RECONNECT_DELAYS.length - 1)];
+          attempt += 1;
+          timer = setTimeout(connect, delay);
+        });
+    };
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(timer);
+    };
+  }, []);
+
+  const loadPage = async (nextPage) => {
+    try {
+      const res = await getInbox({ page: nextPage, limit: PAGE_SIZE });
+      // Items that arrived live shift the pages, so skip ones already shown
+      setItems((prev) =>
+        nextPage === 1
+          ? res.data.items
+          : [...prev, ...res.data.items.filter((item) => !prev.some(({ id }) => id === item.id))],
+      );
+      setPage(nextPage);
+      setPages(res.data.pages);
+      setUnread(res.data.unread);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  const handleOpen = () => {
+    if (!items) loadPage(1);
+  };
+
+  const handleRead = async (item) => {
+    if (!item.read) {
+      setItems((prev) =>
+        prev.map((entry) => (entry.id === item.id ? { ...entry, read: true } : entry)),
+      );
+      markInboxRead({ ids: [item.id] })
+        .then((res) => setUnread(res.data.unread))
+        .catch((err) => console.error(err));
+    }
+    if (item.url) window.open(item.url, "_blank", "noopener,noreferrer");
+  };
+
+  const handleReadAll = async () => {
+    try {
+      const res = await markInboxRead({ all: true });
+      setUnread(res.data.unread);
+      setItems((prev) => prev?.map((item) => ({ ...item, read: true })));
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  return (
+    <div className="dropdown dropdown-end dropdown-bottom">
+      <label
+        tabIndex={0}
+        className="btn btn-ghost btn-circle relative"
+        onClick={handleOpen}
+        aria-label={`Notifications, ${unread} unread`}
+      >
+        <IoMdNotificationsOutline className="text-2xl text-zinc-400" />
+        {unread > 0 && (
+          <span className="badge badge-sm badge-error absolute -top-1 -right-1">
+            {unread > 99 ? "99+" : unread}
+          </span>
+        )}
+      </label>
+      <div
+        tabIndex={0}
+        className="dropdown-content z-[1] mt-2 w-80 rounded-box bg-base-100 shadow text-zinc-300"
+      >
+        <div className="flex items-center justify-between border-b border-jet px-4 py-3">
+          <span className="font-semibold">Notifications</span>
+          {unread > 0 && (
+            <button type="button" className="btn btn-xs btn-ghost" onClick={handleReadAll}>
+              Mark all as read
+            </button>
+          )}
+        </div>
+        <ul className="max-h-96 overflow-y-auto">
+          {!items && <li className="px-4 py-3 text-sm text-gray-500">Loading...</li>}
+          {items?.length === 0 && (
+            <li className="px-4 py-3 text-sm text-gray-500">You&apos;re all caught up.</li>
+          )}
+          {items?.map((item) => (
+            <li key={item.id}>
+              <button
+                type="button"
+                className={`w-full px-4 py-3 text-left hover:bg-zinc-800 ${item.read ? "opacity-60" : ""}`}
+                onClick={() => handleRead(item)}
+              >
+                <div className="flex items-center justify-between text-xs text-gray-500">
+                  <span>{typeLabels[item.type] || "Notification"}</span>
+                  <span>{timeAgo(item.createdAt)}</span>
+                </div>
+                <div className="mt-1 flex items-start gap-2 text-sm">
+                  {!item.read && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-custom-blue" />}
+                  <span>{item.title}</span>
+                </div>
+                {item.body && <p className="mt-1 text-xs text-gray-400">{item.body}</p>}
+              </button>
+            </li>
+          ))}
+        </ul>
+        {items && page < pages && (
+          <div className="border-t border-jet px-4 py-2 text-center">
+            <button type="button" className="btn btn-xs btn-ghost" onClick={() => loadPage(page + 1)}>
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -24,8 +24,22 @@ export function UserContextProvider({ children }) {
       });
   }, [user]);
 
+  //* Merge saved preferences in, so the whole site picks them up right away
+  const updatePreferences = (changes) =>
+    setUserDetails((prev) =>
+      prev
+        ? {
+          ...prev,
+          personal_data: {
+            ...prev.personal_data,
+            preferences: { ...prev.personal_data?.preferences, ...changes },
+          },
+        }
+        : prev,
+    );
+
   return (
-    <userContext.Provider value={{ userDetails }}>
+    <userContext.Provider value={{ userDetails, updatePreferences }}>
       {children}
     </userContext.Provider>
   );
@@ -34,3 +48,16 @@ export function UserContextProvider({ children }) {
 export function useUserDetails() {
   return useContext(userContext);
 }
+
+//* Timezone and clock to show times in
+// Signed-out users, and users who never picked a timezone, get the browser's.
+export function useTimePreferences() {
+  const preferences = useContext(userContext)?.userDetails?.personal_data?.preferences;
+  const hour12 = preferences?.time_format !== "24h";
+  return {
+    timeZone: preferences?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    hour12,
+    // moment format of a time of day
+    timeFormat: hour12 ? "h:mm A" : "HH:mm",
+  };
+}
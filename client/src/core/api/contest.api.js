@@ -0,0 +1,53 @@
+import axios from "axios";
+import { isLoggedIn } from "../../../api";
+import { auth } from "../../../firebase";
+import { BACKEND_URL } from "../utils/const";
+
+// Platforms currently enabled in the backend's contest-source registry
+export const getContestPlatforms = async () => {
+  const res = await axios.get(`${BACKEND_URL}/contests/platforms`);
+  return res.data.results;
+};
+
+// Latest sync run and health of every contest and hackathon source (admin)
+export const getSyncStatus = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.get(`${BACKEND_URL}/admin/sync/status`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// Start a sync of one source right away (admin)
+export const runSourceSync = async (source) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(`${BACKEND_URL}/admin/sync/run`, null, {
+        params: { source },
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
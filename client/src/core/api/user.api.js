@@ -133,3 +133,417 @@ export const deleteUser = async (body) => {
     }
   }
 };
+
+export const getCalendarFeed = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.get(`${BACKEND_URL}/user/calendar`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+export const rotateCalendarFeed = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(`${BACKEND_URL}/user/calendar/rotate`, {}, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// type is "contest" or "hackathon"; marked: false removes it from the feed
+export const markCalendarEntry = async ({ type, host, vanity, marked }) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(
+        `${BACKEND_URL}/user/calendar/entries`,
+        { type, host, vanity, marked },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// offsets: minutes before a contest starts, e.g. [1440, 60, 10]
+export const setReminderOffsets = async (offsets) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(
+        `${BACKEND_URL}/user/preferences/reminders`,
+        { offsets },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// frequency: "off", "daily" or "weekly"
+export const setDigestFrequency = async (frequency) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(
+        `${BACKEND_URL}/user/preferences/digest`,
+        { frequency },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+export const setTimePreferences = async (preferences) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(`${BACKEND_URL}/user/preferences/time`, preferences, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+export const getNotificationChannels = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.get(`${BACKEND_URL}/user/notifications/channels`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// settings: { enabled, webhookUrl } (webhookUrl only for Discord)
+export const updateNotificationChannel = async (channel, settings) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.put(
+        `${BACKEND_URL}/user/notifications/channels/${channel}`,
+        settings,
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+export const sendTestNotification = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(`${BACKEND_URL}/user/notifications/test`, {}, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// Public VAPID key the browser subscribes with
+export const getPushKey = async () => {
+  return axios.get(`${BACKEND_URL}/user/notifications/push/key`);
+};
+
+export const getPushSubscriptions = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.get(`${BACKEND_URL}/user/notifications/push/subscriptions`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// subscription: PushSubscription.toJSON(), label: a name for this browser
+export const addPushSubscription = async ({ subscription, label }) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(
+        `${BACKEND_URL}/user/notifications/push/subscriptions`,
+        { subscription, label },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+export const deletePushSubscription = async (id) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.delete(
+        `${BACKEND_URL}/user/notifications/push/subscriptions/${id}`,
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+          },
+        },
+      );
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// Public, like the profile: points of a user's rating on one platform
+// Rated platforms users can link an account on, from the backend's platform registry
+export const getRatedPlatforms = async () => {
+  const res = await axios.get(`${BACKEND_URL}/user/platforms`);
+  return res.data.results;
+};
+
+export const getRatingHistory = async (username, platform) => {
+  const res = await axios.get(
+    `${BACKEND_URL}/user/ratings/${encodeURIComponent(username)}/history`,
+    { params: { platform } },
+  );
+  return res.data;
+};
+
+export const createTelegramLink = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(`${BACKEND_URL}/user/notifications/telegram/link`, {}, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+export const unlinkTelegram = async () => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.delete(`${BACKEND_URL}/user/notifications/telegram/link`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// params: { page, limit, unread }
+export const getInbox = async (params = {}) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.get(`${BACKEND_URL}/user/notifications/inbox`, {
+        params,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// body: { ids } or { all: true }
+export const markInboxRead = async (body) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      return axios.post(`${BACKEND_URL}/user/notifications/inbox/read`, body, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
+
+// Reads the inbox's Server-Sent Events with fetch, since EventSource can't
+// send the Authorization header. Calls onEvent(name, data) for every event and
+// resolves when the server closes the stream; abort the signal to close it.
+export const openInboxStream = async ({ onEvent, signal }) => {
+  const loggedIn = await isLoggedIn();
+
+  if (loggedIn) {
+    const currentUser = auth.currentUser;
+    const accessToken = await currentUser.getIdToken();
+
+    if (accessToken) {
+      const response = await fetch(`${BACKEND_URL}/user/notifications/inbox/stream`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+        signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Inbox stream failed with status ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = "";
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += value;
+        const messages = buffer.split("\n\n");
+        buffer = messages.pop();
+        messages.forEach((message) => {
+          const name = message.match(/^event: (.*)$/m)?.[1];
+          const data = message.match(/^data: (.*)$/m)?.[1];
+          if (name && data) onEvent(name, JSON.parse(data));
+        });
+      }
+    }
+  }
+  return new Promise((resolve, reject) => {
+    reject({ auth: false });
+  });
+};
@@ -0,0 +1,25 @@
+// Opens Google Calendar's event editor prefilled for a contest or hackathon
+export const addToGoogleCalendar = ({ name, startTimeUnix, duration, url, host }, type = "Contest") => {
+  // Adjust the start time and duration for IST (GMT+5:30)
+  const startTimeIST = new Date((startTimeUnix + 60 * 60 - 3600) * 1000);
+  const endTimeIST = new Date((startTimeUnix + duration * 60 + 60 * 60 - 3600) * 1000);
+
+  const formattedStartTime = startTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
+  const formattedEndTime = endTimeIST.toISOString().replace(/[-:]/g, "").replace(".000", "+05:30");
+
+  const startHour = startTimeIST.getHours();
+  const startMinute = startTimeIST.getMinutes();
+  const ampm = startHour >= 12 ? "PM" : "AM";
+  const formattedStartTimeString = `${startHour % 12 || 12}:${startMinute < 10 ? "0" : ""}${startMinute} ${ampm}`;
+
+  const description = `<hr>🏆<b>${type}</b>🏆%0A👨🏻‍💻Name: ${name}%0A🕘Start at: ${formattedStartTimeString}%0A⏱️Duration: ${duration} minutes%0A🚀Host: ${host}%0A🔗${type} URL: <a href='${url}'>${url}</a>%0A<hr><i>Thank you for using <a href='https://digitomize.com'>digitomize</a></i>`;
+
+  const googleCalendarUrl = `https://calendar.google.com/calendar/u/0/r/eventedit?dates=${formattedStartTime}/${formattedEndTime}&text=${encodeURIComponent(name)}&details=${description}`;
+
+  // Open the Google Calendar event creation page in a new tab
+  window.open(googleCalendarUrl, "_blank");
+};
+
+// Hackathons store their start time under a different key
+export const addHackathonToGoogleCalendar = ({ hackathonStartTimeUnix, ...hackathon }) =>
+  addToGoogleCalendar({ ...hackathon, startTimeUnix: hackathonStartTimeUnix }, "Hackathon");
@@ -0,0 +1,18 @@
+import {
+  geeksforgeeks,
+  leetcode,
+  codingninjas,
+  codechef,
+  atcoder,
+  codeforces,
+} from "@components/AllAssets";
+
+// Icons bundled with the client, keyed by contest-source id
+export const platformIcons = {
+  leetcode,
+  codingninjas,
+  geeksforgeeks,
+  codechef,
+  codeforces,
+  atcoder,
+};
@@ -1,11 +1,173 @@
-import { Container, Typography } from "@mui/material";
+import { toast } from "react-toastify";
+import { useCallback, useEffect, useState } from "react";
+import {
+  Button,
+  Chip,
+  Container,
+  Paper,
+  Stack,
+  Table,
+  TableBody,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { getSyncStatus, runSourceSync } from "@core/api/contest.api";
+import { StyledTableCell, StyledTableRow } from "../../../index.styled";
+
+// Poll faster while a sync is in progress
+const POLL_MS = 60 * 1000;
+const POLL_RUNNING_MS = 5 * 1000;
+
+function formatTime(value) {
+  if (!value) return "never";
+
+  return new Date(value).toLocaleString("en-US", {
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "numeric",
+    hour12: false,
+  });
+}
+
+function SourceState({ source }) {
+  if (source.running) return <Chip size="small" color="info" label="running" />;
+  if (!source.enabled) return <Chip size="small" label="disabled" />;
+  if (source.stale) return <Chip size="small" color="error" label="stale" />;
+  if (source.lastRun?.status === "failed") {
+    return <Chip size="small" color="warning" label="failed" />;
+  }
+  return <Chip size="small" color="success" label="ok" />;
+}
+
+function RunCounts({ counts }) {
+  if (!counts) return "-";
+
+  return (
+    <p className="text-xs">
+      {counts.fetched} fetched · {counts.new} new · {counts.updated} updated ·{" "}
+      {counts.unchanged} unchanged · {counts.invalid} invalid
+    </p>
+  );
+}
 
 export default function ContestListPage() {
+  const [sources, setSources] = useState([]);
+  const [starting, setStarting] = useState(null);
+
+  const loadStatus = useCallback(() => {
+    getSyncStatus()
+      .then((response) => {
+        setSources(response.data.results);
+      })
+      .catch((error) => {
+        console.error(error);
+      });
+  }, []);
+
+  const anyRunning = sources.some((source) => source.running);
+
+  useEffect(() => {
+    loadStatus();
+    const timer = setInterval(loadStatus, anyRunning ? POLL_RUNNING_MS : POLL_MS);
+    return () => clearInterval(timer);
+  }, [loadStatus, anyRunning]);
+
+  const handleRun = (source) => {
+    setStarting(source.id);
+    runSourceSync(source.id)
+      .then((response) => {
+        toast.success(response.data.message);
+        loadStatus();
+      })
+      .catch((error) => {
+        toast.error(error.response?.data?.message || "Could not start sync");
+      })
+      .finally(() => {
+        setStarting(null);
+      });
+  };
+
   return (
-    <Container class="w-10/12 m-auto mt-10">
-      <Typography variant="h4" fontWeight={500} mb={2}>
-        contests
+    <Container class="w-10/12 m-auto my-10 max-phone:mt-24">
+      <Stack
+        mb={2}
+        direction={"row"}
+        justifyContent={"space-between"}
+        alignItems={"center"}
+      >
+        <Typography variant="h4" fontWeight={500}>
+          contests
+        </Typography>
+        <Button onClick={loadStatus}>Refresh</Button>
+      </Stack>
+
+      <Typography variant="h6" fontWeight={500} mb={1}>
+        sync status
       </Typography>
+      <TableContainer component={Paper}>
+        <Table
+          sx={{ minWidth: 700, overflowWrap: "anywhere" }}
+          aria-label="sync status table"
+        >
+          <TableHead>
+            <TableRow>
+              <StyledTableCell>Source</StyledTableCell>
+              <StyledTableCell>State</StyledTableCell>
+              <StyledTableCell>Last run</StyledTableCell>
+              <StyledTableCell>Items</StyledTableCell>
+              <StyledTableCell>Last success</StyledTableCell>
+              <StyledTableCell>Actions</StyledTableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {sources.map((source) => (
+              <StyledTableRow key={`${source.kind}-${source.id}`}>
+                <StyledTableCell component="th" scope="row">
+                  <p>{source.name}</p>
+                  <p className="text-xs">
+                    {source.kind} · every {source.intervalMinutes} min
+                  </p>
+                </StyledTableCell>
+                <StyledTableCell>
+                  <SourceState source={source} />
+                </StyledTableCell>
+                <StyledTableCell>
+                  <p>{formatTime(source.lastRun?.startedAt)}</p>
+                  {source.lastRun?.durationMs !== undefined && (
+                    <p className="text-xs">
+                      {(source.lastRun.durationMs / 1000).toFixed(1)}s ·{" "}
+                      {source.lastRun.trigger}
+                    </p>
+                  )}
+                  {source.lastRun?.error && (
+                    <p className="text-xs text-red-500">
+                      {source.lastRun.error}
+                    </p>
+                  )}
+                </StyledTableCell>
+                <StyledTableCell>
+                  <RunCounts counts={source.lastRun?.counts} />
+                </StyledTableCell>
+                <StyledTableCell>{formatTime(source.lastSuccessAt)}</StyledTableCell>
+                <StyledTableCell>
+                  <Button
+                    size="small"
+                    disabled={
+                      !source.enabled || source.running || starting === source.id
+                    }
+                    onClick={() => handleRun(source)}
+                  >
+                    Run now
+                  </Button>
+                </StyledTableCell>
+              </StyledTableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
     </Container>
   );
 }
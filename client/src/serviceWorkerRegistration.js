@@ -20,19 +20,21 @@ const isLocalhost = Boolean(
     ),
 );
 
+// Vite copies public/service-worker.js to the site root
+const swUrl = `${import.meta.env.BASE_URL}service-worker.js`;
+
 export function register(config) {
-  if (process.env.NODE_ENV === "production" && "serviceWorker" in navigator) {
+  if (import.meta.env.PROD && "serviceWorker" in navigator) {
     // The URL constructor is available in all browsers that support SW.
-    const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+    const publicUrl = new URL(import.meta.env.BASE_URL, window.location.href);
     if (publicUrl.origin !== window.location.origin) {
-      // Our service worker won't work if PUBLIC_URL is on a different origin
+      // Our service worker won't work if BASE_URL is on a different origin
       // from what our page is served on. This might happen if a CDN is used to
       // serve assets; see https://github.com/facebook/create-react-app/issues/2374
       return;
     }
 
     window.addEventListener("load", () => {
-      const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
 
       if (isLocalhost) {
         // This is running on localhost. Let's check if a service worker still exists or not.
@@ -128,6 +130,16 @@ function checkValidServiceWorker(swUrl, config) {
     });
 }
 
+// Web Push needs the worker in development too, so this registers it on demand
+export function getRegistration() {
+  if (!("serviceWorker" in navigator)) {
+    return Promise.reject(new Error("Service workers are not supported"));
+  }
+  return navigator.serviceWorker
+    .register(swUrl)
+    .then(() => navigator.serviceWorker.ready);
+}
+
 export function unregister() {
   if ("serviceWorker" in navigator) {
     navigator.serviceWorker.ready
@@ -2,12 +2,16 @@ import { useState } from "react";
 import { useOutletContext, useParams, useLocation } from "react-router-dom";
 import EmojiEventsIcon from "@mui/icons-material/EmojiEvents";
 import leetcode from "@assets/leetcode.svg";
-// import codingninjas from "@assets/codingninjas.png";
+import codingninjas from "@assets/codingninjas.png";
+import geeksforgeeks from "@assets/geeksforgeeks.svg";
 import codechef from "@assets/codechef.svg";
 import codeforces from "@assets/codeforces.svg";
+import atcoder from "@assets/atcoder.svg";
 import { OpenInNew } from "@mui/icons-material";
 import { Helmet } from "react-helmet";
 import ShareModel from "@components/share_model.jsx";
+import RatingHistoryChart from "./RatingHistoryChart";
+import { useTimePreferences } from "@context/UserContext";
 
 const frontendUrl = import.meta.env.VITE_REACT_APP_FRONTEND_URL;
 function PlatformRatings() {
@@ -15,6 +19,7 @@ function PlatformRatings() {
   const { platform } = useParams();
   // console.log(platform);
   const location = useLocation();
+  const { timeZone, hour12 } = useTimePreferences();
   const [show, setShow] = useState(false);
   const close_model = () => setShow(false);
 
@@ -46,6 +51,24 @@ function PlatformRatings() {
       profileUrl: "https://leetcode.com/",
       img: leetcode,
     },
+    atcoder: {
+      name: "AtCoder",
+      link: "atcoder",
+      profileUrl: "https://atcoder.jp/users/",
+      img: atcoder,
+    },
+    geeksforgeeks: {
+      name: "GeeksforGeeks",
+      link: "geeksforgeeks",
+      profileUrl: "https://www.geeksforgeeks.org/user/",
+      img: geeksforgeeks,
+    },
+    codingninjas: {
+      name: "Coding Ninjas",
+      link: "codingninjas",
+      profileUrl: "https://www.codingninjas.com/studio/profile/",
+      img: codingninjas,
+    },
   };
   var platformData = data.ratings[platform];
   // if (platformData.username == null || platformData.rating == null) {
@@ -58,9 +81,10 @@ function PlatformRatings() {
     day: "numeric",
     hour: "numeric",
     minute: "numeric",
-    timeZone: "Asia/Kolkata",
+    hour12,
+    timeZone,
   };
-  const startTimeIST = startDate.toLocaleString("en-US", options);
+  const fetchedAt = startDate.toLocaleString("en-US", options);
   const pageTitle = `${platform} | ${data.personal_data.name}`;
   const contentDescription = platformData.rating
     ? `${platformData?.badge} with ${platformData?.rating} rating | ${platformData?.attendedContestsCount} contests | @${platformData?.username} | ${data.personal_data.name}'s ratings | ${platform} | ${data.personal_data.name}`
@@ -116,28 +140,59 @@ function PlatformRatings() {
                   <OpenInNew />
                 </a>
               </h2>
-              <div className="info flex flex-row w-full justify-around my-3">
-                <div className="flex flex-col items-center">
-                  <h3 className="text-xl">{platformData?.rating || "null"}</h3>
-                  <div className="badge badge-outline text-[#f6c43d] my-2">
-                    Rating
+              {platformData?.rating !== null && (
+                <div className="info flex flex-row w-full justify-around my-3">
+                  <div className="flex flex-col items-center">
+                    <h3 className="text-xl">{platformData?.rating || "null"}</h3>
+                    <div className="badge badge-outline text-[#f6c43d] my-2">
+                      Rating
+                    </div>
                   </div>
-                </div>
-                <div className="flex flex-col items-center">
-                  <h3 className="text-xl">{platformData?.badge || "null"}</h3>
-                  <div className="badge text-[#1789ca] badge-outline my-2">
-                    badge
+                  {platformData?.maxRating && (
+                    <div className="flex flex-col items-center">
+                      <h3 className="text-xl">{platformData.maxRating}</h3>
+                      <div className="badge badge-outline text-[#f6c43d] my-2">
+                        Highest
+                      </div>
+                    </div>
+                  )}
+                  <div className="flex flex-col items-center">
+                    <h3 className="text-xl">{platformData?.badge || "null"}</h3>
+                    <div className="badge text-[#1789ca] badge-outline my-2">
+                      badge
+                    </div>
                   </div>
-                </div>
-                <div className="flex flex-col items-center">
-                  <h3 className="text-xl">
-                    {platformData?.attendedContestsCount || "null"}
-                  </h3>
-                  <div className="badge badge-outline text-[#da2828] my-2">
-                    contests
+                  <div className="flex flex-col items-center">
+                    <h3 className="text-xl">
+                      {platformData?.attendedContestsCount || "null"}
+                    </h3>
+                    <div className="badge badge-outline text-[#da2828] my-2">
+                      contests
+                    </div>
                   </div>
                 </div>
-              </div>
+              )}
+              {platformData?.totalQuestions > 0 && (
+                <div className="info flex flex-row flex-wrap w-full justify-around my-3">
+                  {[
+                    ["solved", platformData.totalQuestions, "text-[#f6c43d]"],
+                    ["easy", platformData.easyQuestions, "text-[#1fb42e]"],
+                    ["medium", platformData.mediumQuestions, "text-[#1789ca]"],
+                    ["hard", platformData.hardQuestions, "text-[#da2828]"],
+                    ["score", platformData.codingScore, "text-[#f6c43d]"],
+                    ["institute rank", platformData.instituteRank, "text-[#1789ca]"],
+                  ]
+                    .filter(([, value]) => value !== null)
+                    .map(([label, value, color]) => (
+                      <div className="flex flex-col items-center" key={label}>
+                        <h3 className="text-xl">{value}</h3>
+                        <div className={`badge badge-outline ${color} my-2`}>
+                          {label}
+                        </div>
+                      </div>
+                    ))}
+                </div>
+              )}
               <div className="buttons">
                 <button
                   className="btn btn-outline btn-accent"
@@ -148,8 +203,16 @@ function PlatformRatings() {
                 {show && main_model}
               </div>
             </div>
+            {platformData?.rating !== null && (
+              <div className="px-4">
+                <RatingHistoryChart
+                  username={data.personal_data.username}
+                  platform={platform}
+                />
+              </div>
+            )}
             <div className="fetch-time flex w-full justify-center p-2">
-              <p className="text-sm">Last fetched: {startTimeIST}</p>
+              <p className="text-sm">Last fetched: {fetchedAt}</p>
             </div>
           </div>
         </div>
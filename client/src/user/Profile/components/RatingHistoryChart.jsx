@@ -0,0 +1,98 @@
+import { useEffect, useMemo, useState } from "react";
+import { getRatingHistory } from "@core/api/user.api";
+import { useTimePreferences } from "../../../context/UserContext";
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+function RatingHistoryChart({ username, platform }) {
+  const { timeZone } = useTimePreferences();
+  const [points, setPoints] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPoints(null);
+    getRatingHistory(username, platform)
+      .then((history) => !cancelled && setPoints(history.points))
+      .catch((err) => {
+        console.error(err);
+        if (!cancelled) setPoints([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [username, platform]);
+
+  const chart = useMemo(() => {
+    if (!points || points.length < 2) return null;
+
+    const times = points.map(({ timestamp }) => timestamp);
+    const ratings = points.map(({ rating }) => rating);
+    const [minTime, maxTime] = [Math.min(...times), Math.max(...times)];
+    // Some room above and below, and a flat history still gets a band
+    const [minRating, maxRating] = [Math.min(...ratings) - 50, Math.max(...ratings) + 50];
+    const x = (time) =>
+      PADDING.left + ((time - minTime) / (maxTime - minTime || 1)) * (WIDTH - PADDING.left - PADDING.right);
+    const y = (rating) =>
+      HEIGHT - PADDING.bottom - ((rating - minRating) / (maxRating - minRating)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+    return {
+      path: points.map(({ timestamp, rating }, i) => `${i ? "L" : "M"}${x(timestamp)},${y(rating)}`).join(" "),
+      dots: points.map((point) => ({ ...point, cx: x(point.timestamp), cy: y(point.rating) })),
+      yTicks: [minRating + 50, Math.round((minRating + maxRating) / 2), maxRating - 50].map((rating) => ({
+        rating,
+        y: y(rating),
+      })),
+      minTime,
+      maxTime,
+    };
+  }, [points]);
+
+  if (!points) return null;
+  if (!chart) {
+    return (
+      <p className="text-sm text-gray-500 my-4">
+        The rating history shows up here after a few contests.
+      </p>
+    );
+  }
+
+  const formatDate = (timestamp) =>
+    new Date(timestamp * 1000).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      timeZone,
+    });
+
+  return (
+    <figure className="w-full my-4">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Rating history">
+        {chart.yTicks.map(({ rating, y }) => (
+          <g key={rating}>
+            <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y} y2={y} stroke="#3b3b3b" strokeDasharray="4 4" />
+            <text x={PADDING.left - 8} y={y + 4} textAnchor="end" fontSize="12" fill="#9ca3af">
+              {rating}
+            </text>
+          </g>
+        ))}
+        <path d={chart.path} fill="none" stroke="#1789ca" strokeWidth="2" />
+        {chart.dots.map(({ timestamp, rating, contest, cx, cy }) => (
+          <circle key={`${timestamp}-${rating}`} cx={cx} cy={cy} r="3" fill="#f6c43d">
+            <title>{`${contest ? `${contest.name}: ` : ""}${rating} on ${formatDate(timestamp)}`}</title>
+          </circle>
+        ))}
+        <text x={PADDING.left} y={HEIGHT - 8} fontSize="12" fill="#9ca3af">
+          {formatDate(chart.minTime)}
+        </text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" fontSize="12" fill="#9ca3af">
+          {formatDate(chart.maxTime)}
+        </text>
+      </svg>
+      <figcaption className="text-sm text-gray-500">Rating history</figcaption>
+    </figure>
+  );
+}
+
+export default RatingHistoryChart;
@@ -9,9 +9,11 @@ import {
 } from "react-router-dom";
 import UserCard from "../components/UserCard";
 import leetcode from "@assets/leetcode.svg";
-// import codingninjas from "@assets/codingninjas.png";
+import codingninjas from "@assets/codingninjas.png";
+import geeksforgeeks from "@assets/geeksforgeeks.svg";
 import codechef from "@assets/codechef.svg";
 import codeforces from "@assets/codeforces.svg";
+import atcoder from "@assets/atcoder.svg";
 
 function ProfileRatingsPage() {
   const navigate = useNavigate();
@@ -40,12 +42,34 @@ function ProfileRatingsPage() {
       username: profileData.ratings.leetcode.username,
       rating: profileData.ratings.leetcode.rating,
     },
-  ], [profileData.ratings.codeforces.rating, profileData.ratings.codechef.rating, profileData.ratings.leetcode.rating]);
+    {
+      name: "AtCoder",
+      link: "atcoder",
+      img: atcoder,
+      username: profileData.ratings.atcoder.username,
+      rating: profileData.ratings.atcoder.rating,
+    },
+    {
+      name: "GeeksforGeeks",
+      link: "geeksforgeeks",
+      img: geeksforgeeks,
+      username: profileData.ratings.geeksforgeeks.username,
+      rating: profileData.ratings.geeksforgeeks.rating,
+    },
+    {
+      name: "Coding Ninjas",
+      link: "codingninjas",
+      img: codingninjas,
+      username: profileData.ratings.codingninjas.username,
+      rating: profileData.ratings.codingninjas.rating,
+    },
+  ], [profileData.ratings]);
 
   React.useEffect(() => {
-    const platformWithRating = contestLinks.find(
-      (platform) => platform.rating !== null,
-    );
+    // Practice platforms have no rating, so fall back to any linked one
+    const platformWithRating =
+      contestLinks.find((platform) => platform.rating !== null) ||
+      contestLinks.find((platform) => platform.username !== null);
     
     if(!platform){
       /*
@@ -1,5 +1,6 @@
 import React from "react";
 import moment from "moment-timezone";
+import { useTimePreferences } from "@context/UserContext";
 import { Link } from "react-router-dom";
 import {
   geeksforgeeks,
@@ -54,8 +55,7 @@ function ContestCard({ data }) {
   const { name, startTimeUnix, url, duration, host, vanity } = data;
   const timeAndDateURL = generateTimeAndDateURL(startTimeUnix);
 
-  // Get the current User's timezone
-  const userTimezone = moment.tz.guess(true);
+  const { timeZone: userTimezone, timeFormat } = useTimePreferences();
 
   // Convert the Unix timestamp to a datetime in the specified timezone
   const dateTimeInTimezone = moment.tz(startTimeUnix * 1000, userTimezone);
@@ -64,7 +64,7 @@ function ContestCard({ data }) {
   const startMonth = dateTimeInTimezone.format("MMMM");
   const startDate = dateTimeInTimezone.format("D");
   const startYear = dateTimeInTimezone.format("YYYY");
-  const startTime = dateTimeInTimezone.format("h:mm A");
+  const startTime = dateTimeInTimezone.format(timeFormat);
   return (
       <Link to={`/contests/${vanity}`}>
         <div className="flex flex-1 px-3 py-2 flex-row   space-x-2 border border-solid border-[#EBEBEB] bg-eerie-black-2 rounded-[2px] min-w-[200px]">
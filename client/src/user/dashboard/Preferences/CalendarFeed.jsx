@@ -0,0 +1,111 @@
+import { useState, useEffect } from "react";
+import { toast } from "react-toastify";
+import {
+  getCalendarFeed,
+  rotateCalendarFeed,
+  markCalendarEntry,
+} from "../../../core/api/user.api";
+
+function CalendarFeed() {
+  const [feed, setFeed] = useState(null);
+
+  useEffect(() => {
+    getCalendarFeed()
+      .then((res) => setFeed(res.data))
+      .catch((err) => console.error(err));
+  }, []);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.webcalUrl);
+      toast.success("Calendar link copied!");
+    } catch (err) {
+      console.error(err);
+      toast.error("Couldn't copy the link, please copy it manually.");
+    }
+  };
+
+  const handleRotate = async () => {
+    try {
+      const res = await rotateCalendarFeed();
+      setFeed(res.data);
+      toast.success("New link created. The old one no longer works.");
+    } catch (err) {
+      console.error(err);
+      toast.error("Couldn't create a new link.");
+    }
+  };
+
+  const handleUnmark = async (type, { host, vanity }) => {
+    try {
+      const res = await markCalendarEntry({ type, host, vanity, marked: false });
+      setFeed((prev) => ({ ...prev, ...res.data }));
+    } catch (err) {
+      console.error(err);
+      toast.error("Couldn't update your calendar.");
+    }
+  };
+
+  const markedEntries = feed
+    ? [
+      ...feed.contests.map((entry) => ({ ...entry, type: "contest" })),
+      ...feed.hackathons.map((entry) => ({ ...entry, type: "hackathon" })),
+    ]
+    : [];
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:space-x-20 space-y-8 sm:space-y-0 my-8">
+      <div className="flex-1 mt-8">
+        <h3 className="text-base font-semibold text-gray-200">Calendar feed</h3>
+        <p className="mt-3 font-light text-sm text-gray-500">
+          Subscribe to this private link in Google, Outlook or Apple Calendar to
+          get contests from your selected platforms and everything you added to
+          your calendar. Keep it secret; create a new link if it leaks.
+        </p>
+      </div>
+
+      <div className="flex-2 rounded-lg shadow bg-dashboardColor border border-jet">
+        <div className="px-3 phone:px-6 py-8 flex flex-col gap-4">
+          {feed ? (
+            <>
+              <input
+                type="text"
+                readOnly
+                value={feed.webcalUrl}
+                onFocus={(e) => e.target.select()}
+                className="w-full rounded-md bg-dashboardDarkColor border border-jet px-3 py-2 text-sm text-gray-300"
+              />
+              <div className="flex gap-2">
+                <button type="button" className="btn btn-sm btn-outline" onClick={handleCopy}>
+                  Copy link
+                </button>
+                <a className="btn btn-sm btn-outline" href={feed.webcalUrl}>
+                  Subscribe
+                </a>
+                <button type="button" className="btn btn-sm btn-outline btn-error" onClick={handleRotate}>
+                  New link
+                </button>
+              </div>
+              {markedEntries.length > 0 && (
+                <ul className="text-sm text-gray-400">
+                  {markedEntries.map((entry) => (
+                    <li key={`${entry.type}-${entry.host}-${entry.vanity}`} className="flex justify-between gap-4">
+                      <span>{entry.host} / {entry.vanity}</span>
+                      <button type="button" className="text-digitomize-bg" onClick={() => handleUnmark(entry.type, entry)}>
+                        remove
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Loading your calendar link...</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CalendarFeed;
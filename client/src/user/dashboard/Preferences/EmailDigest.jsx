@@ -0,0 +1,50 @@
+import { toast } from "react-toastify";
+import { setDigestFrequency } from "../../../core/api/user.api";
+
+const DIGEST_CHOICES = [
+  { value: "off", label: "Off" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" },
+];
+
+function EmailDigest({ frequency, setFrequency }) {
+  const handleChange = async (value) => {
+    if (value === frequency) return;
+    try {
+      const res = await setDigestFrequency(value);
+      setFrequency(res.data.frequency);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.message || "Couldn't update your digest.");
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:space-x-20 space-y-8 sm:space-y-0 my-8">
+      <div className="flex-1 mt-8">
+        <h3 className="text-base font-semibold text-gray-200">Email digest</h3>
+        <p className="mt-3 font-light text-sm text-gray-500">
+          Upcoming contests on your platforms, hackathons closing soon and your rating
+          changes, in one email.
+        </p>
+      </div>
+
+      <div className="flex-2 rounded-lg shadow bg-dashboardColor border border-jet">
+        <div className="px-3 phone:px-6 py-8 flex flex-wrap gap-2">
+          {DIGEST_CHOICES.map(({ value, label }) => (
+            <button
+              key={value}
+              type="button"
+              className={`btn btn-sm ${frequency === value ? "btn-primary" : "btn-outline"}`}
+              onClick={() => handleChange(value)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EmailDigest;
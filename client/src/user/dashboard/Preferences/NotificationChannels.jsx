@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback } from "react";
+import { toast } from "react-toastify";
+import {
+  getNotificationChannels,
+  updateNotificationChannel,
+  sendTestNotification,
+} from "../../../core/api/user.api";
+import TelegramLink from "./TelegramLink";
+
+function NotificationChannels() {
+  const [channels, setChannels] = useState(null);
+  const [webhookUrl, setWebhookUrl] = useState("");
+
+  useEffect(() => {
+    getNotificationChannels()
+      .then((res) => {
+        setChannels(res.data.channels);
+        const discord = res.data.channels.find((channel) => channel.id === "discord");
+        setWebhookUrl(discord?.webhookUrl || "");
+      })
+      .catch((err) => console.error(err));
+  }, []);
+
+  const replaceChannel = useCallback(
+    (updated) =>
+      setChannels((prev) =>
+        prev.map((channel) => (channel.id === updated.id ? updated : channel)),
+      ),
+    [],
+  );
+
+  const saveChannel = async (id, settings) => {
+    try {
+      const res = await updateNotificationChannel(id, settings);
+      replaceChannel(res.data);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.message || "Couldn't update the channel.");
+    }
+  };
+
+  const handleToggle = (channel) => {
+    const settings = { enabled: !channel.enabled };
+    if (channel.id === "discord") settings.webhookUrl = webhookUrl || null;
+    saveChannel(channel.id, settings);
+  };
+
+  const handleTest = async () => {
+    try {
+      const res = await sendTestNotification();
+      const { delivered, failed } = res.data;
+      if (delivered.length > 0) toast.success(`Sent to ${delivered.join(", ")}`);
+      failed.forEach(({ channel, error }) => toast.error(`${channel}: ${error}`));
+      if (delivered.length === 0 && failed.length === 0) {
+        toast.info("Turn on a channel first.");
+      }
+    } catch (err) {
+      console.error(err);
+      toast.error("Couldn't send a test notification.");
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:space-x-20 space-y-8 sm:space-y-0 my-8">
+      <div className="flex-1 mt-8">
+        <h3 className="text-base font-semibold text-gray-200">Notification channels</h3>
+        <p className="mt-3 font-light text-sm text-gray-500">
+          Where contest reminders and other notifications reach you.
+        </p>
+      </div>
+
+      <div className="flex-2 rounded-lg shadow bg-dashboardColor border border-jet">
+        <div className="px-3 phone:px-6 py-8 flex flex-col gap-4">
+          {channels ? (
+            <>
+              {channels.map((channel) => (
+                <div key={channel.id} className="flex flex-col gap-2">
+                  <label className="flex items-center justify-between gap-4 text-sm text-gray-300">
+                    <span>
+                      {channel.name}
+                      {!channel.available && (
+                        <span className="ml-2 text-gray-500">(not available yet)</span>
+                      )}
+                    </span>
+                    <input
+                      type="checkbox"
+                      className="toggle toggle-sm"
+                      checked={channel.enabled}
+                      disabled={!channel.available}
+                      onChange={() => handleToggle(channel)}
+                    />
+                  </label>
+                  {channel.id === "discord" && (
+                    <input
+                      type="url"
+                      placeholder="https://discord.com/api/webhooks/..."
+                      value={webhookUrl}
+                      onChange={(e) => setWebhookUrl(e.target.value)}
+                      onBlur={() =>
+                        webhookUrl !== (channel.webhookUrl || "") &&
+                        saveChannel("discord", {
+                          enabled: channel.enabled && Boolean(webhookUrl),
+                          webhookUrl: webhookUrl || null,
+                        })
+                      }
+                      className="w-full rounded-md bg-dashboardDarkColor border border-jet px-3 py-2 text-sm text-gray-300"
+                    />
+                  )}
+                  {channel.id === "telegram" && (
+                    <TelegramLink channel={channel} onChange={replaceChannel} />
+                  )}
+                </div>
+              ))}
+              <div>
+                <button type="button" className="btn btn-sm btn-outline" onClick={handleTest}>
+                  Send a test notification
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Loading your channels...</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationChannels;
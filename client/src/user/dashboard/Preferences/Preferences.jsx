@@ -5,24 +5,21 @@ import { useState, useEffect } from "react";
 import { submitUserFormData } from "../../../../api";
 import { toast, ToastContainer } from "react-toastify";
 import BasicInfo from "./Selecting";
+import CalendarFeed from "./CalendarFeed";
+import ReminderTimes from "./ReminderTimes";
+import EmailDigest from "./EmailDigest";
+import TimeSettings from "./TimeSettings";
+import NotificationChannels from "./NotificationChannels";
+import PushDevices from "./PushDevices";
 import { changeUserPreferences, userDashboardDetails } from "../../../../api";
 
-import { atcoder, leetcode, codechef, codeforces, geeksforgeeks, codingninjas } from "../../../components/AllAssets";
+import { getContestPlatforms } from "../../../core/api/contest.api";
+import { platformIcons } from "../../../core/utils/platforms";
 
 import LoadingScreen from "../../../components/globals/LoadingScreen";
 import { MetaData } from "../../../components/CustomComponents";
 
-const platformsData = [
-  { name: "leetcode", icon: leetcode },
-  { name: "codingninjas", icon: codingninjas },
-  { name: "geeksforgeeks", icon: geeksforgeeks },
-  { name: "codechef", icon: codechef },
-  { name: "codeforces", icon: codeforces },
-  { name: "atcoder", icon: atcoder },
-];
-
-
-
+const defaultQuietHours = { enabled: false, start: "22:00", end: "07:00" };
 
 function Preferences() {
   const loaderData = useLoaderData();
@@ -30,15 +27,28 @@ function Preferences() {
   // ! CAN USE THIS BUT NO LOADING SCREEN - need to check this
 
   const [loading, setLoading] = useState(true);
+  const [platformsData, setPlatformsData] = useState([]);
 
   useEffect(() => {
     async function fetchData() {
       try {
+        // Only platforms enabled in the contest-source registry can be toggled
+        const platforms = await getContestPlatforms();
+        setPlatformsData(
+          platforms.map(({ id }) => ({ name: id, icon: platformIcons[id] })),
+        );
         const res = await userDashboardDetails();
         // console.log(" res", res);
         if (res.data) {
           setFormData({
             contest_notifs: res.data.personal_data.preferences.contest_notifs,
+            reminder_offsets: res.data.personal_data.preferences.reminder_offsets,
+            digest_frequency: res.data.personal_data.preferences.digest?.frequency || "off",
+            time_settings: {
+              timezone: res.data.personal_data.preferences.timezone || null,
+              time_format: res.data.personal_data.preferences.time_format || "12h",
+              quiet_hours: res.data.personal_data.preferences.quiet_hours || defaultQuietHours,
+            },
           });
         }
         // console.log("OKK:", formData);
@@ -53,7 +63,14 @@ function Preferences() {
   }, []);
 
   const [formData, setFormData] = useState({
-    contest_notifs: Object.fromEntries(platformsData.map(({ name }) => [name, false])),
+    contest_notifs: {},
+    reminder_offsets: [],
+    digest_frequency: "off",
+    time_settings: {
+      timezone: null,
+      time_format: "12h",
+      quiet_hours: defaultQuietHours,
+    },
   });
 
   const handleToggleChange = async (event) => {
@@ -117,6 +134,33 @@ function Preferences() {
 
           <BasicInfo platformsData={platformsData} formData={formData} setFormData={setFormData} handleToggleChange={handleToggleChange} />
 
+          <NotificationChannels />
+
+          <PushDevices />
+
+          <ReminderTimes
+            offsets={formData.reminder_offsets}
+            setOffsets={(offsets) =>
+              setFormData((prevData) => ({ ...prevData, reminder_offsets: offsets }))
+            }
+          />
+
+          <TimeSettings
+            settings={formData.time_settings}
+            setSettings={(settings) =>
+              setFormData((prevData) => ({ ...prevData, time_settings: settings }))
+            }
+          />
+
+          <EmailDigest
+            frequency={formData.digest_frequency}
+            setFrequency={(frequency) =>
+              setFormData((prevData) => ({ ...prevData, digest_frequency: frequency }))
+            }
+          />
+
+          <CalendarFeed />
+
           {/* <GenderAndDOB handleInputChange={handleInputChange} dobChange={dobChange} /> */}
           {/* 
           <SubmitBtn handleSubmit={handleSubmit} /> */}
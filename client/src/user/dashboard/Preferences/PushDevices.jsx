@@ -0,0 +1,146 @@
+import { useState, useEffect } from "react";
+import { toast } from "react-toastify";
+import {
+  getPushKey,
+  getPushSubscriptions,
+  addPushSubscription,
+  deletePushSubscription,
+} from "../../../core/api/user.api";
+import { getRegistration } from "../../../serviceWorkerRegistration";
+
+const supportsPush =
+  "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+//* The VAPID key arrives base64url encoded; pushManager wants the raw bytes
+function urlBase64ToUint8Array(value) {
+  const padding = "=".repeat((4 - (value.length % 4)) % 4);
+  const base64 = (value + padding).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+//* "Chrome on Windows", good enough to tell devices apart in the list
+function describeBrowser() {
+  const agent = navigator.userAgent;
+  const browser =
+    ["Edg", "OPR", "Firefox", "Chrome", "Safari"].find((name) => agent.includes(name)) ||
+    "Browser";
+  const os =
+    ["Android", "iPhone", "iPad", "Windows", "Mac OS", "Linux"].find((name) =>
+      agent.includes(name),
+    ) || "unknown device";
+  const names = { Edg: "Edge", OPR: "Opera", "Mac OS": "macOS" };
+  return `${names[browser] || browser} on ${names[os] || os}`;
+}
+
+function PushDevices() {
+  const [devices, setDevices] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getPushSubscriptions()
+      .then((res) => setDevices(res.data.subscriptions))
+      .catch((err) => console.error(err));
+  }, []);
+
+  const handleEnable = async () => {
+    setBusy(true);
+    try {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        toast.error("Allow notifications for this site in your browser first.");
+        return;
+      }
+
+      const { data } = await getPushKey();
+      const registration = await getRegistration();
+      const subscription =
+        (await registration.pushManager.getSubscription()) ||
+        (await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(data.publicKey),
+        }));
+
+      const res = await addPushSubscription({
+        subscription: subscription.toJSON(),
+        label: describeBrowser(),
+      });
+      setDevices((prev) => [
+        ...(prev || []).filter((device) => device.id !== res.data.id),
+        res.data,
+      ]);
+      toast.success("Notifications enabled on this browser.");
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.message || "Couldn't enable notifications.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRemove = async (id) => {
+    try {
+      await deletePushSubscription(id);
+      setDevices((prev) => prev.filter((device) => device.id !== id));
+    } catch (err) {
+      console.error(err);
+      toast.error("Couldn't remove the device.");
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:space-x-20 space-y-8 sm:space-y-0 my-8">
+      <div className="flex-1 mt-8">
+        <h3 className="text-base font-semibold text-gray-200">Browser notifications</h3>
+        <p className="mt-3 font-light text-sm text-gray-500">
+          Get reminders in your browser, even when digitomize isn&apos;t open.
+        </p>
+      </div>
+
+      <div className="flex-2 rounded-lg shadow bg-dashboardColor border border-jet">
+        <div className="px-3 phone:px-6 py-8 flex flex-col gap-4">
+          {devices ? (
+            <>
+              {devices.length === 0 && (
+                <p className="text-sm text-gray-500">No browsers yet.</p>
+              )}
+              {devices.map((device) => (
+                <div
+                  key={device.id}
+                  className="flex items-center justify-between gap-4 text-sm text-gray-300"
+                >
+                  <span>{device.label || "Unnamed browser"}</span>
+                  <button
+                    type="button"
+                    className="btn btn-xs btn-ghost text-gray-400"
+                    onClick={() => handleRemove(device.id)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <div>
+                <button
+                  type="button"
+                  className="btn btn-sm btn-outline"
+                  disabled={!supportsPush || busy}
+                  onClick={handleEnable}
+                >
+                  Enable on this browser
+                </button>
+                {!supportsPush && (
+                  <p className="mt-2 text-xs text-gray-500">
+                    This browser doesn&apos;t support push notifications.
+                  </p>
+                )}
+              </div>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Loading your devices...</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PushDevices;
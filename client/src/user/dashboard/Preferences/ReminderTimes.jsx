@@ -0,0 +1,69 @@
+import { toast } from "react-toastify";
+import { setReminderOffsets } from "../../../core/api/user.api";
+
+// Same defaults as the backend uses when nothing is picked
+const DEFAULT_OFFSETS = [1440, 60, 10];
+
+const REMINDER_CHOICES = [
+  { minutes: 2880, label: "2 days before" },
+  { minutes: 1440, label: "1 day before" },
+  { minutes: 180, label: "3 hours before" },
+  { minutes: 60, label: "1 hour before" },
+  { minutes: 30, label: "30 minutes before" },
+  { minutes: 10, label: "10 minutes before" },
+];
+const MAX_REMINDERS = 5;
+
+function ReminderTimes({ offsets, setOffsets }) {
+  const selected = offsets?.length ? offsets : DEFAULT_OFFSETS;
+
+  const handleToggle = async (minutes) => {
+    const next = selected.includes(minutes)
+      ? selected.filter((offset) => offset !== minutes)
+      : [...selected, minutes];
+    if (next.length === 0) {
+      toast.info("Keep at least one reminder time.");
+      return;
+    }
+    if (next.length > MAX_REMINDERS) {
+      toast.info(`You can pick up to ${MAX_REMINDERS} reminder times.`);
+      return;
+    }
+
+    try {
+      const res = await setReminderOffsets(next);
+      setOffsets(res.data.offsets);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.message || "Couldn't update your reminders.");
+    }
+  };
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:space-x-20 space-y-8 sm:space-y-0 my-8">
+      <div className="flex-1 mt-8">
+        <h3 className="text-base font-semibold text-gray-200">Reminder times</h3>
+        <p className="mt-3 font-light text-sm text-gray-500">
+          When to remind you about contests on the platforms you follow.
+        </p>
+      </div>
+
+      <div className="flex-2 rounded-lg shadow bg-dashboardColor border border-jet">
+        <div className="px-3 phone:px-6 py-8 flex flex-wrap gap-2">
+          {REMINDER_CHOICES.map(({ minutes, label }) => (
+            <button
+              key={minutes}
+              type="button"
+              className={`btn btn-sm ${selected.includes(minutes) ? "btn-primary" : "btn-outline"}`}
+              onClick={() => handleToggle(minutes)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReminderTimes;
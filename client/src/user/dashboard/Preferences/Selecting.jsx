@@ -39,7 +39,7 @@ function BasicInfo({ platformsData, formData, setFormData, handleToggleChange })
                         <List className="w-fit">
                             <div className="platforms flex flex-col">
                                 {platformsData.map(({ name, icon }) => (
-                                    <ListItem key={i}>
+                                    <ListItem key={name}>
                                         {/* <div className="flex flex-row"> */}
                                         <ListItemIcon>
                                             <img src={icon} alt={name} className="w-8" />
@@ -0,0 +1,98 @@
+import { useState, useEffect } from "react";
+import { toast } from "react-toastify";
+import {
+  createTelegramLink,
+  getNotificationChannels,
+  unlinkTelegram,
+} from "../../../core/api/user.api";
+
+// How often to check whether the bot got the code
+const POLL_INTERVAL_MS = 3000;
+
+function TelegramLink({ channel, onChange }) {
+  const [link, setLink] = useState(null);
+
+  // While a code is out, wait for the bot to report the chat as linked
+  useEffect(() => {
+    if (!link) return;
+    const intervalId = setInterval(async () => {
+      if (new Date(link.expiresAt) <= new Date()) {
+        setLink(null);
+        return;
+      }
+      try {
+        const res = await getNotificationChannels();
+        const telegram = res.data.channels.find(({ id }) => id === "telegram");
+        if (telegram?.linked) {
+          setLink(null);
+          onChange(telegram);
+          toast.success("Telegram linked.");
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [link, onChange]);
+
+  const handleLink = async () => {
+    try {
+      const res = await createTelegramLink();
+      setLink(res.data);
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.message || "Couldn't start linking Telegram.");
+    }
+  };
+
+  const handleUnlink = async () => {
+    try {
+      await unlinkTelegram();
+      onChange({ ...channel, enabled: false, linked: false });
+    } catch (err) {
+      console.error(err);
+      toast.error(err.response?.data?.message || "Couldn't unlink Telegram.");
+    }
+  };
+
+  if (channel.linked) {
+    return (
+      <div className="flex items-center justify-between gap-4 text-xs text-gray-500">
+        <span>Linked to your Telegram account.</span>
+        <button type="button" className="btn btn-xs btn-outline" onClick={handleUnlink}>
+          Unlink
+        </button>
+      </div>
+    );
+  }
+
+  if (!channel.available) {
+    return <p className="text-xs text-gray-500">Link your Telegram account to use it.</p>;
+  }
+
+  if (link) {
+    return (
+      <p className="text-xs text-gray-500">
+        Send <code className="text-gray-300">/start {link.code}</code> to{" "}
+        {link.url ? (
+          <a href={link.url} target="_blank" rel="noopener noreferrer" className="underline">
+            @{link.botUsername}
+          </a>
+        ) : (
+          "the digitomize bot"
+        )}{" "}
+        within 10 minutes.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <button type="button" className="btn btn-xs btn-outline" onClick={handleLink}>
+        Link Telegram
+      </button>
+    </div>
+  );
+}
+
+export default TelegramLink;
@@ -0,0 +1,115 @@
+import { toast } from "react-toastify";
+import { setTimePreferences } from "../../../core/api/user.api";
+import { useUserDetails } from "../../../context/UserContext";
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const timeZones = Intl.supportedValuesOf
+  ? Intl.supportedValuesOf("timeZone")
+  : [browserTimeZone];
+
+const TIME_FORMATS = [
+  { value: "12h", label: "12-hour" },
+  { value: "24h", label: "24-hour" },
+];
+
+function TimeSettings({ settings, setSettings }) {
+  const { updatePreferences } = useUserDetails();
+  const { timezone, time_format: timeFormat, quiet_hours: quietHours } = settings;
+
+  const save = async (changes) => {
+    const previous = settings;
+    setSettings({ ...settings, ...changes });
+    try {
+      const res = await setTimePreferences(changes);
+      setSettings(res.data);
+      updatePreferences(res.data);
+    } catch (err) {
+      console.error(err);
+      setSettings(previous);
+      toast.error(err.response?.data?.message || "Couldn't update your time settings.");
+    }
+  };
+
+  const saveQuietHours = (changes) => save({ quiet_hours: { ...quietHours, ...changes } });
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:space-x-20 space-y-8 sm:space-y-0 my-8">
+      <div className="flex-1 mt-8">
+        <h3 className="text-base font-semibold text-gray-200">Time and quiet hours</h3>
+        <p className="mt-3 font-light text-sm text-gray-500">
+          Times on the site, in reminders and in emails use your timezone. Messages that
+          arrive during quiet hours wait until they end.
+        </p>
+      </div>
+
+      <div className="flex-2 rounded-lg shadow bg-dashboardColor border border-jet">
+        <div className="px-3 phone:px-6 py-8 flex flex-col gap-6 text-sm text-gray-300">
+          <label className="flex flex-col gap-2">
+            <span>Timezone</span>
+            <select
+              className="select select-sm select-bordered max-w-xs"
+              value={timezone || ""}
+              onChange={(e) => save({ timezone: e.target.value })}
+            >
+              <option value="" disabled>
+                Not set (this browser: {browserTimeZone})
+              </option>
+              {timeZones.map((zone) => (
+                <option key={zone} value={zone}>
+                  {zone.replace(/_/g, " ")}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="flex flex-col gap-2">
+            <span>Clock</span>
+            <div className="flex flex-wrap gap-2">
+              {TIME_FORMATS.map(({ value, label }) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`btn btn-sm ${timeFormat === value ? "btn-primary" : "btn-outline"}`}
+                  onClick={() => value !== timeFormat && save({ time_format: value })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-3">
+            <label className="flex items-center gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                className="toggle toggle-sm"
+                checked={quietHours.enabled}
+                onChange={() => saveQuietHours({ enabled: !quietHours.enabled })}
+              />
+              <span>Quiet hours</span>
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                type="time"
+                className="input input-sm input-bordered"
+                value={quietHours.start}
+                disabled={!quietHours.enabled}
+                onChange={(e) => e.target.value && saveQuietHours({ start: e.target.value })}
+              />
+              <span>to</span>
+              <input
+                type="time"
+                className="input input-sm input-bordered"
+                value={quietHours.end}
+                disabled={!quietHours.enabled}
+                onChange={(e) => e.target.value && saveQuietHours({ end: e.target.value })}
+              />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TimeSettings;
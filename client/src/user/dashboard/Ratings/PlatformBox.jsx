@@ -1,7 +1,21 @@
 import PlatformModal from "./PlatformModal";
 import React from "react";
 
-export default function PlatformBox({formData,handleInputChangeObjData, handleSubmit, platform }) {
+//* One line of what the last refresh found: rating, solved problems, score
+function statsSummary(stats) {
+    if (!stats) return null;
+    const parts = [];
+    if (stats.rating) parts.push(`Rating ${stats.rating}`);
+    if (stats.totalQuestions) {
+        parts.push(`${stats.totalQuestions} solved (${stats.easyQuestions} easy · ${stats.mediumQuestions} medium · ${stats.hardQuestions} hard)`);
+    }
+    if (stats.codingScore) parts.push(`Score ${stats.codingScore}`);
+    if (stats.instituteRank) parts.push(`Institute rank #${stats.instituteRank}`);
+    return parts.length > 0 ? parts.join(" | ") : null;
+}
+
+export default function PlatformBox({formData,handleInputChangeObjData, handleSubmit, platform, stats }) {
+    const summary = statsSummary(stats);
 
     return (
         <>
@@ -14,6 +28,7 @@ export default function PlatformBox({formData,handleInputChangeObjData, handleSu
                     <div className="max-phone:mx-3 phone:ml-6 max-w-[350px]">
                         <h3 className="text-base capitalize font-semibold text-gray-200">{platform.name}</h3>
                         <p className="mt-1 font-light text-sm text-gray-500">{platform.content}</p>
+                        {summary && <p className="mt-2 text-sm text-gray-300">{summary}</p>}
                     </div>
                     <div className="phone:mr-6 justify-self-end">
                         <PlatformModal formData={formData} handleInputChangeObjData={handleInputChangeObjData} handleSubmit={handleSubmit} btnText={formData?.[platform.name]?.username.length > 1 ? "Update" : "Connect"} platform={platform} />
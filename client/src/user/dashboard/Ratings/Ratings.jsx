@@ -5,6 +5,41 @@ import LoadingScreen from "../../../components/globals/LoadingScreen";
 import PlatformBox from "./PlatformBox";
 import platformData from "./platformData";
 import { MetaData } from "../../../components/CustomComponents";
+import { getRatedPlatforms } from "../../../core/api/user.api";
+import { platformIcons } from "../../../core/utils/platforms";
+
+//* Card for every registered platform, then the ones not supported yet
+// Platforms without copy in platformData get a generic card.
+function platformCards(platforms) {
+    const cards = platforms.map(({ id, name, profileUrl }) => ({
+        title: `Integrate with ${name}`,
+        subTitle: "Showcase your ratings",
+        content: `Connect your ${name} profile to showcase your ratings!`,
+        icon: platformIcons[id],
+        url: profileUrl?.replace(/^https?:\/\/(www\.)?/, "") || "",
+        note: "Note: Please enter username only",
+        ...platformData.find((platform) => platform.name === id),
+        name: id,
+        active: true,
+    }));
+    const comingSoon = platformData
+        .filter((platform) => !platforms.some(({ id }) => id === platform.name))
+        .map((platform) => ({ ...platform, active: false }));
+    return [...cards, ...comingSoon];
+}
+
+//* Form state for every registered platform from the dashboard ratings
+function accountsForm(platforms, ratingsData) {
+    return Object.fromEntries(
+        platforms.map(({ id }) => [
+            id,
+            {
+                username: ratingsData?.[id]?.data || "",
+                showOnWebsite: ratingsData?.[id]?.showOnWebsite ?? true,
+            },
+        ]),
+    );
+}
 
 export async function loader() {
     try {
@@ -24,36 +59,24 @@ export async function loader() {
 export default function Ratings() {
 
     const [loading, setLoading] = useState(true);
-    const [data, setData] = useState(null);
+    const [platforms, setPlatforms] = useState([]);
     const [isDisabled, setIsDisabled] = useState(false);
-    let ratingsData = data?.ratings;
-    // console.log("RATINGGSS:", ratingsData);
-    const username = data?.personal_data.username;
+    const [formData, setFormData] = useState({});
+    const [stats, setStats] = useState({});
 
     useEffect(() => {
         async function fetchData() {
             try {
-                const res = await userDashboardDetails();
+                const [res, registered] = await Promise.all([
+                    userDashboardDetails(),
+                    getRatedPlatforms(),
+                ]);
+                setPlatforms(registered);
                 if (res.data) {
-                    setData(res.data);
-                    ratingsData = res.data.ratings;
-                    // console.log("HM", ratingsData);
-                    setFormData({
-                        username: username,
-                        codeforces: {
-                            username: ratingsData?.codeforces.data || "",
-                            showOnWebsite: ratingsData?.codeforces?.showOnWebsite || true,
-                        },
-                        codechef: {
-                            username: ratingsData?.codechef.data || "",
-                            showOnWebsite: ratingsData?.codechef?.showOnWebsite || true,
-                        },
-
-                        leetcode: {
-                            username: ratingsData?.leetcode.data || "",
-                            showOnWebsite: ratingsData?.leetcode?.showOnWebsite || true,
-                        },
-                    });
+                    setFormData(accountsForm(registered, res.data.ratings));
+                    setStats(Object.fromEntries(
+                        registered.map(({ id }) => [id, res.data.ratings?.[id]?.stats]),
+                    ));
                 }
             } catch (err) {
                 console.error(err);
@@ -65,23 +88,6 @@ export default function Ratings() {
         fetchData();
     }, []);
 
-    const [formData, setFormData] = useState({
-        username: username,
-        codeforces: {
-            username: ratingsData?.codeforces.data || "",
-            showOnWebsite: ratingsData?.codeforces?.showOnWebsite || true,
-        },
-        codechef: {
-            username: ratingsData?.codechef.data || "",
-            showOnWebsite: ratingsData?.codechef?.showOnWebsite || true,
-        },
-
-        leetcode: {
-            username: ratingsData?.leetcode.data || "",
-            showOnWebsite: ratingsData?.leetcode?.showOnWebsite || true,
-        },
-    });
-
 
     const handleInputChangeObjData = (event) => {
         const { name, value } = event.target;
@@ -158,8 +164,8 @@ export default function Ratings() {
                     </div>
                 </div>
                 {
-                    platformData.map((platform, index) => (
-                        <PlatformBox formData={formData} handleInputChangeObjData={handleInputChangeObjData} handleSubmit={handleSubmit} platform={platform} key={index}/>
+                    platformCards(platforms).map((platform, index) => (
+                        <PlatformBox formData={formData} handleInputChangeObjData={handleInputChangeObjData} handleSubmit={handleSubmit} platform={platform} stats={stats[platform.name]} key={index}/>
                     ))
                 }
             </div>
@@ -1,5 +1,7 @@
 import { atcoder, leetcode, codechef, codeforces, geeksforgeeks, codingninjas } from "../../../components/AllAssets";
 
+// Copy for the ratings page, keyed by platform id in `name`; platforms the
+// backend has no updater for yet show as coming soon
 const platforms = [
     {
         title: "Integrate with Leetcode",
@@ -9,7 +11,6 @@ const platforms = [
         url: "leetcode.com/",
         name: "leetcode",
         note: "Note: Please enter username only",
-        active: true
     },
     {
         title: "Integrate with Codechef",
@@ -19,7 +20,6 @@ const platforms = [
         url: "codechef.com/users/",
         name: "codechef",
         note: "Note: Please enter username only",
-        active: true
     },
     {
         title: "Integrate with Codeforces",
@@ -29,7 +29,6 @@ const platforms = [
         url: "codeforces.com/profile/",
         name: "codeforces",
         note: "Note: Please enter username only",
-        active: true
     },
     {
         title: "Integrate with Atcoder",
@@ -39,17 +38,15 @@ const platforms = [
         url: "atcoder.jp/users/",
         name: "atcoder",
         note: "Note: Please enter username only",
-        active: false
     },
     {
         title: "Integrate with GeeksforGeeks",
         subTitle: "Compile coding article bookmarks",
         content: "Merge your GeeksforGeeks account to compile your coding article bookmarks!",
         icon: geeksforgeeks,
-        url: "auth.geeksforgeeks.org/user/",
+        url: "geeksforgeeks.org/user/",
         name: "geeksforgeeks",
         note: "Note: Please enter username only",
-        active: false
     },
     {
         title: "Integrate with Coding Ninjas",
@@ -58,8 +55,7 @@ const platforms = [
         icon: codingninjas,
         url: "codingninjas.com/studio/profile/",
         name: "codingninjas",
-        note: "Note: Please enter username only",
-        active: false
+        note: "Note: Please enter the id at the end of your profile URL",
     },
 ];
 
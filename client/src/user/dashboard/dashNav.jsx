@@ -5,7 +5,7 @@ import { IoIosArrowDown, IoIosArrowUp } from "react-icons/io";
 import { FaArrowLeft } from "react-icons/fa6";
 import { navLinks, accountLinks } from "./dashboardLinks";
 import { logo, logo_white_D, logo_white_full } from "../../components/AllAssets";
-import Novu from "../../components/globals/Notifs/Novu";
+import NotificationBell from "../../components/globals/Notifs/NotificationBell";
 import { useUserAuth } from "../../context/UserAuthContext";
 import { downArrow } from "../../components/AllAssets";
 function DashNav({ toggleActive }) {
@@ -45,7 +45,7 @@ function DashNav({ toggleActive }) {
                             user && (
                                 <>
                                     <div className="border-r pr-2 border-jet">
-                                        <Novu user={user} />
+                                        <NotificationBell />
                                     </div>
                                     <div className="relative inline-block text-left">
                                         <button className={`inline-flex justify-center w-full px-2 py-1 rounded transition btn btn-ghost`}>
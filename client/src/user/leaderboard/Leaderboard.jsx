@@ -9,6 +9,7 @@ import {
   leetcode,
   codechef,
   codeforces,
+  atcoder,
   logo,
 } from "../../components/AllAssets";
 import { MetaData } from "../../components/CustomComponents";
@@ -58,9 +59,9 @@ export default function Leaderboard() {
   );
   const [name, setName] = useState("");
   const [selectedRating, setSelectedRating] = useState("digitomize");
-  const platforms = ["leetcode", "codechef", "codeforces"];
-  const platformsIcon = [leetcode, codechef, codeforces];
-  const ratings = ["digitomize", "codechef", "leetcode", "codeforces"];
+  const platforms = ["leetcode", "codechef", "codeforces", "atcoder"];
+  const platformsIcon = [leetcode, codechef, codeforces, atcoder];
+  const ratings = ["digitomize", "codechef", "leetcode", "codeforces", "atcoder"];
   const [screenSize, setScreenSize] = useState(getCurrentDimension());
   const close_model = () => setShow(false);
   const [show, setShow] = useState(false);
@@ -99,8 +100,8 @@ export default function Leaderboard() {
           <React.Fragment>
             <Typography color="inherit">Digitomize Rating</Typography>
             <p className="italic">
-              A unified rating scale that normalizes Codeforces, CodeChef, and
-              LeetCode ratings for easy comparison.{" "}
+              A unified rating scale that normalizes Codeforces, CodeChef,
+              LeetCode and AtCoder ratings for easy comparison.{" "}
             </p>
             <p className="bold">Example:</p>
             <table className="border border-white rounded-xl">
@@ -127,6 +128,11 @@ export default function Leaderboard() {
                   <td className="border border-white ">1726</td>
                   <td className="border border-white ">1200</td>
                 </tr>
+                <tr className="border border-white">
+                  <td className="border border-white ">AtCoder</td>
+                  <td className="border border-white ">1091</td>
+                  <td className="border border-white ">1200</td>
+                </tr>
               </tbody>
             </table>
           </React.Fragment>
@@ -350,6 +356,7 @@ export default function Leaderboard() {
                 <th className="max-sm:hidden">codechef</th>
                 <th className="max-sm:hidden">leetcode</th>
                 <th className="max-sm:hidden">codeforces</th>
+                <th className="max-sm:hidden">atcoder</th>
                 <th className="max-sm:hidden">
                   <div className="items-center flex flex-row justify-center gap-x-1 w-full">
                     digitomize rating
@@ -398,7 +405,7 @@ export default function Leaderboard() {
             {loading ? (
               <tbody>
                 <tr>
-                  <td colSpan="7">
+                  <td colSpan="8">
                     <div className="m-auto flex flex-col items-center">
                       <Skeleton
                         variant="rounded"
@@ -502,17 +509,14 @@ export default function Leaderboard() {
                         <td className="max-sm:hidden">{row.codechef}</td>
                         <td className="max-sm:hidden">{row.leetcode}</td>
                         <td className="max-sm:hidden">{row.codeforces}</td>
+                        <td className="max-sm:hidden">{row.atcoder}</td>
                         <td className="max-sm:hidden">
                           {Math.floor(row.digitomize_rating)}
                         </td>
                         <td className="sm:hidden">
                           {selectedRating === "digitomize"
                             ? Math.floor(row.digitomize_rating)
-                            : selectedRating === "leetcode"
-                              ? row.leetcode
-                              : selectedRating === "codechef"
-                                ? row.codechef
-                                : row.codeforces}
+                            : row[selectedRating]}
                         </td>
                         {/* <td>{row.platform_rating}</td> */}
                       </tr>
@@ -581,17 +585,16 @@ export default function Leaderboard() {
                     <td className="max-sm:hidden">
                       {currentUserData.ratings.codeforces || 0}
                     </td>
+                    <td className="max-sm:hidden">
+                      {currentUserData.ratings.atcoder || 0}
+                    </td>
                     <td className="max-sm:hidden">
                       {Math.floor(currentUserData.ratings.digitomize_rating)}
                     </td>
                     <td className="sm:hidden">
                       {selectedRating === "digitomize"
                         ? Math.floor(currentUserData.ratings.digitomize_rating)
-                        : selectedRating === "leetcode"
-                          ? currentUserData.ratings.leetcode
-                          : selectedRating === "codechef"
-                            ? currentUserData.ratings.codechef
-                            : currentUserData.ratings.codeforces}
+                        : currentUserData.ratings[selectedRating]}
                     </td>
                     {/* <td>{userDetails.platform_rating}</td> */}
                   </tr>
@@ -8,9 +8,7 @@ const Rank = ({ color, pt = 6, user, selectedPlatform }) => {
   let rating;
   if (user) {
     if (selectedPlatform.length == 0) rating = user.digitomize_rating;
-    else if (selectedPlatform === "leetcode") rating = user.leetcode;
-    else if (selectedPlatform === "codechef") rating = user.codechef;
-    else rating = user.codeforces;
+    else rating = user[selectedPlatform];
   }
 
   return (